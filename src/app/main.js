@@ -3,7 +3,7 @@
  * Handles application lifecycle, window management, and IPC communication
  */
 
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -15,6 +15,19 @@ const os = require('os');
 let aiService = null;
 let aiConfig = null;
 
+// Library storage variables
+let libraryStore = null;
+let libraryRepository = null;
+let backupManager = null;
+let libraryArchive = null;
+let markdownFolder = null;
+let folderSync = null;
+let historyMirror = null;
+let tabularFile = null;
+let promptComposer = null;
+let promptRunner = null;
+let evalRunner = null;
+
 // Main window reference
 let mainWindow = null;
 
@@ -65,6 +78,302 @@ ipcMain.handle('get-data-dir', () => {
   return app.getPath('userData');
 });
 
+/**
+ * Load the prompt library from the userData directory
+ * @returns {Promise<void>}
+ */
+async function initializeLibrary() {
+  const { libraryStore: store } = require(path.resolve(__dirname, 'src/data/LibraryStore.js'));
+  const { LibraryRepository } = require(path.resolve(__dirname, 'src/data/LibraryRepository.js'));
+
+  await store.initialize(app.getPath('userData'));
+  libraryStore = store;
+  libraryRepository = new LibraryRepository(store);
+
+  const { LibraryArchive } = require(path.resolve(__dirname, 'src/data/LibraryArchive.js'));
+  libraryArchive = new LibraryArchive(store, libraryRepository);
+
+  const { MarkdownFolder } = require(path.resolve(__dirname, 'src/data/MarkdownFolder.js'));
+  markdownFolder = new MarkdownFolder(libraryRepository);
+
+  const { TabularFile } = require(path.resolve(__dirname, 'src/data/TabularFile.js'));
+  tabularFile = new TabularFile(libraryRepository);
+
+  const { PromptComposer } = require(path.resolve(__dirname, 'src/templates/PromptComposer.js'));
+  promptComposer = new PromptComposer(libraryRepository);
+
+  const { PromptRunner } = require(path.resolve(__dirname, 'src/playground/PromptRunner.js'));
+  promptRunner = new PromptRunner(libraryRepository, promptComposer, () => aiService);
+
+  const { EvalRunner } = require(path.resolve(__dirname, 'src/evals/EvalRunner.js'));
+  evalRunner = new EvalRunner(libraryRepository, promptRunner);
+
+  // Let every open window know when the library changes
+  libraryStore.on('changed', (change) => {
+    for (const window of BrowserWindow.getAllWindows()) {
+      if (!window.isDestroyed()) {
+        window.webContents.send('library-changed', change);
+      }
+    }
+  });
+
+  console.log('Library initialized:', libraryStore.getStatus());
+
+  // Scheduled backups only run against a library that loaded cleanly
+  if (libraryStore.state === 'ready') {
+    const { BackupManager } = require(path.resolve(__dirname, 'src/data/BackupManager.js'));
+    backupManager = new BackupManager(libraryStore, libraryRepository);
+    await backupManager.initialize(app.getPath('userData'));
+    backupManager.start().catch(error => console.error('Initial backup check failed:', error));
+
+    // Filling the history repository the first time can take a while; don't hold up the window
+    const { HistoryMirror } = require(path.resolve(__dirname, 'src/data/HistoryMirror.js'));
+    historyMirror = new HistoryMirror(libraryRepository);
+    historyMirror.initialize(app.getPath('userData')).catch(error => console.error('History mirror failed to start:', error));
+
+    const { FolderSync } = require(path.resolve(__dirname, 'src/data/FolderSync.js'));
+    folderSync = new FolderSync(libraryRepository);
+    folderSync.on('status', (status) => {
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (!window.isDestroyed()) {
+          window.webContents.send('sync-status', status);
+        }
+      }
+    });
+    // The first sync of a large folder can take a while too
+    folderSync.initialize(app.getPath('userData')).catch(error => console.error('Folder sync failed to start:', error));
+  }
+}
+
+/**
+ * Ask the user where to save a text file and write it
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event of the requesting window
+ * @param {string} contents - File contents
+ * @param {string} defaultName - Suggested file name
+ * @param {Array<Object>} filters - Save dialog file type filters
+ * @returns {Promise<Object>} { success, canceled, filePath }
+ */
+async function saveTextWithDialog(event, contents, defaultName, filters = [{ name: 'JSON', extensions: ['json'] }]) {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(window, {
+    defaultPath: path.join(app.getPath('documents'), defaultName),
+    filters
+  });
+
+  if (canceled || !filePath) {
+    return { success: false, canceled: true };
+  }
+
+  await fs.promises.writeFile(filePath, contents, 'utf8');
+  console.log('Saved export to:', filePath);
+  return { success: true, canceled: false, filePath };
+}
+
+/**
+ * Ask the user to pick a directory
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event of the requesting window
+ * @param {string} title - Dialog title
+ * @returns {Promise<string|null>} Chosen directory, or null if canceled
+ */
+async function chooseDirectory(event, title) {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+    title,
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+}
+
+// Register library IPC handlers when app is ready
+function registerLibraryHandlers() {
+  console.log('Registering library IPC handlers...');
+
+  // Generic table access used by prompts, tags, promptTags and folders
+  ipcMain.handle('library-query', (event, table, spec) => libraryStore.query(table, spec));
+  ipcMain.handle('library-get', (event, table, id) => libraryStore.get(table, id));
+  ipcMain.handle('library-add', (event, table, record) => libraryStore.add(table, record));
+  ipcMain.handle('library-bulk-add', (event, table, records) => libraryStore.bulkAdd(table, records));
+  ipcMain.handle('library-update', (event, table, id, changes) => libraryStore.update(table, id, changes));
+  ipcMain.handle('library-delete', (event, table, ids) => libraryStore.delete(table, ids));
+  ipcMain.handle('library-delete-where', (event, table, spec) => libraryStore.deleteWhere(table, spec));
+  ipcMain.handle('library-clear', (event, table) => libraryStore.clear(table));
+
+  // Library status and one-time migration from the renderer's IndexedDB
+  ipcMain.handle('library-get-status', () => libraryStore.getStatus());
+  ipcMain.handle('library-import-legacy', (event, legacyData) => libraryStore.importLegacyData(legacyData));
+  ipcMain.handle('library-mark-legacy-migrated', () => libraryStore.markLegacyMigrationComplete());
+
+  // Recovery: save the library file as-is, even when it could not be loaded
+  ipcMain.handle('library-export-raw', async (event) => {
+    const contents = libraryStore.getRawContents();
+    if (contents === null || contents === undefined) {
+      throw new Error('The library file could not be read, so there is nothing to export');
+    }
+    return await saveTextWithDialog(event, contents, 'prompt-library-raw.json');
+  });
+  ipcMain.handle('library-save-export', async (event, contents, defaultName) => {
+    return await saveTextWithDialog(event, contents, defaultName);
+  });
+
+  // Backups
+  ipcMain.handle('backups-list', () => backupManager.listBackups());
+  ipcMain.handle('backups-create', () => backupManager.createBackup('manual'));
+  ipcMain.handle('backups-preview', (event, fileName) => backupManager.previewBackup(fileName));
+  ipcMain.handle('backups-restore', (event, fileName, mode) => backupManager.restoreBackup(fileName, mode));
+  ipcMain.handle('backups-get-settings', () => backupManager.settings);
+  ipcMain.handle('backups-save-settings', (event, settings) => backupManager.saveSettings(settings));
+  ipcMain.handle('backups-open-folder', () => shell.openPath(backupManager.backupDir));
+
+  // Export/import of the whole library as an archive file
+  ipcMain.handle('archive-export', async (event) => {
+    const archive = libraryArchive.createArchive();
+    const date = new Date().toISOString().slice(0, 10);
+    return await saveTextWithDialog(event, JSON.stringify(archive, null, 2), `prompt-library-${date}.json`);
+  });
+  ipcMain.handle('archive-plan-import', (event, contents) => libraryArchive.planImport(contents));
+  ipcMain.handle('archive-import', (event, contents, options) => libraryArchive.importArchive(contents, options));
+
+  // One Markdown file per prompt, for keeping prompts in git
+  ipcMain.handle('markdown-export', async (event, options) => {
+    const directory = await chooseDirectory(event, 'Export prompts to folder');
+    if (!directory) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, canceled: false, ...await markdownFolder.exportToFolder(directory, options) };
+  });
+  ipcMain.handle('markdown-read-folder', async (event) => {
+    const directory = await chooseDirectory(event, 'Import prompts from folder');
+    if (!directory) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, canceled: false, ...await markdownFolder.readFolder(directory) };
+  });
+
+  // Flat CSV/JSONL files for spreadsheets, mapped column by column on import
+  ipcMain.handle('tabular-export', async (event, format, options) => {
+    const contents = tabularFile.exportLatest(format, options);
+    const date = new Date().toISOString().slice(0, 10);
+    const filters = format === 'csv'
+      ? [{ name: 'CSV', extensions: ['csv'] }]
+      : [{ name: 'JSON Lines', extensions: ['jsonl'] }];
+    return await saveTextWithDialog(event, contents, `prompts-${date}.${format}`, filters);
+  });
+  ipcMain.handle('tabular-describe', (event, contents, format) => tabularFile.describeSource(contents, format));
+  ipcMain.handle('tabular-plan-import', (event, contents, format, mapping, options) => tabularFile.planImport(contents, format, mapping, options));
+  ipcMain.handle('tabular-import', (event, contents, format, mapping, options) => tabularFile.importRows(contents, format, mapping, options));
+
+  // Two-way sync with a watched folder of Markdown files
+  ipcMain.handle('sync-get-status', () => folderSync ? folderSync.getStatus() : null);
+  ipcMain.handle('sync-choose-folder', (event) => chooseDirectory(event, 'Sync prompts with folder'));
+  ipcMain.handle('sync-configure', (event, settings) => folderSync.configure(settings));
+  ipcMain.handle('sync-now', () => folderSync.syncNow());
+  ipcMain.handle('sync-resolve-conflict', (event, conflictId, choice) => folderSync.resolveConflict(conflictId, choice));
+  ipcMain.handle('sync-resolve-removal', (event, removalId, choice) => folderSync.resolveRemoval(removalId, choice));
+  ipcMain.handle('sync-open-folder', () => shell.openPath(folderSync.directory));
+
+  // Git history mirror
+  ipcMain.handle('history-get-status', () => historyMirror ? historyMirror.getStatus() : { available: false, commits: 0 });
+  ipcMain.handle('history-log', (event, options) => historyMirror ? historyMirror.getLog(options) : []);
+  ipcMain.handle('history-show', (event, hash) => historyMirror.getCommit(hash));
+  ipcMain.handle('history-push', async (event) => {
+    const directory = await chooseDirectory(event, 'Push prompt history to folder');
+    if (!directory) {
+      return { success: false, canceled: true };
+    }
+    return { canceled: false, ...await historyMirror.pushTo(directory) };
+  });
+  ipcMain.handle('history-open-folder', () => shell.openPath(historyMirror.repoDir));
+
+  // {{variable}} placeholders, {{#if}}/{{#each}} sections and {{> included prompts}}
+  // in prompt text. Includes are expanded first. Include and template problems
+  // come back as { error, line, column } rather than as rejected promises.
+  const {
+    renderTemplate, parseTemplate, normalizeDeclarations, describeVariables, defaultValues, validateValues
+  } = require(path.resolve(__dirname, 'src/templates/PromptTemplate.js'));
+  const reportTemplateErrors = (handler) => (event, ...args) => {
+    try {
+      return handler(...args);
+    } catch (error) {
+      return { error: error.message, line: error.line || null, column: error.column || null };
+    }
+  };
+  ipcMain.handle('templates-parse', reportTemplateErrors((text, declarations, familyId) => {
+    const expanded = promptComposer.expand(text, { familyId, declarations });
+    return { variables: describeVariables(expanded.text, expanded.declarations), includes: expanded.includes };
+  }));
+  ipcMain.handle('templates-check-declarations', (event, declarations) => normalizeDeclarations(declarations));
+  // Refuses to render until every value matches its variable's type
+  ipcMain.handle('templates-render', reportTemplateErrors((text, values, declarations, familyId) => {
+    const expanded = promptComposer.expand(text, { familyId, declarations });
+    const validation = validateValues(describeVariables(expanded.text, expanded.declarations), values);
+    if (!validation.valid) {
+      return { valid: false, errors: validation.errors };
+    }
+    return { valid: true, errors: {}, ...renderTemplate(expanded.text, validation.values) };
+  }));
+  ipcMain.handle('templates-expand', reportTemplateErrors((text, familyId) => promptComposer.expand(text, { familyId })));
+  // Renders with the declared defaults; syntax errors point into the text as written
+  ipcMain.handle('templates-preview', reportTemplateErrors((text, declarations, familyId) => {
+    parseTemplate(text);
+    const expanded = promptComposer.expand(text, { familyId, declarations });
+    try {
+      const variables = describeVariables(expanded.text, expanded.declarations);
+      return { ...renderTemplate(expanded.text, defaultValues(variables)), includes: expanded.includes };
+    } catch (error) {
+      if (expanded.includes.length === 0) {
+        throw error;
+      }
+      // Positions in the expanded text don't match the text being edited
+      throw new Error(`${error.message} (in the text with its includes filled in)`);
+    }
+  }));
+  ipcMain.handle('templates-used-by', (event, familyId) => promptComposer.getUsedBy(familyId));
+
+  // Chat prompt messages
+  const { normalizeMessages, flattenMessages, parseFlattenedMessages } = require(path.resolve(__dirname, 'src/prompts/ChatMessages.js'));
+  ipcMain.handle('chat-check', (event, messages) => normalizeMessages(messages));
+  ipcMain.handle('chat-flatten', (event, messages) => flattenMessages(messages));
+  ipcMain.handle('chat-from-text', (event, text) => {
+    if (!String(text || '').trim()) {
+      return [{ role: 'system', content: '' }, { role: 'user', content: '' }];
+    }
+    return parseFlattenedMessages(text) || [{ role: 'user', content: text }];
+  });
+
+  // Per-prompt model and sampling parameters
+  const { normalizeModelSettings } = require(path.resolve(__dirname, 'src/prompts/ModelSettings.js'));
+  ipcMain.handle('model-settings-check', (event, settings) => normalizeModelSettings(settings));
+
+  // Saved playground runs
+  const { renderMarkdown } = require(path.resolve(__dirname, 'src/playground/MarkdownRenderer.js'));
+  ipcMain.handle('playground-get-runs', (event, promptId) => libraryRepository.getRuns(promptId));
+  ipcMain.handle('playground-delete-run', (event, runId) => libraryRepository.deleteRun(runId));
+  ipcMain.handle('playground-pick-winner', (event, runId) => libraryRepository.pickWinner(runId));
+  ipcMain.handle('playground-get-winners', (event, promptId) => libraryRepository.getWinners(promptId));
+  ipcMain.handle('playground-render-markdown', (event, text) => renderMarkdown(text));
+
+  // Test cases and evaluation reports
+  ipcMain.handle('evals-get-cases', (event, familyId) => libraryRepository.getTestCases(familyId));
+  ipcMain.handle('evals-save-case', (event, testCase) => evalRunner.saveTestCase(testCase));
+  ipcMain.handle('evals-delete-case', (event, testCaseId) => libraryRepository.deleteTestCase(testCaseId));
+  ipcMain.handle('evals-get-reports', (event, promptId) => libraryRepository.getEvalRuns(promptId));
+  ipcMain.handle('evals-compare', (event, promptId) => evalRunner.compareWithPrevious(promptId));
+
+  // Prompt and tag operations
+  ipcMain.handle('prompts-create', (event, fields, tagPaths) => libraryRepository.createPrompt(fields, tagPaths));
+  ipcMain.handle('tags-find-or-create', (event, tagPath) => libraryRepository.findOrCreateTag(tagPath));
+  ipcMain.handle('tags-get-for-prompt', (event, promptId) => libraryRepository.getPromptTags(promptId));
+
+  // Version operations
+  ipcMain.handle('versions-get-family', (event, promptId) => libraryRepository.getFamily(promptId));
+  ipcMain.handle('versions-create', (event, promptId, fields, tagPaths) => libraryRepository.createVersion(promptId, fields, tagPaths));
+  ipcMain.handle('versions-delete', (event, versionId) => libraryRepository.deleteVersion(versionId));
+  ipcMain.handle('versions-delete-family', (event, promptId) => libraryRepository.deleteFamily(promptId));
+  ipcMain.handle('versions-resequence', () => libraryRepository.resequence());
+
+  console.log('All library IPC handlers registered successfully');
+}
+
 // Register AI IPC handlers when app is ready
 function registerAIHandlers() {
   console.log('Registering AI IPC handlers...');
@@ -75,9 +384,13 @@ function registerAIHandlers() {
     try {
       const { aiService: service } = require(path.resolve(__dirname, 'src/ai/AIService.js'));
       const { configManager } = require(path.resolve(__dirname, 'src/ai/ConfigManager.js'));
+      const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
 
-      // Initialize configuration manager
+      // Load provider plugins before the config that may use them
       const dataDir = app.getPath('userData');
+      providerRegistry.loadPlugins(path.join(dataDir, 'ai-providers'));
+
+      // Initialize configuration manager
       await configManager.initialize(dataDir);
 
       // Load AI configuration
@@ -130,15 +443,72 @@ function registerAIHandlers() {
     }
   });
 
+  // Streamed requests that can still be cancelled, by the renderer's request id
+  const aiRequests = new Map();
+
+  /**
+   * Run an AI request, streaming its text to the renderer as 'ai-chunk' events
+   * when the renderer gave it a request id. What was redacted from the request
+   * is sent as an 'ai-redacted' event either way.
+   * @param {Object} event - IPC event of the request
+   * @param {string} requestId - Renderer's id for the request, or null to not stream
+   * @param {Function} run - Called with { onChunk, signal, onRedact } and returns the response
+   * @returns {Promise<string|null>} Response text, or null when cancelled
+   */
+  async function runStreamingRequest(event, requestId, run) {
+    const onRedact = (report) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('ai-redacted', { requestId, ...report });
+      }
+    };
+    if (!requestId) {
+      return await run({ onRedact });
+    }
+
+    const controller = new AbortController();
+    aiRequests.set(requestId, controller);
+    try {
+      return await run({
+        signal: controller.signal,
+        onRedact,
+        // column says which model a chunk is from when several run at once
+        onChunk: (chunk, column) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('ai-chunk', { requestId, chunk, column });
+          }
+        }
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`AI request ${requestId} cancelled`);
+        return null;
+      }
+      throw error;
+    } finally {
+      aiRequests.delete(requestId);
+    }
+  }
+
+  // Cancel a streamed request
+  ipcMain.handle('ai-cancel', (event, requestId) => {
+    const controller = aiRequests.get(requestId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort();
+    return true;
+  });
+
   // Generate prompt description
-  ipcMain.handle('ai-generate-description', async (event, description, providerName) => {
+  ipcMain.handle('ai-generate-description', async (event, description, providerName, requestId) => {
     console.log('ai-generate-description handler called');
     if (!aiService) {
       throw new Error('AI service not initialized');
     }
 
     try {
-      return await aiService.generateDescription(description, providerName);
+      return await runStreamingRequest(event, requestId,
+        (streaming) => aiService.generateDescription(description, providerName, streaming));
     } catch (error) {
       console.error('AI generation failed:', error);
       throw error;
@@ -146,50 +516,63 @@ function registerAIHandlers() {
   });
 
   // Optimize prompt
-  ipcMain.handle('ai-optimize-prompt', async (event, promptText, providerName) => {
+  ipcMain.handle('ai-optimize-prompt', async (event, promptText, providerName, modelSettings, requestId) => {
     console.log('ai-optimize-prompt handler called');
     if (!aiService) {
       throw new Error('AI service not initialized');
     }
 
     try {
-      return await aiService.optimizePrompt(promptText, providerName);
+      return await runStreamingRequest(event, requestId,
+        (streaming) => aiService.optimizePrompt(promptText, providerName, modelSettings, streaming));
     } catch (error) {
       console.error('AI optimization failed:', error);
       throw error;
     }
   });
 
+  // Run a prompt version in the playground and save the run
+  ipcMain.handle('playground-run', async (event, request, requestId) => {
+    console.log('playground-run handler called for prompt', request.promptId);
+    return await runStreamingRequest(event, requestId, (streaming) => promptRunner.run(request, streaming));
+  });
+
+  // Run a prompt version against several models at once
+  ipcMain.handle('playground-compare', async (event, request, requestId) => {
+    console.log('playground-compare handler called for prompt', request.promptId);
+    return await runStreamingRequest(event, requestId, (streaming) => promptRunner.compare(request, streaming));
+  });
+
+  // Run a prompt family's test cases against a version and save the report
+  ipcMain.handle('evals-run', async (event, request, requestId) => {
+    console.log('evals-run handler called for prompt', request.promptId);
+    return await runStreamingRequest(event, requestId, (streaming) => evalRunner.runSuite(request, streaming));
+  });
+
   // Save AI configuration
   ipcMain.handle('ai-save-config', async (event, config) => {
     console.log('ai-save-config handler called');
     try {
       const { configManager } = require(path.resolve(__dirname, 'src/ai/ConfigManager.js'));
+      const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
 
       // Convert the UI config format to the ConfigManager format
       const fullConfig = await configManager.loadConfig();
+      const { providers, errors } = providerRegistry.fromSettingsEntries(config.providers, fullConfig.ai?.providers);
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('\n') };
+      }
+
+      // Keep only the middlewares, decorators and settings the chains know
+      const { createMiddlewareChain } = require(path.resolve(__dirname, 'src/ai/middleware'));
+      const { createDecoratorChain } = require(path.resolve(__dirname, 'src/ai/decorators'));
+      const requestProcessing = createMiddlewareChain();
+      requestProcessing.applyConfig(config.requestProcessing);
+      const responseProcessing = createDecoratorChain();
+      responseProcessing.applyConfig(config.responseProcessing);
       fullConfig.ai = {
         defaultProvider: config.defaultProvider,
-        providers: {
-          openrouter: {
-            enabled: config.openrouter.enabled, // Save the user's enabled preference regardless of API key
-            name: "OpenRouter",
-            endpoint: "https://openrouter.ai/api/v1/chat/completions",
-            model: config.openrouter.model,
-            apiKey: config.openrouter.apiKey,
-            timeout: config.openrouter.timeout,
-            maxRetries: config.openrouter.retries
-          },
-          ollama: {
-            enabled: config.ollama.enabled, // Save the user's enabled preference regardless of endpoint
-            name: "Ollama",
-            endpoint: config.ollama.endpoint.endsWith('/api/chat') ? config.ollama.endpoint : config.ollama.endpoint + "/api/chat",
-            model: config.ollama.model,
-            apiKey: null,
-            timeout: config.ollama.timeout,
-            maxRetries: config.ollama.retries
-          }
-        },
+        providers,
         generation: {
           systemPrompt: config.systemPrompts.generation,
           maxTokens: 2000,
@@ -199,7 +582,9 @@ function registerAIHandlers() {
           systemPrompt: config.systemPrompts.optimization,
           maxTokens: 2000,
           temperature: config.temperature.optimization
-        }
+        },
+        requestProcessing: requestProcessing.getConfig(),
+        responseProcessing: responseProcessing.getConfig()
       };
 
       await configManager.saveConfig(fullConfig);
@@ -223,24 +608,24 @@ function registerAIHandlers() {
     console.log('ai-get-config handler called');
     try {
       const { configManager } = require(path.resolve(__dirname, 'src/ai/ConfigManager.js'));
+      const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
       const aiConfig = await configManager.getAIConfig();
 
+      // The middleware and decorator chains as saved, with each step's description and settings fields
+      const { createMiddlewareChain } = require(path.resolve(__dirname, 'src/ai/middleware'));
+      const { createDecoratorChain } = require(path.resolve(__dirname, 'src/ai/decorators'));
+      const requestProcessing = createMiddlewareChain();
+      requestProcessing.applyConfig(aiConfig.requestProcessing);
+      const responseProcessing = createDecoratorChain();
+      responseProcessing.applyConfig(aiConfig.responseProcessing);
+
       // Convert ConfigManager format to UI format
       const uiConfig = {
-        openrouter: {
-          enabled: aiConfig.providers?.openrouter?.enabled !== false, // Default to true if not explicitly false
-          apiKey: aiConfig.providers?.openrouter?.apiKey || '',
-          model: aiConfig.providers?.openrouter?.model || 'anthropic/claude-3.5-sonnet',
-          timeout: aiConfig.providers?.openrouter?.timeout || 30000,
-          retries: aiConfig.providers?.openrouter?.maxRetries || 3
-        },
-        ollama: {
-          enabled: aiConfig.providers?.ollama?.enabled !== false, // Default to true if not explicitly false
-          endpoint: aiConfig.providers?.ollama?.endpoint?.replace('/api/chat', '') || 'http://localhost:11434',
-          model: aiConfig.providers?.ollama?.model || 'llama2',
-          timeout: aiConfig.providers?.ollama?.timeout || 30000,
-          retries: aiConfig.providers?.ollama?.maxRetries || 3
-        },
+        providers: providerRegistry.toSettingsEntries(aiConfig.providers),
+        requestProcessing: requestProcessing.describe(),
+        requestProcessingDefaults: createMiddlewareChain().describe(),
+        responseProcessing: responseProcessing.describe(),
+        responseProcessingDefaults: createDecoratorChain().describe(),
         defaultProvider: aiConfig.defaultProvider || 'openrouter',
         systemPrompts: {
           generation: aiConfig.generation?.systemPrompt || 'You are an AI assistant that helps generate high-quality prompts based on user descriptions.',
@@ -259,63 +644,43 @@ function registerAIHandlers() {
     }
   });
 
-  // Test AI provider connection
-  ipcMain.handle('ai-test-provider', async (event, providerName, providerConfig) => {
-    console.log('ai-test-provider handler called for:', providerName);
-    console.log('Provider config:', providerConfig);
+  // Get the provider types the settings modal is built from
+  ipcMain.handle('ai-get-provider-types', () => {
+    console.log('ai-get-provider-types handler called');
+    const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
+    return { types: providerRegistry.describe(), pluginErrors: providerRegistry.pluginErrors };
+  });
+
+  // Test AI provider connection with the values in its settings form
+  ipcMain.handle('ai-test-provider', async (event, type, values) => {
+    console.log('ai-test-provider handler called for:', type);
     try {
-      // Create temporary provider instance for testing
-      let provider;
-      if (providerName === 'openrouter') {
-        const { OpenRouterProvider } = require(path.resolve(__dirname, 'src/ai/providers/OpenRouterProvider.js'));
-        // Ensure OpenRouter has the correct endpoint
-        const config = {
-          ...providerConfig,
-          endpoint: providerConfig.endpoint || 'https://openrouter.ai/api/v1/chat/completions'
-        };
-        provider = new OpenRouterProvider(config);
-      } else if (providerName === 'ollama') {
-        const { OllamaProvider } = require(path.resolve(__dirname, 'src/ai/providers/OllamaProvider.js'));
-        provider = new OllamaProvider(providerConfig);
-      } else {
-        throw new Error(`Unknown provider: ${providerName}`);
+      const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
+      const { config, errors } = providerRegistry.normalizeConfig(type, values);
+      if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
       }
 
+      // Create temporary provider instance for testing
+      const provider = providerRegistry.create(type, config);
       const result = await provider.testConnection();
       return { success: true, connected: result };
     } catch (error) {
-      console.error(`Failed to test ${providerName} connection:`, error);
+      console.error(`Failed to test ${type} connection:`, error);
       return { success: false, error: error.message };
     }
   });
 
-  // Get available Ollama models
-  ipcMain.handle('ai-get-ollama-models', async (event, endpoint) => {
-    console.log('ai-get-ollama-models handler called for:', endpoint);
+  // Get the models a provider offers, with the values in its settings form
+  ipcMain.handle('ai-get-models', async (event, type, values) => {
+    console.log('ai-get-models handler called for:', type);
     try {
-      const { OllamaProvider } = require(path.resolve(__dirname, 'src/ai/providers/OllamaProvider.js'));
-      const provider = new OllamaProvider({ endpoint: endpoint + '/api/chat' });
-      const models = await provider.getAvailableModels();
+      const { providerRegistry } = require(path.resolve(__dirname, 'src/ai/providers'));
+      const { config } = providerRegistry.normalizeConfig(type, values, { enabled: false });
+      const models = await providerRegistry.listModels(type, { ...config, maxRetries: 0 });
       return { success: true, models };
     } catch (error) {
-      console.error('Failed to get Ollama models:', error);
-      return { success: false, error: error.message, models: [] };
-    }
-  });
-
-  // Get available OpenRouter models
-  ipcMain.handle('ai-get-openrouter-models', async (event, apiKey) => {
-    console.log('ai-get-openrouter-models handler called');
-    try {
-      const { OpenRouterProvider } = require(path.resolve(__dirname, 'src/ai/providers/OpenRouterProvider.js'));
-      const provider = new OpenRouterProvider({
-        apiKey: apiKey,
-        endpoint: 'https://openrouter.ai/api/v1/chat/completions'
-      });
-      const models = await provider.getAvailableModels();
-      return { success: true, models };
-    } catch (error) {
-      console.error('Failed to get OpenRouter models:', error);
+      console.error(`Failed to get ${type} models:`, error);
       return { success: false, error: error.message, models: [] };
     }
   });
@@ -348,7 +713,20 @@ if (!gotTheLock) {
   // This method will be called when Electron has finished
   // initialization and is ready to create browser windows.
   // Some APIs can only be used after this event occurs.
-  app.whenReady().then(() => {
+  app.whenReady().then(async () => {
+    // Load the library before any window can ask for it
+    try {
+      await initializeLibrary();
+    } catch (error) {
+      // Still open the window, so the recovery screen can show what went wrong
+      const { libraryStore: store } = require(path.resolve(__dirname, 'src/data/LibraryStore.js'));
+      libraryStore = libraryStore || store;
+      if (libraryStore.state !== 'failed') {
+        libraryStore.fail('The library could not be opened', error);
+      }
+    }
+    registerLibraryHandlers();
+
     // Register AI IPC handlers before creating window
     registerAIHandlers();
 
@@ -365,6 +743,18 @@ if (!gotTheLock) {
 // Quit when all windows are closed, except on macOS. There, it's common
 // for applications and their menu bar to stay active until the user quits
 // explicitly with Cmd + Q.
+app.on('before-quit', () => {
+  if (backupManager) {
+    backupManager.stop();
+  }
+  if (folderSync) {
+    folderSync.stop();
+  }
+  if (historyMirror) {
+    historyMirror.stop();
+  }
+});
+
 app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 });
\ No newline at end of file
@@ -3,22 +3,147 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Table access shared by every library table
+const createTableAPI = (table) => ({
+  query: (spec) => ipcRenderer.invoke('library-query', table, spec),
+  get: (id) => ipcRenderer.invoke('library-get', table, id),
+  add: (record) => ipcRenderer.invoke('library-add', table, record),
+  bulkAdd: (records) => ipcRenderer.invoke('library-bulk-add', table, records),
+  update: (id, changes) => ipcRenderer.invoke('library-update', table, id, changes),
+  delete: (ids) => ipcRenderer.invoke('library-delete', table, ids),
+  deleteWhere: (spec) => ipcRenderer.invoke('library-delete-where', table, spec),
+  clear: () => ipcRenderer.invoke('library-clear', table)
+});
+
 contextBridge.exposeInMainWorld('electronAPI', {
   getDataDir: () => ipcRenderer.invoke('get-data-dir'),
   openDatabaseViewer: () => ipcRenderer.invoke('open-database-viewer'),
 
+  // Library API (data lives in the main process)
+  library: {
+    getStatus: () => ipcRenderer.invoke('library-get-status'),
+    importLegacyData: (legacyData) => ipcRenderer.invoke('library-import-legacy', legacyData),
+    markLegacyMigrationComplete: () => ipcRenderer.invoke('library-mark-legacy-migrated'),
+    exportRaw: () => ipcRenderer.invoke('library-export-raw'),
+    saveExport: (contents, defaultName) => ipcRenderer.invoke('library-save-export', contents, defaultName),
+    onChanged: (callback) => ipcRenderer.on('library-changed', (event, change) => callback(change))
+  },
+  markdown: {
+    exportToFolder: (options) => ipcRenderer.invoke('markdown-export', options),
+    readFolder: () => ipcRenderer.invoke('markdown-read-folder')
+  },
+  tabular: {
+    export: (format, options) => ipcRenderer.invoke('tabular-export', format, options),
+    describe: (contents, format) => ipcRenderer.invoke('tabular-describe', contents, format),
+    planImport: (contents, format, mapping, options) => ipcRenderer.invoke('tabular-plan-import', contents, format, mapping, options),
+    import: (contents, format, mapping, options) => ipcRenderer.invoke('tabular-import', contents, format, mapping, options)
+  },
+  templates: {
+    parse: (text, declarations, familyId) => ipcRenderer.invoke('templates-parse', text, declarations, familyId),
+    checkDeclarations: (declarations) => ipcRenderer.invoke('templates-check-declarations', declarations),
+    render: (text, values, declarations, familyId) => ipcRenderer.invoke('templates-render', text, values, declarations, familyId),
+    expand: (text, familyId) => ipcRenderer.invoke('templates-expand', text, familyId),
+    preview: (text, declarations, familyId) => ipcRenderer.invoke('templates-preview', text, declarations, familyId),
+    usedBy: (familyId) => ipcRenderer.invoke('templates-used-by', familyId)
+  },
+  chat: {
+    check: (messages) => ipcRenderer.invoke('chat-check', messages),
+    flatten: (messages) => ipcRenderer.invoke('chat-flatten', messages),
+    fromText: (text) => ipcRenderer.invoke('chat-from-text', text)
+  },
+  modelSettings: {
+    check: (settings) => ipcRenderer.invoke('model-settings-check', settings)
+  },
+  playground: {
+    run: (request, requestId) => ipcRenderer.invoke('playground-run', request, requestId),
+    compare: (request, requestId) => ipcRenderer.invoke('playground-compare', request, requestId),
+    pickWinner: (runId) => ipcRenderer.invoke('playground-pick-winner', runId),
+    getWinners: (promptId) => ipcRenderer.invoke('playground-get-winners', promptId),
+    getRuns: (promptId) => ipcRenderer.invoke('playground-get-runs', promptId),
+    deleteRun: (runId) => ipcRenderer.invoke('playground-delete-run', runId),
+    renderMarkdown: (text) => ipcRenderer.invoke('playground-render-markdown', text)
+  },
+  evals: {
+    getCases: (familyId) => ipcRenderer.invoke('evals-get-cases', familyId),
+    saveCase: (testCase) => ipcRenderer.invoke('evals-save-case', testCase),
+    deleteCase: (testCaseId) => ipcRenderer.invoke('evals-delete-case', testCaseId),
+    run: (request, requestId) => ipcRenderer.invoke('evals-run', request, requestId),
+    getReports: (promptId) => ipcRenderer.invoke('evals-get-reports', promptId),
+    compare: (promptId) => ipcRenderer.invoke('evals-compare', promptId)
+  },
+  sync: {
+    getStatus: () => ipcRenderer.invoke('sync-get-status'),
+    chooseFolder: () => ipcRenderer.invoke('sync-choose-folder'),
+    configure: (settings) => ipcRenderer.invoke('sync-configure', settings),
+    syncNow: () => ipcRenderer.invoke('sync-now'),
+    resolveConflict: (conflictId, choice) => ipcRenderer.invoke('sync-resolve-conflict', conflictId, choice),
+    resolveRemoval: (removalId, choice) => ipcRenderer.invoke('sync-resolve-removal', removalId, choice),
+    openFolder: () => ipcRenderer.invoke('sync-open-folder'),
+    onStatus: (callback) => ipcRenderer.on('sync-status', (event, status) => callback(status))
+  },
+  history: {
+    getStatus: () => ipcRenderer.invoke('history-get-status'),
+    log: (options) => ipcRenderer.invoke('history-log', options),
+    show: (hash) => ipcRenderer.invoke('history-show', hash),
+    push: () => ipcRenderer.invoke('history-push'),
+    openFolder: () => ipcRenderer.invoke('history-open-folder')
+  },
+  backups: {
+    list: () => ipcRenderer.invoke('backups-list'),
+    create: () => ipcRenderer.invoke('backups-create'),
+    preview: (fileName) => ipcRenderer.invoke('backups-preview', fileName),
+    restore: (fileName, mode) => ipcRenderer.invoke('backups-restore', fileName, mode),
+    getSettings: () => ipcRenderer.invoke('backups-get-settings'),
+    saveSettings: (settings) => ipcRenderer.invoke('backups-save-settings', settings),
+    openFolder: () => ipcRenderer.invoke('backups-open-folder')
+  },
+  archive: {
+    export: () => ipcRenderer.invoke('archive-export'),
+    planImport: (contents) => ipcRenderer.invoke('archive-plan-import', contents),
+    import: (contents, options) => ipcRenderer.invoke('archive-import', contents, options)
+  },
+  prompts: {
+    ...createTableAPI('prompts'),
+    create: (fields, tagPaths) => ipcRenderer.invoke('prompts-create', fields, tagPaths)
+  },
+  tags: {
+    ...createTableAPI('tags'),
+    links: createTableAPI('promptTags'),
+    findOrCreate: (tagPath) => ipcRenderer.invoke('tags-find-or-create', tagPath),
+    getForPrompt: (promptId) => ipcRenderer.invoke('tags-get-for-prompt', promptId)
+  },
+  folders: createTableAPI('folders'),
+  versions: {
+    getFamily: (promptId) => ipcRenderer.invoke('versions-get-family', promptId),
+    create: (promptId, fields, tagPaths) => ipcRenderer.invoke('versions-create', promptId, fields, tagPaths),
+    delete: (versionId) => ipcRenderer.invoke('versions-delete', versionId),
+    deleteFamily: (promptId) => ipcRenderer.invoke('versions-delete-family', promptId),
+    resequence: () => ipcRenderer.invoke('versions-resequence')
+  },
+
   // AI Service API
   ai: {
     initialize: () => ipcRenderer.invoke('ai-initialize'),
     getProviders: () => ipcRenderer.invoke('ai-get-providers'),
     getDefaultProvider: () => ipcRenderer.invoke('ai-get-default-provider'),
     getProviderModels: (providerName) => ipcRenderer.invoke('ai-get-provider-models', providerName),
-    generateDescription: (description, providerName) => ipcRenderer.invoke('ai-generate-description', description, providerName),
-    optimizePrompt: (promptText, providerName) => ipcRenderer.invoke('ai-optimize-prompt', promptText, providerName),
+    generateDescription: (description, providerName, requestId) => ipcRenderer.invoke('ai-generate-description', description, providerName, requestId),
+    optimizePrompt: (promptText, providerName, modelSettings, requestId) => ipcRenderer.invoke('ai-optimize-prompt', promptText, providerName, modelSettings, requestId),
+    cancel: (requestId) => ipcRenderer.invoke('ai-cancel', requestId),
+    onChunk: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('ai-chunk', listener);
+      return () => ipcRenderer.removeListener('ai-chunk', listener);
+    },
+    onRedacted: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('ai-redacted', listener);
+      return () => ipcRenderer.removeListener('ai-redacted', listener);
+    },
     saveConfig: (config) => ipcRenderer.invoke('ai-save-config', config),
     getConfig: () => ipcRenderer.invoke('ai-get-config'),
-    testProvider: (providerName, providerConfig) => ipcRenderer.invoke('ai-test-provider', providerName, providerConfig),
-    getOllamaModels: (endpoint) => ipcRenderer.invoke('ai-get-ollama-models', endpoint),
-    getOpenRouterModels: (apiKey) => ipcRenderer.invoke('ai-get-openrouter-models', apiKey)
+    getProviderTypes: () => ipcRenderer.invoke('ai-get-provider-types'),
+    testProvider: (type, values) => ipcRenderer.invoke('ai-test-provider', type, values),
+    getModels: (type, values) => ipcRenderer.invoke('ai-get-models', type, values)
   }
 });
@@ -1,38 +1,70 @@
 /**
  * AI Service Manager - Main interface for AI operations
  * Handles provider selection, configuration, and request routing
- * Integrates with DecoratorChainManager for response processing
+ * Integrates with MiddlewareChainManager for request processing and
+ * DecoratorChainManager for response processing
  */
+const { applyModelSettings } = require('../prompts/ModelSettings.js');
+const { BaseProvider } = require('./providers/BaseProvider.js');
+
 class AIService {
-    constructor() {
+    /**
+     * @param {ProviderRegistry} registry - Provider types to create providers
+     *        from; defaults to the built-in registry and its plugins
+     * @param {DecoratorChainManager} decoratorChain - Chain every response is
+     *        processed by; defaults to the shared chain
+     * @param {MiddlewareChainManager} middlewareChain - Chain the messages of every
+     *        request are processed by; defaults to the shared chain
+     */
+    constructor(registry = null, decoratorChain = null, middlewareChain = null) {
+        this.registry = registry;
+        this.decoratorChain = decoratorChain;
+        this.middlewareChain = middlewareChain;
         this.providers = new Map();
+        this.providerTypes = new Map();
         this.defaultProvider = null;
         this.config = null;
     }
 
     /**
      * Initialize the AI service with configuration
+     * Every enabled provider in the config is created from its type's
+     * definition in the provider registry and registered under its id.
      * @param {Object} config - AI configuration object
      */
     async initialize(config) {
+        this.providers.clear();
+        this.providerTypes.clear();
         this.config = config;
         this.defaultProvider = config.defaultProvider;
 
-        // Initialize providers based on configuration
-        const { OpenRouterProvider } = require('./providers/OpenRouterProvider.js');
-        const { OllamaProvider } = require('./providers/OllamaProvider.js');
+        const registry = this.registry || require('./providers').providerRegistry;
 
-        // Initialize decorator chain manager
-        const { decoratorChainManager } = require('./decorators');
+        // Initialize decorator chain manager with the saved response processing settings
+        if (!this.decoratorChain) {
+            this.decoratorChain = require('./decorators').decoratorChainManager;
+        }
+        this.decoratorChain.applyConfig(config.responseProcessing);
         console.log('Decorator Chain Manager initialized');
 
-        // Register available providers
-        if (config.providers.openrouter?.enabled) {
-            this.providers.set('openrouter', new OpenRouterProvider(config.providers.openrouter));
+        // Initialize middleware chain manager with the saved request processing settings
+        if (!this.middlewareChain) {
+            this.middlewareChain = require('./middleware').middlewareChainManager;
         }
+        this.middlewareChain.applyConfig(config.requestProcessing);
+        console.log('Middleware Chain Manager initialized');
 
-        if (config.providers.ollama?.enabled) {
-            this.providers.set('ollama', new OllamaProvider(config.providers.ollama));
+        // Register available providers
+        for (const [providerId, providerConfig] of Object.entries(config.providers || {})) {
+            if (!providerConfig?.enabled) continue;
+
+            const type = registry.typeOf(providerId, providerConfig);
+            if (!registry.has(type)) {
+                console.warn(`Skipping provider ${providerId}: unknown provider type ${type}`);
+                continue;
+            }
+            this.providers.set(providerId, registry.create(type, providerConfig));
+            this.providerTypes.set(providerId, registry.get(type));
         }
 
         console.log('AI Service initialized with providers:', Array.from(this.providers.keys()));
@@ -55,21 +87,35 @@ class AIService {
         return this.providers.get(providerName) || null;
     }
 
+    /**
+     * Get what a provider can do
+     * @param {string} providerName - Name of the provider
+     * @returns {Object|null} { streaming, embeddings, modelListing }, or null if not found
+     */
+    getProviderCapabilities(providerName) {
+        const definition = this.providerTypes.get(providerName);
+        return definition ? { ...definition.capabilities } : null;
+    }
+
     /**
      * Generate a prompt using AI based on description
      * @param {string} description - User's description of the desired prompt
      * @param {string} providerName - Optional provider name, uses default if not specified
+     * @param {Object} streaming - Optional { onChunk, signal, onRedact } to stream the
+     *        response as it arrives, to cancel it and to hear what was redacted
+     *        from it (see sendMessages)
      * @returns {Promise<string>} Generated prompt text
      */
-    async generatePrompt(description, providerName = null) {
-        const provider = this.getProvider(providerName || this.defaultProvider);
+    async generatePrompt(description, providerName = null, streaming = {}) {
+        const name = providerName || this.defaultProvider;
+        const provider = this.getProvider(name);
         if (!provider) {
-            throw new Error(`Provider ${providerName || this.defaultProvider} not available`);
+            throw new Error(`Provider ${name} not available`);
         }
 
         try {
-            const systemPrompt = this.config.generation.systemPrompt;
-            return await provider.generatePrompt(description, systemPrompt, this.config.generation);
+            const messages = this.buildMessages(provider, this.config.generation.systemPrompt, description);
+            return await this.sendMessages(name, messages, { ...this.config.generation, ...streaming }, 'generate');
         } catch (error) {
             console.error('AI prompt generation failed:', error);
             throw error;
@@ -79,33 +125,140 @@ class AIService {
     /**
      * Optimize an existing prompt using AI
      * @param {string} promptText - Current prompt text to optimize
-     * @param {string} providerName - Optional provider name, uses default if not specified
+     * @param {string} providerName - Optional provider name; otherwise the prompt's
+     *        provider, then the default
+     * @param {Object} modelSettings - Optional prompt model settings, which
+     *        override the optimization config
+     * @param {Object} streaming - Optional { onChunk, signal, onRedact }
      * @returns {Promise<string>} Optimized prompt text
      */
-    async optimizePrompt(promptText, providerName = null) {
-        const provider = this.getProvider(providerName || this.defaultProvider);
+    async optimizePrompt(promptText, providerName = null, modelSettings = null, streaming = {}) {
+        const name = providerName || (modelSettings && modelSettings.provider) || this.defaultProvider;
+        const provider = this.getProvider(name);
         if (!provider) {
-            throw new Error(`Provider ${providerName || this.defaultProvider} not available`);
+            throw new Error(`Provider ${name} not available`);
         }
 
         try {
-            const systemPrompt = this.config.optimization.systemPrompt;
-            return await provider.optimizePrompt(promptText, systemPrompt, this.config.optimization);
+            const messages = this.buildMessages(provider, this.config.optimization.systemPrompt, promptText);
+            const options = { ...applyModelSettings(this.config.optimization, modelSettings), ...streaming };
+            return await this.sendMessages(name, messages, options, 'optimize');
         } catch (error) {
             console.error('AI prompt optimization failed:', error);
             throw error;
         }
     }
 
+    /**
+     * Build the system and user messages of a generate or optimize request
+     * Providers that don't extend BaseProvider get its messages.
+     * @param {Object} provider - Provider instance
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userMessage - User message
+     * @returns {Array<Object>} Messages
+     */
+    buildMessages(provider, systemPrompt, userMessage) {
+        return typeof provider.buildMessages === 'function'
+            ? provider.buildMessages(systemPrompt, userMessage)
+            : BaseProvider.prototype.buildMessages.call(provider, systemPrompt, userMessage);
+    }
+
+    /**
+     * Send messages to a provider: through the middleware chain on the way
+     * out, and back through it and the decorator chain on the way back
+     * Only generated and optimized prompts go through the decorator chain;
+     * the output of a run is kept as the model wrote it, code blocks and
+     * markup included, since it is saved, rendered and checked by test cases.
+     * @param {string} providerName - Provider id
+     * @param {Array<Object>} messages - { role, content } messages
+     * @param {Object} options - Completion options; onRedact is called with
+     *        { providerId, redactions: [{ type, placeholder, preview }] } when
+     *        values were redacted from the request
+     * @param {string} operation - generate, optimize or run, for the middlewares
+     * @returns {Promise<string>} Response, processed unless operation is run
+     * @throws {RequestBlockedError} When a middleware blocks the request
+     */
+    async sendMessages(providerName, messages, options, operation) {
+        const provider = this.getProvider(providerName);
+        const definition = this.providerTypes.get(providerName);
+        const context = {
+            providerId: providerName,
+            providerType: definition ? definition.id : null,
+            providerConfig: provider.config || {},
+            operation
+        };
+        const processed = this.processRequest(messages, context);
+
+        const { onRedact, ...completionOptions } = options;
+        if (context.redactions && context.redactions.length > 0 && typeof onRedact === 'function') {
+            onRedact({ providerId: providerName, redactions: context.redactions.map(({ value, ...shown }) => shown) });
+        }
+
+        const response = await provider.makeCompletion(processed, completionOptions);
+        const restored = this.middlewareChain ? this.middlewareChain.restoreResponse(response, context) : response;
+        return operation === 'run' ? restored : this.processResponse(restored);
+    }
+
+    /**
+     * Run the messages of a request through the middleware chain
+     * @param {Array<Object>} messages - { role, content } messages
+     * @param {Object} context - { providerId, providerType, providerConfig, operation }
+     * @returns {Array<Object>} Messages to send
+     */
+    processRequest(messages, context) {
+        return this.middlewareChain ? this.middlewareChain.processRequest(messages, context) : messages;
+    }
+
+    /**
+     * Run a provider's response through the decorator chain
+     * Streamed chunks are sent as they arrive; the processed text replaces
+     * them once the response is complete.
+     * @param {string} response - Response text
+     * @returns {string} Processed response
+     */
+    processResponse(response) {
+        return this.decoratorChain ? this.decoratorChain.processResponse(response) : response;
+    }
+
+    /**
+     * Send role-tagged messages to a provider as they are
+     * Used to run prompts, so a chat prompt's system, user and assistant
+     * messages reach the model unchanged.
+     * @param {Array<Object>} messages - { role, content } messages
+     * @param {string} providerName - Optional provider name; otherwise the prompt's
+     *        provider, then the default
+     * @param {Object} modelSettings - Optional prompt model settings, which
+     *        override the generation config
+     * @param {Object} streaming - Optional { onChunk, signal, onUsage, onRedact } where onUsage
+     *        receives the token counts and cost the provider reports
+     * @returns {Promise<string>} Completion text
+     */
+    async runMessages(messages, providerName = null, modelSettings = null, streaming = {}) {
+        const name = providerName || (modelSettings && modelSettings.provider) || this.defaultProvider;
+        const provider = this.getProvider(name);
+        if (!provider) {
+            throw new Error(`Provider ${name} not available`);
+        }
+
+        try {
+            const { systemPrompt, ...generation } = this.config.generation;
+            return await this.sendMessages(name, messages, { ...applyModelSettings(generation, modelSettings), ...streaming }, 'run');
+        } catch (error) {
+            console.error('AI message run failed:', error);
+            throw error;
+        }
+    }
+
     /**
      * Generate a description for a prompt using AI
      * @param {string} description - User's description of the desired prompt
      * @param {string} providerName - Optional provider name, uses default if not specified
+     * @param {Object} streaming - Optional { onChunk, signal, onRedact }
      * @returns {Promise<string>} Generated prompt text
      */
-    async generateDescription(description, providerName = null) {
+    async generateDescription(description, providerName = null, streaming = {}) {
         // This is an alias for generatePrompt to maintain compatibility
-        return await this.generatePrompt(description, providerName);
+        return await this.generatePrompt(description, providerName, streaming);
     }
 
     /**
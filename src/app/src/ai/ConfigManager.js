@@ -5,6 +5,9 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { providerRegistry } = require('./providers');
+const { createDecoratorChain } = require('./decorators');
+const { createMiddlewareChain } = require('./middleware');
 
 class ConfigManager {
     constructor() {
@@ -13,26 +16,8 @@ class ConfigManager {
         this.defaultConfig = {
             ai: {
                 defaultProvider: "openrouter",
-                providers: {
-                    openrouter: {
-                        enabled: false,
-                        name: "OpenRouter",
-                        endpoint: "https://openrouter.ai/api/v1/chat/completions",
-                        model: "anthropic/claude-3.5-sonnet",
-                        apiKey: null,
-                        timeout: 30000,
-                        maxRetries: 2
-                    },
-                    ollama: {
-                        enabled: false,
-                        name: "Ollama",
-                        endpoint: "http://localhost:11434/api/chat",
-                        model: "llama3.1:8b",
-                        apiKey: null,
-                        timeout: 60000,
-                        maxRetries: 1
-                    }
-                },
+                // Every single-instance provider type, disabled
+                providers: providerRegistry.getDefaultProviders(),
                 generation: {
                     systemPrompt: "Your role is to create AI generated user prompts based on the description provided to you. When providing instructions or steps, always format them as numbered lists with clear, actionable items. Each step should be outcome-focused and measurable. Break complex tasks into distinct steps and use consistent formatting.",
                     maxTokens: 2000,
@@ -42,7 +27,11 @@ class ConfigManager {
                     systemPrompt: "Optimize this prompt for use in AI systems to improve clarity, specificity, and effectiveness. Present any instructions as clear, numbered steps with measurable outcomes. Format any instructions as explicit, numbered steps with clear actions and outcomes.",
                     maxTokens: 2000,
                     temperature: 0.3
-                }
+                },
+                // Middlewares the messages of every request go through, in order, with their settings
+                requestProcessing: createMiddlewareChain().getConfig(),
+                // Decorators every response goes through, in order, with their settings
+                responseProcessing: createDecoratorChain().getConfig()
             }
         };
     }
@@ -111,6 +100,17 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Get the fields of a provider config that are stored encrypted
+     * Providers list them in encryptedFields, taken from their type's secret
+     * fields when saved; the API key is always encrypted.
+     * @param {Object} providerConfig - Provider configuration
+     * @returns {Array<string>} Field keys
+     */
+    getEncryptedFields(providerConfig) {
+        return Array.from(new Set(['apiKey', ...(providerConfig.encryptedFields || [])]));
+    }
+
     /**
      * Ensure configuration file exists
      */
@@ -132,11 +132,13 @@ class ConfigManager {
             const configData = await fs.readFile(this.configPath, 'utf8');
             const config = JSON.parse(configData);
 
-            // Decrypt API keys
+            // Decrypt API keys and other secret fields
             if (config.ai?.providers) {
                 for (const [providerName, providerConfig] of Object.entries(config.ai.providers)) {
-                    if (providerConfig.apiKey) {
-                        providerConfig.apiKey = this.decrypt(providerConfig.apiKey);
+                    for (const key of this.getEncryptedFields(providerConfig)) {
+                        if (providerConfig[key]) {
+                            providerConfig[key] = this.decrypt(providerConfig[key]);
+                        }
                     }
                 }
             }
@@ -157,11 +159,13 @@ class ConfigManager {
             // Create a copy to avoid modifying the original
             const configToSave = JSON.parse(JSON.stringify(config));
 
-            // Encrypt API keys before saving
+            // Encrypt API keys and other secret fields before saving
             if (configToSave.ai?.providers) {
                 for (const [providerName, providerConfig] of Object.entries(configToSave.ai.providers)) {
-                    if (providerConfig.apiKey) {
-                        providerConfig.apiKey = this.encrypt(providerConfig.apiKey);
+                    for (const key of this.getEncryptedFields(providerConfig)) {
+                        if (providerConfig[key]) {
+                            providerConfig[key] = this.encrypt(providerConfig[key]);
+                        }
                     }
                 }
             }
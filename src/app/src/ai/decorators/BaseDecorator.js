@@ -52,6 +52,33 @@ class BaseDecorator {
     getDescription() {
         return this.description;
     }
+
+    /**
+     * Describe the settings this decorator has, for the settings modal
+     * Each field is { key, label, type, help } where type is checkbox or list
+     * (a list of words, edited as comma-separated text).
+     * @returns {Array<Object>} Settings fields; none by default
+     */
+    getSettingsFields() {
+        return [];
+    }
+
+    /**
+     * Get this decorator's current settings
+     * @returns {Object} Settings keyed by field key
+     */
+    getSettings() {
+        return {};
+    }
+
+    /**
+     * Change this decorator's settings
+     * Subclasses with settings should override this and ignore unknown keys.
+     * @param {Object} settings - Settings keyed by field key
+     */
+    updateSettings(settings) {
+        // No settings by default
+    }
 }
 
 module.exports = { BaseDecorator };
\ No newline at end of file
@@ -137,6 +137,66 @@ class DecoratorChainManager {
         this.decorators = newDecorators;
         return true;
     }
+
+    /**
+     * Apply a saved chain configuration
+     * The decorators are put in the configured order, then each is enabled or
+     * disabled and given its settings. Decorators the configuration doesn't
+     * mention keep their state and go last; unknown names are ignored.
+     * @param {Object} config - { enabled, decorators: [{ name, enabled, settings }] }
+     */
+    applyConfig(config) {
+        if (!config) {
+            return;
+        }
+
+        if (config.enabled !== undefined) {
+            this.setEnabled(config.enabled);
+        }
+
+        const entries = Array.isArray(config.decorators) ? config.decorators : [];
+        this.reorderDecorators(entries.map(entry => entry && entry.name));
+        for (const entry of entries) {
+            const decorator = entry && this.getDecorator(entry.name);
+            if (!decorator) {
+                continue;
+            }
+            if (entry.enabled !== undefined) {
+                decorator.setEnabled(entry.enabled);
+            }
+            if (entry.settings) {
+                decorator.updateSettings(entry.settings);
+            }
+        }
+    }
+
+    /**
+     * Get the chain's configuration, to be saved and applied again later
+     * @returns {Object} { enabled, decorators: [{ name, enabled, settings }] } in chain order
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            decorators: this.decorators.map(decorator => ({
+                name: decorator.getName(),
+                enabled: decorator.isEnabled(),
+                settings: decorator.getSettings()
+            }))
+        };
+    }
+
+    /**
+     * Describe the chain for the settings modal
+     * @returns {Object} getConfig() with each decorator's description and settings fields
+     */
+    describe() {
+        const config = this.getConfig();
+        config.decorators = config.decorators.map(entry => {
+            const decorator = this.getDecorator(entry.name);
+            return { ...entry, description: decorator.getDescription(), fields: decorator.getSettingsFields() };
+        });
+        return config;
+    }
 }
 
 module.exports = { DecoratorChainManager };
\ No newline at end of file
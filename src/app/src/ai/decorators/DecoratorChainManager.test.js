@@ -0,0 +1,119 @@
+/**
+ * DecoratorChainManager.test.js
+ *
+ * Unit tests for configuring the response decorator chain and applying it to AI responses
+ */
+const { BaseDecorator } = require('./BaseDecorator');
+const { DecoratorChainManager } = require('./DecoratorChainManager');
+const { ResponseSanitizationDecorator } = require('./ResponseSanitizationDecorator');
+const { createDecoratorChain } = require('./index');
+const { AIService } = require('../AIService');
+const { ProviderRegistry } = require('../providers/ProviderRegistry');
+
+class ShoutDecorator extends BaseDecorator {
+  constructor() {
+    super();
+    this.name = 'ShoutDecorator';
+    this.description = 'Upper-cases responses';
+  }
+
+  process(response) {
+    return response.toUpperCase();
+  }
+}
+
+describe('DecoratorChainManager', () => {
+  let chain;
+
+  beforeEach(() => {
+    chain = createDecoratorChain();
+    chain.addDecorator(new ShoutDecorator());
+  });
+
+  test('should describe the default chain', () => {
+    const described = createDecoratorChain().describe();
+
+    expect(described.enabled).toBe(true);
+    expect(described.decorators).toHaveLength(1);
+    expect(described.decorators[0]).toMatchObject({
+      name: 'ResponseSanitizationDecorator',
+      enabled: true,
+      settings: { removeXmlTags: true, xmlTagsToRemove: ['think', 'reasoning', 'explanation', 'context'], removeCodeBlocks: true }
+    });
+    expect(described.decorators[0].fields.map(field => field.key)).toEqual(['removeXmlTags', 'xmlTagsToRemove', 'removeCodeBlocks']);
+  });
+
+  test('should apply the configured order, switches and settings', () => {
+    chain.applyConfig({
+      enabled: true,
+      decorators: [
+        { name: 'ShoutDecorator', enabled: true },
+        { name: 'Unknown', enabled: true },
+        { name: 'ResponseSanitizationDecorator', enabled: true, settings: { xmlTagsToRemove: 'notes, draft', removeCodeBlocks: false } }
+      ]
+    });
+
+    expect(chain.getDecorators().map(decorator => decorator.getName())).toEqual(['ShoutDecorator', 'ResponseSanitizationDecorator']);
+    expect(chain.getDecorator('ResponseSanitizationDecorator').getSettings().xmlTagsToRemove).toEqual(['notes', 'draft']);
+    expect(chain.processResponse('<notes>x</notes>Keep <think>this</think>')).toBe('KEEP THIS');
+
+    chain.applyConfig({ decorators: [{ name: 'ShoutDecorator', enabled: false }] });
+    expect(chain.processResponse('quiet <draft>drop</draft>')).toBe('quiet');
+
+    chain.applyConfig({ enabled: false });
+    expect(chain.processResponse('<draft>kept</draft>')).toBe('<draft>kept</draft>');
+  });
+
+  test('should round-trip its configuration', () => {
+    chain.reorderDecorators(['ShoutDecorator']);
+    chain.getDecorator('ResponseSanitizationDecorator').setEnabled(false);
+    const saved = JSON.parse(JSON.stringify(chain.getConfig()));
+
+    const restored = createDecoratorChain();
+    restored.addDecorator(new ShoutDecorator());
+    restored.applyConfig(saved);
+
+    expect(restored.getConfig()).toEqual(saved);
+  });
+
+  test('should drop tag names that are not XML names', () => {
+    const decorator = new ResponseSanitizationDecorator();
+    decorator.updateSettings({ xmlTagsToRemove: ['think', 'a|b', '.*', 'think', ' scratch-pad '] });
+
+    expect(decorator.getSettings().xmlTagsToRemove).toEqual(['think', 'scratch-pad']);
+  });
+
+  test('should ignore a missing configuration', () => {
+    const plain = new DecoratorChainManager();
+    plain.applyConfig(undefined);
+
+    expect(plain.getConfig()).toEqual({ enabled: true, decorators: [] });
+  });
+
+  test('should process the prompts the AI service generates but not run output', async () => {
+    class ThinkingProvider {
+      constructor(config) { this.config = config; }
+      async makeCompletion() { return '<think>Plan it first</think>\nWrite a haiku about rain.'; }
+      async generatePrompt() { return this.makeCompletion(); }
+      async optimizePrompt() { return this.makeCompletion(); }
+    }
+    const registry = new ProviderRegistry();
+    registry.register({ id: 'thinking', name: 'Thinking', ProviderClass: ThinkingProvider, fields: [] });
+
+    const service = new AIService(registry, createDecoratorChain());
+    const config = {
+      defaultProvider: 'thinking',
+      providers: { thinking: { type: 'thinking', enabled: true } },
+      generation: { systemPrompt: '' },
+      optimization: { systemPrompt: '' }
+    };
+    await service.initialize(config);
+
+    expect(await service.generatePrompt('rain')).toBe('Write a haiku about rain.');
+    expect(await service.optimizePrompt('rain')).toBe('Write a haiku about rain.');
+    expect(await service.runMessages([{ role: 'user', content: 'rain' }])).toContain('<think>');
+
+    await service.initialize({ ...config, responseProcessing: { enabled: false } });
+    expect(await service.generatePrompt('rain')).toContain('<think>');
+  });
+});
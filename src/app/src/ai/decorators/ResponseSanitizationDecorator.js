@@ -27,6 +27,49 @@ class ResponseSanitizationDecorator extends BaseDecorator {
     };
   }
 
+  /**
+   * Describe the sanitizer's settings
+   * @returns {Array<Object>} Settings fields
+   */
+  getSettingsFields() {
+    return [
+      { key: 'removeXmlTags', label: 'Remove XML tags', type: 'checkbox', help: 'Removes the tags below with their content, and the markup of any other tag' },
+      { key: 'xmlTagsToRemove', label: 'Tags to remove with their content', type: 'list', help: 'Tag names without brackets, such as think' },
+      { key: 'removeCodeBlocks', label: 'Remove code block markers', type: 'checkbox', help: 'Keeps the code, drops the ``` lines around it' }
+    ];
+  }
+
+  /**
+   * Get the sanitizer's current settings
+   * @returns {Object} { removeXmlTags, xmlTagsToRemove, removeCodeBlocks }
+   */
+  getSettings() {
+    return { ...this.config, xmlTagsToRemove: [...this.config.xmlTagsToRemove] };
+  }
+
+  /**
+   * Change the sanitizer's settings
+   * Tag names may be given as an array or as comma-separated text; names that
+   * aren't valid XML names are dropped, as they end up in a regular expression.
+   * @param {Object} settings - Any of removeXmlTags, xmlTagsToRemove, removeCodeBlocks
+   */
+  updateSettings(settings = {}) {
+    if (settings.removeXmlTags !== undefined) {
+      this.config.removeXmlTags = Boolean(settings.removeXmlTags);
+    }
+    if (settings.removeCodeBlocks !== undefined) {
+      this.config.removeCodeBlocks = Boolean(settings.removeCodeBlocks);
+    }
+    if (settings.xmlTagsToRemove !== undefined) {
+      const tags = Array.isArray(settings.xmlTagsToRemove)
+        ? settings.xmlTagsToRemove
+        : String(settings.xmlTagsToRemove).split(',');
+      this.config.xmlTagsToRemove = Array.from(new Set(tags
+        .map(tag => String(tag).trim())
+        .filter(tag => /^[A-Za-z_][\w-]*$/.test(tag))));
+    }
+  }
+
   /**
    * Process the LLM response to remove XML tags and explanatory text
    * @param {string} text - The raw LLM response text
@@ -6,12 +6,23 @@ const { BaseDecorator } = require('./BaseDecorator');
 const { DecoratorChainManager } = require('./DecoratorChainManager');
 const { ResponseSanitizationDecorator } = require('./ResponseSanitizationDecorator');
 
+/**
+ * Create a chain with the built-in decorators and their default settings
+ * @returns {DecoratorChainManager} New chain
+ */
+function createDecoratorChain() {
+    const chain = new DecoratorChainManager();
+    chain.addDecorator(new ResponseSanitizationDecorator());
+    return chain;
+}
+
 // Export a singleton instance of the DecoratorChainManager
-const decoratorChainManager = new DecoratorChainManager();
+const decoratorChainManager = createDecoratorChain();
 
 module.exports = {
     BaseDecorator,
     DecoratorChainManager,
     ResponseSanitizationDecorator,
+    createDecoratorChain,
     decoratorChainManager
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * BaseMiddleware
+ * Base class for all request middlewares in the chain
+ * Each middleware should implement the process method
+ */
+class BaseMiddleware {
+    constructor() {
+        this.name = 'BaseMiddleware';
+        this.description = 'Base middleware class';
+        this.enabled = true;
+        // A middleware that enforces a policy blocks the request when it fails,
+        // rather than being skipped
+        this.enforcesPolicy = false;
+    }
+
+    /**
+     * Process the messages about to be sent to a provider
+     * The messages are the chain's own copies, so they may be changed in place.
+     * Throw a RequestBlockedError to stop the request from being sent.
+     * @param {Array<Object>} messages - { role, content } messages
+     * @param {Object} context - { providerId, providerType, providerConfig, operation }
+     *        where providerConfig is the provider's saved config and operation is
+     *        generate, optimize or run. It is the same object for restoreResponse,
+     *        so middlewares keep what they need to undo their changes there.
+     * @returns {Array<Object>} The messages to send
+     */
+    process(messages, context) {
+        // Base implementation just returns the original messages
+        // Subclasses should override this method
+        return messages;
+    }
+
+    /**
+     * Undo this middleware's changes where the response repeats them, such as
+     * placeholders it put in the messages
+     * @param {string} response - Response text
+     * @param {Object} context - The request's context, as process got it
+     * @returns {string} The response
+     */
+    restoreResponse(response, context) {
+        return response;
+    }
+
+    /**
+     * Whether a request must go through this middleware even when it or the
+     * whole chain is switched off, such as for a policy set on the provider
+     * @param {Object} context - Request context
+     * @returns {boolean} False by default
+     */
+    isRequired(context) {
+        return false;
+    }
+
+    /**
+     * Enable or disable this middleware
+     * @param {boolean} enabled - Whether the middleware is enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Check if this middleware is enabled
+     * @returns {boolean} Whether the middleware is enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Get middleware name
+     * @returns {string} Middleware name
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Get middleware description
+     * @returns {string} Middleware description
+     */
+    getDescription() {
+        return this.description;
+    }
+
+    /**
+     * Describe the settings this middleware has, for the settings modal
+     * Each field is { key, label, type, help } where type is checkbox, text
+     * (multi-line), lines (a list edited one item per line), number (with
+     * min) or select (with options: [{ value, label }]).
+     * @returns {Array<Object>} Settings fields; none by default
+     */
+    getSettingsFields() {
+        return [];
+    }
+
+    /**
+     * Get this middleware's current settings
+     * @returns {Object} Settings keyed by field key
+     */
+    getSettings() {
+        return {};
+    }
+
+    /**
+     * Change this middleware's settings
+     * Subclasses with settings should override this and ignore unknown keys.
+     * @param {Object} settings - Settings keyed by field key
+     */
+    updateSettings(settings) {
+        // No settings by default
+    }
+
+    /**
+     * Add text to the end of the first system message, or send it as a
+     * system message of its own when there is none
+     * @param {Array<Object>} messages - Messages to change
+     * @param {string} text - Text to add
+     * @returns {Array<Object>} The messages
+     */
+    appendToSystemMessage(messages, text) {
+        const system = messages.find(message => message.role === 'system');
+        if (!system) {
+            messages.unshift({ role: 'system', content: text });
+        } else if (system.content && system.content.trim()) {
+            system.content = `${system.content}\n\n${text}`;
+        } else {
+            system.content = text;
+        }
+        return messages;
+    }
+}
+
+/**
+ * Error thrown by a middleware to stop a request from being sent
+ */
+class RequestBlockedError extends Error {
+    /**
+     * @param {string} message - Why the request was blocked
+     * @param {string} middleware - Name of the middleware that blocked it
+     */
+    constructor(message, middleware) {
+        super(message);
+        this.name = 'RequestBlockedError';
+        this.middleware = middleware;
+    }
+}
+
+/**
+ * Turn list settings given as an array or as text, one item per line, into
+ * trimmed, non-empty items
+ * @param {Array|string} value - Items
+ * @returns {Array<string>} Items
+ */
+function toLines(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+module.exports = { BaseMiddleware, RequestBlockedError, toLines };
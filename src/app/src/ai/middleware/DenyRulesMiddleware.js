@@ -0,0 +1,81 @@
+const { BaseMiddleware, RequestBlockedError, toLines } = require('./BaseMiddleware');
+
+/**
+ * DenyRulesMiddleware
+ * Blocks requests whose messages match any of a list of rules
+ */
+class DenyRulesMiddleware extends BaseMiddleware {
+    /**
+     * @param {Object} config - { rules }
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'DenyRulesMiddleware';
+        this.description = 'Stops requests that match a deny rule from being sent';
+        // Off until there are rules to check
+        this.enabled = false;
+        this.enforcesPolicy = true;
+        this.config = {
+            rules: toLines(config.rules)
+        };
+    }
+
+    /**
+     * Describe the deny rules setting
+     * @returns {Array<Object>} Settings fields
+     */
+    getSettingsFields() {
+        return [
+            { key: 'rules', label: 'Deny rules', type: 'lines', help: 'One regular expression per line, matched ignoring case, e.g. \\bconfidential\\b. A rule that isn\'t a valid expression matches its text.' }
+        ];
+    }
+
+    /**
+     * Get the deny rules
+     * @returns {Object} { rules }
+     */
+    getSettings() {
+        return { rules: [...this.config.rules] };
+    }
+
+    /**
+     * Change the deny rules
+     * @param {Object} settings - { rules } as an array or as text, one rule per line
+     */
+    updateSettings(settings = {}) {
+        if (settings.rules !== undefined) {
+            this.config.rules = toLines(settings.rules);
+        }
+    }
+
+    /**
+     * Compile a rule, matching an invalid expression as plain text
+     * @param {string} rule - Rule
+     * @returns {RegExp} Expression
+     */
+    toExpression(rule) {
+        try {
+            return new RegExp(rule, 'i');
+        } catch (error) {
+            return new RegExp(rule.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        }
+    }
+
+    /**
+     * Block the request when any message matches a rule
+     * @param {Array<Object>} messages - Messages to send
+     * @returns {Array<Object>} The messages, unchanged
+     */
+    process(messages) {
+        for (const rule of this.config.rules) {
+            const expression = this.toExpression(rule);
+            const message = messages.find(m => expression.test(String(m.content || '')));
+            if (message) {
+                throw new RequestBlockedError(`The ${message.role} message matches the deny rule "${rule}"`, this.name);
+            }
+        }
+        return messages;
+    }
+}
+
+module.exports = { DenyRulesMiddleware };
@@ -0,0 +1,65 @@
+const { BaseMiddleware, toLines } = require('./BaseMiddleware');
+
+/**
+ * HouseStyleMiddleware
+ * Asks the model to follow the house style, given as a list of rules, in
+ * the system message
+ */
+class HouseStyleMiddleware extends BaseMiddleware {
+    /**
+     * @param {Object} config - { rules }
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'HouseStyleMiddleware';
+        this.description = 'Asks for responses in the house style';
+        // Off until there are rules to follow
+        this.enabled = false;
+        this.config = {
+            rules: toLines(config.rules)
+        };
+    }
+
+    /**
+     * Describe the house style setting
+     * @returns {Array<Object>} Settings fields
+     */
+    getSettingsFields() {
+        return [
+            { key: 'rules', label: 'House style rules', type: 'lines', help: 'One rule per line, e.g. Use British spelling' }
+        ];
+    }
+
+    /**
+     * Get the house style rules
+     * @returns {Object} { rules }
+     */
+    getSettings() {
+        return { rules: [...this.config.rules] };
+    }
+
+    /**
+     * Change the house style rules
+     * @param {Object} settings - { rules } as an array or as text, one rule per line
+     */
+    updateSettings(settings = {}) {
+        if (settings.rules !== undefined) {
+            this.config.rules = toLines(settings.rules);
+        }
+    }
+
+    /**
+     * Add the house style, as a bulleted list, to the system message
+     * @param {Array<Object>} messages - Messages to send
+     * @returns {Array<Object>} The messages
+     */
+    process(messages) {
+        if (this.config.rules.length === 0) {
+            return messages;
+        }
+        const style = ['Follow this house style:', ...this.config.rules.map(rule => `- ${rule}`)].join('\n');
+        return this.appendToSystemMessage(messages, style);
+    }
+}
+
+module.exports = { HouseStyleMiddleware };
@@ -0,0 +1,101 @@
+const { BaseMiddleware, RequestBlockedError } = require('./BaseMiddleware');
+
+/**
+ * MaxInputLengthMiddleware
+ * Keeps requests under a maximum number of characters, by blocking longer
+ * ones or by cutting the end off the user and assistant messages
+ */
+class MaxInputLengthMiddleware extends BaseMiddleware {
+    /**
+     * @param {Object} config - { maxCharacters, action } where action is block or truncate
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'MaxInputLengthMiddleware';
+        this.description = 'Limits how many characters a request may send';
+        this.enabled = false;
+        this.config = {
+            maxCharacters: config.maxCharacters || 20000,
+            action: config.action === 'truncate' ? 'truncate' : 'block'
+        };
+    }
+
+    /**
+     * Describe the limit and what happens to longer requests
+     * @returns {Array<Object>} Settings fields
+     */
+    getSettingsFields() {
+        return [
+            { key: 'maxCharacters', label: 'Maximum characters', type: 'number', min: 1, help: 'Counts the text of all messages, system prompt included' },
+            {
+                key: 'action',
+                label: 'Longer requests',
+                type: 'select',
+                options: [
+                    { value: 'block', label: 'Are not sent' },
+                    { value: 'truncate', label: 'Are cut short, latest message first' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get the limit
+     * @returns {Object} { maxCharacters, action }
+     */
+    getSettings() {
+        return { ...this.config };
+    }
+
+    /**
+     * Change the limit; a limit that isn't a positive number is ignored
+     * @param {Object} settings - Any of maxCharacters, action
+     */
+    updateSettings(settings = {}) {
+        if (settings.maxCharacters !== undefined) {
+            const maxCharacters = Math.floor(Number(settings.maxCharacters));
+            if (Number.isFinite(maxCharacters) && maxCharacters > 0) {
+                this.config.maxCharacters = maxCharacters;
+            }
+        }
+        if (settings.action !== undefined) {
+            this.config.action = settings.action === 'truncate' ? 'truncate' : 'block';
+        }
+    }
+
+    /**
+     * Block or cut short a request over the limit
+     * Messages cut down to nothing are left out.
+     * @param {Array<Object>} messages - Messages to send
+     * @returns {Array<Object>} The messages
+     */
+    process(messages) {
+        const length = messages.reduce((total, message) => total + String(message.content || '').length, 0);
+        let excess = length - this.config.maxCharacters;
+        if (excess <= 0) {
+            return messages;
+        }
+
+        const tooLong = `Request is ${length} characters long; the limit is ${this.config.maxCharacters}`;
+        if (this.config.action === 'block') {
+            throw new RequestBlockedError(tooLong, this.name);
+        }
+
+        // Cut from the end of the latest messages; system messages are kept whole
+        for (let i = messages.length - 1; i >= 0 && excess > 0; i--) {
+            const message = messages[i];
+            if (message.role === 'system' || !message.content) continue;
+
+            const cut = Math.min(excess, message.content.length);
+            message.content = message.content.slice(0, message.content.length - cut);
+            excess -= cut;
+        }
+        if (excess > 0) {
+            throw new RequestBlockedError(`${tooLong}, and the system messages alone are over it`, this.name);
+        }
+
+        return messages.filter(message => message.role === 'system' || message.content);
+    }
+}
+
+module.exports = { MaxInputLengthMiddleware };
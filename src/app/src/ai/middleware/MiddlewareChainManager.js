@@ -0,0 +1,248 @@
+const { RequestBlockedError } = require('./BaseMiddleware');
+
+/**
+ * MiddlewareChainManager
+ * Manages a chain of middlewares for processing the messages sent to LLMs
+ * Middlewares are executed in the order they are added to the chain
+ */
+class MiddlewareChainManager {
+    constructor() {
+        this.middlewares = [];
+        this.enabled = true;
+    }
+
+    /**
+     * Add a middleware to the chain
+     * @param {BaseMiddleware} middleware - The middleware to add
+     * @returns {MiddlewareChainManager} This instance for chaining
+     */
+    addMiddleware(middleware) {
+        if (!middleware || typeof middleware.process !== 'function') {
+            throw new Error('Invalid middleware: must implement process method');
+        }
+
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Remove a middleware from the chain
+     * @param {string|BaseMiddleware} middlewareOrName - The middleware or middleware name to remove
+     * @returns {boolean} True if the middleware was removed, false otherwise
+     */
+    removeMiddleware(middlewareOrName) {
+        const name = typeof middlewareOrName === 'string'
+            ? middlewareOrName
+            : middlewareOrName.getName();
+
+        const initialLength = this.middlewares.length;
+        this.middlewares = this.middlewares.filter(m => m.getName() !== name);
+
+        return this.middlewares.length < initialLength;
+    }
+
+    /**
+     * Check whether a middleware runs for a request
+     * Enabled middlewares run while the chain is enabled; a middleware the
+     * request requires (see BaseMiddleware.isRequired) always runs.
+     * @param {BaseMiddleware} middleware - Middleware in the chain
+     * @param {Object} context - Request context
+     * @returns {boolean} Whether it runs
+     */
+    shouldRun(middleware, context) {
+        if (this.enabled && middleware.isEnabled()) {
+            return true;
+        }
+        return typeof middleware.isRequired === 'function' && middleware.isRequired(context);
+    }
+
+    /**
+     * Process the messages of a request through the middleware chain
+     * Middlewares work on copies of the messages, so the caller's are never
+     * changed. A middleware that fails is skipped, except when it blocks the
+     * request or enforces a policy: then a RequestBlockedError is thrown to
+     * the caller.
+     * @param {Array<Object>} messages - { role, content } messages
+     * @param {Object} context - { providerId, providerType, providerConfig, operation }
+     * @returns {Array<Object>} The messages to send
+     */
+    processRequest(messages, context = {}) {
+        const active = this.middlewares.filter(middleware => this.shouldRun(middleware, context));
+        if (active.length === 0 || !Array.isArray(messages)) {
+            return messages;
+        }
+
+        let processedMessages = messages.map(message => ({ ...message }));
+
+        for (const middleware of active) {
+            try {
+                processedMessages = middleware.process(processedMessages, context) || processedMessages;
+            } catch (error) {
+                if (error instanceof RequestBlockedError) {
+                    console.warn(`Request blocked by ${middleware.getName()}: ${error.message}`);
+                    throw error;
+                }
+                console.error(`Error in middleware ${middleware.getName()}:`, error);
+                if (middleware.enforcesPolicy) {
+                    // Sending the request unchecked could leak what the policy keeps back
+                    throw new RequestBlockedError(`${middleware.getName()} failed, so the request was not sent: ${error.message}`, middleware.getName());
+                }
+                // Continue with the chain even if one middleware fails
+            }
+        }
+
+        return processedMessages;
+    }
+
+    /**
+     * Pass the response to a processed request back through the middlewares,
+     * last first, so each can undo its changes (see BaseMiddleware.restoreResponse)
+     * @param {string} response - Response text
+     * @param {Object} context - The context the request was processed with
+     * @returns {string} The response
+     */
+    restoreResponse(response, context = {}) {
+        if (!response) {
+            return response;
+        }
+
+        let restoredResponse = response;
+
+        for (const middleware of [...this.middlewares].reverse()) {
+            if (this.shouldRun(middleware, context) && typeof middleware.restoreResponse === 'function') {
+                try {
+                    restoredResponse = middleware.restoreResponse(restoredResponse, context);
+                } catch (error) {
+                    console.error(`Error restoring response in middleware ${middleware.getName()}:`, error);
+                }
+            }
+        }
+
+        return restoredResponse;
+    }
+
+    /**
+     * Enable or disable the entire middleware chain
+     * @param {boolean} enabled - Whether the chain is enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Check if the middleware chain is enabled
+     * @returns {boolean} Whether the chain is enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Get all middlewares in the chain
+     * @returns {Array} Array of middlewares
+     */
+    getMiddlewares() {
+        return [...this.middlewares];
+    }
+
+    /**
+     * Get a middleware by name
+     * @param {string} name - The name of the middleware to get
+     * @returns {BaseMiddleware|null} The middleware or null if not found
+     */
+    getMiddleware(name) {
+        return this.middlewares.find(m => m.getName() === name) || null;
+    }
+
+    /**
+     * Clear all middlewares from the chain
+     */
+    clearMiddlewares() {
+        this.middlewares = [];
+    }
+
+    /**
+     * Reorder middlewares in the chain
+     * Middlewares missing from the new order keep their order and go last.
+     * @param {Array} newOrder - Array of middleware names in the desired order
+     * @returns {boolean} True if reordering was successful
+     */
+    reorderMiddlewares(newOrder) {
+        if (!Array.isArray(newOrder)) {
+            return false;
+        }
+
+        const remaining = new Map(this.middlewares.map(m => [m.getName(), m]));
+        const reordered = [];
+        for (const name of newOrder) {
+            if (remaining.has(name)) {
+                reordered.push(remaining.get(name));
+                remaining.delete(name);
+            }
+        }
+
+        this.middlewares = [...reordered, ...remaining.values()];
+        return true;
+    }
+
+    /**
+     * Apply a saved chain configuration
+     * The middlewares are put in the configured order, then each is enabled or
+     * disabled and given its settings. Unknown names are ignored.
+     * @param {Object} config - { enabled, middlewares: [{ name, enabled, settings }] }
+     */
+    applyConfig(config) {
+        if (!config) {
+            return;
+        }
+
+        if (config.enabled !== undefined) {
+            this.setEnabled(config.enabled);
+        }
+
+        const entries = Array.isArray(config.middlewares) ? config.middlewares : [];
+        this.reorderMiddlewares(entries.map(entry => entry && entry.name));
+        for (const entry of entries) {
+            const middleware = entry && this.getMiddleware(entry.name);
+            if (!middleware) {
+                continue;
+            }
+            if (entry.enabled !== undefined) {
+                middleware.setEnabled(entry.enabled);
+            }
+            if (entry.settings) {
+                middleware.updateSettings(entry.settings);
+            }
+        }
+    }
+
+    /**
+     * Get the chain's configuration, to be saved and applied again later
+     * @returns {Object} { enabled, middlewares: [{ name, enabled, settings }] } in chain order
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            middlewares: this.middlewares.map(middleware => ({
+                name: middleware.getName(),
+                enabled: middleware.isEnabled(),
+                settings: middleware.getSettings()
+            }))
+        };
+    }
+
+    /**
+     * Describe the chain for the settings modal
+     * @returns {Object} getConfig() with each middleware's description and settings fields
+     */
+    describe() {
+        const config = this.getConfig();
+        config.middlewares = config.middlewares.map(entry => {
+            const middleware = this.getMiddleware(entry.name);
+            return { ...entry, description: middleware.getDescription(), fields: middleware.getSettingsFields() };
+        });
+        return config;
+    }
+}
+
+module.exports = { MiddlewareChainManager };
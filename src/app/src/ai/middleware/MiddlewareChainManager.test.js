@@ -0,0 +1,230 @@
+/**
+ * MiddlewareChainManager.test.js
+ *
+ * Unit tests for the request middleware chain, the built-in middlewares and
+ * how the AI service sends requests through them
+ */
+const {
+  BaseMiddleware,
+  RequestBlockedError,
+  MiddlewareChainManager,
+  StandardInstructionsMiddleware,
+  HouseStyleMiddleware,
+  MaxInputLengthMiddleware,
+  DenyRulesMiddleware,
+  createMiddlewareChain
+} = require('./index');
+const { AIService } = require('../AIService');
+const { ProviderRegistry } = require('../providers/ProviderRegistry');
+const { BaseProvider } = require('../providers/BaseProvider');
+const { createDecoratorChain } = require('../decorators');
+
+class TagMiddleware extends BaseMiddleware {
+  constructor(tag) {
+    super();
+    this.name = `Tag${tag}`;
+    this.tag = tag;
+  }
+
+  process(messages) {
+    messages[messages.length - 1].content += ` [${this.tag}]`;
+    return messages;
+  }
+}
+
+const messages = () => [
+  { role: 'system', content: 'You write prompts.' },
+  { role: 'user', content: 'A prompt about rain' }
+];
+
+describe('MiddlewareChainManager', () => {
+  test('should run enabled middlewares in order on copies of the messages', () => {
+    const chain = new MiddlewareChainManager();
+    chain.addMiddleware(new TagMiddleware('A')).addMiddleware(new TagMiddleware('B')).addMiddleware(new TagMiddleware('C'));
+    chain.getMiddleware('TagB').setEnabled(false);
+    const original = messages();
+
+    expect(chain.processRequest(original, {})[1].content).toBe('A prompt about rain [A] [C]');
+    expect(original[1].content).toBe('A prompt about rain');
+
+    chain.reorderMiddlewares(['TagC']);
+    expect(chain.getMiddlewares().map(m => m.getName())).toEqual(['TagC', 'TagA', 'TagB']);
+    expect(chain.processRequest(original, {})[1].content).toBe('A prompt about rain [C] [A]');
+
+    chain.setEnabled(false);
+    expect(chain.processRequest(original, {})).toBe(original);
+  });
+
+  test('should skip failing middlewares but throw when one blocks the request', () => {
+    const chain = new MiddlewareChainManager();
+    const failing = new BaseMiddleware();
+    failing.process = () => { throw new Error('bug'); };
+    chain.addMiddleware(failing).addMiddleware(new TagMiddleware('A'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(chain.processRequest(messages(), {})[1].content).toBe('A prompt about rain [A]');
+
+    const blocking = new BaseMiddleware();
+    blocking.process = () => { throw new RequestBlockedError('Not today', 'Blocker'); };
+    chain.addMiddleware(blocking);
+    expect(() => chain.processRequest(messages(), {})).toThrow(RequestBlockedError);
+    console.error.mockRestore();
+  });
+
+  test('should reject middlewares without a process method', () => {
+    expect(() => new MiddlewareChainManager().addMiddleware({})).toThrow('Invalid middleware: must implement process method');
+  });
+
+  test('should describe the default chain with only redaction on', () => {
+    const described = createMiddlewareChain().describe();
+
+    expect(described.enabled).toBe(true);
+    expect(described.middlewares.map(m => [m.name, m.enabled])).toEqual([
+      ['DenyRulesMiddleware', false],
+      ['StandardInstructionsMiddleware', false],
+      ['HouseStyleMiddleware', false],
+      ['RedactionMiddleware', true],
+      ['MaxInputLengthMiddleware', false]
+    ]);
+    expect(described.middlewares[4].fields.map(field => field.type)).toEqual(['number', 'select']);
+    expect(createMiddlewareChain().processRequest(messages(), {})).toEqual(messages());
+  });
+
+  test('should round-trip its configuration', () => {
+    const chain = createMiddlewareChain();
+    chain.applyConfig({
+      enabled: true,
+      middlewares: [
+        { name: 'MaxInputLengthMiddleware', enabled: true, settings: { maxCharacters: '500', action: 'truncate' } },
+        { name: 'Unknown', enabled: true },
+        { name: 'HouseStyleMiddleware', enabled: true, settings: { rules: 'Use British spelling\n\n No emoji ' } }
+      ]
+    });
+    const saved = JSON.parse(JSON.stringify(chain.getConfig()));
+
+    expect(saved.middlewares.slice(0, 2)).toEqual([
+      { name: 'MaxInputLengthMiddleware', enabled: true, settings: { maxCharacters: 500, action: 'truncate' } },
+      { name: 'HouseStyleMiddleware', enabled: true, settings: { rules: ['Use British spelling', 'No emoji'] } }
+    ]);
+
+    const restored = createMiddlewareChain();
+    restored.applyConfig(saved);
+    expect(restored.getConfig()).toEqual(saved);
+  });
+
+  describe('built-in middlewares', () => {
+    test('should add standard instructions and house style to the system message', () => {
+      const instructions = new StandardInstructionsMiddleware({ instructions: 'Answer with the prompt only.' });
+      const style = new HouseStyleMiddleware({ rules: ['Use British spelling', 'No emoji'] });
+
+      expect(style.process(instructions.process(messages()))[0].content).toBe(
+        'You write prompts.\n\nAnswer with the prompt only.\n\nFollow this house style:\n- Use British spelling\n- No emoji'
+      );
+      expect(instructions.process([{ role: 'user', content: 'Hi' }])).toEqual([
+        { role: 'system', content: 'Answer with the prompt only.' },
+        { role: 'user', content: 'Hi' }
+      ]);
+    });
+
+    test('should block or cut short requests over the length limit', () => {
+      const limit = new MaxInputLengthMiddleware({ maxCharacters: 25 });
+
+      expect(() => limit.process(messages())).toThrow('Request is 37 characters long; the limit is 25');
+
+      limit.updateSettings({ action: 'truncate' });
+      expect(limit.process(messages())).toEqual([
+        { role: 'system', content: 'You write prompts.' },
+        { role: 'user', content: 'A promp' }
+      ]);
+
+      const chat = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'First' }, { role: 'assistant', content: 'Reply' }];
+      expect(new MaxInputLengthMiddleware({ maxCharacters: 11, action: 'truncate' }).process(chat)).toEqual([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Fi' }
+      ]);
+      expect(() => new MaxInputLengthMiddleware({ maxCharacters: 5, action: 'truncate' }).process(messages()))
+        .toThrow('the system messages alone are over it');
+    });
+
+    test('should block requests that match a deny rule', () => {
+      const deny = new DenyRulesMiddleware({ rules: ['\\bconfidential\\b', 'acme[', 'Project X'] });
+
+      expect(deny.process(messages())).toEqual(messages());
+      expect(() => deny.process([{ role: 'user', content: 'This is CONFIDENTIAL' }]))
+        .toThrow('The user message matches the deny rule "\\bconfidential\\b"');
+      // An invalid expression matches as plain text
+      expect(() => deny.process([{ role: 'user', content: 'Ask acme[ legal' }])).toThrow(RequestBlockedError);
+      expect(deny.process([{ role: 'user', content: 'Ask acme legal' }])).toHaveLength(1);
+    });
+  });
+
+  describe('AI service', () => {
+    let sent;
+    let service;
+    const config = {
+      defaultProvider: 'recorder',
+      providers: { recorder: { type: 'recording', enabled: true } },
+      generation: { systemPrompt: 'You write prompts.' },
+      optimization: { systemPrompt: 'You improve prompts.' },
+      requestProcessing: {
+        middlewares: [{ name: 'StandardInstructionsMiddleware', enabled: true, settings: { instructions: 'Be brief.' } }]
+      }
+    };
+
+    beforeEach(async () => {
+      sent = [];
+      class RecordingProvider extends BaseProvider {
+        async makeCompletion(messages) {
+          sent.push(messages);
+          return 'Done';
+        }
+      }
+      const registry = new ProviderRegistry();
+      registry.register({ id: 'recording', name: 'Recording', ProviderClass: RecordingProvider, fields: [] });
+      service = new AIService(registry, createDecoratorChain(), createMiddlewareChain());
+      await service.initialize(config);
+    });
+
+    test('should send every request through the middleware chain', async () => {
+      await service.generatePrompt('rain');
+      await service.optimizePrompt('A prompt about rain');
+      await service.runMessages([{ role: 'user', content: 'rain' }]);
+
+      expect(sent.map(messages => messages[0].content)).toEqual([
+        'You write prompts.\n\nBe brief.',
+        'You improve prompts.\n\nBe brief.',
+        'Be brief.'
+      ]);
+    });
+
+    test('should tell middlewares which provider and operation a request is for', async () => {
+      const seen = [];
+      const spy = new BaseMiddleware();
+      spy.process = (messages, context) => { seen.push(context); return messages; };
+      service.middlewareChain.addMiddleware(spy);
+
+      await service.optimizePrompt('A prompt about rain');
+
+      expect(seen).toEqual([{
+        providerId: 'recorder',
+        providerType: 'recording',
+        providerConfig: { type: 'recording', enabled: true },
+        operation: 'optimize'
+      }]);
+    });
+
+    test('should not send blocked requests', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await service.initialize({
+        ...config,
+        requestProcessing: { middlewares: [{ name: 'DenyRulesMiddleware', enabled: true, settings: { rules: ['rain'] } }] }
+      });
+
+      await expect(service.generatePrompt('rain')).rejects.toThrow(RequestBlockedError);
+      expect(sent).toEqual([]);
+      console.error.mockRestore();
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { BaseMiddleware, RequestBlockedError, toLines } = require('./BaseMiddleware');
+const { findSensitiveData } = require('./SensitiveDataDetector');
+
+const POLICIES = ['redact', 'block', 'off'];
+
+/**
+ * RedactionMiddleware
+ * Keeps secrets and personal data from reaching providers that shouldn't see
+ * them. What happens depends on the provider's sensitiveData policy:
+ * - redact: each value is replaced with a placeholder such as [EMAIL_1], and
+ *   put back where the placeholder comes back in the response
+ * - block: requests with sensitive data are not sent
+ * - off: requests are sent as written
+ * A provider set to redact or block is always checked, even with this
+ * middleware or the whole chain switched off, and a failure blocks the
+ * request rather than sending it unredacted. What was redacted is added to
+ * the request context as redactions: [{ type, placeholder, value, preview }].
+ */
+class RedactionMiddleware extends BaseMiddleware {
+    /**
+     * @param {Object} config - { detectSecrets, detectEmails, detectPhoneNumbers,
+     *        customPatterns, restoreResponse, defaultPolicy }
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'RedactionMiddleware';
+        this.description = 'Redacts secrets and personal data before they are sent, as set for each provider';
+        this.enforcesPolicy = true;
+        this.config = {
+            detectSecrets: config.detectSecrets !== false,
+            detectEmails: config.detectEmails !== false,
+            detectPhoneNumbers: config.detectPhoneNumbers !== false,
+            customPatterns: toLines(config.customPatterns),
+            restoreResponse: config.restoreResponse !== false,
+            // For providers without a policy of their own, such as plugins
+            defaultPolicy: POLICIES.includes(config.defaultPolicy) ? config.defaultPolicy : 'redact'
+        };
+    }
+
+    /**
+     * Describe what is detected and what happens to it
+     * @returns {Array<Object>} Settings fields
+     */
+    getSettingsFields() {
+        return [
+            { key: 'detectSecrets', label: 'API keys, tokens and passwords', type: 'checkbox', help: 'Common key formats, key=value assignments and long random-looking strings' },
+            { key: 'detectEmails', label: 'Email addresses', type: 'checkbox' },
+            { key: 'detectPhoneNumbers', label: 'Phone numbers', type: 'checkbox' },
+            { key: 'customPatterns', label: 'Custom patterns', type: 'lines', help: 'One regular expression per line, matched ignoring case. Start a line with NAME= to name its placeholders, e.g. CUSTOMER=Acme Corp|Globex' },
+            { key: 'restoreResponse', label: 'Put redacted values back into responses', type: 'checkbox', help: 'Where the model repeats a placeholder' },
+            {
+                key: 'defaultPolicy',
+                label: 'Providers without a setting of their own',
+                type: 'select',
+                help: 'Each provider\'s settings say what it may receive; providers set to redact or block are checked even when this step is off',
+                options: [
+                    { value: 'redact', label: 'Redact' },
+                    { value: 'block', label: 'Block' },
+                    { value: 'off', label: 'Send as written' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get the redaction settings
+     * @returns {Object} Settings keyed by field key
+     */
+    getSettings() {
+        return { ...this.config, customPatterns: [...this.config.customPatterns] };
+    }
+
+    /**
+     * Change the redaction settings
+     * @param {Object} settings - Any of the settings, with customPatterns as an
+     *        array or as text, one pattern per line
+     */
+    updateSettings(settings = {}) {
+        ['detectSecrets', 'detectEmails', 'detectPhoneNumbers', 'restoreResponse'].forEach(key => {
+            if (settings[key] !== undefined) {
+                this.config[key] = Boolean(settings[key]);
+            }
+        });
+        if (settings.customPatterns !== undefined) {
+            this.config.customPatterns = toLines(settings.customPatterns);
+        }
+        if (POLICIES.includes(settings.defaultPolicy)) {
+            this.config.defaultPolicy = settings.defaultPolicy;
+        }
+    }
+
+    /**
+     * Requests to providers set to redact or block always go through redaction
+     * @param {Object} context - Request context
+     * @returns {boolean}
+     */
+    isRequired(context = {}) {
+        const policy = context.providerConfig && context.providerConfig.sensitiveData;
+        return policy === 'redact' || policy === 'block';
+    }
+
+    /**
+     * Get the policy of the provider a request is for
+     * @param {Object} context - Request context
+     * @returns {string} redact, block or off
+     */
+    getPolicy(context = {}) {
+        const policy = context.providerConfig && context.providerConfig.sensitiveData;
+        return POLICIES.includes(policy) ? policy : this.config.defaultPolicy;
+    }
+
+    /**
+     * Redact the messages, or block them, by the provider's policy
+     * The same value gets the same placeholder in every message.
+     * @param {Array<Object>} messages - Messages to send
+     * @param {Object} context - Request context; gets the redactions
+     * @returns {Array<Object>} The messages
+     */
+    process(messages, context = {}) {
+        const policy = this.getPolicy(context);
+        if (policy === 'off') {
+            return messages;
+        }
+
+        const options = {
+            secrets: this.config.detectSecrets,
+            emails: this.config.detectEmails,
+            phoneNumbers: this.config.detectPhoneNumbers,
+            customPatterns: this.config.customPatterns
+        };
+        const found = messages.map(message => findSensitiveData(String(message.content || ''), options));
+        if (found.every(matches => matches.length === 0)) {
+            return messages;
+        }
+
+        if (policy === 'block') {
+            const types = Array.from(new Set(found.flat().map(match => match.type.toLowerCase())));
+            throw new RequestBlockedError(`The request contains sensitive data (${types.join(', ')}) and ${context.providerId || 'this provider'} is set not to receive it`, this.name);
+        }
+
+        const text = messages.map(message => String(message.content || '')).join('\n');
+        const placeholders = new Map();
+        const counts = {};
+        const redactions = context.redactions || (context.redactions = []);
+        const placeholderFor = (match) => {
+            if (!placeholders.has(match.value)) {
+                // Skip placeholders the messages already contain, so restoring can't change them
+                let placeholder;
+                do {
+                    counts[match.type] = (counts[match.type] || 0) + 1;
+                    placeholder = `[${match.type}_${counts[match.type]}]`;
+                } while (text.includes(placeholder));
+                placeholders.set(match.value, placeholder);
+                redactions.push({ type: match.type, placeholder, value: match.value, preview: this.preview(match) });
+            }
+            return placeholders.get(match.value);
+        };
+
+        messages.forEach((message, index) => {
+            // Number placeholders in reading order, then replace from the end so earlier positions stay right
+            const replacements = found[index].map(match => ({ ...match, placeholder: placeholderFor(match) }));
+            let content = String(message.content || '');
+            for (const match of replacements.reverse()) {
+                content = content.slice(0, match.start) + match.placeholder + content.slice(match.end);
+            }
+            if (found[index].length > 0) {
+                message.content = content;
+            }
+        });
+        console.log(`Redacted ${placeholders.size} value(s) before sending to ${context.providerId}`);
+        return messages;
+    }
+
+    /**
+     * Put the redacted values back where the response repeats their placeholders
+     * @param {string} response - Response text
+     * @param {Object} context - Request context with its redactions
+     * @returns {string} Response
+     */
+    restoreResponse(response, context = {}) {
+        if (!this.config.restoreResponse || !response || !context.redactions) {
+            return response;
+        }
+        return context.redactions.reduce((text, redaction) => text.split(redaction.placeholder).join(redaction.value), response);
+    }
+
+    /**
+     * Show enough of a value to recognise it: secrets only by their start
+     * @param {Object} match - { type, value }
+     * @returns {string} Preview
+     */
+    preview(match) {
+        if (match.type !== 'SECRET') {
+            return match.value;
+        }
+        return match.value.length > 8 ? `${match.value.slice(0, 4)}…` : '…';
+    }
+}
+
+module.exports = { RedactionMiddleware };
@@ -0,0 +1,145 @@
+/**
+ * Sensitive Data Detector
+ * Finds secrets, email addresses, phone numbers and custom patterns in text
+ */
+
+// Well-known key and token formats; when a pattern has a group, only the
+// group is the secret, found by the group's indices (the d flag)
+const SECRET_PATTERNS = [
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    /\bsk-(?:ant-|or-|proj-)?[A-Za-z0-9_-]{20,}/g,
+    /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}/g,
+    /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+    /\bgithub_pat_[A-Za-z0-9_]{22,}/g,
+    /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+    /\bAIza[0-9A-Za-z_-]{35}\b/g,
+    /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+    /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/dg
+];
+
+// The value given to a key, secret, token or password, as in api_key=... or
+// "password": "..."; values of only letters are taken to be prose
+const ASSIGNMENT_PATTERN = /\b[\w-]*?(?:api[_-]?key|secret|token|password|passwd|pwd)["']?\s*[:=]\s*["']?([^\s"',;]{7,}[^\s"',;.)\]])/dgi;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+// Digits in groups, with an optional country code or area code in brackets
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,5}){1,4}(?![\w-])|(?<![\w+])\+\d{7,15}\b/g;
+const DATE_PATTERN = /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$|^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}$/;
+
+// Long runs of key-like characters are checked for randomness
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]{20,}/g;
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} text - Text
+ * @returns {number} Entropy
+ */
+function shannonEntropy(text) {
+    if (!text) return 0;
+    const counts = new Map();
+    for (const character of text) {
+        counts.set(character, (counts.get(character) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const probability = count / text.length;
+        entropy -= probability * Math.log2(probability);
+    }
+    return entropy;
+}
+
+/**
+ * Whether a token looks randomly generated, like a key or a password
+ * Hex strings are held to a lower bar, as they only have 16 characters.
+ * @param {string} token - Run of key-like characters
+ * @returns {boolean}
+ */
+function isHighEntropyToken(token) {
+    if (/^[0-9a-f]+$/i.test(token)) {
+        return token.length >= 32 && /\d/.test(token) && /[a-f]/i.test(token) && shannonEntropy(token) >= 3;
+    }
+    return /\d/.test(token) && /[A-Za-z]/.test(token) && shannonEntropy(token) >= 4;
+}
+
+/**
+ * Whether a match of the phone pattern is a phone number rather than a date
+ * or some other number
+ * @param {string} value - Match
+ * @returns {boolean}
+ */
+function isPhoneNumber(value) {
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15 && !DATE_PATTERN.test(value);
+}
+
+/**
+ * Read a custom pattern, written as a regular expression or as
+ * NAME=expression to name its placeholders
+ * Like the built-in patterns, an expression with a group only matches the group.
+ * @param {string} line - Pattern
+ * @returns {Object|null} { type, expression }, or null when the expression is invalid
+ */
+function parseCustomPattern(line) {
+    const named = /^([A-Z][A-Z0-9_]*)=(.+)$/.exec(line);
+    const type = named ? named[1] : 'CUSTOM';
+    try {
+        return { type, expression: new RegExp(named ? named[2] : line, 'dgi') };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find sensitive data in text
+ * Earlier kinds win where matches overlap: secrets, custom patterns, email
+ * addresses, phone numbers, then high-entropy tokens.
+ * @param {string} text - Text to search
+ * @param {Object} options - { secrets, emails, phoneNumbers, customPatterns } where
+ *        customPatterns are lines for parseCustomPattern
+ * @returns {Array<Object>} { type, value, start, end } in order of position, where
+ *          type is SECRET, EMAIL, PHONE or a custom pattern's name
+ */
+function findSensitiveData(text, options = {}) {
+    const { secrets = true, emails = true, phoneNumbers = true, customPatterns = [] } = options;
+    const found = [];
+    const overlaps = (start, end) => found.some(match => start < match.end && end > match.start);
+    const add = (type, value, start) => {
+        const end = start + value.length;
+        if (value && !overlaps(start, end)) {
+            found.push({ type, value, start, end });
+        }
+    };
+    const scan = (type, expression, accept = () => true) => {
+        for (const match of text.matchAll(expression)) {
+            const grouped = match[1] !== undefined;
+            const value = grouped ? match[1] : match[0];
+            if (accept(value)) {
+                add(type, value, grouped ? match.indices[1][0] : match.index);
+            }
+        }
+    };
+
+    if (!text) return found;
+    if (secrets) {
+        SECRET_PATTERNS.forEach(pattern => scan('SECRET', pattern));
+        scan('SECRET', ASSIGNMENT_PATTERN, value => /[^A-Za-z]/.test(value));
+    }
+    customPatterns.map(parseCustomPattern).filter(Boolean).forEach(({ type, expression }) => {
+        scan(type, expression);
+    });
+    if (emails) {
+        scan('EMAIL', EMAIL_PATTERN);
+    }
+    if (phoneNumbers) {
+        scan('PHONE', PHONE_PATTERN, isPhoneNumber);
+    }
+    if (secrets) {
+        scan('SECRET', TOKEN_PATTERN, isHighEntropyToken);
+    }
+
+    return found.sort((a, b) => a.start - b.start);
+}
+
+module.exports = { findSensitiveData, shannonEntropy, isHighEntropyToken, parseCustomPattern };
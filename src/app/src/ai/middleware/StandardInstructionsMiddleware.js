@@ -0,0 +1,64 @@
+const { BaseMiddleware } = require('./BaseMiddleware');
+
+/**
+ * StandardInstructionsMiddleware
+ * Adds instructions every request should carry, such as the team's rules for
+ * prompts, to the system message
+ */
+class StandardInstructionsMiddleware extends BaseMiddleware {
+    /**
+     * @param {Object} config - { instructions }
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'StandardInstructionsMiddleware';
+        this.description = 'Adds standard instructions to the system message of every request';
+        // Off until there are instructions to add
+        this.enabled = false;
+        this.config = {
+            instructions: config.instructions || ''
+        };
+    }
+
+    /**
+     * Describe the instructions setting
+     * @returns {Array<Object>} Settings fields
+     */
+    getSettingsFields() {
+        return [
+            { key: 'instructions', label: 'Instructions', type: 'text', help: 'Added after the system prompt, or sent as the system prompt when there is none' }
+        ];
+    }
+
+    /**
+     * Get the instructions
+     * @returns {Object} { instructions }
+     */
+    getSettings() {
+        return { ...this.config };
+    }
+
+    /**
+     * Change the instructions
+     * @param {Object} settings - { instructions }
+     */
+    updateSettings(settings = {}) {
+        if (settings.instructions !== undefined) {
+            this.config.instructions = String(settings.instructions || '').trim();
+        }
+    }
+
+    /**
+     * Add the instructions to the system message
+     * @param {Array<Object>} messages - Messages to send
+     * @returns {Array<Object>} The messages
+     */
+    process(messages) {
+        if (!this.config.instructions) {
+            return messages;
+        }
+        return this.appendToSystemMessage(messages, this.config.instructions);
+    }
+}
+
+module.exports = { StandardInstructionsMiddleware };
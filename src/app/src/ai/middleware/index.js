@@ -0,0 +1,46 @@
+/**
+ * Middleware Module Index
+ * Exports all request middleware classes
+ */
+const { BaseMiddleware, RequestBlockedError } = require('./BaseMiddleware');
+const { MiddlewareChainManager } = require('./MiddlewareChainManager');
+const { StandardInstructionsMiddleware } = require('./StandardInstructionsMiddleware');
+const { HouseStyleMiddleware } = require('./HouseStyleMiddleware');
+const { MaxInputLengthMiddleware } = require('./MaxInputLengthMiddleware');
+const { DenyRulesMiddleware } = require('./DenyRulesMiddleware');
+const { RedactionMiddleware } = require('./RedactionMiddleware');
+const { findSensitiveData } = require('./SensitiveDataDetector');
+
+/**
+ * Create a chain with the built-in middlewares and their default settings
+ * Deny rules run first, so a blocked request is never rewritten. Redaction
+ * runs after the middlewares that add text, and the length limit runs last,
+ * on the messages as they will be sent.
+ * @returns {MiddlewareChainManager} New chain
+ */
+function createMiddlewareChain() {
+    const chain = new MiddlewareChainManager();
+    chain.addMiddleware(new DenyRulesMiddleware());
+    chain.addMiddleware(new StandardInstructionsMiddleware());
+    chain.addMiddleware(new HouseStyleMiddleware());
+    chain.addMiddleware(new RedactionMiddleware());
+    chain.addMiddleware(new MaxInputLengthMiddleware());
+    return chain;
+}
+
+// Export a singleton instance of the MiddlewareChainManager
+const middlewareChainManager = createMiddlewareChain();
+
+module.exports = {
+    BaseMiddleware,
+    RequestBlockedError,
+    MiddlewareChainManager,
+    StandardInstructionsMiddleware,
+    HouseStyleMiddleware,
+    MaxInputLengthMiddleware,
+    DenyRulesMiddleware,
+    RedactionMiddleware,
+    findSensitiveData,
+    createMiddlewareChain,
+    middlewareChainManager
+};
@@ -0,0 +1,282 @@
+/**
+ * Anthropic AI Provider
+ * Implements the BaseProvider interface for the Anthropic Messages API
+ *
+ * The Messages API takes the system prompt as a top-level field rather than a
+ * message, and each message's content as a list of content blocks. Requests
+ * are authenticated with the x-api-key header and pinned to an API version
+ * with anthropic-version. Errors come back as
+ * { type: "error", error: { type, message } }, in the body of a failed
+ * response or as an "error" event in a stream.
+ */
+const { BaseProvider } = require('./BaseProvider.js');
+const { readServerSentEvents } = require('./StreamReader.js');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+// Sent as the first turn of conversations that have none from the user, such as system-only prompts
+const OPENING_USER_TEXT = 'Begin.';
+
+class AnthropicProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+    }
+
+    /**
+     * Generate a prompt based on description
+     * @param {string} description - User's description
+     * @param {string} systemPrompt - System prompt to use
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Generated prompt text
+     */
+    async generatePrompt(description, systemPrompt, options = {}) {
+        const messages = this.buildMessages(systemPrompt, description);
+        return await this.makeCompletion(messages, options);
+    }
+
+    /**
+     * Optimize an existing prompt
+     * @param {string} promptText - Current prompt text
+     * @param {string} systemPrompt - System prompt to use
+     * @param {Object} options - Optimization options
+     * @returns {Promise<string>} Optimized prompt text
+     */
+    async optimizePrompt(promptText, systemPrompt, options = {}) {
+        const messages = this.buildMessages(systemPrompt, promptText);
+        return await this.makeCompletion(messages, options);
+    }
+
+    /**
+     * Test connection to Anthropic
+     * @returns {Promise<boolean>} True if connection successful
+     */
+    async testConnection() {
+        try {
+            const testMessages = this.buildMessages(
+                "You are a helpful assistant.",
+                "Say 'Hello' to test the connection."
+            );
+
+            const response = await this.makeCompletion(testMessages, { maxTokens: 10 });
+            return response && response.length > 0;
+        } catch (error) {
+            console.error('Anthropic connection test failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the API's base URL, from the messages endpoint
+     * @returns {string} Base URL, such as https://api.anthropic.com/v1
+     */
+    getBaseUrl() {
+        return this.endpoint.replace(/\/+$/, '').replace(/\/messages$/, '');
+    }
+
+    /**
+     * Build the request headers
+     * @returns {Object} Headers
+     */
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+    }
+
+    /**
+     * Convert { role, content } messages to the Messages API's shape
+     * System messages are joined into the top-level system prompt. Consecutive
+     * messages with the same role are merged, each becoming a text block.
+     * Messages without text are left out, since the API rejects empty blocks,
+     * and a user turn is put first when the conversation doesn't start with one.
+     * @param {Array<Object>} messages - { role, content } messages
+     * @returns {Object} { system, messages } where system is null when there is none
+     * @throws {Error} When there is no text to send at all
+     */
+    toAnthropicMessages(messages) {
+        const system = [];
+        const converted = [];
+        for (const message of messages) {
+            const text = typeof message.content === 'string' ? message.content : '';
+            if (!text.trim()) continue;
+            if (message.role === 'system') {
+                system.push(text);
+                continue;
+            }
+            const block = { type: 'text', text };
+            const previous = converted[converted.length - 1];
+            if (previous && previous.role === message.role) {
+                previous.content.push(block);
+            } else {
+                converted.push({ role: message.role, content: [block] });
+            }
+        }
+
+        if (system.length === 0 && converted.length === 0) {
+            throw new Error('Anthropic needs at least one message with text to send');
+        }
+        if (converted.length === 0 || converted[0].role !== 'user') {
+            converted.unshift({ role: 'user', content: [{ type: 'text', text: OPENING_USER_TEXT }] });
+        }
+        return { system: system.length > 0 ? system.join('\n\n') : null, messages: converted };
+    }
+
+    /**
+     * Make completion request to the Messages API
+     * @param {Array} messages - Messages array
+     * @param {Object} options - Request options; onChunk streams the response
+     * @returns {Promise<string>} Completion text
+     */
+    async makeCompletion(messages, options = {}) {
+        if (!this.apiKey) {
+            throw new Error('Anthropic API key not configured');
+        }
+
+        const streaming = typeof options.onChunk === 'function';
+        const converted = this.toAnthropicMessages(messages);
+        const requestBody = {
+            model: options.model || this.model,
+            messages: converted.messages,
+            max_tokens: options.maxTokens || 2000,
+            temperature: options.temperature ?? 0.7,
+            stream: streaming
+        };
+        if (converted.system) requestBody.system = converted.system;
+        if (options.topP !== undefined) requestBody.top_p = options.topP;
+        if (options.stop && options.stop.length > 0) requestBody.stop_sequences = options.stop;
+        // The Messages API has no seed parameter
+
+        const requestOptions = {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(requestBody),
+            signal: options.signal
+        };
+
+        try {
+            const response = await this.makeRequest(this.endpoint, requestOptions);
+            if (streaming) {
+                const content = await this.readStream(response, options.onChunk, options);
+                return content.trim();
+            }
+            const data = await response.json();
+
+            if (data.type === 'error') {
+                throw new Error(this.describeError(data.error));
+            }
+
+            const content = (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            if (!content) {
+                throw new Error('Empty content returned from Anthropic');
+            }
+            if (data.usage) {
+                this.reportUsage(options, this.readUsage(data.usage));
+            }
+
+            return content.trim();
+        } catch (error) {
+            console.error('Anthropic completion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a streamed Messages API response (server-sent events)
+     * Text arrives in content_block_delta events; the input token count in
+     * message_start and the output token count in message_delta.
+     * @param {Response} response - Fetch response
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {Object} options - Completion options, for onUsage
+     * @returns {Promise<string>} Completion text
+     */
+    async readStream(response, onChunk, options = {}) {
+        let text = '';
+        const usage = {};
+        for await (const event of readServerSentEvents(response.body)) {
+            const data = JSON.parse(event);
+            if (data.type === 'error') {
+                throw new Error(this.describeError(data.error));
+            }
+            if (data.type === 'message_start' && data.message?.usage) {
+                Object.assign(usage, data.message.usage);
+            }
+            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                text += data.delta.text;
+                onChunk(data.delta.text);
+            }
+            if (data.type === 'message_delta' && data.usage) {
+                Object.assign(usage, data.usage);
+            }
+            if (data.type === 'message_stop') break;
+        }
+
+        if (!text) {
+            throw new Error('Empty content returned from Anthropic');
+        }
+        this.reportUsage(options, this.readUsage(usage));
+        return text;
+    }
+
+    /**
+     * Read the Messages API's usage object
+     * The API doesn't report a cost.
+     * @param {Object} usage - { input_tokens, output_tokens }
+     * @returns {Object} { promptTokens, completionTokens }
+     */
+    readUsage(usage) {
+        return { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens };
+    }
+
+    /**
+     * Describe an error object from the API
+     * @param {Object} error - { type, message }, such as overloaded_error
+     * @returns {string} Error message
+     */
+    describeError(error) {
+        return `Anthropic API error (${error?.type || 'unknown'}): ${error?.message || 'no details'}`;
+    }
+
+    /**
+     * Describe a failed HTTP response from the error in its body
+     * @param {Response} response - Response that wasn't ok
+     * @returns {Promise<string>} Error message
+     */
+    async describeErrorResponse(response) {
+        const status = `HTTP ${response.status}: ${response.statusText}`;
+        try {
+            const data = await response.json();
+            return data.type === 'error' ? `${status} - ${this.describeError(data.error)}` : status;
+        } catch (error) {
+            return status;
+        }
+    }
+
+    /**
+     * Get available models for Anthropic
+     * @returns {Promise<Array>} Array of { id, display_name, created_at } models
+     */
+    async getAvailableModels() {
+        try {
+            if (!this.apiKey) {
+                console.warn('Anthropic API key not configured, cannot fetch models');
+                return [];
+            }
+
+            const response = await this.makeRequest(`${this.getBaseUrl()}/models?limit=1000`, {
+                method: 'GET',
+                headers: this.buildHeaders()
+            });
+
+            const data = await response.json();
+            return data.data || [];
+        } catch (error) {
+            console.error('Failed to fetch Anthropic models:', error);
+            return [];
+        }
+    }
+}
+module.exports = { AnthropicProvider, ANTHROPIC_VERSION };
@@ -0,0 +1,189 @@
+/**
+ * AnthropicProvider.test.js
+ *
+ * Unit tests for the Anthropic Messages API provider, run against a local stub server
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { AnthropicProvider, ANTHROPIC_VERSION } = require('./AnthropicProvider');
+const { AIService } = require('../AIService');
+const { ConfigManager } = require('../ConfigManager');
+
+describe('AnthropicProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', data => { body += data; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, headers: request.headers, body: body ? JSON.parse(body) : null });
+        respond(request, response);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createProvider = (config = {}) => new AnthropicProvider({
+    name: 'Anthropic', endpoint: `${baseUrl}/messages`, model: 'claude-test', apiKey: 'sk-ant-test', maxRetries: 0, ...config
+  });
+  const sendJson = (response, status, data) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+  };
+
+  test('should send the system prompt as a field and messages as content blocks', async () => {
+    respond = (request, response) => sendJson(response, 200, {
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'there' }],
+      usage: { input_tokens: 12, output_tokens: 3 }
+    });
+    const onUsage = jest.fn();
+
+    const text = await createProvider().makeCompletion([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'user', content: 'Greet me' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'Again' }
+    ], { temperature: 0, stop: ['END'], seed: 1, onUsage });
+
+    expect(text).toBe('Hello there');
+    expect(requests[0].url).toBe('/v1/messages');
+    expect(requests[0].headers['x-api-key']).toBe('sk-ant-test');
+    expect(requests[0].headers['anthropic-version']).toBe(ANTHROPIC_VERSION);
+    expect(requests[0].body).toEqual({
+      model: 'claude-test',
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'text', text: 'Greet me' }] },
+        { role: 'assistant', content: [{ type: 'text', text: 'Hello' }] },
+        { role: 'user', content: [{ type: 'text', text: 'Again' }] }
+      ],
+      max_tokens: 2000,
+      temperature: 0,
+      stop_sequences: ['END'],
+      stream: false
+    });
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 12, completionTokens: 3 });
+  });
+
+  test('should send only messages with text, starting with a user turn', () => {
+    const provider = createProvider();
+
+    expect(provider.toAnthropicMessages([{ role: 'system', content: 'Write a haiku.' }])).toEqual({
+      system: 'Write a haiku.',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Begin.' }] }]
+    });
+    expect(provider.toAnthropicMessages([
+      { role: 'assistant', content: 'How can I help?' },
+      { role: 'user', content: '' },
+      { role: 'user', content: 'Tell me a joke' },
+      { role: 'assistant', content: '  ' }
+    ]).messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'Begin.' }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'How can I help?' }] },
+      { role: 'user', content: [{ type: 'text', text: 'Tell me a joke' }] }
+    ]);
+  });
+
+  test('should refuse requests without any text before sending them', async () => {
+    await expect(createProvider().makeCompletion([{ role: 'system', content: '' }, { role: 'user', content: ' ' }]))
+      .rejects.toThrow('Anthropic needs at least one message with text to send');
+    expect(requests).toEqual([]);
+  });
+
+  test('should stream text deltas and collect the usage from the message events', async () => {
+    respond = (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write('event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":8,"output_tokens":1}}}\n\n');
+      response.write('event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n');
+      response.write('event: ping\ndata: {"type":"ping"}\n\n');
+      response.write('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Bon"}}\n\n');
+      response.write('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"jour"}}\n\n');
+      response.write('event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}\n\n');
+      response.end('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+    };
+    const chunks = [];
+    const onUsage = jest.fn();
+
+    const text = await createProvider().makeCompletion([{ role: 'user', content: 'Hi' }], { onChunk: chunk => chunks.push(chunk), onUsage });
+
+    expect(requests[0].body.stream).toBe(true);
+    expect(chunks).toEqual(['Bon', 'jour']);
+    expect(text).toBe('Bonjour');
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 8, completionTokens: 4 });
+  });
+
+  test('should report the API error from the body without retrying authentication errors', async () => {
+    respond = (request, response) => sendJson(response, 401, {
+      type: 'error',
+      error: { type: 'authentication_error', message: 'invalid x-api-key' }
+    });
+
+    await expect(createProvider({ maxRetries: 2 }).makeCompletion([{ role: 'user', content: 'Hi' }]))
+      .rejects.toThrow('HTTP 401: Unauthorized - Anthropic API error (authentication_error): invalid x-api-key');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should report error events in a stream', async () => {
+    respond = (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.end('event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n');
+    };
+
+    await expect(createProvider().makeCompletion([{ role: 'user', content: 'Hi' }], { onChunk: () => {} }))
+      .rejects.toThrow('Anthropic API error (overloaded_error): Overloaded');
+  });
+
+  test('should list models and refuse to run without an API key', async () => {
+    respond = (request, response) => sendJson(response, 200, {
+      data: [{ type: 'model', id: 'claude-test', display_name: 'Claude Test' }],
+      has_more: false
+    });
+
+    expect(await createProvider().getAvailableModels()).toEqual([{ type: 'model', id: 'claude-test', display_name: 'Claude Test' }]);
+    expect(requests[0].url).toBe('/v1/models?limit=1000');
+    await expect(createProvider({ apiKey: null }).makeCompletion([])).rejects.toThrow('Anthropic API key not configured');
+  });
+
+  test('should be registered by the AI service when enabled', async () => {
+    const service = new AIService();
+    await service.initialize({ defaultProvider: 'anthropic', providers: { anthropic: { enabled: true, endpoint: `${baseUrl}/messages` } } });
+
+    expect(service.getProvider('anthropic')).toBeInstanceOf(AnthropicProvider);
+  });
+
+  test('should store the API key encrypted', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anthropic-config-'));
+    try {
+      const configManager = new ConfigManager();
+      await configManager.initialize(dataDir);
+      const config = await configManager.loadConfig();
+      config.ai.providers.anthropic.apiKey = 'sk-ant-secret';
+
+      await configManager.saveConfig(config);
+
+      expect(fs.readFileSync(path.join(dataDir, 'ai-config.json'), 'utf8')).not.toContain('sk-ant-secret');
+      expect((await configManager.getProviderConfig('anthropic')).apiKey).toBe('sk-ant-secret');
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -35,6 +35,19 @@ class BaseProvider {
         throw new Error('optimizePrompt method must be implemented by provider');
     }
 
+    /**
+     * Send a list of messages and return the completion text
+     * @param {Array<Object>} messages - { role, content } messages with role system, user or assistant
+     * @param {Object} options - Completion options (model, maxTokens, temperature, topP, stop, seed).
+     *        With onChunk the response is streamed and onChunk is called with each
+     *        piece of text as it arrives; signal (an AbortSignal) cancels the request.
+     *        onUsage is called with the token counts and cost when the provider reports them.
+     * @returns {Promise<string>} Completion text
+     */
+    async makeCompletion(messages, options = {}) {
+        throw new Error('makeCompletion method must be implemented by provider');
+    }
+
     /**
      * Test connection to the provider
      * @returns {Promise<boolean>} True if connection successful
@@ -58,47 +71,101 @@ class BaseProvider {
 
     /**
      * Make HTTP request with retry logic
+     * The timeout covers waiting for the response to start, not reading a
+     * streamed body. A cancelled request is not retried.
      * @param {string} url - Request URL
-     * @param {Object} options - Fetch options
+     * @param {Object} options - Fetch options; signal cancels the request,
+     *        including reading its body
      * @returns {Promise<Response>} Fetch response
      */
     async makeRequest(url, options = {}) {
+        const { signal: callerSignal, ...fetchOptions } = options;
         let lastError;
+        let controller = null;
+        let response = null;
+        // One listener for every attempt; it stays while the caller reads the body
+        const abortAttempt = () => controller && controller.abort();
+        if (callerSignal) {
+            callerSignal.addEventListener('abort', abortAttempt, { once: true });
+        }
 
-        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-            try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+                try {
+                    if (callerSignal && callerSignal.aborted) {
+                        throw new Error('Request cancelled');
+                    }
 
-                const response = await fetch(url, {
-                    ...options,
-                    signal: controller.signal
-                });
+                    controller = new AbortController();
+                    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-                clearTimeout(timeoutId);
+                    const attemptResponse = await fetch(url, {
+                        ...fetchOptions,
+                        signal: controller.signal
+                    });
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+                    clearTimeout(timeoutId);
 
-                return response;
-            } catch (error) {
-                lastError = error;
+                    if (!attemptResponse.ok) {
+                        throw new Error(await this.describeErrorResponse(attemptResponse));
+                    }
 
-                // Don't retry on authentication errors
-                if (error.message.includes('401') || error.message.includes('403')) {
-                    throw error;
-                }
+                    response = attemptResponse;
+                    return response;
+                } catch (error) {
+                    lastError = error;
+
+                    // Don't retry on authentication errors or when cancelled
+                    if (error.message.includes('401') || error.message.includes('403')) {
+                        throw error;
+                    }
+                    if (callerSignal && callerSignal.aborted) {
+                        throw new Error('Request cancelled');
+                    }
 
-                // Wait before retry (exponential backoff)
-                if (attempt < this.maxRetries) {
-                    const delay = Math.pow(2, attempt) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
+                    // Wait before retry (exponential backoff)
+                    if (attempt < this.maxRetries) {
+                        const delay = Math.pow(2, attempt) * 1000;
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
                 }
             }
+
+            throw lastError;
+        } finally {
+            if (callerSignal && !response) {
+                callerSignal.removeEventListener('abort', abortAttempt);
+            }
         }
+    }
+
+    /**
+     * Describe a failed HTTP response for the error thrown by makeRequest
+     * Providers whose APIs explain errors in the body override this. The
+     * message starts with the status, so authentication errors aren't retried.
+     * @param {Response} response - Response that wasn't ok
+     * @returns {Promise<string>} Error message
+     */
+    async describeErrorResponse(response) {
+        return `HTTP ${response.status}: ${response.statusText}`;
+    }
 
-        throw lastError;
+    /**
+     * Pass a response's token counts and cost to the caller's onUsage
+     * @param {Object} options - Completion options
+     * @param {Object} usage - { promptTokens, completionTokens, cost }; missing
+     *        values are left out
+     */
+    reportUsage(options, usage) {
+        if (typeof options.onUsage !== 'function') return;
+
+        const reported = {};
+        for (const [key, value] of Object.entries(usage)) {
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                reported[key] = value;
+            }
+        }
+        options.onUsage(reported);
     }
 
     /**
@@ -3,6 +3,7 @@
  * Implements the BaseProvider interface for local Ollama API
  */
 const { BaseProvider } = require('./BaseProvider.js');
+const { readNdjson } = require('./StreamReader.js');
 
 class OllamaProvider extends BaseProvider {
     constructor(config) {
@@ -86,26 +87,31 @@ class OllamaProvider extends BaseProvider {
     /**
      * Make completion request to Ollama API
      * @param {Array} messages - Messages array
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options; onChunk streams the response
      * @returns {Promise<string>} Completion text
      */
     async makeCompletion(messages, options = {}) {
+        const streaming = typeof options.onChunk === 'function';
         const requestBody = {
-            model: this.model,
+            model: options.model || this.model,
             messages: messages,
-            stream: false,
+            stream: streaming,
             options: {
-                temperature: options.temperature || 0.7,
+                temperature: options.temperature ?? 0.7,
                 num_predict: options.maxTokens || 2000
             }
         };
+        if (options.topP !== undefined) requestBody.options.top_p = options.topP;
+        if (options.stop && options.stop.length > 0) requestBody.options.stop = options.stop;
+        if (options.seed !== undefined) requestBody.options.seed = options.seed;
 
         const requestOptions = {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         };
 
         try {
@@ -115,6 +121,9 @@ class OllamaProvider extends BaseProvider {
             console.log('Request body:', JSON.stringify(requestBody, null, 2));
 
             const response = await this.makeRequest(chatEndpoint, requestOptions);
+            if (streaming) {
+                return await this.readStream(response, options.onChunk, options);
+            }
             const data = await response.json();
 
             console.log('Ollama response:', data);
@@ -127,6 +136,7 @@ class OllamaProvider extends BaseProvider {
                 throw new Error('No content returned from Ollama');
             }
 
+            this.reportUsage(options, this.readUsage(data));
             return data.message.content.trim();
         } catch (error) {
             console.error('Ollama completion failed:', error);
@@ -135,6 +145,50 @@ class OllamaProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Read a streamed Ollama response, one JSON object per line
+     * @param {Response} response - Fetch response
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {Object} options - Completion options, for onUsage
+     * @returns {Promise<string>} Completion text
+     */
+    async readStream(response, onChunk, options = {}) {
+        let text = '';
+        let usage = null;
+        for await (const data of readNdjson(response.body)) {
+            if (data.error) {
+                throw new Error(`Ollama API error: ${data.error}`);
+            }
+            const chunk = data.message?.content || '';
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+            if (data.done) {
+                usage = this.readUsage(data);
+                break;
+            }
+        }
+
+        if (!text) {
+            throw new Error('No content returned from Ollama');
+        }
+        if (usage) {
+            this.reportUsage(options, usage);
+        }
+        return text.trim();
+    }
+
+    /**
+     * Read the token counts from Ollama's final response object
+     * Local models cost nothing to run.
+     * @param {Object} data - Response object with done set
+     * @returns {Object} { promptTokens, completionTokens, cost }
+     */
+    readUsage(data) {
+        return { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count, cost: 0 };
+    }
+
     /**
      * Get available models from Ollama
      * @returns {Promise<Array>} Array of available models
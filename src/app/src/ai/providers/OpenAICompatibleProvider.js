@@ -0,0 +1,227 @@
+/**
+ * OpenAI-compatible AI Provider
+ * Implements the BaseProvider interface for servers that speak the OpenAI
+ * chat completions API, such as LM Studio, vLLM and llama.cpp.
+ *
+ * Each server is its own provider instance, kept in the AI config's providers
+ * under an id of its own with type "openai-compatible". The endpoint is the
+ * server's base URL (for example http://localhost:1234/v1); the API key is
+ * optional and custom headers are sent with every request.
+ */
+const { BaseProvider } = require('./BaseProvider.js');
+const { readServerSentEvents } = require('./StreamReader.js');
+
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+        this.headers = config.headers || {};
+    }
+
+    /**
+     * Update provider configuration
+     * @param {Object} newConfig - New configuration
+     */
+    async updateConfig(newConfig) {
+        await super.updateConfig(newConfig);
+        this.headers = this.config.headers || {};
+    }
+
+    /**
+     * Generate a prompt based on description
+     * @param {string} description - User's description
+     * @param {string} systemPrompt - System prompt to use
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Generated prompt text
+     */
+    async generatePrompt(description, systemPrompt, options = {}) {
+        const messages = this.buildMessages(systemPrompt, description);
+        return await this.makeCompletion(messages, options);
+    }
+
+    /**
+     * Optimize an existing prompt
+     * @param {string} promptText - Current prompt text
+     * @param {string} systemPrompt - System prompt to use
+     * @param {Object} options - Optimization options
+     * @returns {Promise<string>} Optimized prompt text
+     */
+    async optimizePrompt(promptText, systemPrompt, options = {}) {
+        const messages = this.buildMessages(systemPrompt, promptText);
+        return await this.makeCompletion(messages, options);
+    }
+
+    /**
+     * Get the server's base URL, without a trailing slash or /chat/completions
+     * @returns {string} Base URL
+     */
+    getBaseUrl() {
+        return String(this.endpoint || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    }
+
+    /**
+     * Build the request headers: JSON, the API key when there is one, then the custom headers
+     * @returns {Object} Headers
+     */
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return { ...headers, ...this.headers };
+    }
+
+    /**
+     * Test connection to the server
+     * Lists the server's models, then asks the configured model (or the first
+     * one listed) for a short reply.
+     * @returns {Promise<boolean>} True if connection successful
+     */
+    async testConnection() {
+        try {
+            const response = await this.makeRequest(`${this.getBaseUrl()}/models`, {
+                method: 'GET',
+                headers: this.buildHeaders()
+            });
+            const data = await response.json();
+            const models = (data.data || []).map(model => model.id);
+            if (this.model && models.length > 0 && !models.includes(this.model)) {
+                console.warn(`Model ${this.model} not found on ${this.getBaseUrl()}. Available models:`, models);
+                return false;
+            }
+
+            const testMessages = this.buildMessages(
+                "You are a helpful assistant.",
+                "Say 'Hello' to test the connection."
+            );
+            const reply = await this.makeCompletion(testMessages, { maxTokens: 10, model: this.model || models[0] });
+            return reply && reply.length > 0;
+        } catch (error) {
+            console.error(`${this.name || 'OpenAI-compatible'} connection test failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Make completion request to the server's /chat/completions
+     * @param {Array} messages - Messages array
+     * @param {Object} options - Request options; onChunk streams the response
+     * @returns {Promise<string>} Completion text
+     */
+    async makeCompletion(messages, options = {}) {
+        if (!this.getBaseUrl()) {
+            throw new Error(`${this.name || 'OpenAI-compatible'} base URL not configured`);
+        }
+
+        const streaming = typeof options.onChunk === 'function';
+        const requestBody = {
+            model: options.model || this.model,
+            messages: messages,
+            max_tokens: options.maxTokens || 2000,
+            temperature: options.temperature ?? 0.7,
+            stream: streaming
+        };
+        // Ask for token counts in the last streamed event
+        if (streaming) requestBody.stream_options = { include_usage: true };
+        if (options.topP !== undefined) requestBody.top_p = options.topP;
+        if (options.stop && options.stop.length > 0) requestBody.stop = options.stop;
+        if (options.seed !== undefined) requestBody.seed = options.seed;
+
+        const requestOptions = {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(requestBody),
+            signal: options.signal
+        };
+
+        try {
+            const response = await this.makeRequest(`${this.getBaseUrl()}/chat/completions`, requestOptions);
+            if (streaming) {
+                const content = await this.readStream(response, options.onChunk, options);
+                return content.trim();
+            }
+            const data = await response.json();
+
+            if (data.error) {
+                throw new Error(`${this.name} API error: ${data.error.message || data.error}`);
+            }
+
+            const content = data.choices?.[0]?.message?.content;
+            if (!content) {
+                throw new Error(`Empty content returned from ${this.name}`);
+            }
+            if (data.usage) {
+                this.reportUsage(options, this.readUsage(data.usage));
+            }
+
+            return content.trim();
+        } catch (error) {
+            console.error(`${this.name} completion failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a streamed response (server-sent events)
+     * @param {Response} response - Fetch response
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {Object} options - Completion options, for onUsage
+     * @returns {Promise<string>} Completion text
+     */
+    async readStream(response, onChunk, options = {}) {
+        let text = '';
+        let usage = null;
+        for await (const event of readServerSentEvents(response.body)) {
+            if (event === '[DONE]') break;
+
+            const data = JSON.parse(event);
+            if (data.error) {
+                throw new Error(`${this.name} API error: ${data.error.message || data.error}`);
+            }
+            const chunk = data.choices?.[0]?.delta?.content || '';
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+            if (data.usage) {
+                usage = this.readUsage(data.usage);
+            }
+        }
+
+        if (!text) {
+            throw new Error(`Empty content returned from ${this.name}`);
+        }
+        if (usage) {
+            this.reportUsage(options, usage);
+        }
+        return text;
+    }
+
+    /**
+     * Read the usage object; self-hosted servers report no cost
+     * @param {Object} usage - { prompt_tokens, completion_tokens }
+     * @returns {Object} { promptTokens, completionTokens, cost }
+     */
+    readUsage(usage) {
+        return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, cost: usage.cost ?? 0 };
+    }
+
+    /**
+     * Get the models the server offers, from its /models
+     * @returns {Promise<Array>} Array of { id, ... } models
+     */
+    async getAvailableModels() {
+        try {
+            const response = await this.makeRequest(`${this.getBaseUrl()}/models`, {
+                method: 'GET',
+                headers: this.buildHeaders()
+            });
+
+            const data = await response.json();
+            return data.data || [];
+        } catch (error) {
+            console.error(`Failed to fetch ${this.name} models:`, error);
+            return [];
+        }
+    }
+}
+module.exports = { OpenAICompatibleProvider };
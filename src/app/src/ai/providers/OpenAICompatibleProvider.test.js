@@ -0,0 +1,113 @@
+/**
+ * OpenAICompatibleProvider.test.js
+ *
+ * Unit tests for OpenAI-compatible servers, run against a local server
+ */
+const http = require('http');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+const { AIService } = require('../AIService');
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', data => { body += data; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, headers: request.headers, body: body ? JSON.parse(body) : null });
+        if (request.url === '/v1/models') {
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ object: 'list', data: [{ id: 'qwen2.5-7b' }, { id: 'llama-3.1-8b' }] }));
+        } else if (JSON.parse(body).stream) {
+          response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          response.write('data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n');
+          response.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+          response.write('data: {"choices":[{"delta":{"content":"lo"}}]}\n\n');
+          response.end('data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}\n\ndata: [DONE]\n\n');
+        } else {
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({
+            choices: [{ message: { role: 'assistant', content: ' Hello ' } }],
+            usage: { prompt_tokens: 5, completion_tokens: 1 }
+          }));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createProvider = (config = {}) => new OpenAICompatibleProvider({
+    name: 'LM Studio', endpoint: `${baseUrl}/`, model: 'qwen2.5-7b', maxRetries: 0, ...config
+  });
+
+  test('should post to /chat/completions with the API key and custom headers', async () => {
+    const provider = createProvider({ apiKey: 'secret', headers: { 'X-Team': 'prompts' } });
+    const onUsage = jest.fn();
+
+    const text = await provider.makeCompletion([{ role: 'user', content: 'Hi' }], { temperature: 0.2, seed: 3, onUsage });
+
+    expect(text).toBe('Hello');
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].headers['x-team']).toBe('prompts');
+    expect(requests[0].body).toMatchObject({ model: 'qwen2.5-7b', temperature: 0.2, seed: 3, stream: false });
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 5, completionTokens: 1, cost: 0 });
+  });
+
+  test('should leave out the Authorization header without an API key', async () => {
+    await createProvider().makeCompletion([{ role: 'user', content: 'Hi' }]);
+
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('should stream chunks and read the usage from the last event', async () => {
+    const chunks = [];
+    const onUsage = jest.fn();
+
+    const text = await createProvider().makeCompletion([{ role: 'user', content: 'Hi' }], { onChunk: chunk => chunks.push(chunk), onUsage });
+
+    expect(requests[0].body.stream_options).toEqual({ include_usage: true });
+    expect(chunks).toEqual(['Hel', 'lo']);
+    expect(text).toBe('Hello');
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 5, completionTokens: 2, cost: 0 });
+  });
+
+  test('should list the server models and test the connection with the configured model', async () => {
+    const provider = createProvider({ endpoint: `${baseUrl}/chat/completions` });
+
+    expect((await provider.getAvailableModels()).map(model => model.id)).toEqual(['qwen2.5-7b', 'llama-3.1-8b']);
+    expect(await provider.testConnection()).toBe(true);
+    expect(await createProvider({ model: 'missing' }).testConnection()).toBe(false);
+  });
+
+  test('should register each enabled server as its own provider', async () => {
+    const service = new AIService();
+    const serverConfig = { type: 'openai-compatible', name: 'vLLM', endpoint: baseUrl, model: 'm' };
+
+    await service.initialize({
+      defaultProvider: 'vllm',
+      providers: {
+        ollama: { enabled: false },
+        vllm: { ...serverConfig, enabled: true },
+        'llama-cpp': { ...serverConfig, name: 'llama.cpp', enabled: true },
+        'lm-studio': { ...serverConfig, enabled: false }
+      }
+    });
+
+    expect(service.getAvailableProviders()).toEqual(['vllm', 'llama-cpp']);
+    expect(service.getProvider('vllm')).toBeInstanceOf(OpenAICompatibleProvider);
+  });
+});
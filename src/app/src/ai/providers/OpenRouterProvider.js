@@ -3,7 +3,7 @@
  * Implements the BaseProvider interface for OpenRouter API
  */
 const { BaseProvider } = require('./BaseProvider.js');
-const { decoratorChainManager } = require('../decorators');
+const { readServerSentEvents } = require('./StreamReader.js');
 
 class OpenRouterProvider extends BaseProvider {
     constructor(config) {
@@ -56,7 +56,7 @@ class OpenRouterProvider extends BaseProvider {
     /**
      * Make completion request to OpenRouter API
      * @param {Array} messages - Messages array
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options; onChunk streams the response
      * @returns {Promise<string>} Completion text
      */
     async makeCompletion(messages, options = {}) {
@@ -64,13 +64,19 @@ class OpenRouterProvider extends BaseProvider {
             throw new Error('OpenRouter API key not configured');
         }
 
+        const streaming = typeof options.onChunk === 'function';
         const requestBody = {
-            model: this.model,
+            model: options.model || this.model,
             messages: messages,
             max_tokens: options.maxTokens || 2000,
-            temperature: options.temperature || 0.7,
-            stream: false
+            temperature: options.temperature ?? 0.7,
+            stream: streaming,
+            // Ask for token counts and cost with the response
+            usage: { include: true }
         };
+        if (options.topP !== undefined) requestBody.top_p = options.topP;
+        if (options.stop && options.stop.length > 0) requestBody.stop = options.stop;
+        if (options.seed !== undefined) requestBody.seed = options.seed;
 
         const requestOptions = {
             method: 'POST',
@@ -80,11 +86,16 @@ class OpenRouterProvider extends BaseProvider {
                 'HTTP-Referer': 'https://github.com/agileandy/promptManager-Electron',
                 'X-Title': 'AI Prompt Manager'
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         };
 
         try {
             const response = await this.makeRequest(this.endpoint, requestOptions);
+            if (streaming) {
+                const content = await this.readStream(response, options.onChunk, options);
+                return content.trim();
+            }
             const data = await response.json();
 
             if (data.error) {
@@ -99,16 +110,63 @@ class OpenRouterProvider extends BaseProvider {
             if (!content) {
                 throw new Error('Empty content returned from OpenRouter');
             }
+            if (data.usage) {
+                this.reportUsage(options, this.readUsage(data.usage));
+            }
 
-            // Process the response through the decorator chain
-            const processedContent = decoratorChainManager.processResponse(content.trim());
-            return processedContent;
+            return content.trim();
         } catch (error) {
             console.error('OpenRouter completion failed:', error);
             throw error;
         }
     }
 
+    /**
+     * Read a streamed OpenRouter response (server-sent events)
+     * @param {Response} response - Fetch response
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {Object} options - Completion options, for onUsage
+     * @returns {Promise<string>} Completion text
+     */
+    async readStream(response, onChunk, options = {}) {
+        let text = '';
+        let usage = null;
+        for await (const event of readServerSentEvents(response.body)) {
+            if (event === '[DONE]') break;
+
+            const data = JSON.parse(event);
+            if (data.error) {
+                throw new Error(`OpenRouter API error: ${data.error.message || data.error}`);
+            }
+            const chunk = data.choices?.[0]?.delta?.content || '';
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+            // The usage comes in the last event, with no choices
+            if (data.usage) {
+                usage = this.readUsage(data.usage);
+            }
+        }
+
+        if (!text) {
+            throw new Error('Empty content returned from OpenRouter');
+        }
+        if (usage) {
+            this.reportUsage(options, usage);
+        }
+        return text;
+    }
+
+    /**
+     * Read OpenRouter's usage object
+     * @param {Object} usage - { prompt_tokens, completion_tokens, cost } with cost in US dollars
+     * @returns {Object} { promptTokens, completionTokens, cost }
+     */
+    readUsage(usage) {
+        return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, cost: usage.cost };
+    }
+
     /**
      * Get available models for OpenRouter
      * @returns {Promise<Array>} Array of available models
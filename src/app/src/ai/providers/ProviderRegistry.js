@@ -0,0 +1,428 @@
+/**
+ * Provider Registry
+ * Keeps the AI provider types the app knows about, built in or loaded from plugins.
+ *
+ * Each provider type is described by a definition:
+ *
+ *   {
+ *     id: 'openrouter',              // type id, also the config key of a single-instance provider
+ *     name: 'OpenRouter',
+ *     description: 'Cloud AI Models',
+ *     help: '...',                   // optional text shown at the top of its settings tab
+ *     icon: '🌐',
+ *     ProviderClass,                 // BaseProvider subclass, created with the provider's config
+ *     multipleInstances: false,      // true when several servers of this type can be configured
+ *     capabilities: { streaming, embeddings, modelListing },
+ *     fixed: { endpoint: '...' },    // config values that aren't in the settings form
+ *     fields: [{ key, label, type, default, required, secret, min, max, scale, options, placeholder, help }],
+ *     toModelOptions(models, config) // optional; turns getAvailableModels() into { id, label } options
+ *   }
+ *
+ * Field types are text, url, password, number, model, headers, checkbox and
+ * select, whose options are [{ value, label }]. A number field with a scale is
+ * stored multiplied by it (timeouts are entered in seconds and stored in
+ * milliseconds). Secret fields are stored encrypted.
+ *
+ * The fields are the config schema: the settings modal is built from them and
+ * saved values are checked against them. In ai-config.json each provider is
+ * kept under its id with { type, enabled, name, encryptedFields, ...values }.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const FIELD_TYPES = ['text', 'url', 'password', 'number', 'model', 'headers', 'checkbox', 'select'];
+const DEFAULT_CAPABILITIES = { streaming: false, embeddings: false, modelListing: false };
+
+/**
+ * Pick a provider id for a new instance from its display name
+ * @param {string} name - Display name, such as "LM Studio"
+ * @param {Array<string>} takenIds - Provider ids already in use
+ * @param {string} fallback - Id to start from when the name has no letters or digits
+ * @returns {string} Lowercase id such as "lm-studio", with a number added when taken
+ */
+function toProviderId(name, takenIds = [], fallback = 'provider') {
+    const base = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+    let id = base;
+    for (let suffix = 2; takenIds.includes(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Check that a definition has what the registry needs
+ * @param {Object} definition - Provider definition
+ * @returns {Array<string>} Problems found
+ */
+function checkDefinition(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['A provider definition must be an object'];
+    }
+    if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+        errors.push('id must be lowercase letters, digits and dashes');
+    }
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+        errors.push('name is required');
+    }
+    if (typeof definition.ProviderClass !== 'function' || typeof definition.ProviderClass.prototype.makeCompletion !== 'function') {
+        errors.push('ProviderClass must be a class with a makeCompletion method');
+    }
+    if (!Array.isArray(definition.fields)) {
+        errors.push('fields must be an array');
+    } else {
+        definition.fields.forEach((field, index) => {
+            if (!field || typeof field.key !== 'string' || !field.key) {
+                errors.push(`field ${index + 1} needs a key`);
+            } else if (!FIELD_TYPES.includes(field.type)) {
+                errors.push(`field ${field.key} has an unknown type "${field.type}"`);
+            } else if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+                errors.push(`field ${field.key} needs options`);
+            }
+        });
+    }
+    return errors;
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.loadedPlugins = new Set();
+        this.pluginErrors = [];
+    }
+
+    /**
+     * Add a provider type
+     * @param {Object} definition - Provider definition (see the top of this file)
+     * @param {Object} options - { plugin } where plugin is the file it was loaded from
+     * @throws {Error} When the definition is invalid or its id is taken
+     */
+    register(definition, { plugin = null } = {}) {
+        const errors = checkDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid provider definition: ${errors.join('; ')}`);
+        }
+        if (this.definitions.has(definition.id)) {
+            throw new Error(`Provider type ${definition.id} is already registered`);
+        }
+
+        this.definitions.set(definition.id, {
+            multipleInstances: false,
+            description: '',
+            icon: '🔌',
+            fixed: {},
+            ...definition,
+            capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities },
+            plugin
+        });
+    }
+
+    /**
+     * Get a provider type
+     * @param {string} type - Type id
+     * @returns {Object|null} Definition, or null when unknown
+     */
+    get(type) {
+        return this.definitions.get(type) || null;
+    }
+
+    /**
+     * Whether a provider type is registered
+     * @param {string} type - Type id
+     * @returns {boolean}
+     */
+    has(type) {
+        return this.definitions.has(type);
+    }
+
+    /**
+     * Get the type of a configured provider: its own type, or its id for built-ins
+     * saved before providers had a type
+     * @param {string} providerId - Provider id in the config
+     * @param {Object} providerConfig - Provider config
+     * @returns {string} Type id
+     */
+    typeOf(providerId, providerConfig) {
+        return (providerConfig && providerConfig.type) || providerId;
+    }
+
+    /**
+     * Describe the provider types for the settings modal, without their classes
+     * @returns {Array<Object>} { id, name, description, help, icon, multipleInstances, capabilities, fields, plugin }
+     */
+    describe() {
+        return Array.from(this.definitions.values()).map(definition => ({
+            id: definition.id,
+            name: definition.name,
+            description: definition.description,
+            help: definition.help || '',
+            icon: definition.icon,
+            multipleInstances: definition.multipleInstances,
+            capabilities: definition.capabilities,
+            fields: definition.fields.map(field => ({ ...field })),
+            plugin: definition.plugin ? path.basename(definition.plugin) : null
+        }));
+    }
+
+    /**
+     * Create a provider instance
+     * Fields the config was saved without, such as fields added to the type
+     * later, get their defaults.
+     * @param {string} type - Type id
+     * @param {Object} config - Provider config
+     * @returns {BaseProvider} Provider instance
+     * @throws {Error} When the type is unknown
+     */
+    create(type, config) {
+        const definition = this.get(type);
+        if (!definition) {
+            throw new Error(`Unknown provider: ${type}`);
+        }
+        const defaults = {};
+        definition.fields.forEach(field => {
+            if (field.default !== undefined) defaults[field.key] = field.default;
+        });
+        return new definition.ProviderClass({ ...definition.fixed, ...defaults, ...config });
+    }
+
+    /**
+     * List the models a provider offers as { id, label } options
+     * @param {string} type - Type id
+     * @param {Object} config - Provider config
+     * @returns {Promise<Array<Object>>} Model options
+     * @throws {Error} When the type can't list models
+     */
+    async listModels(type, config) {
+        const definition = this.get(type);
+        if (!definition || !definition.capabilities.modelListing) {
+            throw new Error(`Provider ${type} can't list its models`);
+        }
+        const models = await this.create(type, config).getAvailableModels();
+        if (definition.toModelOptions) {
+            return definition.toModelOptions(models, config);
+        }
+        return models.map(model => ({ id: model.id || model.name, label: model.name || model.id }));
+    }
+
+    /**
+     * Check and convert a provider's form values against its fields
+     * @param {string} type - Type id
+     * @param {Object} values - Values as entered
+     * @param {Object} options - { enabled }; required fields are only
+     *        required of enabled providers
+     * @returns {Object} { config, errors } where config has a value for every field
+     */
+    normalizeConfig(type, values = {}, { enabled = true } = {}) {
+        const definition = this.get(type);
+        if (!definition) {
+            return { config: {}, errors: [`Unknown provider: ${type}`] };
+        }
+
+        const config = {};
+        const errors = [];
+        for (const field of definition.fields) {
+            const label = field.label || field.key;
+            const raw = values[field.key];
+            const empty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+            if (field.type === 'checkbox') {
+                config[field.key] = empty ? Boolean(field.default) : raw === true || raw === 'true';
+                continue;
+            }
+            if (empty) {
+                if (field.required && enabled) {
+                    errors.push(`${label} is required`);
+                }
+                config[field.key] = field.default ?? (field.type === 'headers' ? {} : null);
+                continue;
+            }
+
+            if (field.type === 'number') {
+                const number = Number(raw);
+                const min = field.min === undefined ? -Infinity : field.min * (field.scale || 1);
+                const max = field.max === undefined ? Infinity : field.max * (field.scale || 1);
+                if (!Number.isFinite(number)) {
+                    errors.push(`${label} must be a number`);
+                } else if (number < min || number > max) {
+                    errors.push(`${label} must be between ${field.min} and ${field.max}`);
+                } else {
+                    config[field.key] = number;
+                }
+            } else if (field.type === 'select') {
+                const option = field.options.find(candidate => String(candidate.value) === String(raw).trim());
+                if (!option) {
+                    errors.push(`${label} must be one of ${field.options.map(candidate => candidate.value).join(', ')}`);
+                } else {
+                    config[field.key] = option.value;
+                }
+            } else if (field.type === 'headers') {
+                if (typeof raw !== 'object' || Array.isArray(raw)) {
+                    errors.push(`${label} must be name/value pairs`);
+                } else {
+                    config[field.key] = Object.fromEntries(Object.entries(raw).map(([name, value]) => [name.trim(), String(value)]));
+                }
+            } else {
+                config[field.key] = String(raw).trim();
+            }
+        }
+        return { config, errors };
+    }
+
+    /**
+     * Default config of every single-instance provider type, all disabled
+     * @returns {Object} Providers keyed by id
+     */
+    getDefaultProviders() {
+        const providers = {};
+        for (const definition of this.definitions.values()) {
+            if (definition.multipleInstances) continue;
+            providers[definition.id] = {
+                type: definition.id,
+                enabled: false,
+                name: definition.name,
+                ...definition.fixed,
+                ...this.normalizeConfig(definition.id, {}, { enabled: false }).config,
+                encryptedFields: this.getSecretKeys(definition.id)
+            };
+        }
+        return providers;
+    }
+
+    /**
+     * Keys of a provider type's secret fields
+     * @param {string} type - Type id
+     * @returns {Array<string>} Field keys, apiKey for unknown types
+     */
+    getSecretKeys(type) {
+        const definition = this.get(type);
+        return definition ? definition.fields.filter(field => field.secret).map(field => field.key) : ['apiKey'];
+    }
+
+    /**
+     * Turn the saved providers into the settings modal's entries
+     * Every single-instance type gets an entry, configured or not. Providers of
+     * types that aren't registered (a removed plugin) are left out.
+     * @param {Object} providers - Providers keyed by id, from ai-config.json
+     * @returns {Array<Object>} { id, type, enabled, name, values }
+     */
+    toSettingsEntries(providers = {}) {
+        const defaults = this.getDefaultProviders();
+        const entries = [];
+        const seen = new Set();
+
+        for (const [id, providerConfig] of [...Object.entries(providers || {}), ...Object.entries(defaults)]) {
+            const type = this.typeOf(id, providerConfig);
+            const definition = this.get(type);
+            if (!definition || seen.has(id)) continue;
+            seen.add(id);
+
+            const values = {};
+            for (const field of definition.fields) {
+                values[field.key] = providerConfig[field.key] ?? field.default ?? null;
+            }
+            entries.push({
+                id,
+                type,
+                enabled: providerConfig.enabled === true,
+                name: providerConfig.name || definition.name,
+                values
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Turn the settings modal's entries back into saved providers
+     * New instances of multi-instance types get an id from their name. Saved
+     * providers of types that aren't registered are kept as they are.
+     * @param {Array<Object>} entries - { id, type, enabled, name, values }
+     * @param {Object} existing - Providers saved before, keyed by id
+     * @returns {Object} { providers, errors }
+     */
+    fromSettingsEntries(entries = [], existing = {}) {
+        const providers = {};
+        const errors = [];
+
+        for (const [id, providerConfig] of Object.entries(existing || {})) {
+            if (!this.has(this.typeOf(id, providerConfig))) {
+                providers[id] = providerConfig;
+            }
+        }
+
+        const takenIds = () => [...this.definitions.keys(), ...Object.keys(providers)];
+        for (const entry of entries) {
+            const definition = this.get(entry.type);
+            if (!definition) {
+                errors.push(`Unknown provider: ${entry.type}`);
+                continue;
+            }
+
+            const name = String(entry.name || '').trim() || definition.name;
+            const { config, errors: fieldErrors } = this.normalizeConfig(entry.type, entry.values, { enabled: entry.enabled });
+            errors.push(...fieldErrors.map(error => `${name}: ${error}`));
+
+            let id = definition.multipleInstances ? entry.id : definition.id;
+            if (!id) {
+                id = toProviderId(name, takenIds(), definition.id);
+            }
+            providers[id] = {
+                type: definition.id,
+                enabled: entry.enabled === true,
+                name,
+                ...definition.fixed,
+                ...config,
+                encryptedFields: this.getSecretKeys(definition.id)
+            };
+        }
+        return { providers, errors };
+    }
+
+    /**
+     * Load provider plugins from a folder
+     * Each .js file (or folder with an index.js) exports a definition, or a
+     * function that is called with { BaseProvider, readServerSentEvents,
+     * readNdjson } and returns one. A plugin that fails to load is skipped and
+     * its error kept in pluginErrors; files already loaded are skipped.
+     * @param {string} directory - Plugins folder; it doesn't have to exist
+     * @returns {Object} { loaded, errors } with the type ids added and { file, error } per failure
+     */
+    loadPlugins(directory) {
+        const loaded = [];
+        const errors = [];
+        let names;
+        try {
+            names = fs.readdirSync(directory);
+        } catch (error) {
+            return { loaded, errors };
+        }
+
+        const { BaseProvider } = require('./BaseProvider.js');
+        const { readServerSentEvents, readNdjson } = require('./StreamReader.js');
+        for (const name of names.sort()) {
+            const file = path.join(directory, name);
+            const entry = name.endsWith('.js') ? file : path.join(file, 'index.js');
+            if (this.loadedPlugins.has(entry) || !fs.existsSync(entry) || fs.statSync(entry).isDirectory()) {
+                continue;
+            }
+            this.loadedPlugins.add(entry);
+
+            try {
+                const exported = require(entry);
+                const definition = typeof exported === 'function'
+                    ? exported({ BaseProvider, readServerSentEvents, readNdjson })
+                    : exported;
+                this.register(definition, { plugin: entry });
+                loaded.push(definition.id);
+                console.log(`Loaded provider plugin ${definition.id} from ${entry}`);
+            } catch (error) {
+                console.error(`Failed to load provider plugin ${entry}:`, error);
+                errors.push({ file: name, error: error.message });
+            }
+        }
+
+        this.pluginErrors.push(...errors);
+        return { loaded, errors };
+    }
+}
+
+module.exports = { ProviderRegistry, toProviderId, FIELD_TYPES };
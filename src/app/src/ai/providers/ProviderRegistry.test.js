@@ -0,0 +1,233 @@
+/**
+ * ProviderRegistry.test.js
+ *
+ * Unit tests for provider types, their config schema and provider plugins
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderRegistry, toProviderId } = require('./ProviderRegistry');
+const { providerRegistry, BaseProvider, OllamaProvider, OpenAICompatibleProvider } = require('./index');
+const { AIService } = require('../AIService');
+const { ConfigManager } = require('../ConfigManager');
+
+class EchoProvider extends BaseProvider {
+  async makeCompletion(messages) {
+    return `${this.config.prefix}${messages[messages.length - 1].content}`;
+  }
+
+  async getAvailableModels() {
+    return [{ id: 'echo-1' }, { id: 'echo-2', name: 'Echo 2' }];
+  }
+}
+
+const echoDefinition = {
+  id: 'echo',
+  name: 'Echo',
+  ProviderClass: EchoProvider,
+  capabilities: { modelListing: true },
+  fields: [
+    { key: 'token', label: 'Token', type: 'password', required: true, secret: true },
+    { key: 'prefix', label: 'Prefix', type: 'text', default: '> ' },
+    { key: 'timeout', label: 'Timeout (seconds)', type: 'number', default: 10000, scale: 1000, min: 1, max: 60 }
+  ]
+};
+
+describe('ProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+    registry.register(echoDefinition);
+  });
+
+  test('should pick unused provider ids from names', () => {
+    expect(toProviderId('LM Studio', ['openrouter', 'ollama'])).toBe('lm-studio');
+    expect(toProviderId('LM Studio', ['lm-studio', 'lm-studio-2'])).toBe('lm-studio-3');
+    expect(toProviderId('  ', [], 'openai-compatible')).toBe('openai-compatible');
+  });
+
+  test('should register the built-in providers with their capabilities', () => {
+    expect(providerRegistry.describe().map(type => type.id)).toEqual(['openrouter', 'ollama', 'anthropic', 'openai-compatible']);
+    expect(providerRegistry.get('openai-compatible').multipleInstances).toBe(true);
+    expect(providerRegistry.get('ollama').capabilities).toEqual({ streaming: true, embeddings: false, modelListing: true });
+    expect(providerRegistry.create('ollama', { endpoint: 'http://localhost:11434' })).toBeInstanceOf(OllamaProvider);
+  });
+
+  test('should reject invalid and duplicate definitions', () => {
+    expect(() => registry.register({ id: 'Bad Id', name: '', ProviderClass: null, fields: [{ key: 'x', type: 'color' }] }))
+      .toThrow(/id must be lowercase.*name is required.*ProviderClass.*unknown type "color"/);
+    expect(() => registry.register(echoDefinition)).toThrow('Provider type echo is already registered');
+  });
+
+  test('should describe provider types without their classes', () => {
+    const [echo] = registry.describe();
+
+    expect(echo).toMatchObject({ id: 'echo', name: 'Echo', multipleInstances: false, plugin: null });
+    expect(echo.capabilities).toEqual({ streaming: false, embeddings: false, modelListing: true });
+    expect(echo).not.toHaveProperty('ProviderClass');
+    expect(JSON.parse(JSON.stringify(echo))).toEqual(echo);
+  });
+
+  test('should check form values against the fields', () => {
+    expect(registry.normalizeConfig('echo', { token: ' abc ', timeout: '30000' })).toEqual({
+      config: { token: 'abc', prefix: '> ', timeout: 30000 },
+      errors: []
+    });
+    expect(registry.normalizeConfig('echo', { timeout: 'soon' }).errors)
+      .toEqual(['Token is required', 'Timeout (seconds) must be a number']);
+    expect(registry.normalizeConfig('echo', { token: 'abc', timeout: 120000 }).errors)
+      .toEqual(['Timeout (seconds) must be between 1 and 60']);
+    expect(registry.normalizeConfig('echo', {}, { enabled: false }).errors).toEqual([]);
+    expect(registry.normalizeConfig('missing', {}).errors).toEqual(['Unknown provider: missing']);
+  });
+
+  test('should turn saved providers into settings entries and back', () => {
+    const saved = {
+      echo: { type: 'echo', enabled: true, name: 'Echo', token: 'abc', prefix: '#', timeout: 5000 },
+      removed: { type: 'gone-plugin', enabled: true, secret: 'kept' }
+    };
+
+    const entries = registry.toSettingsEntries(saved);
+    expect(entries).toEqual([
+      { id: 'echo', type: 'echo', enabled: true, name: 'Echo', values: { token: 'abc', prefix: '#', timeout: 5000 } }
+    ]);
+
+    const { providers, errors } = registry.fromSettingsEntries(entries, saved);
+    expect(errors).toEqual([]);
+    expect(providers.removed).toEqual(saved.removed);
+    expect(providers.echo).toEqual({ ...saved.echo, encryptedFields: ['token'] });
+  });
+
+  test('should give new instances of multi-instance types their own ids', () => {
+    const entries = [
+      { type: 'openai-compatible', enabled: true, name: 'LM Studio', values: { endpoint: 'http://localhost:1234/v1' } },
+      { type: 'openai-compatible', enabled: true, name: 'LM Studio', values: { endpoint: 'http://localhost:1235/v1' } },
+      { type: 'openai-compatible', enabled: true, name: 'vLLM', values: {} }
+    ];
+
+    const { providers, errors } = providerRegistry.fromSettingsEntries(entries, {});
+
+    expect(Object.keys(providers)).toEqual(['lm-studio', 'lm-studio-2', 'vllm']);
+    expect(providers['lm-studio-2']).toMatchObject({ type: 'openai-compatible', endpoint: 'http://localhost:1235/v1', headers: {}, timeout: 60000 });
+    expect(errors).toEqual(['vLLM: Base URL is required']);
+  });
+
+  test('should list models as options', async () => {
+    expect(await registry.listModels('echo', {})).toEqual([
+      { id: 'echo-1', label: 'echo-1' },
+      { id: 'echo-2', label: 'Echo 2' }
+    ]);
+
+    const openrouter = providerRegistry.get('openrouter');
+    const models = [
+      { id: 'free', name: 'Free', pricing: { prompt: '0', completion: '0' } },
+      { id: 'paid', name: 'Paid', pricing: { prompt: '0.01', completion: '0.02' } }
+    ];
+    expect(openrouter.toModelOptions(models, { freeModelsOnly: true })).toEqual([{ id: 'free', label: 'Free' }]);
+    expect(openrouter.toModelOptions(models, { freeModelsOnly: false })[1]).toEqual({ id: 'paid', label: 'Paid ($0.01/$0.02)' });
+  });
+
+  test('should let the AI service create providers of any registered type', async () => {
+    const service = new AIService(registry);
+    await service.initialize({
+      defaultProvider: 'echo',
+      providers: { echo: { type: 'echo', enabled: true, prefix: '> ' }, other: { type: 'gone-plugin', enabled: true } },
+      generation: {}
+    });
+
+    expect(service.getAvailableProviders()).toEqual(['echo']);
+    expect(service.getProviderCapabilities('echo')).toEqual({ streaming: false, embeddings: false, modelListing: true });
+    expect(await service.runMessages([{ role: 'user', content: 'hi' }])).toBe('> hi');
+  });
+
+  test('should register providers saved before they had a type by their id', async () => {
+    const service = new AIService();
+    await service.initialize({ providers: { ollama: { enabled: true, endpoint: 'http://localhost:11434/api/chat' } } });
+
+    expect(service.getProvider('ollama')).toBeInstanceOf(OllamaProvider);
+  });
+
+  describe('plugins', () => {
+    let pluginDir;
+
+    beforeEach(() => {
+      pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-plugins-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(pluginDir, { recursive: true, force: true });
+    });
+
+    test('should load plugin definitions and factories from a folder', () => {
+      fs.writeFileSync(path.join(pluginDir, 'shout.js'), `
+        module.exports = ({ BaseProvider }) => {
+          class ShoutProvider extends BaseProvider {
+            async makeCompletion(messages) { return messages[0].content.toUpperCase(); }
+          }
+          return { id: 'shout', name: 'Shout', ProviderClass: ShoutProvider, fields: [] };
+        };`);
+      fs.mkdirSync(path.join(pluginDir, 'whisper'));
+      fs.writeFileSync(path.join(pluginDir, 'whisper', 'index.js'), `
+        const { BaseProvider } = require(${JSON.stringify(require.resolve('./BaseProvider'))});
+        class WhisperProvider extends BaseProvider {
+          async makeCompletion(messages) { return messages[0].content.toLowerCase(); }
+        }
+        module.exports = { id: 'whisper', name: 'Whisper', ProviderClass: WhisperProvider, fields: [] };`);
+      fs.writeFileSync(path.join(pluginDir, 'notes.txt'), 'not a plugin');
+
+      expect(registry.loadPlugins(pluginDir)).toEqual({ loaded: ['shout', 'whisper'], errors: [] });
+      expect(registry.describe().find(type => type.id === 'shout').plugin).toBe('shout.js');
+      expect(registry.create('whisper', {})).toBeInstanceOf(BaseProvider);
+
+      // Files already loaded are skipped
+      expect(registry.loadPlugins(pluginDir)).toEqual({ loaded: [], errors: [] });
+    });
+
+    test('should skip plugins that fail or take a registered id', () => {
+      fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'throw new Error("broken plugin");');
+      fs.writeFileSync(path.join(pluginDir, 'clash.js'), `
+        module.exports = ({ BaseProvider }) => ({ id: 'echo', name: 'Clash', ProviderClass: class extends BaseProvider {}, fields: [] });`);
+
+      const result = registry.loadPlugins(pluginDir);
+
+      expect(result.loaded).toEqual([]);
+      expect(result.errors).toEqual([
+        { file: 'broken.js', error: 'broken plugin' },
+        { file: 'clash.js', error: 'Provider type echo is already registered' }
+      ]);
+      expect(registry.pluginErrors).toEqual(result.errors);
+      expect(registry.get('echo').name).toBe('Echo');
+    });
+
+    test('should ignore a plugins folder that does not exist', () => {
+      expect(registry.loadPlugins(path.join(pluginDir, 'missing'))).toEqual({ loaded: [], errors: [] });
+    });
+  });
+
+  test('should store secret fields encrypted', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-config-'));
+    try {
+      const configManager = new ConfigManager();
+      await configManager.initialize(dataDir);
+      const config = await configManager.loadConfig();
+      config.ai.providers = registry.fromSettingsEntries([
+        { type: 'echo', enabled: true, name: 'Echo', values: { token: 'echo-secret' } }
+      ]).providers;
+
+      await configManager.saveConfig(config);
+
+      expect(fs.readFileSync(path.join(dataDir, 'ai-config.json'), 'utf8')).not.toContain('echo-secret');
+      expect((await configManager.getProviderConfig('echo')).token).toBe('echo-secret');
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should create OpenAI-compatible servers from their saved config', () => {
+    const provider = providerRegistry.create('openai-compatible', { endpoint: 'http://localhost:1234/v1', headers: { 'X-Test': '1' } });
+
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.buildHeaders()['X-Test']).toBe('1');
+  });
+});
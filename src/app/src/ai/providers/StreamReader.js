@@ -0,0 +1,73 @@
+/**
+ * Stream Reader
+ * Reads streamed completion bodies as they arrive.
+ *
+ * Ollama streams NDJSON: one JSON object per line. OpenRouter (like other
+ * OpenAI-compatible APIs) streams server-sent events: `data: ...` lines, with
+ * a blank line after each event and `:` lines as keep-alive comments.
+ */
+
+/**
+ * Read a streamed body line by line
+ * Lines may be split across network chunks, and so may multi-byte characters.
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<string>} Lines without their line endings
+ */
+async function* readLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            yield line.replace(/\r$/, '');
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+        yield buffer.replace(/\r$/, '');
+    }
+}
+
+/**
+ * Read a newline-delimited JSON body
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<Object>} Parsed objects
+ */
+async function* readNdjson(body) {
+    for await (const line of readLines(body)) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/**
+ * Read a server-sent events body
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<string>} The data of each event, with multi-line data joined by newlines
+ */
+async function* readServerSentEvents(body) {
+    let data = [];
+
+    for await (const line of readLines(body)) {
+        if (line === '') {
+            if (data.length > 0) {
+                yield data.join('\n');
+                data = [];
+            }
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+        }
+        // Comments (":") and other fields (event, id, retry) aren't used
+    }
+
+    if (data.length > 0) {
+        yield data.join('\n');
+    }
+}
+
+module.exports = { readLines, readNdjson, readServerSentEvents };
@@ -0,0 +1,121 @@
+/**
+ * StreamReader.test.js
+ *
+ * Unit tests for reading streamed completion bodies, and for streaming and
+ * cancelling requests against a local server
+ */
+const http = require('http');
+const { readLines, readNdjson, readServerSentEvents } = require('./StreamReader');
+const { OllamaProvider } = require('./OllamaProvider');
+const { OpenRouterProvider } = require('./OpenRouterProvider');
+
+const bytes = (...parts) => parts.map(part => Buffer.from(part));
+
+async function collect(generator) {
+  const items = [];
+  for await (const item of generator) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('StreamReader', () => {
+  test('should join lines split across chunks, including multi-byte characters', async () => {
+    const euro = Buffer.from('€');
+    const chunks = [Buffer.from('one\r\ntw'), Buffer.from('o '), euro.subarray(0, 1), Buffer.concat([euro.subarray(1), Buffer.from('\nthree')])];
+
+    expect(await collect(readLines(chunks))).toEqual(['one', 'two €', 'three']);
+  });
+
+  test('should read NDJSON objects and skip blank lines', async () => {
+    expect(await collect(readNdjson(bytes('{"a":1}\n\n{"b"', ':2}\n'))))
+      .toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('should read server-sent event data and ignore comments', async () => {
+    const body = bytes(': OPENROUTER PROCESSING\n\n', 'data: {"x":1}\n\nevent: message\ndata: line 1\n', 'data: line 2\n\ndata: [DONE]');
+
+    expect(await collect(readServerSentEvents(body))).toEqual(['{"x":1}', 'line 1\nline 2', '[DONE]']);
+  });
+
+  describe('streaming providers', () => {
+    let server;
+    let baseUrl;
+    let respond;
+
+    beforeAll(async () => {
+      server = http.createServer((request, response) => respond(request, response));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should stream Ollama chunks as they arrive', async () => {
+      let requestBody;
+      respond = (request, response) => {
+        let body = '';
+        request.on('data', data => { body += data; });
+        request.on('end', () => {
+          requestBody = JSON.parse(body);
+          response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+          response.write('{"message":{"content":"Hel"},"done":false}\n{"message":{"content":"lo"},');
+          response.end('"done":false}\n{"message":{"content":""},"done":true,"prompt_eval_count":7,"eval_count":2}\n');
+        });
+      };
+      const provider = new OllamaProvider({ name: 'Ollama', endpoint: `${baseUrl}/api/chat`, model: 'llama3', maxRetries: 0 });
+      const chunks = [];
+      const onUsage = jest.fn();
+
+      const text = await provider.makeCompletion([{ role: 'user', content: 'Hi' }], { onChunk: chunk => chunks.push(chunk), onUsage });
+
+      expect(requestBody.stream).toBe(true);
+      expect(chunks).toEqual(['Hel', 'lo']);
+      expect(text).toBe('Hello');
+      expect(onUsage).toHaveBeenCalledWith({ promptTokens: 7, completionTokens: 2, cost: 0 });
+    });
+
+    test('should stream OpenRouter events and stop at [DONE]', async () => {
+      respond = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        response.write(': OPENROUTER PROCESSING\n\n');
+        response.write('data: {"choices":[{"delta":{"content":"Bon"}}]}\n\n');
+        response.write('data: {"choices":[{"delta":{"content":"jour"}}]}\n\n');
+        response.end('data: {"choices":[],"usage":{"prompt_tokens":9,"completion_tokens":2,"cost":0.00042}}\n\ndata: [DONE]\n\n');
+      };
+      const provider = new OpenRouterProvider({ name: 'OpenRouter', endpoint: `${baseUrl}/chat`, model: 'm', apiKey: 'key', maxRetries: 0 });
+      const chunks = [];
+      const onUsage = jest.fn();
+
+      const text = await provider.makeCompletion([{ role: 'user', content: 'Hi' }], { onChunk: chunk => chunks.push(chunk), onUsage });
+
+      expect(chunks).toEqual(['Bon', 'jour']);
+      expect(text).toBe('Bonjour');
+      expect(onUsage).toHaveBeenCalledWith({ promptTokens: 9, completionTokens: 2, cost: 0.00042 });
+    });
+
+    test('should stop reading when the request is cancelled, without retrying', async () => {
+      let requests = 0;
+      respond = (request, response) => {
+        requests++;
+        response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        response.write('{"message":{"content":"partial"},"done":false}\n');
+        // Never ends on its own
+      };
+      const provider = new OllamaProvider({ name: 'Ollama', endpoint: `${baseUrl}/api/chat`, model: 'llama3', maxRetries: 2 });
+      const controller = new AbortController();
+
+      const completion = provider.makeCompletion([{ role: 'user', content: 'Hi' }], {
+        signal: controller.signal,
+        onChunk: () => controller.abort()
+      });
+
+      await expect(completion).rejects.toThrow();
+      expect(controller.signal.aborted).toBe(true);
+      expect(requests).toBe(1);
+    });
+  });
+});
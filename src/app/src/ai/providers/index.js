@@ -0,0 +1,142 @@
+/**
+ * Providers Module Index
+ * Exports the provider classes and a registry with the built-in provider types
+ */
+const { BaseProvider } = require('./BaseProvider.js');
+const { OpenRouterProvider } = require('./OpenRouterProvider.js');
+const { OllamaProvider } = require('./OllamaProvider.js');
+const { AnthropicProvider } = require('./AnthropicProvider.js');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider.js');
+const { ProviderRegistry, toProviderId } = require('./ProviderRegistry.js');
+
+// Fields most providers share
+const timeoutField = (seconds) => ({
+    key: 'timeout', label: 'Timeout (seconds)', type: 'number', default: seconds * 1000, scale: 1000, min: 5, max: 300
+});
+const retriesField = (retries) => ({
+    key: 'maxRetries', label: 'Max Retries', type: 'number', default: retries, min: 0, max: 5
+});
+// What the request middleware's redaction does with secrets and personal data sent to the provider
+const sensitiveDataField = (policy) => ({
+    key: 'sensitiveData',
+    label: 'Secrets and personal data',
+    type: 'select',
+    default: policy,
+    options: [
+        { value: 'redact', label: 'Replace with placeholders before sending' },
+        { value: 'block', label: 'Don\'t send requests that contain them' },
+        { value: 'off', label: 'Send as written' }
+    ],
+    help: 'API keys, email addresses, phone numbers and the custom patterns under Request processing'
+});
+
+/**
+ * Whether an OpenRouter model costs nothing to prompt or to complete
+ * @param {Object} model - Model from OpenRouter's /models
+ * @returns {boolean}
+ */
+function isFreeModel(model) {
+    return Boolean(model.pricing) && [model.pricing.prompt, model.pricing.completion].some(price => Number(price) === 0);
+}
+
+const BUILT_IN_PROVIDERS = [
+    {
+        id: 'openrouter',
+        name: 'OpenRouter',
+        description: 'Cloud AI Models',
+        icon: '🌐',
+        ProviderClass: OpenRouterProvider,
+        capabilities: { streaming: true, embeddings: false, modelListing: true },
+        fixed: { endpoint: 'https://openrouter.ai/api/v1/chat/completions' },
+        fields: [
+            { key: 'apiKey', label: 'API Key', type: 'password', required: true, secret: true, placeholder: 'Enter your OpenRouter API key', help: 'Get your API key from openrouter.ai' },
+            { key: 'model', label: 'Model', type: 'model', default: 'anthropic/claude-3.5-sonnet' },
+            { key: 'freeModelsOnly', label: 'Show free models only', type: 'checkbox', default: true },
+            timeoutField(30),
+            retriesField(2),
+            sensitiveDataField('redact')
+        ],
+        toModelOptions(models, config) {
+            const free = config.freeModelsOnly === true;
+            return models
+                .filter(model => !free || isFreeModel(model))
+                .map(model => ({
+                    id: model.id,
+                    label: `${model.name || model.id}${model.pricing && !free ? ` ($${model.pricing.prompt}/$${model.pricing.completion})` : ''}`
+                }));
+        }
+    },
+    {
+        id: 'ollama',
+        name: 'Ollama',
+        description: 'Local AI Models',
+        icon: '🦙',
+        ProviderClass: OllamaProvider,
+        capabilities: { streaming: true, embeddings: false, modelListing: true },
+        fields: [
+            { key: 'endpoint', label: 'Endpoint URL', type: 'url', default: 'http://localhost:11434', required: true, help: 'Make sure Ollama is running locally' },
+            { key: 'model', label: 'Model', type: 'model', default: 'llama3.1:8b' },
+            timeoutField(60),
+            retriesField(1),
+            // Runs on this machine
+            sensitiveDataField('off')
+        ],
+        toModelOptions(models) {
+            return models.map(model => ({ id: model.name, label: model.name }));
+        }
+    },
+    {
+        id: 'anthropic',
+        name: 'Anthropic',
+        description: 'Claude Models',
+        icon: '✳️',
+        ProviderClass: AnthropicProvider,
+        capabilities: { streaming: true, embeddings: false, modelListing: true },
+        fixed: { endpoint: 'https://api.anthropic.com/v1/messages' },
+        fields: [
+            { key: 'apiKey', label: 'API Key', type: 'password', required: true, secret: true, placeholder: 'Enter your Anthropic API key', help: 'Get your API key from console.anthropic.com' },
+            { key: 'model', label: 'Model', type: 'model', default: 'claude-3-5-sonnet-latest' },
+            timeoutField(60),
+            retriesField(2),
+            sensitiveDataField('redact')
+        ],
+        toModelOptions(models) {
+            return models.map(model => ({ id: model.id, label: model.display_name || model.id }));
+        }
+    },
+    {
+        id: 'openai-compatible',
+        name: 'OpenAI-compatible',
+        description: 'LM Studio, vLLM, llama.cpp',
+        help: 'Any server with the OpenAI /v1/chat/completions and /v1/models API. Each server becomes a provider of its own.',
+        icon: '🔌',
+        ProviderClass: OpenAICompatibleProvider,
+        multipleInstances: true,
+        capabilities: { streaming: true, embeddings: false, modelListing: true },
+        fields: [
+            { key: 'endpoint', label: 'Base URL', type: 'url', required: true, placeholder: 'http://localhost:1234/v1' },
+            { key: 'apiKey', label: 'API Key (optional)', type: 'password', secret: true, placeholder: 'Leave empty if the server doesn\'t need one' },
+            { key: 'model', label: 'Model', type: 'model', placeholder: 'Model id' },
+            { key: 'headers', label: 'Custom Headers', type: 'headers', placeholder: 'One per line, e.g. X-Api-Version: 2' },
+            timeoutField(60),
+            retriesField(1),
+            // Usually a server on this machine or network; switch it on for hosted ones
+            sensitiveDataField('off')
+        ]
+    }
+];
+
+// Export a singleton registry with the built-in providers registered
+const providerRegistry = new ProviderRegistry();
+BUILT_IN_PROVIDERS.forEach(definition => providerRegistry.register(definition));
+
+module.exports = {
+    BaseProvider,
+    OpenRouterProvider,
+    OllamaProvider,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    ProviderRegistry,
+    toProviderId,
+    providerRegistry
+};
@@ -0,0 +1,378 @@
+/**
+ * Backup Manager
+ * Scheduled snapshots of the whole library (every prompt version, tags and
+ * tag links) written to the backups folder in the userData directory.
+ * Old snapshots are rotated out, keeping the newest snapshot of each of the
+ * last few days and weeks. Safety copies taken before a restore are rotated
+ * separately, so a later backup on the same day never replaces one.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { BASE_SCHEMA_VERSION } = require('./migrations.js');
+
+const BACKUP_FILE_PATTERN = /^backup-[\w-]+\.json$/;
+
+// How many of the safety copies taken before a restore to keep
+const KEEP_PRE_RESTORE = 5;
+
+// How often to check whether a scheduled backup is due
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    intervalHours: 24,
+    keepDaily: 7,
+    keepWeekly: 4
+};
+
+/**
+ * Get the calendar day a date falls on
+ * @param {Date} date - Date to bucket
+ * @returns {string} Local calendar date key
+ */
+function dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Get the week a date falls in
+ * @param {Date} date - Date to bucket
+ * @returns {string} Local date of the Monday starting the week
+ */
+function weekKey(date) {
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return dayKey(monday);
+}
+
+/**
+ * Decide which backups survive rotation
+ * Keeps the newest backup of each of the last `keepDaily` days and of each of
+ * the last `keepWeekly` weeks that have backups. The newest backup is always kept.
+ * Pre-restore backups don't count towards the days and weeks; the newest
+ * KEEP_PRE_RESTORE of them are kept.
+ * @param {Array<Object>} backups - Backup summaries with createdAt
+ * @param {Object} settings - Retention settings (keepDaily, keepWeekly)
+ * @returns {Set<string>} File names to keep
+ */
+function selectBackupsToKeep(backups, settings) {
+    const newestFirst = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const keep = new Set();
+    const days = new Set();
+    const weeks = new Set();
+
+    if (newestFirst.length > 0) {
+        keep.add(newestFirst[0].fileName);
+    }
+
+    newestFirst
+        .filter(backup => backup.reason === 'pre-restore')
+        .slice(0, KEEP_PRE_RESTORE)
+        .forEach(backup => keep.add(backup.fileName));
+
+    for (const backup of newestFirst.filter(backup => backup.reason !== 'pre-restore')) {
+        const createdAt = new Date(backup.createdAt);
+
+        const day = dayKey(createdAt);
+        if (!days.has(day) && days.size < settings.keepDaily) {
+            days.add(day);
+            keep.add(backup.fileName);
+        }
+
+        const week = weekKey(createdAt);
+        if (!weeks.has(week) && weeks.size < settings.keepWeekly) {
+            weeks.add(week);
+            keep.add(backup.fileName);
+        }
+    }
+
+    return keep;
+}
+
+class BackupManager {
+    /**
+     * @param {LibraryStore} store - Library to back up
+     * @param {LibraryRepository} repository - Used to merge backups into the library
+     */
+    constructor(store, repository) {
+        this.store = store;
+        this.repository = repository;
+        this.backupDir = null;
+        this.settingsPath = null;
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.timer = null;
+    }
+
+    /**
+     * Initialize the backup folder and load settings
+     * @param {string} dataDir - Application data directory
+     */
+    async initialize(dataDir) {
+        this.backupDir = path.join(dataDir, 'backups');
+        this.settingsPath = path.join(dataDir, 'backup-config.json');
+        await fs.mkdir(this.backupDir, { recursive: true });
+        this.settings = await this.loadSettings();
+    }
+
+    /**
+     * Load backup settings, falling back to defaults
+     * @returns {Promise<Object>} Settings
+     */
+    async loadSettings() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            return { ...DEFAULT_SETTINGS, ...saved };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load backup settings, using defaults:', error);
+            }
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Update and save backup settings
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object>} Saved settings
+     */
+    async saveSettings(changes) {
+        const settings = { ...this.settings, ...changes };
+
+        for (const key of ['intervalHours', 'keepDaily', 'keepWeekly']) {
+            const value = Number(settings[key]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${key} must be a whole number of 0 or more`);
+            }
+            settings[key] = value;
+        }
+        if (settings.intervalHours < 1) {
+            throw new Error('intervalHours must be at least 1');
+        }
+        settings.enabled = Boolean(settings.enabled);
+
+        await fs.writeFile(this.settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+        this.settings = settings;
+        console.log('Backup settings saved:', settings);
+
+        await this.applyRetention();
+        return settings;
+    }
+
+    /**
+     * Start scheduled backups
+     * Runs a check immediately and then every hour.
+     * @returns {Promise<Object|null>} Backup created by the first check, if any
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => {
+            this.runScheduledBackup().catch(error => console.error('Scheduled backup failed:', error));
+        }, CHECK_INTERVAL_MS);
+        this.timer.unref?.();
+
+        return this.runScheduledBackup();
+    }
+
+    /**
+     * Stop scheduled backups
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Create a backup if one is due
+     * @returns {Promise<Object|null>} Created backup summary, or null if none was due
+     */
+    async runScheduledBackup() {
+        if (!this.settings.enabled) {
+            return null;
+        }
+
+        const [latest] = await this.listBackups();
+        const intervalMs = this.settings.intervalHours * 60 * 60 * 1000;
+        if (latest && Date.now() - new Date(latest.createdAt).getTime() < intervalMs) {
+            return null;
+        }
+
+        return await this.createBackup('scheduled');
+    }
+
+    /**
+     * Write a snapshot of the library
+     * @param {string} reason - Why the backup was taken (scheduled, manual, pre-restore)
+     * @param {Object} options - { rotate: false } to leave older backups alone
+     * @returns {Promise<Object>} Backup summary
+     */
+    async createBackup(reason = 'manual', { rotate = true } = {}) {
+        const snapshot = this.store.serialize();
+        const createdAt = new Date();
+        const baseName = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+        let fileName = `${baseName}.json`;
+        // Backups taken in the same millisecond, such as a safety copy and the next backup, mustn't overwrite each other
+        for (let suffix = 1; await this.backupExists(fileName); suffix++) {
+            fileName = `${baseName}-${suffix}.json`;
+        }
+
+        const counts = {};
+        for (const [table, rows] of Object.entries(snapshot.tables)) {
+            counts[table] = rows.length;
+        }
+
+        const backup = {
+            backup: { createdAt: createdAt.toISOString(), reason, counts },
+            ...snapshot
+        };
+
+        const filePath = path.join(this.backupDir, fileName);
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(backup, null, 2), 'utf8');
+        await fs.rename(tempPath, filePath);
+        console.log(`Library backup created (${reason}):`, filePath);
+
+        if (rotate) {
+            await this.applyRetention();
+        }
+        return { fileName, ...backup.backup };
+    }
+
+    /**
+     * Check whether a backup file already exists
+     * @param {string} fileName - Backup file name
+     * @returns {Promise<boolean>}
+     */
+    async backupExists(fileName) {
+        try {
+            await fs.access(path.join(this.backupDir, fileName));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * List available backups
+     * @returns {Promise<Array<Object>>} Backup summaries, newest first
+     */
+    async listBackups() {
+        const fileNames = (await fs.readdir(this.backupDir)).filter(name => BACKUP_FILE_PATTERN.test(name));
+        const backups = [];
+
+        for (const fileName of fileNames) {
+            try {
+                const contents = JSON.parse(await fs.readFile(path.join(this.backupDir, fileName), 'utf8'));
+                backups.push({ fileName, ...contents.backup });
+            } catch (error) {
+                console.error(`Skipping unreadable backup ${fileName}:`, error.message);
+            }
+        }
+
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Delete backups that fall outside the retention settings
+     * @returns {Promise<Array<string>>} Deleted file names
+     */
+    async applyRetention() {
+        const backups = await this.listBackups();
+        const keep = selectBackupsToKeep(backups, this.settings);
+        const deleted = [];
+
+        for (const backup of backups) {
+            if (!keep.has(backup.fileName)) {
+                await fs.unlink(path.join(this.backupDir, backup.fileName));
+                deleted.push(backup.fileName);
+            }
+        }
+
+        if (deleted.length > 0) {
+            console.log(`Rotated out ${deleted.length} old backup(s)`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Read a backup and bring it up to the current schema version
+     * @param {string} fileName - Backup file name (as returned by listBackups)
+     * @returns {Promise<Object>} Library data
+     */
+    async readBackup(fileName) {
+        if (!BACKUP_FILE_PATTERN.test(fileName)) {
+            throw new Error(`Invalid backup name: ${fileName}`);
+        }
+
+        const contents = JSON.parse(await fs.readFile(path.join(this.backupDir, fileName), 'utf8'));
+        const { data } = await this.store.migrator.migrate(contents, contents.schemaVersion || BASE_SCHEMA_VERSION);
+        return data;
+    }
+
+    /**
+     * Summarize what a backup contains
+     * @param {string} fileName - Backup file name
+     * @returns {Promise<Object>} { backup, prompts, tags } where prompts lists the latest version of each family
+     */
+    async previewBackup(fileName) {
+        const data = await this.readBackup(fileName);
+        const { prompts, tags, promptTags } = data.tables;
+
+        const tagPaths = new Map(tags.map(tag => [tag.id, tag.fullPath]));
+        const versionCounts = new Map();
+        for (const prompt of prompts) {
+            const familyId = prompt.parentId || prompt.id;
+            versionCounts.set(familyId, (versionCounts.get(familyId) || 0) + 1);
+        }
+
+        const latest = prompts
+            .filter(prompt => prompt.isLatest)
+            .map(prompt => ({
+                title: prompt.title,
+                version: prompt.version,
+                versions: versionCounts.get(prompt.parentId || prompt.id),
+                createdAt: prompt.createdAt,
+                tags: promptTags
+                    .filter(link => link.promptId === prompt.id)
+                    .map(link => tagPaths.get(link.tagId))
+                    .filter(Boolean)
+            }))
+            .sort((a, b) => String(a.title).localeCompare(String(b.title)));
+
+        return {
+            backup: { fileName, ...data.backup },
+            prompts: latest,
+            tags: tags.map(tag => tag.fullPath).sort()
+        };
+    }
+
+    /**
+     * Restore a backup into the library
+     * A 'pre-restore' backup of the current library is taken first.
+     * @param {string} fileName - Backup file name
+     * @param {string} mode - 'replace' to swap in the backup, 'merge' to add missing prompts
+     * @returns {Promise<Object>} Restore result
+     */
+    async restoreBackup(fileName, mode) {
+        if (mode !== 'replace' && mode !== 'merge') {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+
+        const data = await this.readBackup(fileName);
+        // Don't rotate here: the backup being restored may be today's only other copy
+        const safetyBackup = await this.createBackup('pre-restore', { rotate: false });
+
+        if (mode === 'replace') {
+            await this.store.replaceAll(data);
+            console.log('Library replaced from backup:', fileName);
+            return { success: true, mode, safetyBackup: safetyBackup.fileName, counts: this.store.getStatus().counts };
+        }
+
+        const merged = await this.repository.mergeTables(data.tables);
+        console.log('Backup merged into library:', fileName, merged);
+        return { success: true, mode, safetyBackup: safetyBackup.fileName, ...merged };
+    }
+}
+
+module.exports = { BackupManager, selectBackupsToKeep, DEFAULT_SETTINGS };
@@ -0,0 +1,201 @@
+/**
+ * BackupManager.test.js
+ *
+ * Unit tests for scheduled library backups, rotation and restore
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { BackupManager, selectBackupsToKeep } = require('./BackupManager');
+
+describe('BackupManager', () => {
+  let dataDir;
+  let store;
+  let repository;
+  let backups;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-manager-'));
+    store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    backups = new BackupManager(store, repository);
+    await backups.initialize(dataDir);
+  });
+
+  afterEach(() => {
+    backups.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should write a snapshot with every table', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', text: 'Review this' }, ['coding']);
+    await repository.createVersion(prompt.id, { text: 'Review this carefully' }, ['coding']);
+
+    const backup = await backups.createBackup();
+    const contents = JSON.parse(fs.readFileSync(path.join(dataDir, 'backups', backup.fileName), 'utf8'));
+
+    expect(backup).toMatchObject({ reason: 'manual', counts: { prompts: 2, tags: 1, promptTags: 1 } });
+    expect(contents.tables.prompts).toHaveLength(2);
+    expect(contents.schemaVersion).toBe(store.schemaVersion);
+  });
+
+  test('should only take a scheduled backup when one is due', async () => {
+    const first = await backups.runScheduledBackup();
+    const second = await backups.runScheduledBackup();
+
+    expect(first.reason).toBe('scheduled');
+    expect(second).toBeNull();
+  });
+
+  test('should not back up when automatic backups are disabled', async () => {
+    await backups.saveSettings({ enabled: false });
+
+    expect(await backups.runScheduledBackup()).toBeNull();
+    expect(await backups.listBackups()).toEqual([]);
+  });
+
+  test('should validate settings', async () => {
+    await expect(backups.saveSettings({ keepDaily: -1 })).rejects.toThrow('keepDaily');
+    await expect(backups.saveSettings({ intervalHours: 0 })).rejects.toThrow('at least 1');
+
+    const saved = await backups.saveSettings({ keepDaily: '3' });
+    expect(saved.keepDaily).toBe(3);
+    expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'backup-config.json'), 'utf8')).keepDaily).toBe(3);
+  });
+
+  test('should preview the latest version of each prompt', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', text: 'v1' }, ['coding/review']);
+    await repository.createVersion(prompt.id, { text: 'v2' }, ['coding/review']);
+    const backup = await backups.createBackup();
+
+    const preview = await backups.previewBackup(backup.fileName);
+
+    expect(preview.prompts).toEqual([
+      expect.objectContaining({ title: 'Review', version: 2, versions: 2, tags: ['coding/review'] })
+    ]);
+    expect(preview.tags).toEqual(['coding', 'coding/review']);
+  });
+
+  test('should reject backup names outside the backup folder', async () => {
+    await expect(backups.previewBackup('../library.json')).rejects.toThrow('Invalid backup name');
+  });
+
+  describe('restore', () => {
+    let backup;
+
+    beforeEach(async () => {
+      const prompt = await repository.createPrompt({ title: 'Kept', text: 'v1' }, ['coding']);
+      await repository.createVersion(prompt.id, { text: 'v2' }, ['coding']);
+      backup = await backups.createBackup();
+
+      await repository.deleteFamily(prompt.id);
+      await repository.createPrompt({ title: 'Newer', text: 'new' });
+    });
+
+    test('should replace the library and take a safety backup first', async () => {
+      const result = await backups.restoreBackup(backup.fileName, 'replace');
+
+      expect(result.mode).toBe('replace');
+      expect(store.query('prompts').map(p => p.title)).toEqual(['Kept', 'Kept']);
+      const safety = await backups.previewBackup(result.safetyBackup);
+      expect(safety.backup.reason).toBe('pre-restore');
+      expect(safety.prompts.map(p => p.title)).toEqual(['Newer']);
+
+      // Ids handed out before the restore are not reused
+      const next = await repository.createPrompt({ title: 'After restore', text: 'x' });
+      expect(next.id).toBe(4);
+    });
+
+    test('should merge missing prompt families with new ids', async () => {
+      const result = await backups.restoreBackup(backup.fileName, 'merge');
+
+      expect(result).toMatchObject({ families: 1, versions: 2, skipped: 0 });
+      const restored = store.query('prompts').filter(p => p.title === 'Kept');
+      const root = restored.find(p => p.version === 1);
+      const latest = restored.find(p => p.version === 2);
+      expect(latest.parentId).toBe(root.id);
+      expect(repository.getPromptTags(latest.id).map(t => t.fullPath)).toEqual(['coding']);
+      expect(store.query('prompts').some(p => p.title === 'Newer')).toBe(true);
+
+      // A second merge finds the family already present
+      const again = await backups.restoreBackup(backup.fileName, 'merge');
+      expect(again).toMatchObject({ families: 0, skipped: 1 });
+    });
+
+    test('should keep the safety backup when another backup is taken the same day', async () => {
+      const result = await backups.restoreBackup(backup.fileName, 'replace');
+      await backups.createBackup();
+      await backups.createBackup('scheduled');
+
+      expect((await backups.listBackups()).map(b => b.fileName)).toContain(result.safetyBackup);
+    });
+
+    test('should reject unknown modes', async () => {
+      await expect(backups.restoreBackup(backup.fileName, 'overwrite')).rejects.toThrow('Unknown restore mode');
+    });
+  });
+
+  describe('rotation', () => {
+    const at = (iso) => ({ fileName: `backup-${iso}.json`, createdAt: iso });
+
+    test('should keep the newest backup of each recent day and week', () => {
+      const list = [
+        at('2024-03-20T18:00:00'), at('2024-03-20T09:00:00'),
+        at('2024-03-19T12:00:00'), at('2024-03-18T12:00:00'),
+        at('2024-03-13T12:00:00'), at('2024-03-06T12:00:00'),
+        at('2024-02-01T12:00:00')
+      ];
+
+      const keep = selectBackupsToKeep(list, { keepDaily: 2, keepWeekly: 3 });
+
+      expect(Array.from(keep).sort()).toEqual([
+        'backup-2024-03-06T12:00:00.json',
+        'backup-2024-03-13T12:00:00.json',
+        'backup-2024-03-19T12:00:00.json',
+        'backup-2024-03-20T18:00:00.json'
+      ]);
+    });
+
+    test('should keep the newest pre-restore backups outside the days and weeks', () => {
+      const safety = (iso) => ({ ...at(iso), reason: 'pre-restore' });
+      const list = [
+        at('2024-03-20T18:00:00'), safety('2024-03-20T12:00:00'), at('2024-03-20T09:00:00'),
+        ...['01', '02', '03', '04', '05', '06'].map(day => safety(`2024-02-${day}T12:00:00`))
+      ];
+
+      const keep = selectBackupsToKeep(list, { keepDaily: 1, keepWeekly: 0 });
+
+      expect(Array.from(keep).sort()).toEqual([
+        'backup-2024-02-03T12:00:00.json',
+        'backup-2024-02-04T12:00:00.json',
+        'backup-2024-02-05T12:00:00.json',
+        'backup-2024-02-06T12:00:00.json',
+        'backup-2024-03-20T12:00:00.json',
+        'backup-2024-03-20T18:00:00.json'
+      ]);
+    });
+
+    test('should always keep the newest backup', () => {
+      const keep = selectBackupsToKeep([at('2024-03-20T18:00:00')], { keepDaily: 0, keepWeekly: 0 });
+
+      expect(Array.from(keep)).toEqual(['backup-2024-03-20T18:00:00.json']);
+    });
+
+    test('should delete backups outside the retention window', async () => {
+      const dir = path.join(dataDir, 'backups');
+      for (const day of ['01', '02', '03']) {
+        const createdAt = `2024-01-${day}T12:00:00.000Z`;
+        fs.writeFileSync(path.join(dir, `backup-2024-01-${day}.json`), JSON.stringify({ backup: { createdAt }, tables: {} }));
+      }
+      backups.settings = { ...backups.settings, keepDaily: 2, keepWeekly: 0 };
+
+      const deleted = await backups.applyRetention();
+
+      expect(deleted).toEqual(['backup-2024-01-01.json']);
+      expect(fs.readdirSync(dir).sort()).toEqual(['backup-2024-01-02.json', 'backup-2024-01-03.json']);
+    });
+  });
+});
@@ -0,0 +1,704 @@
+/**
+ * Folder Sync
+ * Keeps the library and a watched folder of Markdown prompt files (the format
+ * written by MarkdownFolder) in step, in both directions.
+ *
+ * Each prompt family is paired with one file. For every pair the sync state
+ * records a hash of the file as last written or read, and a hash of the
+ * prompt's content (title, description, text and tags) at that moment. On
+ * each sync the current hashes are compared with the recorded ones:
+ *   - only the file changed:    the file becomes a new version of the family
+ *   - only the prompt changed:  the file is rewritten from the latest version
+ *   - both changed:             a conflict; the app's version is written to the
+ *                               file and the file's edit is kept in .conflicts/
+ *                               until the user picks one
+ * A file removed from the folder unpairs its family, which stays in the
+ * library until the user confirms the delete (or restores the file), so an
+ * emptied folder never wipes the library. Families deleted in the app move
+ * their file to .trash/, as does a confirmed delete.
+ * Files and folders starting with a dot are never read as prompts.
+ */
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { serializePromptMarkdown, parsePromptMarkdown, safeFileName } = require('./MarkdownFolder.js');
+const { PromptMatcher } = require('./PromptMatcher.js');
+const { hasModelSettings } = require('../prompts/ModelSettings.js');
+
+const TRASH_DIR = '.trash';
+const CONFLICTS_DIR = '.conflicts';
+
+// Wait for a burst of file or library changes to settle before syncing
+const DEBOUNCE_MS = 750;
+
+// Tables that stay in the library and don't affect the folder
+const LOCAL_TABLES = ['runs', 'testCases', 'evalRuns'];
+
+/**
+ * Hash a file's contents
+ * @param {string} contents - File contents
+ * @returns {string} Hex SHA-256
+ */
+function hashContents(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Hash the synced content of a prompt
+ * Usage counts and dates are left out so copying a prompt doesn't rewrite its file.
+ * Variable declarations, model settings and the chat type only count when
+ * present, so plain prompts hash the same as before those existed.
+ * @param {Object} prompt - { title, description, text, tags, variables, modelSettings, type }
+ * @returns {string} Hex SHA-256
+ */
+function hashPromptContent(prompt) {
+    const normalize = (value) => String(value || '').replace(/\r\n/g, '\n').trim();
+    const content = [
+        normalize(prompt.title),
+        normalize(prompt.description),
+        normalize(prompt.text),
+        [...(prompt.tags || [])].sort()
+    ];
+    if (Array.isArray(prompt.variables) && prompt.variables.length > 0) {
+        content.push(prompt.variables);
+    }
+    if (hasModelSettings(prompt.modelSettings)) {
+        content.push(prompt.modelSettings);
+    }
+    if (prompt.type === 'chat') {
+        content.push('chat');
+    }
+    return hashContents(JSON.stringify(content));
+}
+
+/**
+ * Get a file name stamp for the current time
+ * @returns {string} ISO timestamp safe for file names
+ */
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+class FolderSync extends EventEmitter {
+    /**
+     * @param {LibraryRepository} repository - Library to keep in sync
+     */
+    constructor(repository) {
+        super();
+        this.repository = repository;
+        this.store = repository.store;
+        this.statePath = null;
+        this.enabled = false;
+        this.directory = null;
+        this.entries = [];
+        this.conflicts = [];
+        this.removals = [];
+        this.lastSyncAt = null;
+        this.lastChanges = 0;
+        this.errors = [];
+        this.error = null;
+        this.syncing = null;
+        this.pending = false;
+        this.watcher = null;
+        this.debounceTimer = null;
+
+        // Saved runs, test cases and evaluation reports aren't written to the folder
+        this.onLibraryChanged = (change) => {
+            if (!LOCAL_TABLES.includes(change.table)) {
+                this.scheduleSync();
+            }
+        };
+    }
+
+    /**
+     * Load the sync settings and state, and start syncing if enabled
+     * @param {string} dataDir - Application data directory
+     */
+    async initialize(dataDir) {
+        this.statePath = path.join(dataDir, 'folder-sync.json');
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            this.enabled = Boolean(saved.enabled);
+            this.directory = saved.directory || null;
+            this.entries = saved.entries || [];
+            this.conflicts = saved.conflicts || [];
+            this.removals = saved.removals || [];
+            this.lastSyncAt = saved.lastSyncAt || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load folder sync state, sync is off:', error);
+            }
+        }
+
+        if (this.enabled && this.directory) {
+            await this.start();
+        }
+    }
+
+    /**
+     * Save the sync settings and state
+     */
+    async saveState() {
+        const state = {
+            enabled: this.enabled,
+            directory: this.directory,
+            lastSyncAt: this.lastSyncAt,
+            entries: this.entries,
+            conflicts: this.conflicts,
+            removals: this.removals
+        };
+        const tempPath = `${this.statePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+        await fs.rename(tempPath, this.statePath);
+    }
+
+    /**
+     * Get the current sync status
+     * @returns {Object} { enabled, directory, state, lastSyncAt, lastChanges, files, conflicts, removals, errors, error }
+     *          where removals are { id, familyId, title, file, detectedAt } for files
+     *          deleted on disk whose prompts wait for the delete to be confirmed
+     */
+    getStatus() {
+        let state = 'off';
+        if (this.enabled) {
+            if (this.syncing) {
+                state = 'syncing';
+            } else if (this.error) {
+                state = 'error';
+            } else if (this.conflicts.length > 0) {
+                state = 'conflict';
+            } else if (this.removals.length > 0) {
+                state = 'removed';
+            } else {
+                state = 'synced';
+            }
+        }
+
+        return {
+            enabled: this.enabled,
+            directory: this.directory,
+            state,
+            lastSyncAt: this.lastSyncAt,
+            lastChanges: this.lastChanges,
+            files: this.entries.length,
+            conflicts: this.conflicts,
+            removals: this.removals,
+            errors: this.errors,
+            error: this.error
+        };
+    }
+
+    /**
+     * Let listeners know the status changed
+     */
+    emitStatus() {
+        this.emit('status', this.getStatus());
+    }
+
+    /**
+     * Change the synced folder or turn sync on or off
+     * Pointing sync at a different folder starts over with a fresh pairing.
+     * @param {Object} settings - { enabled, directory }
+     * @returns {Promise<Object>} Sync status
+     */
+    async configure({ enabled = this.enabled, directory = this.directory } = {}) {
+        if (enabled && !directory) {
+            throw new Error('Choose a folder to sync with first');
+        }
+
+        this.stop();
+
+        if (directory !== this.directory) {
+            this.directory = directory;
+            this.entries = [];
+            this.conflicts = [];
+            this.removals = [];
+            this.lastSyncAt = null;
+        }
+        this.enabled = Boolean(enabled);
+        this.error = null;
+        this.errors = [];
+        await this.saveState();
+        console.log('Folder sync configured:', { enabled: this.enabled, directory: this.directory });
+
+        if (this.enabled) {
+            await this.start();
+        } else {
+            this.emitStatus();
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Sync once, then watch the folder and the library for changes
+     */
+    async start() {
+        this.store.on('changed', this.onLibraryChanged);
+
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            await this.syncNow();
+
+            this.watcher = fsSync.watch(this.directory, { recursive: true }, (eventType, fileName) => {
+                if (fileName && String(fileName).split(path.sep).some(part => part.startsWith('.'))) return;
+                this.scheduleSync();
+            });
+            this.watcher.on('error', (error) => {
+                console.error('Folder sync watcher failed:', error);
+                this.error = error.message;
+                this.emitStatus();
+            });
+        } catch (error) {
+            console.error('Failed to start folder sync:', error);
+            this.error = error.message;
+            this.emitStatus();
+        }
+    }
+
+    /**
+     * Stop watching the folder and the library
+     */
+    stop() {
+        this.store.off('changed', this.onLibraryChanged);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+    }
+
+    /**
+     * Sync shortly, once changes stop arriving
+     */
+    scheduleSync() {
+        if (!this.enabled) return;
+
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            this.syncNow().catch(error => console.error('Folder sync failed:', error));
+        }, DEBOUNCE_MS);
+        this.debounceTimer.unref?.();
+    }
+
+    /**
+     * Sync the library and the folder now
+     * A sync requested while one is running runs again once it finishes.
+     * @returns {Promise<Object>} Sync status
+     */
+    async syncNow() {
+        if (!this.enabled || !this.directory) {
+            throw new Error('Folder sync is not enabled');
+        }
+
+        if (this.syncing) {
+            this.pending = true;
+            await this.syncing;
+            return this.getStatus();
+        }
+
+        this.syncing = (async () => {
+            do {
+                this.pending = false;
+                try {
+                    this.lastChanges = await this.runSync();
+                    this.lastSyncAt = new Date().toISOString();
+                    this.error = null;
+                    await this.saveState();
+                } catch (error) {
+                    console.error('Folder sync failed:', error);
+                    this.error = error.message;
+                }
+            } while (this.pending);
+        })();
+        this.emitStatus();
+
+        try {
+            await this.syncing;
+        } finally {
+            this.syncing = null;
+            this.emitStatus();
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Read every prompt file in the folder
+     * @returns {Promise<Map<string, Object>>} Relative path -> { contents, hash }
+     */
+    async scanFiles() {
+        const files = new Map();
+
+        const walk = async (relativeDir) => {
+            const entries = await fs.readdir(path.join(this.directory, relativeDir), { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                const relativePath = path.join(relativeDir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(relativePath);
+                } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+                    const contents = await fs.readFile(path.join(this.directory, relativePath), 'utf8');
+                    files.set(relativePath, { contents, hash: hashContents(contents) });
+                }
+            }
+        };
+
+        await walk('');
+        return files;
+    }
+
+    /**
+     * Parse a prompt file the way MarkdownFolder reads it
+     * @param {string} relativePath - Path within the synced folder
+     * @param {string} contents - File contents
+     * @returns {Object} Parsed prompt with normalized tags
+     */
+    parseFile(relativePath, contents) {
+        const prompt = parsePromptMarkdown(contents, path.basename(relativePath, path.extname(relativePath)));
+        const relativeDir = path.dirname(relativePath);
+        if (prompt.tags.length === 0 && relativeDir !== '.') {
+            prompt.tags = [relativeDir.split(path.sep).join('/')];
+        }
+        prompt.tags = Array.from(new Set(
+            prompt.tags.map(tagPath => this.repository.normalizeTagPath(tagPath)).filter(Boolean)
+        ));
+        return prompt;
+    }
+
+    /**
+     * Get the latest version of every family with its tags
+     * @returns {Map<number, Object>} Family id -> prompt with tags
+     */
+    getLatestVersions() {
+        const latest = new Map();
+        for (const prompt of this.store.getTable('prompts').values()) {
+            if (prompt.isLatest) {
+                const tags = this.repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort();
+                latest.set(this.repository.getFamilyId(prompt), { ...prompt, tags });
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Write a prompt's file and record the new pairing
+     * @param {Object} entry - Sync entry to update
+     * @param {Object} prompt - Latest version with tags
+     */
+    async writePromptFile(entry, prompt) {
+        const contents = serializePromptMarkdown(prompt, prompt.tags);
+        const filePath = path.join(this.directory, entry.file);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, contents, 'utf8');
+
+        entry.fileHash = hashContents(contents);
+        entry.contentHash = hashPromptContent(prompt);
+    }
+
+    /**
+     * Move a file out of the way into a dot folder
+     * @param {string} relativePath - Path within the synced folder
+     * @param {string} folder - TRASH_DIR or CONFLICTS_DIR
+     * @param {string} contents - Contents to write instead of moving, for files already gone
+     * @returns {Promise<string>} Path of the moved file within the synced folder
+     */
+    async moveAside(relativePath, folder, contents = null) {
+        const parsed = path.parse(relativePath);
+        const target = path.join(folder, parsed.dir, `${parsed.name} ${timestamp()}${parsed.ext}`);
+        const targetPath = path.join(this.directory, target);
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+
+        if (contents === null) {
+            await fs.rename(path.join(this.directory, relativePath), targetPath);
+        } else {
+            await fs.writeFile(targetPath, contents, 'utf8');
+        }
+        return target;
+    }
+
+    /**
+     * Pick a file name for a prompt that doesn't have a file yet
+     * @param {string} title - Prompt title
+     * @param {Set<string>} usedPaths - Lower-cased paths already taken
+     * @returns {string} Relative path
+     */
+    chooseFileName(title, usedPaths) {
+        const baseName = safeFileName(title);
+        let relativePath = `${baseName}.md`;
+        for (let n = 2; usedPaths.has(relativePath.toLowerCase()); n++) {
+            relativePath = `${baseName} (${n}).md`;
+        }
+        usedPaths.add(relativePath.toLowerCase());
+        return relativePath;
+    }
+
+    /**
+     * Bring the folder and the library in line with each other
+     * @returns {Promise<number>} Number of files and prompts changed
+     */
+    async runSync() {
+        const files = await this.scanFiles();
+        const families = this.getLatestVersions();
+        const pairedFiles = new Set(this.entries.map(entry => entry.file));
+        const unpaired = Array.from(files.keys()).filter(file => !pairedFiles.has(file));
+        const errors = [];
+        const entries = [];
+        let changes = 0;
+
+        // Forget deleted files whose prompts were deleted in the app meanwhile
+        this.removals = this.removals.filter(removal => families.has(removal.familyId));
+
+        const parsed = new Map();
+        const parse = (file) => {
+            if (!parsed.has(file)) {
+                try {
+                    parsed.set(file, this.parseFile(file, files.get(file).contents));
+                } catch (error) {
+                    errors.push({ file, error: error.message });
+                    parsed.set(file, null);
+                }
+            }
+            return parsed.get(file);
+        };
+
+        // A file that moved or was renamed without edits keeps its family
+        for (const entry of this.entries) {
+            if (files.has(entry.file)) continue;
+            const moved = unpaired.find(file => {
+                const prompt = parse(file);
+                return prompt && hashPromptContent(prompt) === entry.contentHash;
+            });
+            if (moved) {
+                console.log(`Folder sync: ${entry.file} moved to ${moved}`);
+                unpaired.splice(unpaired.indexOf(moved), 1);
+                entry.file = moved;
+                entry.fileHash = files.get(moved).hash;
+            }
+        }
+
+        for (const entry of this.entries) {
+            const prompt = families.get(entry.familyId);
+            const file = files.get(entry.file);
+
+            if (!prompt && !file) {
+                continue;
+            }
+
+            if (!prompt) {
+                // Deleted in the app
+                await this.moveAside(entry.file, TRASH_DIR);
+                console.log(`Folder sync: moved ${entry.file} to trash`);
+                changes++;
+                continue;
+            }
+
+            const contentChanged = hashPromptContent(prompt) !== entry.contentHash;
+
+            if (!file) {
+                if (contentChanged) {
+                    // Deleted on disk but edited in the app: keep the app's edit
+                    await this.writePromptFile(entry, prompt);
+                    entries.push(entry);
+                } else {
+                    // Keep the prompt, unpaired, until the user confirms the delete
+                    this.removals.push({
+                        id: hashContents(`${entry.familyId}:${entry.file}`).slice(0, 12),
+                        familyId: entry.familyId,
+                        title: prompt.title,
+                        file: entry.file,
+                        detectedAt: new Date().toISOString()
+                    });
+                    console.log(`Folder sync: ${entry.file} was deleted, "${prompt.title}" waits for the delete to be confirmed`);
+                }
+                changes++;
+                continue;
+            }
+
+            entries.push(entry);
+            const fileChanged = file.hash !== entry.fileHash;
+            if (!fileChanged && !contentChanged) {
+                continue;
+            }
+
+            if (!fileChanged) {
+                await this.writePromptFile(entry, prompt);
+                changes++;
+                continue;
+            }
+
+            const edited = parse(entry.file);
+            if (!edited) {
+                continue;
+            }
+
+            const editedHash = hashPromptContent(edited);
+            if (editedHash === hashPromptContent(prompt)) {
+                // Same content on both sides
+                entry.fileHash = file.hash;
+                entry.contentHash = editedHash;
+            } else if (!contentChanged) {
+                await this.applyFileEdit(prompt, edited);
+                entry.fileHash = file.hash;
+                entry.contentHash = editedHash;
+                changes++;
+            } else {
+                const conflictFile = await this.moveAside(entry.file, CONFLICTS_DIR, file.contents);
+                await this.writePromptFile(entry, prompt);
+                this.conflicts.push({
+                    id: hashContents(`${entry.familyId}:${conflictFile}`).slice(0, 12),
+                    familyId: entry.familyId,
+                    title: prompt.title,
+                    file: entry.file,
+                    conflictFile,
+                    detectedAt: new Date().toISOString()
+                });
+                console.log(`Folder sync: conflict on ${entry.file}, file edit kept in ${conflictFile}`);
+                changes++;
+            }
+        }
+
+        // New files: pair with an identical prompt, or add them to the library
+        const paired = new Set(entries.map(entry => entry.familyId));
+        const matcher = new PromptMatcher(this.repository);
+        for (const file of unpaired) {
+            const prompt = parse(file);
+            if (!prompt) continue;
+
+            const match = matcher.match([prompt]);
+            const entry = { file };
+            if (match.status === 'duplicate' && !paired.has(match.familyId)) {
+                entry.familyId = match.familyId;
+                await this.writePromptFile(entry, families.get(match.familyId));
+                // A deleted file that came back, such as after switching branches
+                this.removals = this.removals.filter(removal => removal.familyId !== match.familyId);
+            } else {
+                const { tags, title, description, text, variables, modelSettings, type, messages } = prompt;
+                const created = await this.repository.createPrompt({ title, description, text, variables, modelSettings, type, messages }, tags);
+                entry.familyId = created.id;
+                entry.fileHash = files.get(file).hash;
+                entry.contentHash = hashPromptContent(prompt);
+                console.log(`Folder sync: added "${title}" from ${file}`);
+            }
+            paired.add(entry.familyId);
+            entries.push(entry);
+            changes++;
+        }
+
+        // New prompts: give them a file, except those whose file was deleted
+        const removed = new Set(this.removals.map(removal => removal.familyId));
+        const usedPaths = new Set([...files.keys(), ...entries.map(entry => entry.file)].map(file => file.toLowerCase()));
+        for (const [familyId, prompt] of families) {
+            if (paired.has(familyId) || removed.has(familyId)) continue;
+
+            const entry = { familyId, file: this.chooseFileName(prompt.title, usedPaths) };
+            await this.writePromptFile(entry, prompt);
+            entries.push(entry);
+            changes++;
+        }
+
+        this.entries = entries;
+        this.errors = errors;
+        if (changes > 0) {
+            console.log(`Folder sync: ${changes} change(s) with`, this.directory);
+        }
+        return changes;
+    }
+
+    /**
+     * Apply an edited file to its family
+     * Text, title, description or variable changes make a new version; tag-only
+     * changes retag the latest version.
+     * @param {Object} prompt - Latest version with tags
+     * @param {Object} edited - Parsed file
+     */
+    async applyFileEdit(prompt, edited) {
+        const { tags, title, description, text, variables, modelSettings, type, messages } = edited;
+        const normalize = (value) => String(value || '').replace(/\r\n/g, '\n').trim();
+        const fieldsChanged = ['title', 'description', 'text'].some(field => normalize(prompt[field]) !== normalize(edited[field])) ||
+            JSON.stringify(prompt.variables || []) !== JSON.stringify(variables) ||
+            JSON.stringify(prompt.modelSettings || {}) !== JSON.stringify(modelSettings) ||
+            (prompt.type === 'chat') !== (type === 'chat');
+
+        if (fieldsChanged) {
+            await this.repository.createVersion(prompt.id, { title, description, text, variables, modelSettings, type, messages }, tags);
+            console.log(`Folder sync: new version of "${title}" from file`);
+        } else {
+            await this.repository.setPromptTags(prompt.id, tags);
+            console.log(`Folder sync: retagged "${title}" from file`);
+        }
+    }
+
+    /**
+     * Settle a conflict
+     * 'file' makes the file's edit the latest version, 'app' keeps the library as it is.
+     * The conflict copy is moved to the trash either way.
+     * @param {string} conflictId - Conflict id from the status
+     * @param {string} choice - 'file' or 'app'
+     * @returns {Promise<Object>} Sync status
+     */
+    async resolveConflict(conflictId, choice) {
+        const conflict = this.conflicts.find(item => item.id === conflictId);
+        if (!conflict) {
+            throw new Error(`Unknown sync conflict: ${conflictId}`);
+        }
+        if (choice !== 'file' && choice !== 'app') {
+            throw new Error(`Unknown conflict resolution: ${choice}`);
+        }
+
+        if (choice === 'file') {
+            const prompt = this.getLatestVersions().get(conflict.familyId);
+            if (!prompt) {
+                throw new Error(`"${conflict.title}" is no longer in the library`);
+            }
+            const contents = await fs.readFile(path.join(this.directory, conflict.conflictFile), 'utf8');
+            await this.applyFileEdit(prompt, this.parseFile(conflict.file, contents));
+        }
+
+        await this.moveAside(conflict.conflictFile, TRASH_DIR);
+        this.conflicts = this.conflicts.filter(item => item !== conflict);
+        await this.saveState();
+        console.log(`Folder sync: conflict on ${conflict.file} resolved with the ${choice} version`);
+
+        return this.enabled ? await this.syncNow() : this.getStatus();
+    }
+
+    /**
+     * Settle a file deleted on disk
+     * 'delete' deletes the prompt from the library, with every version, run and
+     * test case, after putting a copy of its latest version in the trash.
+     * 'restore' keeps the prompt and writes its file again.
+     * @param {string} removalId - Removal id from the status
+     * @param {string} choice - 'delete' or 'restore'
+     * @returns {Promise<Object>} Sync status
+     */
+    async resolveRemoval(removalId, choice) {
+        const removal = this.removals.find(item => item.id === removalId);
+        if (!removal) {
+            throw new Error(`Unknown deleted file: ${removalId}`);
+        }
+        if (choice !== 'delete' && choice !== 'restore') {
+            throw new Error(`Unknown choice for a deleted file: ${choice}`);
+        }
+
+        this.removals = this.removals.filter(item => item !== removal);
+        const prompt = this.getLatestVersions().get(removal.familyId);
+        if (choice === 'delete' && prompt) {
+            await this.moveAside(removal.file, TRASH_DIR, serializePromptMarkdown(prompt, prompt.tags));
+            await this.repository.deleteFamily(prompt.id);
+            console.log(`Folder sync: ${removal.file} was deleted, removed "${prompt.title}"`);
+        }
+        await this.saveState();
+        console.log(`Folder sync: deleted file ${removal.file} resolved with ${choice}`);
+
+        return this.enabled ? await this.syncNow() : this.getStatus();
+    }
+}
+
+module.exports = { FolderSync, hashPromptContent, TRASH_DIR, CONFLICTS_DIR };
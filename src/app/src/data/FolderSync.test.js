@@ -0,0 +1,235 @@
+/**
+ * FolderSync.test.js
+ *
+ * Unit tests for two-way sync between the library and a prompt folder
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { FolderSync } = require('./FolderSync');
+const { parsePromptMarkdown } = require('./MarkdownFolder');
+
+describe('FolderSync', () => {
+  let dataDir;
+  let syncDir;
+  let repository;
+  let sync;
+
+  const readPrompt = (file) => parsePromptMarkdown(fs.readFileSync(path.join(syncDir, file), 'utf8'), '');
+  const writePrompt = (file, title, text, tags = []) => {
+    const tagLines = tags.length > 0 ? ['tags:', ...tags.map(tag => `  - ${tag}`)] : ['tags: []'];
+    fs.writeFileSync(path.join(syncDir, file), ['---', `title: ${title}`, ...tagLines, '---', '', text, ''].join('\n'));
+  };
+  const latestVersions = () => repository.store.query('prompts', {
+    clauses: [{ field: 'isLatest', op: 'equals', value: 1 }]
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-library-'));
+    syncDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-folder-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    sync = new FolderSync(repository);
+    await sync.initialize(dataDir);
+  });
+
+  afterEach(() => {
+    sync.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.rmSync(syncDir, { recursive: true, force: true });
+  });
+
+  test('should pair existing prompts and files on the first sync', async () => {
+    await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, ['coding']);
+    writePrompt('Summary.md', 'Summary', 'Summarize this', ['writing']);
+
+    const status = await sync.configure({ enabled: true, directory: syncDir });
+
+    expect(status.state).toBe('synced');
+    expect(status.files).toBe(2);
+    expect(readPrompt('Review.md')).toMatchObject({ title: 'Review', text: 'Review this', tags: ['coding'] });
+    const summary = latestVersions().find(prompt => prompt.title === 'Summary');
+    expect(summary.text).toBe('Summarize this');
+    expect(repository.getPromptTags(summary.id).map(tag => tag.fullPath)).toEqual(['writing']);
+  });
+
+  test('should turn file edits into new versions', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, ['coding']);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    writePrompt('Review.md', 'Review', 'Review this carefully', ['coding']);
+    await sync.syncNow();
+
+    const family = repository.getFamily(prompt.id);
+    expect(family).toHaveLength(2);
+    expect(family[1]).toMatchObject({ version: 2, isLatest: 1, text: 'Review this carefully' });
+    expect(repository.getPromptTags(family[1].id).map(tag => tag.fullPath)).toEqual(['coding']);
+  });
+
+  test('should retag without a new version when only tags change on disk', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, ['coding']);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    writePrompt('Review.md', 'Review', 'Review this', ['coding', 'quality']);
+    await sync.syncNow();
+
+    expect(repository.getFamily(prompt.id)).toHaveLength(1);
+    expect(repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort()).toEqual(['coding', 'quality']);
+  });
+
+  test('should write app edits back to the file', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    await repository.createVersion(prompt.id, { title: 'Review', text: 'Review every line' }, ['coding']);
+    await sync.syncNow();
+
+    expect(readPrompt('Review.md')).toMatchObject({ text: 'Review every line', version: 2, tags: ['coding'] });
+  });
+
+  test('should keep a moved file paired with its family', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    fs.renameSync(path.join(syncDir, 'Review.md'), path.join(syncDir, 'Code review.md'));
+    await sync.syncNow();
+
+    expect(latestVersions()).toHaveLength(1);
+    expect(repository.getFamily(prompt.id)).toHaveLength(1);
+    expect(sync.getStatus().files).toBe(1);
+  });
+
+  test('should move prompts deleted in the app to the trash folder', async () => {
+    await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    const removed = await repository.createPrompt({ title: 'Summary', description: '', text: 'Summarize this' }, []);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    await repository.deleteFamily(removed.id);
+    await sync.syncNow();
+
+    expect(fs.readdirSync(syncDir).filter(name => name.endsWith('.md'))).toEqual(['Review.md']);
+    const trash = fs.readdirSync(path.join(syncDir, '.trash'));
+    expect(trash).toHaveLength(1);
+    expect(trash[0]).toMatch(/^Summary .*\.md$/);
+  });
+
+  describe('files deleted on disk', () => {
+    let kept;
+
+    beforeEach(async () => {
+      kept = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+      await repository.createVersion(kept.id, { text: 'Review this carefully' }, []);
+      await sync.configure({ enabled: true, directory: syncDir });
+      fs.unlinkSync(path.join(syncDir, 'Review.md'));
+    });
+
+    test('should keep the prompt until the delete is confirmed', async () => {
+      const status = await sync.syncNow();
+
+      expect(status.state).toBe('removed');
+      expect(status.removals).toEqual([expect.objectContaining({ familyId: kept.id, title: 'Review', file: 'Review.md' })]);
+      expect(repository.getFamily(kept.id)).toHaveLength(2);
+      // The file isn't written again while the delete waits
+      await sync.syncNow();
+      expect(fs.existsSync(path.join(syncDir, 'Review.md'))).toBe(false);
+
+      const resolved = await sync.resolveRemoval(status.removals[0].id, 'delete');
+
+      expect(resolved.state).toBe('synced');
+      expect(resolved.removals).toEqual([]);
+      expect(latestVersions()).toEqual([]);
+      const trash = fs.readdirSync(path.join(syncDir, '.trash'));
+      expect(trash).toHaveLength(1);
+      expect(trash[0]).toMatch(/^Review .*\.md$/);
+      expect(parsePromptMarkdown(fs.readFileSync(path.join(syncDir, '.trash', trash[0]), 'utf8'), '').text).toBe('Review this carefully');
+    });
+
+    test('should write the file again when the prompt is restored', async () => {
+      const status = await sync.syncNow();
+
+      const resolved = await sync.resolveRemoval(status.removals[0].id, 'restore');
+
+      expect(resolved).toMatchObject({ state: 'synced', removals: [], files: 1 });
+      expect(readPrompt('Review.md').text).toBe('Review this carefully');
+      expect(repository.getFamily(kept.id)).toHaveLength(2);
+    });
+
+    test('should pair a deleted file again when it comes back', async () => {
+      await sync.syncNow();
+
+      writePrompt('Review.md', 'Review', 'Review this carefully');
+      const status = await sync.syncNow();
+
+      expect(status).toMatchObject({ state: 'synced', removals: [], files: 1 });
+      expect(latestVersions()).toHaveLength(1);
+    });
+
+    test('should keep every prompt when the whole folder is emptied', async () => {
+      await repository.createPrompt({ title: 'Summary', description: '', text: 'Summarize this' }, []);
+      await sync.syncNow();
+      fs.unlinkSync(path.join(syncDir, 'Summary.md'));
+
+      const status = await sync.syncNow();
+
+      expect(status.removals).toHaveLength(2);
+      expect(latestVersions()).toHaveLength(2);
+    });
+
+    test('should reject unknown removals and choices', async () => {
+      const status = await sync.syncNow();
+
+      await expect(sync.resolveRemoval('nope', 'delete')).rejects.toThrow('Unknown deleted file');
+      await expect(sync.resolveRemoval(status.removals[0].id, 'drop')).rejects.toThrow('Unknown choice');
+    });
+  });
+
+  test('should keep both sides of a conflict until it is resolved', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    await sync.configure({ enabled: true, directory: syncDir });
+
+    const appEdit = await repository.createVersion(prompt.id, { text: 'App edit' }, []);
+    writePrompt('Review.md', 'Review', 'File edit');
+    const status = await sync.syncNow();
+
+    expect(status.state).toBe('conflict');
+    expect(status.conflicts).toHaveLength(1);
+    expect(readPrompt('Review.md').text).toBe('App edit');
+    const [conflict] = status.conflicts;
+    expect(conflict).toMatchObject({ familyId: prompt.id, file: 'Review.md', title: 'Review' });
+    expect(readPrompt(conflict.conflictFile).text).toBe('File edit');
+
+    const resolved = await sync.resolveConflict(conflict.id, 'file');
+
+    expect(resolved.state).toBe('synced');
+    const family = repository.getFamily(appEdit.id);
+    expect(family.map(version => version.text)).toEqual(['Review this', 'App edit', 'File edit']);
+    expect(readPrompt('Review.md').text).toBe('File edit');
+    expect(fs.readdirSync(path.join(syncDir, '.conflicts'))).toEqual([]);
+  });
+
+  test('should report unreadable files without stopping the sync', async () => {
+    fs.writeFileSync(path.join(syncDir, 'Broken.md'), '---\nnot yaml\n---\n\ntext\n');
+    writePrompt('Good.md', 'Good', 'Fine');
+
+    const status = await sync.configure({ enabled: true, directory: syncDir });
+
+    expect(status.errors).toEqual([expect.objectContaining({ file: 'Broken.md' })]);
+    expect(latestVersions().map(prompt => prompt.title)).toEqual(['Good']);
+  });
+
+  test('should remember the pairing across restarts', async () => {
+    await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    await sync.configure({ enabled: true, directory: syncDir });
+    sync.stop();
+
+    const restarted = new FolderSync(repository);
+    await restarted.initialize(dataDir);
+    restarted.stop();
+
+    expect(restarted.getStatus()).toMatchObject({ enabled: true, directory: syncDir, files: 1, state: 'synced' });
+    expect(latestVersions()).toHaveLength(1);
+  });
+});
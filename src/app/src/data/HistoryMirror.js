@@ -0,0 +1,447 @@
+/**
+ * History Mirror
+ * Mirrors prompt history into a git repository in the userData directory so
+ * it can be reviewed with normal git tooling. Each prompt family is one
+ * Markdown file, prompts/<familyId>.md, holding its latest version, and every
+ * new prompt, new version and deletion is committed with a readable message,
+ * an author, and the version's timestamp.
+ *
+ * The system git binary is used; without it the mirror reports itself as
+ * unavailable and the rest of the app carries on as normal.
+ */
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { serializePromptMarkdown } = require('./MarkdownFolder.js');
+
+const BRANCH = 'main';
+const PUSH_REMOTE = 'mirror';
+
+// Separators for parsing git log output
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+const LOG_FORMAT = ['%H', '%an', '%ae', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+/**
+ * Get the default commit author from the signed-in user
+ * @returns {Object} { name, email }
+ */
+function defaultAuthor() {
+    let name = 'Prompt Manager';
+    try {
+        name = os.userInfo().username || name;
+    } catch (error) {
+        // No user info available (some sandboxes); keep the default
+    }
+    return { name, email: `${name}@${os.hostname() || 'localhost'}` };
+}
+
+class HistoryMirror {
+    /**
+     * @param {LibraryRepository} repository - Library whose history is mirrored
+     * @param {Object} options - { gitPath, author: { name, email } }
+     */
+    constructor(repository, { gitPath = 'git', author = defaultAuthor() } = {}) {
+        this.repository = repository;
+        this.store = repository.store;
+        this.gitPath = gitPath;
+        this.author = author;
+        this.repoDir = null;
+        this.available = false;
+        this.error = null;
+        this.queue = Promise.resolve();
+
+        // The family's file contents are captured when the event fires, since
+        // later changes may land before the queued commit runs
+        this.onPromptCreated = ({ prompt }) => {
+            const contents = this.snapshotFamily(prompt.id);
+            this.enqueue(() => this.commitFamily(prompt.id, contents, `Add "${prompt.title}"`, prompt.createdAt));
+        };
+        this.onVersionCreated = ({ previous, prompt }) => {
+            const subject = previous.title !== prompt.title
+                ? `Update "${previous.title}" to v${prompt.version} as "${prompt.title}"`
+                : `Update "${prompt.title}" to v${prompt.version}`;
+            const familyId = this.repository.getFamilyId(prompt);
+            const contents = this.snapshotFamily(familyId);
+            this.enqueue(() => this.commitFamily(familyId, contents, subject, prompt.createdAt));
+        };
+        this.onVersionDeleted = ({ version }) => {
+            const familyId = this.repository.getFamilyId(version);
+            const contents = this.snapshotFamily(familyId);
+            this.enqueue(() => this.commitFamily(familyId, contents, `Delete v${version.version} of "${version.title}"`));
+        };
+        this.onFamilyDeleted = ({ versions }) => {
+            const latest = versions.find(version => version.isLatest) || versions[versions.length - 1];
+            const familyId = this.repository.getFamilyId(versions[0]);
+            this.enqueue(() => this.commitFamily(familyId, null, `Delete "${latest.title}"`));
+        };
+    }
+
+    /**
+     * Open or create the repository and start mirroring
+     * A new repository is filled by replaying every stored version in order.
+     * An existing one gets a single commit for anything changed while the app
+     * wasn't mirroring (imports, restores, older app versions).
+     * @param {string} dataDir - Application data directory
+     */
+    async initialize(dataDir) {
+        this.repoDir = path.join(dataDir, 'history');
+        await fs.mkdir(path.join(this.repoDir, 'prompts'), { recursive: true });
+
+        try {
+            await this.git(['--version']);
+        } catch (error) {
+            this.error = 'git was not found, so prompt history is not mirrored';
+            console.warn('History mirror unavailable:', error.message);
+            return;
+        }
+
+        let isNew = false;
+        try {
+            await fs.access(path.join(this.repoDir, '.git'));
+        } catch (error) {
+            isNew = true;
+        }
+
+        // Listen first so changes made while the repository is being filled
+        // are committed after it, in order
+        this.available = true;
+        this.repository.on('prompt-created', this.onPromptCreated);
+        this.repository.on('version-created', this.onVersionCreated);
+        this.repository.on('version-deleted', this.onVersionDeleted);
+        this.repository.on('family-deleted', this.onFamilyDeleted);
+
+        try {
+            await this.enqueue(async () => {
+                if (isNew) {
+                    await this.git(['init', '--quiet']);
+                    await this.git(['symbolic-ref', 'HEAD', `refs/heads/${BRANCH}`]);
+                    console.log('Created history repository:', this.repoDir);
+                    await this.replayLibrary();
+                } else {
+                    await this.syncAll('Sync with library');
+                }
+            });
+        } catch (error) {
+            console.error('Failed to open history repository:', error);
+            this.stop();
+            this.available = false;
+            this.error = error.message;
+        }
+    }
+
+    /**
+     * Stop mirroring new changes
+     */
+    stop() {
+        this.repository.off('prompt-created', this.onPromptCreated);
+        this.repository.off('version-created', this.onVersionCreated);
+        this.repository.off('version-deleted', this.onVersionDeleted);
+        this.repository.off('family-deleted', this.onFamilyDeleted);
+    }
+
+    /**
+     * Run a git command in the repository
+     * @param {Array<string>} args - git arguments
+     * @param {Object} env - Extra environment variables
+     * @returns {Promise<string>} Standard output
+     */
+    git(args, env = {}) {
+        return new Promise((resolve, reject) => {
+            execFile(this.gitPath, args, {
+                cwd: this.repoDir,
+                env: { ...process.env, ...env },
+                maxBuffer: 64 * 1024 * 1024
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    error.message = (stderr && stderr.trim()) || error.message;
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    /**
+     * Run mirror work one task at a time, in the order changes happened
+     * @param {Function} task - Async task
+     * @returns {Promise} Task result
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(error => console.error('History mirror commit failed:', error));
+        return run;
+    }
+
+    /**
+     * Wait for queued commits to finish
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        return this.queue;
+    }
+
+    /**
+     * Get the path of a family's file in the repository
+     * @param {number} familyId - Family id
+     * @returns {string} Path relative to the repository
+     */
+    familyFile(familyId) {
+        return path.join('prompts', `${familyId}.md`);
+    }
+
+    /**
+     * Render a prompt version as its family's file
+     * Usage counts are left out so copying a prompt doesn't show up as a change.
+     * @param {Object} prompt - Version to write
+     * @param {Array<string>} tagPaths - The version's tags
+     * @returns {string} File contents
+     */
+    renderVersion(prompt, tagPaths) {
+        return serializePromptMarkdown(prompt, tagPaths, { usage: false });
+    }
+
+    /**
+     * Render a family's latest version as it is in the library right now
+     * @param {number} familyId - Family id
+     * @returns {string|null} File contents, or null once the family is gone
+     */
+    snapshotFamily(familyId) {
+        for (const prompt of this.store.getTable('prompts').values()) {
+            if (prompt.isLatest && this.repository.getFamilyId(prompt) === familyId) {
+                const tagPaths = this.repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort();
+                return this.renderVersion(prompt, tagPaths);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Write or remove a family's file
+     * @param {number} familyId - Family id
+     * @param {string|null} contents - File contents, or null to remove the file
+     */
+    async writeFamilyFile(familyId, contents) {
+        const filePath = path.join(this.repoDir, this.familyFile(familyId));
+        if (contents === null) {
+            await fs.rm(filePath, { force: true });
+        } else {
+            await fs.writeFile(filePath, contents, 'utf8');
+        }
+    }
+
+    /**
+     * Commit whatever is staged under prompts/
+     * @param {string} message - Commit message
+     * @param {string|Date} date - Author date; now if not given
+     * @returns {Promise<boolean>} Whether a commit was made
+     */
+    async commit(message, date = null) {
+        await this.git(['add', '--all', 'prompts']);
+        const staged = await this.git(['diff', '--cached', '--name-only']);
+        if (!staged.trim()) {
+            return false;
+        }
+
+        const when = (date ? new Date(date) : new Date()).toISOString();
+        await this.git(['commit', '--quiet', '--no-verify', '--no-gpg-sign', '-m', message], {
+            GIT_AUTHOR_NAME: this.author.name,
+            GIT_AUTHOR_EMAIL: this.author.email,
+            GIT_AUTHOR_DATE: when,
+            GIT_COMMITTER_NAME: this.author.name,
+            GIT_COMMITTER_EMAIL: this.author.email,
+            GIT_COMMITTER_DATE: when
+        });
+        return true;
+    }
+
+    /**
+     * Write a family's file and commit it
+     * @param {number} familyId - Family id
+     * @param {string|null} contents - File contents, or null when the family was deleted
+     * @param {string} message - Commit message
+     * @param {string|Date} date - Author date
+     * @returns {Promise<boolean>} Whether a commit was made
+     */
+    async commitFamily(familyId, contents, message, date = null) {
+        await this.writeFamilyFile(familyId, contents);
+
+        const committed = await this.commit(message, date);
+        if (committed) {
+            console.log('History mirror:', message);
+        }
+        return committed;
+    }
+
+    /**
+     * Fill a new repository with one commit per stored version, oldest first
+     * Only the latest version of a family still has tags, so older versions
+     * are written without them.
+     */
+    async replayLibrary() {
+        const versions = Array.from(this.store.getTable('prompts').values())
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id);
+        const seen = new Set();
+
+        for (const version of versions) {
+            const familyId = this.repository.getFamilyId(version);
+            const tagPaths = version.isLatest
+                ? this.repository.getPromptTags(version.id).map(tag => tag.fullPath).sort()
+                : [];
+            await this.writeFamilyFile(familyId, this.renderVersion(version, tagPaths));
+
+            const message = seen.has(familyId)
+                ? `Update "${version.title}" to v${version.version}`
+                : `Add "${version.title}"`;
+            seen.add(familyId);
+            await this.commit(message, version.createdAt);
+        }
+
+        console.log(`History mirror: replayed ${versions.length} prompt versions`);
+    }
+
+    /**
+     * Bring every family file in line with the library in one commit
+     * @param {string} message - Commit message
+     * @returns {Promise<boolean>} Whether a commit was made
+     */
+    async syncAll(message) {
+        const promptsDir = path.join(this.repoDir, 'prompts');
+        const expected = new Set();
+
+        for (const prompt of this.store.getTable('prompts').values()) {
+            if (!prompt.isLatest) continue;
+            const familyId = this.repository.getFamilyId(prompt);
+            const tagPaths = this.repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort();
+            await this.writeFamilyFile(familyId, this.renderVersion(prompt, tagPaths));
+            expected.add(`${familyId}.md`);
+        }
+
+        for (const fileName of await fs.readdir(promptsDir)) {
+            if (!expected.has(fileName)) {
+                await fs.rm(path.join(promptsDir, fileName), { force: true });
+            }
+        }
+
+        return await this.commit(message);
+    }
+
+    /**
+     * Get the mirror's state
+     * @returns {Promise<Object>} { available, repoDir, commits, pushPath, error }
+     */
+    async getStatus() {
+        if (!this.available) {
+            return { available: false, repoDir: this.repoDir, commits: 0, pushPath: null, error: this.error };
+        }
+
+        const commits = await this.git(['rev-list', '--count', 'HEAD']).catch(() => '0');
+        const pushPath = await this.git(['remote', 'get-url', PUSH_REMOTE]).catch(() => '');
+        return {
+            available: true,
+            repoDir: this.repoDir,
+            commits: Number(commits.trim()) || 0,
+            pushPath: pushPath.trim() || null,
+            error: null
+        };
+    }
+
+    /**
+     * Read the commit log
+     * @param {Object} options - { familyId } to only show one prompt, { limit }
+     * @returns {Promise<Array<Object>>} Commits, newest first: { hash, author, email, date, subject, body }
+     */
+    async getLog({ familyId = null, limit = 500 } = {}) {
+        if (!this.available) {
+            return [];
+        }
+
+        await this.whenIdle();
+        const args = ['log', `--max-count=${Number(limit) || 500}`, `--format=${LOG_FORMAT}`];
+        if (familyId !== null && familyId !== undefined) {
+            args.push('--follow', '--', this.familyFile(Number(familyId)));
+        }
+
+        let output;
+        try {
+            output = await this.git(args);
+        } catch (error) {
+            // A repository without commits has no HEAD to log
+            if (/does not have any commits|bad default revision/.test(error.message)) {
+                return [];
+            }
+            throw error;
+        }
+
+        return output.split(RECORD_SEP)
+            .map(record => record.replace(/^\n/, ''))
+            .filter(Boolean)
+            .map(record => {
+                const [hash, author, email, date, subject, body] = record.split(FIELD_SEP);
+                return { hash, author, email, date, subject, body: (body || '').trim() };
+            });
+    }
+
+    /**
+     * Show one commit with its diff
+     * @param {string} hash - Commit hash
+     * @returns {Promise<Object>} Commit fields plus { diff }
+     */
+    async getCommit(hash) {
+        if (!/^[0-9a-f]{4,40}$/i.test(String(hash))) {
+            throw new Error(`Invalid commit: ${hash}`);
+        }
+
+        const output = await this.git(['show', `--format=${LOG_FORMAT}`, '--patch', hash]);
+        const [header, diff] = output.split(RECORD_SEP);
+        const [fullHash, author, email, date, subject, body] = header.split(FIELD_SEP);
+        return { hash: fullHash, author, email, date, subject, body: (body || '').trim(), diff: (diff || '').replace(/^\n+/, '') };
+    }
+
+    /**
+     * Push the history to a repository at a local path
+     * A missing or empty directory is set up as a bare repository first. The
+     * path is remembered as the "mirror" remote, so it also works with plain git.
+     * @param {string} targetPath - Directory to push to
+     * @returns {Promise<Object>} { success, path, branch, commits }
+     */
+    async pushTo(targetPath) {
+        if (!this.available) {
+            throw new Error(this.error || 'History mirror is not available');
+        }
+        if (!targetPath || path.resolve(targetPath) === path.resolve(this.repoDir)) {
+            throw new Error('Choose a different folder to push to');
+        }
+
+        await this.whenIdle();
+
+        let entries = [];
+        try {
+            entries = await fs.readdir(targetPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (entries.length === 0) {
+            await fs.mkdir(targetPath, { recursive: true });
+            await this.git(['init', '--quiet', '--bare', targetPath]);
+            console.log('Created bare repository for history push:', targetPath);
+        }
+
+        const remotes = (await this.git(['remote'])).split('\n').map(name => name.trim());
+        if (remotes.includes(PUSH_REMOTE)) {
+            await this.git(['remote', 'set-url', PUSH_REMOTE, targetPath]);
+        } else {
+            await this.git(['remote', 'add', PUSH_REMOTE, targetPath]);
+        }
+
+        await this.git(['push', '--quiet', PUSH_REMOTE, `${BRANCH}:${BRANCH}`]);
+        console.log('History pushed to:', targetPath);
+
+        const { commits } = await this.getStatus();
+        return { success: true, path: targetPath, branch: BRANCH, commits };
+    }
+}
+
+module.exports = { HistoryMirror };
@@ -0,0 +1,129 @@
+/**
+ * HistoryMirror.test.js
+ *
+ * Unit tests for mirroring prompt history into a git repository
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { HistoryMirror } = require('./HistoryMirror');
+
+describe('HistoryMirror', () => {
+  const author = { name: 'Test Author', email: 'test@example.com' };
+  let dataDir;
+  let store;
+  let repository;
+  let mirror;
+
+  const readFamilyFile = (familyId) =>
+    fs.readFileSync(path.join(dataDir, 'history', 'prompts', `${familyId}.md`), 'utf8');
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-mirror-'));
+    store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+  });
+
+  afterEach(() => {
+    if (mirror) {
+      mirror.stop();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should replay existing versions into a new repository', async () => {
+    const first = await repository.createPrompt({ title: 'Review', description: '', text: 'v1', createdAt: '2024-01-01T00:00:00.000Z' }, []);
+    await repository.createVersion(first.id, { text: 'v2' }, ['coding']);
+
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+
+    const log = await mirror.getLog();
+    expect(log.map(commit => commit.subject)).toEqual(['Update "Review" to v2', 'Add "Review"']);
+    expect(log[1]).toMatchObject({ author: 'Test Author', email: 'test@example.com' });
+    expect(log[1].date.startsWith('2024-01-01T00:00:00')).toBe(true);
+    expect(readFamilyFile(first.id)).toContain('  - "coding"');
+    expect(readFamilyFile(first.id)).not.toContain('timesUsed');
+  });
+
+  test('should commit new prompts, versions and deletions', async () => {
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+
+    const prompt = await repository.createPrompt({ title: 'Review', description: '', text: 'v1' }, []);
+    const next = await repository.createVersion(prompt.id, { title: 'Code review', text: 'v2' }, []);
+    await repository.createVersion(next.id, { text: 'v3' }, []);
+    await mirror.whenIdle();
+    expect(readFamilyFile(prompt.id)).toContain('\nv3\n');
+
+    await repository.deleteFamily(prompt.id);
+
+    const log = await mirror.getLog();
+    expect(log.map(commit => commit.subject)).toEqual([
+      'Delete "Code review"',
+      'Update "Code review" to v3',
+      'Update "Review" to v2 as "Code review"',
+      'Add "Review"'
+    ]);
+    expect(fs.existsSync(path.join(dataDir, 'history', 'prompts', `${prompt.id}.md`))).toBe(false);
+  });
+
+  test('should filter the log to one prompt and show a commit diff', async () => {
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+
+    const review = await repository.createPrompt({ title: 'Review', description: '', text: 'Review this' }, []);
+    await repository.createPrompt({ title: 'Summary', description: '', text: 'Summarize this' }, []);
+    await repository.createVersion(review.id, { text: 'Review this carefully' }, []);
+
+    const log = await mirror.getLog({ familyId: review.id });
+    expect(log.map(commit => commit.subject)).toEqual(['Update "Review" to v2', 'Add "Review"']);
+
+    const commit = await mirror.getCommit(log[0].hash);
+    expect(commit.subject).toBe('Update "Review" to v2');
+    expect(commit.diff).toContain('-Review this\n+Review this carefully');
+    await expect(mirror.getCommit('HEAD; rm -rf /')).rejects.toThrow('Invalid commit');
+  });
+
+  test('should commit changes made while it was not running on startup', async () => {
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+    mirror.stop();
+
+    await repository.createPrompt({ title: 'Imported', description: '', text: 'From an archive' }, []);
+
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+
+    const log = await mirror.getLog();
+    expect(log.map(commit => commit.subject)).toEqual(['Sync with library']);
+  });
+
+  test('should push the history to a new bare repository', async () => {
+    mirror = new HistoryMirror(repository, { author });
+    await mirror.initialize(dataDir);
+    await repository.createPrompt({ title: 'Review', description: '', text: 'v1' }, []);
+
+    const target = path.join(dataDir, 'pushed.git');
+    const result = await mirror.pushTo(target);
+
+    expect(result).toMatchObject({ success: true, path: target, branch: 'main', commits: 1 });
+    const pushedLog = execFileSync('git', ['--git-dir', target, 'log', '--format=%s', 'main'], { encoding: 'utf8' });
+    expect(pushedLog.trim()).toBe('Add "Review"');
+    expect((await mirror.getStatus()).pushPath).toBe(target);
+  });
+
+  test('should report itself unavailable without git', async () => {
+    mirror = new HistoryMirror(repository, { author, gitPath: path.join(dataDir, 'no-such-git') });
+    await mirror.initialize(dataDir);
+
+    const status = await mirror.getStatus();
+    expect(status).toMatchObject({ available: false, commits: 0 });
+    expect(status.error).toContain('git was not found');
+    expect(await mirror.getLog()).toEqual([]);
+  });
+});
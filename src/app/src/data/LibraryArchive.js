@@ -0,0 +1,387 @@
+/**
+ * Library Archive
+ * Lossless export/import of the library: every prompt version grouped into
+ * families, the tag hierarchy and the tag links.
+ *
+ * Archive layout (formatVersion 1):
+ *   {
+ *     manifest:   { format, formatVersion, schemaVersion, exportedAt, counts },
+ *     prompts:    [ prompt records, original ids ],
+ *     families:   [ { id, versions: [version ids, oldest first] } ],
+ *     tags:       [ { id, name, fullPath, parentId, level } ],
+ *     promptTags: [ { promptId, tagId } ]
+ *   }
+ *
+ * Ids in an archive are only meaningful inside it. On import every record
+ * gets a new id and parentId, isLatest and tag links are rebuilt to match.
+ * The old export format (a plain array of prompts) is read as formatVersion 0.
+ *
+ * Incoming families are matched against the library by content (see
+ * PromptMatcher), so importing an export on top of an overlapping library
+ * does not duplicate prompts.
+ */
+const { BASE_SCHEMA_VERSION } = require('./migrations.js');
+const { PromptMatcher } = require('./PromptMatcher.js');
+
+const ARCHIVE_FORMAT = 'promptmanager-library';
+const ARCHIVE_VERSION = 1;
+
+const RESOLUTIONS = ['skip', 'overwrite', 'keep-both', 'append'];
+
+// What to do with a conflict when the user has not chosen
+const SUGGESTED_RESOLUTIONS = {
+    ahead: 'append',
+    diverged: 'keep-both',
+    'same-title': 'keep-both'
+};
+
+class LibraryArchive {
+    /**
+     * @param {LibraryStore} store - Library to export from and import into
+     * @param {LibraryRepository} repository - Used to add families and tags
+     */
+    constructor(store, repository) {
+        this.store = store;
+        this.repository = repository;
+    }
+
+    /**
+     * Build an archive of the whole library
+     * @returns {Object} Archive
+     */
+    createArchive() {
+        const prompts = this.store.query('prompts');
+        const tags = this.store.query('tags');
+        const promptTags = this.store.query('promptTags').map(({ promptId, tagId }) => ({ promptId, tagId }));
+
+        const families = new Map();
+        for (const prompt of [...prompts].sort((a, b) => a.version - b.version)) {
+            const familyId = this.repository.getFamilyId(prompt);
+            if (!families.has(familyId)) {
+                families.set(familyId, []);
+            }
+            families.get(familyId).push(prompt.id);
+        }
+
+        return {
+            manifest: {
+                format: ARCHIVE_FORMAT,
+                formatVersion: ARCHIVE_VERSION,
+                schemaVersion: this.store.schemaVersion,
+                exportedAt: new Date().toISOString(),
+                counts: {
+                    families: families.size,
+                    prompts: prompts.length,
+                    tags: tags.length,
+                    promptTags: promptTags.length
+                }
+            },
+            prompts,
+            families: Array.from(families, ([id, versions]) => ({ id, versions })),
+            tags,
+            promptTags
+        };
+    }
+
+    /**
+     * Parse and validate an archive, bringing it up to the current schema
+     * @param {string|Object|Array} input - Archive JSON text or parsed archive
+     * @returns {Promise<Object>} { archive, errors, warnings }
+     */
+    async readArchive(input) {
+        const errors = [];
+        const warnings = [];
+
+        let parsed = input;
+        if (typeof input === 'string') {
+            try {
+                parsed = JSON.parse(input);
+            } catch (error) {
+                return { archive: null, errors: [`The file is not valid JSON: ${error.message}`], warnings };
+            }
+        }
+
+        if (Array.isArray(parsed)) {
+            warnings.push('This is an old-style export containing prompts only; no tags will be imported.');
+            parsed = {
+                manifest: { format: ARCHIVE_FORMAT, formatVersion: 0 },
+                prompts: parsed,
+                tags: [],
+                promptTags: []
+            };
+        }
+
+        const manifest = parsed?.manifest;
+        if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+            errors.push('The file is not a prompt library export.');
+        } else if (manifest.formatVersion > ARCHIVE_VERSION) {
+            errors.push(`The file was exported by a newer version of the app (format ${manifest.formatVersion}).`);
+        } else if (!Array.isArray(parsed.prompts)) {
+            errors.push('The export has no prompts list.');
+        }
+
+        if (errors.length > 0) {
+            return { archive: null, errors, warnings };
+        }
+
+        let upgraded;
+        try {
+            ({ data: upgraded } = await this.store.migrator.migrate(
+                { tables: { prompts: parsed.prompts, tags: parsed.tags || [], promptTags: parsed.promptTags || [] } },
+                manifest.schemaVersion || BASE_SCHEMA_VERSION
+            ));
+        } catch (error) {
+            return { archive: null, errors: [error.message], warnings };
+        }
+
+        return {
+            archive: { manifest, families: parsed.families || null, ...upgraded.tables },
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Group archive prompts into families
+     * Uses the archive's family list when present, otherwise parentId chains.
+     * @param {Object} archive - Archive from readArchive
+     * @param {Array<string>} warnings - Collects problems found while grouping
+     * @returns {Array<Object>} Families as { key, versions } with versions oldest first
+     */
+    groupFamilies(archive, warnings) {
+        const byId = new Map(archive.prompts.map(prompt => [prompt.id, prompt]));
+        const families = new Map();
+        const grouped = new Set();
+
+        for (const family of archive.families || []) {
+            const versions = family.versions.map(id => byId.get(id)).filter(Boolean);
+            if (versions.length !== family.versions.length) {
+                warnings.push(`Family ${family.id} lists versions that are not in the export; they are ignored.`);
+            }
+            if (versions.length > 0) {
+                families.set(`family-${family.id}`, versions);
+                versions.forEach(version => grouped.add(version.id));
+            }
+        }
+
+        for (const prompt of archive.prompts) {
+            if (grouped.has(prompt.id)) continue;
+
+            const familyId = prompt.parentId || prompt.id;
+            if (prompt.parentId && !byId.has(prompt.parentId)) {
+                warnings.push(`"${prompt.title}" belongs to a version family whose first version is missing; its oldest remaining version becomes the first.`);
+            }
+            const key = `parent-${familyId}`;
+            if (!families.has(key)) {
+                families.set(key, []);
+            }
+            families.get(key).push(prompt);
+        }
+
+        for (const versions of families.values()) {
+            versions.sort((a, b) => (a.version || 0) - (b.version || 0));
+            const latestCount = versions.filter(version => version.isLatest).length;
+            if (latestCount !== 1) {
+                warnings.push(`"${versions[0].title}" has ${latestCount} latest versions; the newest version will be marked latest.`);
+            }
+        }
+
+        return Array.from(families, ([key, versions]) => ({ key, versions }));
+    }
+
+    /**
+     * Work out what an import would do without writing anything
+     * @param {string|Object|Array} input - Archive JSON text or parsed archive
+     * @returns {Promise<Object>} Dry-run report ({ valid, errors, warnings, summary, conflicts })
+     */
+    async planImport(input) {
+        const { report } = await this.prepareImport(input);
+        return report;
+    }
+
+    /**
+     * Validate an archive and build the import report
+     * @param {string|Object|Array} input - Archive JSON text or parsed archive
+     * @returns {Promise<Object>} { report, archive, families, tagPathsFor }
+     */
+    async prepareImport(input) {
+        const { archive, errors, warnings } = await this.readArchive(input);
+        if (!archive) {
+            return { report: { valid: false, errors, warnings, summary: null } };
+        }
+
+        const families = this.groupFamilies(archive, warnings);
+
+        const tagPaths = new Map(archive.tags.map(tag => [tag.id, tag.fullPath]));
+        const promptIds = new Set(archive.prompts.map(prompt => prompt.id));
+        const linksByPrompt = new Map();
+        let links = 0;
+        let brokenLinks = 0;
+
+        for (const link of archive.promptTags) {
+            if (!promptIds.has(link.promptId) || !tagPaths.has(link.tagId)) {
+                brokenLinks++;
+                continue;
+            }
+            if (!linksByPrompt.has(link.promptId)) {
+                linksByPrompt.set(link.promptId, []);
+            }
+            linksByPrompt.get(link.promptId).push(tagPaths.get(link.tagId));
+            links++;
+        }
+        if (brokenLinks > 0) {
+            warnings.push(`${brokenLinks} tag link(s) point to prompts or tags that are not in the export; they are skipped.`);
+        }
+
+        // Tags merge by normalized path, the same way the tag input resolves them
+        const existingPaths = new Set(this.store.query('tags').map(tag => tag.fullPath));
+        const archivePaths = Array.from(new Set(
+            Array.from(tagPaths.values()).map(tagPath => this.repository.normalizeTagPath(tagPath)).filter(Boolean)
+        ));
+        const newTags = archivePaths.filter(fullPath => !existingPaths.has(fullPath));
+
+        // Match every incoming family against the library
+        const matcher = new PromptMatcher(this.repository);
+        for (const family of families) {
+            family.match = matcher.match(family.versions);
+        }
+
+        const conflicts = families
+            .filter(family => family.match.status === 'conflict')
+            .map(family => {
+                const local = matcher.getFamily(family.match.familyId);
+                const latest = family.versions[family.versions.length - 1];
+                return {
+                    key: family.key,
+                    title: latest.title,
+                    kind: family.match.kind,
+                    localFamilyId: family.match.familyId,
+                    localTitle: local[local.length - 1].title,
+                    localVersions: local.length,
+                    incomingVersions: family.versions.length,
+                    newVersions: family.match.newVersions.length,
+                    suggested: SUGGESTED_RESOLUTIONS[family.match.kind]
+                };
+            });
+
+        const countStatus = (status) => families.filter(family => family.match.status === status).length;
+
+        const report = {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            summary: {
+                formatVersion: archive.manifest.formatVersion,
+                exportedAt: archive.manifest.exportedAt || null,
+                families: families.length,
+                versions: families.reduce((total, family) => total + family.versions.length, 0),
+                new: countStatus('new'),
+                duplicates: countStatus('duplicate'),
+                conflicts: conflicts.length,
+                tags: { total: archivePaths.length, existing: archivePaths.length - newTags.length, new: newTags.length },
+                links
+            },
+            conflicts
+        };
+
+        return {
+            report,
+            archive,
+            families,
+            tagPathsFor: (prompt) => linksByPrompt.get(prompt.id) || []
+        };
+    }
+
+    /**
+     * Import an archive into the library
+     * New families are added, families already in the library are skipped and
+     * conflicts are resolved as chosen: 'skip', 'overwrite' (replace the local
+     * family), 'keep-both' (add as a separate family) or 'append' (add the
+     * incoming versions the local family lacks as new versions). A local family
+     * is only overwritten or appended to once; later incoming families that
+     * match it are added as separate families. Nothing is saved if any part of
+     * the import fails.
+     * @param {string|Object|Array} input - Archive JSON text or parsed archive
+     * @param {Object} options - { resolutions: { [conflictKey]: resolution }, defaultResolution }
+     * @returns {Promise<Object>} Import report with a results summary and the new family ids
+     */
+    async importArchive(input, options = {}) {
+        const { resolutions = {}, defaultResolution = null } = options;
+        const { report, archive, families, tagPathsFor } = await this.prepareImport(input);
+        if (!report.valid) {
+            throw new Error(`Import failed: ${report.errors.join(' ')}`);
+        }
+
+        const suggestions = new Map(report.conflicts.map(conflict => [conflict.key, conflict.suggested]));
+        const resolve = (key) => resolutions[key] || defaultResolution || suggestions.get(key);
+        for (const conflict of report.conflicts) {
+            if (!RESOLUTIONS.includes(resolve(conflict.key))) {
+                throw new Error(`Unknown conflict resolution for "${conflict.title}": ${resolve(conflict.key)}`);
+            }
+        }
+
+        const results = { added: 0, duplicates: 0, skipped: 0, overwritten: 0, keptBoth: 0, appended: 0, appendedVersions: 0 };
+        const changedIds = [];
+        const familyIds = [];
+        // Local families already overwritten or appended to by an earlier incoming family
+        const claimed = new Set();
+        // Changes are made in memory; put them all back if one of them fails
+        const snapshot = JSON.parse(JSON.stringify(this.store.serialize()));
+
+        try {
+            // Bring over the whole tag hierarchy, including tags no prompt uses
+            for (const tag of archive.tags) {
+                if (this.repository.normalizeTagPath(tag.fullPath)) {
+                    this.repository.ensureTag(tag.fullPath);
+                }
+            }
+
+            for (const { key, versions, match } of families) {
+                let resolution = match.status === 'conflict' ? resolve(key) : null;
+                if (resolution === 'overwrite' || resolution === 'append') {
+                    if (claimed.has(match.familyId)) {
+                        console.warn(`"${versions[versions.length - 1].title}" matches a family the import already changed; adding it as a separate family`);
+                        resolution = 'keep-both';
+                    } else {
+                        claimed.add(match.familyId);
+                    }
+                }
+
+                if (match.status === 'duplicate') {
+                    results.duplicates++;
+                } else if (resolution === 'skip') {
+                    results.skipped++;
+                } else if (resolution === 'append') {
+                    const ids = this.repository.appendVersions(match.familyId, match.newVersions, tagPathsFor);
+                    changedIds.push(...ids);
+                    results.appended++;
+                    results.appendedVersions += ids.length;
+                } else {
+                    if (resolution === 'overwrite') {
+                        const local = this.repository.getFamily(match.familyId);
+                        this.repository.removeFamily(local);
+                        changedIds.push(...local.map(version => version.id));
+                        results.overwritten++;
+                    } else if (resolution === 'keep-both') {
+                        results.keptBoth++;
+                    } else {
+                        results.added++;
+                    }
+
+                    const ids = this.repository.addFamily(versions, tagPathsFor);
+                    changedIds.push(...ids);
+                    familyIds.push(ids[0]);
+                }
+            }
+        } catch (error) {
+            this.store.load(snapshot);
+            throw new Error(`Import failed: ${error.message}`);
+        }
+
+        await this.store.commit('prompts', 'import', changedIds);
+        console.log('Library archive imported:', results);
+        return { ...report, results, familyIds };
+    }
+}
+
+module.exports = { LibraryArchive, ARCHIVE_FORMAT, ARCHIVE_VERSION, RESOLUTIONS };
@@ -0,0 +1,250 @@
+/**
+ * LibraryArchive.test.js
+ *
+ * Unit tests for lossless library export and import
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { LibraryArchive, ARCHIVE_FORMAT } = require('./LibraryArchive');
+
+describe('LibraryArchive', () => {
+  let dataDirs;
+
+  const createLibrary = async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-archive-'));
+    dataDirs.push(dataDir);
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    const repository = new LibraryRepository(store);
+    return { store, repository, archive: new LibraryArchive(store, repository) };
+  };
+
+  beforeEach(() => {
+    dataDirs = [];
+  });
+
+  afterEach(() => {
+    for (const dataDir of dataDirs) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('export', () => {
+    test('should include a manifest, families, the tag hierarchy and links', async () => {
+      const { repository, archive } = await createLibrary();
+      const prompt = await repository.createPrompt({ title: 'Review', text: 'v1' }, ['coding/review']);
+      const second = await repository.createVersion(prompt.id, { text: 'v2' }, ['coding/review']);
+      await repository.findOrCreateTag('writing');
+
+      const exported = archive.createArchive();
+
+      expect(exported.manifest).toMatchObject({
+        format: ARCHIVE_FORMAT,
+        formatVersion: 1,
+        counts: { families: 1, prompts: 2, tags: 3, promptTags: 1 }
+      });
+      expect(exported.families).toEqual([{ id: prompt.id, versions: [prompt.id, second.id] }]);
+      expect(exported.tags.find(tag => tag.fullPath === 'coding/review')).toMatchObject({ level: 1, parentId: 1 });
+      expect(exported.promptTags).toEqual([{ promptId: second.id, tagId: 2 }]);
+    });
+  });
+
+  describe('import', () => {
+    let exported;
+
+    beforeEach(async () => {
+      const { repository, archive } = await createLibrary();
+      const prompt = await repository.createPrompt({ title: 'Review', text: 'v1' }, ['coding/review']);
+      await repository.createVersion(prompt.id, { text: 'v2' }, ['coding/review', 'quality']);
+      await repository.createPrompt({ title: 'Summarize', text: 'Summarize this' }, ['writing']);
+      await repository.findOrCreateTag('unused/tag');
+      exported = JSON.stringify(archive.createArchive());
+    });
+
+    test('should report what would be imported without writing', async () => {
+      const target = await createLibrary();
+      await target.repository.findOrCreateTag('coding');
+
+      const report = await target.archive.planImport(exported);
+
+      expect(report).toMatchObject({
+        valid: true,
+        errors: [],
+        warnings: [],
+        summary: { families: 2, versions: 3, links: 3, tags: { total: 6, existing: 1, new: 5 } }
+      });
+      expect(target.store.getTable('prompts').size).toBe(0);
+      expect(target.store.getTable('tags').size).toBe(1);
+    });
+
+    test('should remap ids so families and tag links stay consistent', async () => {
+      const target = await createLibrary();
+      // Occupy the ids used in the archive
+      await target.repository.createPrompt({ title: 'Existing', text: 'x' }, ['other']);
+      await target.repository.createPrompt({ title: 'Existing 2', text: 'y' });
+
+      const result = await target.archive.importArchive(exported);
+
+      const review = target.store.query('prompts').filter(p => p.title === 'Review').sort((a, b) => a.version - b.version);
+      expect(review.map(p => p.id)).toEqual([3, 4]);
+      expect(review[0]).toMatchObject({ version: 1, isLatest: 0, parentId: null, text: 'v1' });
+      expect(review[1]).toMatchObject({ version: 2, isLatest: 1, parentId: 3, text: 'v2' });
+      expect(target.repository.getPromptTags(4).map(t => t.fullPath)).toEqual(['coding/review', 'quality']);
+      expect(target.repository.getFamily(4)).toHaveLength(2);
+      expect(target.store.get('prompts', 1).title).toBe('Existing');
+      expect(target.store.query('tags', { clauses: [{ field: 'fullPath', op: 'equals', value: 'unused/tag' }] })).toHaveLength(1);
+      expect(result.familyIds).toEqual([3, 5]);
+    });
+
+    test('should repair families with broken latest flags', async () => {
+      const target = await createLibrary();
+      const archive = JSON.parse(exported);
+      archive.prompts.forEach(prompt => { prompt.isLatest = 1; });
+
+      const report = await target.archive.planImport(archive);
+      await target.archive.importArchive(archive);
+
+      expect(report.warnings).toEqual([expect.stringContaining('"Review" has 2 latest versions')]);
+      expect(target.store.query('prompts').filter(p => p.isLatest)).toHaveLength(2);
+    });
+
+    test('should read the old prompts-only export format', async () => {
+      const target = await createLibrary();
+      const legacy = JSON.stringify([
+        { id: 7, title: 'Old', text: 'v1', version: 1, isLatest: 0, parentId: null },
+        { id: 8, title: 'Old', text: 'v2', version: 2, isLatest: 1, parentId: 7 }
+      ]);
+
+      const report = await target.archive.planImport(legacy);
+      await target.archive.importArchive(legacy);
+
+      expect(report.summary).toMatchObject({ formatVersion: 0, families: 1, versions: 2 });
+      expect(report.warnings[0]).toContain('old-style export');
+      expect(target.store.get('prompts', 2)).toMatchObject({ parentId: 1, isLatest: 1 });
+    });
+
+    describe('merging into an overlapping library', () => {
+      let target;
+
+      beforeEach(async () => {
+        target = await createLibrary();
+        await target.archive.importArchive(exported);
+      });
+
+      test('should skip families that are already in the library', async () => {
+        const report = await target.archive.planImport(exported);
+        const result = await target.archive.importArchive(exported);
+
+        expect(report.summary).toMatchObject({ new: 0, duplicates: 2, conflicts: 0 });
+        expect(result.results).toMatchObject({ added: 0, duplicates: 2 });
+        expect(target.store.getTable('prompts').size).toBe(3);
+        expect(target.store.getTable('tags').size).toBe(6);
+      });
+
+      const withNewerReview = () => {
+        const archive = JSON.parse(exported);
+        archive.prompts.push({ id: 50, title: 'Review', text: 'v3', version: 3, isLatest: 1, parentId: 1 });
+        archive.prompts.find(p => p.text === 'v2').isLatest = 0;
+        archive.families[0].versions.push(50);
+        archive.promptTags.push({ promptId: 50, tagId: 2 });
+        return archive;
+      };
+
+      test('should suggest appending when the import only adds newer versions', async () => {
+        const report = await target.archive.planImport(withNewerReview());
+
+        expect(report.conflicts).toEqual([expect.objectContaining({
+          title: 'Review', kind: 'ahead', localVersions: 2, incomingVersions: 3, newVersions: 1, suggested: 'append'
+        })]);
+
+        const result = await target.archive.importArchive(withNewerReview());
+        const family = target.repository.getFamily(1);
+        expect(result.results).toMatchObject({ appended: 1, appendedVersions: 1, duplicates: 1 });
+        expect(family.map(p => [p.text, p.version, p.isLatest])).toEqual([['v1', 1, 0], ['v2', 2, 0], ['v3', 3, 1]]);
+        expect(target.repository.getPromptTags(family[2].id).map(t => t.fullPath)).toEqual(['coding/review']);
+        expect(target.repository.getPromptTags(family[1].id)).toEqual([]);
+      });
+
+      test('should apply the chosen resolution for each conflict', async () => {
+        const { conflicts } = await target.archive.planImport(withNewerReview());
+
+        const keepBoth = await target.archive.importArchive(withNewerReview(), { resolutions: { [conflicts[0].key]: 'keep-both' } });
+        expect(keepBoth.results.keptBoth).toBe(1);
+        expect(target.store.query('prompts').filter(p => p.title === 'Review')).toHaveLength(5);
+      });
+
+      test('should overwrite the local family', async () => {
+        const result = await target.archive.importArchive(withNewerReview(), { defaultResolution: 'overwrite' });
+
+        const reviews = target.store.query('prompts').filter(p => p.title === 'Review');
+        expect(result.results.overwritten).toBe(1);
+        expect(reviews.map(p => p.text).sort()).toEqual(['v1', 'v2', 'v3']);
+        expect(target.store.get('prompts', 1)).toBeUndefined();
+      });
+
+      test('should treat a different prompt with the same title as a conflict', async () => {
+        const archive = JSON.stringify([{ id: 1, title: 'summarize ', text: 'Something else', version: 1, isLatest: 1 }]);
+
+        const report = await target.archive.planImport(archive);
+        const result = await target.archive.importArchive(archive, { defaultResolution: 'skip' });
+
+        expect(report.conflicts[0]).toMatchObject({ kind: 'same-title', localTitle: 'Summarize', suggested: 'keep-both' });
+        expect(result.results.skipped).toBe(1);
+        expect(target.store.getTable('prompts').size).toBe(3);
+      });
+
+      test('should change a local family for only one of the incoming families that match it', async () => {
+        const archive = withNewerReview();
+        // A second copy of the Review family, with another newer version
+        archive.prompts.push(
+          { id: 60, title: 'Review', text: 'v1', version: 1, isLatest: 0, parentId: null },
+          { id: 61, title: 'Review', text: 'v2', version: 2, isLatest: 0, parentId: 60 },
+          { id: 62, title: 'Review', text: 'v3b', version: 3, isLatest: 1, parentId: 60 }
+        );
+        archive.families.push({ id: 60, versions: [60, 61, 62] });
+        const { conflicts } = await target.archive.planImport(archive);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = await target.archive.importArchive(archive, {
+          resolutions: { [conflicts[0].key]: 'overwrite', [conflicts[1].key]: 'append' }
+        });
+        console.warn.mockRestore();
+
+        expect(conflicts.map(conflict => conflict.localFamilyId)).toEqual([1, 1]);
+        expect(result.results).toMatchObject({ overwritten: 1, appended: 0, keptBoth: 1 });
+        expect(target.store.query('prompts').filter(p => p.title === 'Review')).toHaveLength(6);
+      });
+
+      test('should leave the library as it was when the import fails', async () => {
+        target.repository.appendVersions = (familyId) => {
+          target.repository.removeFamily(target.repository.getFamily(familyId));
+          throw new Error('Prompt 1 not found');
+        };
+
+        await expect(target.archive.importArchive(withNewerReview(), { defaultResolution: 'append' }))
+          .rejects.toThrow('Import failed: Prompt 1 not found');
+        expect(target.store.getTable('prompts').size).toBe(3);
+        expect(target.repository.getFamily(1).map(p => p.text)).toEqual(['v1', 'v2']);
+      });
+
+      test('should reject unknown resolutions before writing', async () => {
+        await expect(target.archive.importArchive(withNewerReview(), { defaultResolution: 'merge' }))
+          .rejects.toThrow('Unknown conflict resolution');
+        expect(target.store.getTable('prompts').size).toBe(3);
+      });
+    });
+
+    test('should reject files that are not library exports', async () => {
+      const target = await createLibrary();
+
+      expect((await target.archive.planImport('not json')).errors[0]).toContain('not valid JSON');
+      expect((await target.archive.planImport('{"foo": 1}')).valid).toBe(false);
+      await expect(target.archive.importArchive(
+        JSON.stringify({ manifest: { format: ARCHIVE_FORMAT, formatVersion: 99 }, prompts: [] })
+      )).rejects.toThrow('newer version of the app');
+    });
+  });
+});
@@ -0,0 +1,672 @@
+/**
+ * Library Repository
+ * Prompt, tag and version operations on top of the LibraryStore.
+ * Multi-step operations (creating a version, deleting a family) are applied
+ * in memory first and written to disk in a single commit.
+ */
+const { EventEmitter } = require('events');
+const { flattenMessages } = require('../prompts/ChatMessages.js');
+
+/**
+ * Keep a chat prompt's text in step with its messages
+ * @param {Object} record - Prompt record about to be stored
+ * @returns {Object} The record, with text rebuilt from messages for chat prompts
+ */
+function withChatText(record) {
+    if (record.type === 'chat' && Array.isArray(record.messages)) {
+        return { ...record, text: flattenMessages(record.messages) };
+    }
+    return record;
+}
+
+class LibraryRepository extends EventEmitter {
+    /**
+     * @param {LibraryStore} store - Store holding the library tables
+     */
+    constructor(store) {
+        super();
+        this.store = store;
+    }
+
+    /**
+     * Get the id of the family a prompt version belongs to
+     * @param {Object} prompt - Prompt record
+     * @returns {number} Family (root prompt) id
+     */
+    getFamilyId(prompt) {
+        return prompt.parentId || prompt.id;
+    }
+
+    /**
+     * Get all versions of the family a prompt belongs to
+     * @param {number} promptId - Id of any version in the family
+     * @returns {Array} Versions sorted by version number (oldest first)
+     */
+    getFamily(promptId) {
+        const prompt = this.store.get('prompts', promptId);
+        if (!prompt) {
+            return [];
+        }
+
+        const familyId = this.getFamilyId(prompt);
+        return this.store.query('prompts', {
+            clauses: [
+                { field: 'parentId', op: 'equals', value: familyId },
+                { field: 'id', op: 'equals', value: familyId }
+            ]
+        }).sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Tidy a tag path so the same tag typed or imported slightly differently
+     * ("coding / js", "coding//js/") resolves to one tag
+     * @param {string} tagPath - Tag path
+     * @returns {string} Path with trimmed, non-empty segments
+     */
+    normalizeTagPath(tagPath) {
+        return String(tagPath)
+            .split('/')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .join('/');
+    }
+
+    /**
+     * Find a tag by full path, creating it (and any missing ancestors) if needed
+     * Does not persist; callers commit once all their changes are applied.
+     * @param {string} rawTagPath - Full tag path, e.g. "coding/javascript"
+     * @returns {Object} Tag record
+     */
+    ensureTag(rawTagPath) {
+        const tagPath = this.normalizeTagPath(rawTagPath);
+        if (!tagPath) {
+            throw new Error(`Invalid tag path: "${rawTagPath}"`);
+        }
+
+        const existing = this.store.query('tags', {
+            clauses: [{ field: 'fullPath', op: 'equals', value: tagPath }]
+        })[0];
+        if (existing) {
+            return existing;
+        }
+
+        const parts = tagPath.split('/');
+        let parentId = null;
+        let lastId = null;
+
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            const currentPath = parts.slice(0, i + 1).join('/');
+            const existingPart = this.store.query('tags', {
+                clauses: [{ field: 'fullPath', op: 'equals', value: currentPath }]
+            })[0];
+
+            if (existingPart) {
+                parentId = existingPart.id;
+            } else {
+                parentId = this.store.insert('tags', {
+                    name: part,
+                    fullPath: currentPath,
+                    parentId,
+                    level: i
+                });
+            }
+            lastId = parentId;
+        }
+
+        return this.store.get('tags', lastId);
+    }
+
+    /**
+     * Find or create a tag by full path
+     * @param {string} tagPath - Full tag path
+     * @returns {Promise<Object>} Tag record
+     */
+    async findOrCreateTag(tagPath) {
+        const before = this.store.getTable('tags').size;
+        const tag = this.ensureTag(tagPath);
+        if (this.store.getTable('tags').size !== before) {
+            await this.store.commit('tags', 'add', [tag.id]);
+        }
+        return tag;
+    }
+
+    /**
+     * Get the tags linked to a prompt version
+     * @param {number} promptId - Prompt version id
+     * @returns {Array} Tag records
+     */
+    getPromptTags(promptId) {
+        const links = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'equals', value: promptId }]
+        });
+        return links
+            .map(link => this.store.get('tags', link.tagId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Link tag paths to a prompt version without persisting
+     * @param {number} promptId - Prompt version id
+     * @param {Array<string>} tagPaths - Full tag paths
+     */
+    linkTags(promptId, tagPaths) {
+        const linked = new Set();
+        for (const tagPath of tagPaths) {
+            const tag = this.ensureTag(tagPath);
+            if (!linked.has(tag.id)) {
+                linked.add(tag.id);
+                this.store.insert('promptTags', { promptId, tagId: tag.id });
+            }
+        }
+    }
+
+    /**
+     * Replace the tags on a prompt version without creating a new version
+     * @param {number} promptId - Prompt version id
+     * @param {Array<string>} tagPaths - Full tag paths
+     * @returns {Promise<void>}
+     */
+    async setPromptTags(promptId, tagPaths) {
+        const links = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'equals', value: promptId }]
+        });
+        this.store.remove('promptTags', links.map(link => link.id));
+        this.linkTags(promptId, tagPaths);
+
+        await this.store.commit('promptTags', 'update', [promptId]);
+    }
+
+    /**
+     * Create a new prompt (version 1) with tags
+     * Chat prompts (type 'chat') get their text from their messages.
+     * @param {Object} fields - Prompt fields (title, description, text, ...)
+     * @param {Array<string>} tagPaths - Full tag paths
+     * @returns {Promise<Object>} Created prompt record
+     */
+    async createPrompt(fields, tagPaths = []) {
+        const promptId = this.store.insert('prompts', withChatText({
+            lastUsedAt: null,
+            timesUsed: 0,
+            ...fields,
+            version: 1,
+            isLatest: 1,
+            parentId: null,
+            createdAt: fields.createdAt || new Date()
+        }));
+        this.linkTags(promptId, tagPaths);
+
+        await this.store.commit('prompts', 'add', [promptId]);
+
+        const prompt = this.store.get('prompts', promptId);
+        this.emit('prompt-created', { prompt, tagPaths });
+        return prompt;
+    }
+
+    /**
+     * Create a new version of a prompt
+     * The previous version stops being latest and keeps no tag links,
+     * matching how the edit form has always versioned prompts.
+     * @param {number} promptId - Id of the version being edited
+     * @param {Object} fields - Changed prompt fields (title, description, text, ...)
+     * @param {Array<string>} tagPaths - Full tag paths for the new version
+     * @returns {Promise<Object>} Created version record
+     */
+    async createVersion(promptId, fields, tagPaths = []) {
+        const previous = this.store.get('prompts', promptId);
+        if (!previous) {
+            throw new Error(`Prompt ${promptId} not found`);
+        }
+
+        const { id, version, isLatest, parentId, createdAt, ...inherited } = previous;
+
+        this.store.patch('prompts', promptId, { isLatest: 0 });
+
+        const oldLinks = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'equals', value: promptId }]
+        });
+        this.store.remove('promptTags', oldLinks.map(link => link.id));
+
+        const newPromptId = this.store.insert('prompts', withChatText({
+            ...inherited,
+            ...fields,
+            version: (previous.version || 1) + 1,
+            isLatest: 1,
+            parentId: this.getFamilyId(previous),
+            createdAt: new Date(),
+            lastUsedAt: previous.lastUsedAt,
+            timesUsed: previous.timesUsed
+        }));
+        this.linkTags(newPromptId, tagPaths);
+
+        await this.store.commit('prompts', 'version', [promptId, newPromptId]);
+
+        const prompt = this.store.get('prompts', newPromptId);
+        this.emit('version-created', { previous, prompt, tagPaths });
+        return prompt;
+    }
+
+    /**
+     * Renumber every family so versions are contiguous and only the newest is latest
+     * Does not persist.
+     * @returns {Array<number>} Ids of updated records
+     */
+    applyResequence() {
+        const families = new Map();
+        for (const prompt of this.store.getTable('prompts').values()) {
+            const familyId = this.getFamilyId(prompt);
+            if (!families.has(familyId)) {
+                families.set(familyId, []);
+            }
+            families.get(familyId).push(prompt);
+        }
+
+        const updatedIds = [];
+        for (const family of families.values()) {
+            // Sort by creation date to maintain chronological order
+            family.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+            family.forEach((prompt, index) => {
+                const newVersion = index + 1;
+                const isLatest = index === family.length - 1 ? 1 : 0;
+                if (prompt.version !== newVersion || prompt.isLatest !== isLatest) {
+                    this.store.patch('prompts', prompt.id, { version: newVersion, isLatest });
+                    updatedIds.push(prompt.id);
+                }
+            });
+        }
+
+        return updatedIds;
+    }
+
+    /**
+     * Resequence all prompt families
+     * @returns {Promise<number>} Number of updated records
+     */
+    async resequence() {
+        const updatedIds = this.applyResequence();
+        if (updatedIds.length > 0) {
+            await this.store.commit('prompts', 'update', updatedIds);
+        }
+        return updatedIds.length;
+    }
+
+    /**
+     * Insert a prompt family from outside this library under new ids
+     * Versions are renumbered from 1 in their original order, the first becomes
+     * the family root and only the last is latest. Does not persist.
+     * @param {Array<Object>} versions - Version records (original ids are ignored)
+     * @param {Function} getTagPaths - Returns the tag paths for an original version
+     * @returns {Array<number>} New version ids, oldest first
+     */
+    addFamily(versions, getTagPaths) {
+        const ordered = [...versions].sort((a, b) => (a.version || 0) - (b.version || 0));
+        const newIds = [];
+        let familyId = null;
+
+        ordered.forEach((prompt, index) => {
+            const { id, parentId, version, isLatest, ...fields } = prompt;
+            const newId = this.store.insert('prompts', {
+                lastUsedAt: null,
+                timesUsed: 0,
+                ...fields,
+                version: index + 1,
+                isLatest: index === ordered.length - 1 ? 1 : 0,
+                parentId: familyId,
+                createdAt: fields.createdAt || new Date()
+            });
+            familyId = familyId || newId;
+            this.linkTags(newId, getTagPaths(prompt));
+            newIds.push(newId);
+        });
+
+        return newIds;
+    }
+
+    /**
+     * Append versions from outside this library to the end of a family
+     * Mirrors createVersion: the old latest version stops being latest and only
+     * the new latest version keeps tag links. Does not persist.
+     * @param {number} familyId - Family to append to
+     * @param {Array<Object>} versions - Version records to append, oldest first
+     * @param {Function} getTagPaths - Returns the tag paths for an original version
+     * @returns {Array<number>} New version ids
+     */
+    appendVersions(familyId, versions, getTagPaths) {
+        const family = this.getFamily(familyId);
+        if (family.length === 0) {
+            throw new Error(`Prompt ${familyId} not found`);
+        }
+        if (versions.length === 0) {
+            return [];
+        }
+
+        const previous = family[family.length - 1];
+        this.store.patch('prompts', previous.id, { isLatest: 0 });
+        const oldLinks = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'equals', value: previous.id }]
+        });
+        this.store.remove('promptTags', oldLinks.map(link => link.id));
+
+        const newIds = versions.map((prompt, index) => {
+            const { id, parentId, version, isLatest, createdAt, lastUsedAt, timesUsed, ...fields } = prompt;
+            const isNewLatest = index === versions.length - 1;
+            const newId = this.store.insert('prompts', {
+                ...fields,
+                version: previous.version + index + 1,
+                isLatest: isNewLatest ? 1 : 0,
+                parentId: this.getFamilyId(previous),
+                createdAt: new Date(),
+                lastUsedAt: previous.lastUsedAt,
+                timesUsed: previous.timesUsed
+            });
+            if (isNewLatest) {
+                this.linkTags(newId, getTagPaths(prompt));
+            }
+            return newId;
+        });
+
+        return newIds;
+    }
+
+    /**
+     * Remove a family's versions and tag links without persisting
+     * @param {Array<Object>} versions - Versions to remove
+     */
+    removeFamily(versions) {
+        const versionIds = versions.map(v => v.id);
+        const links = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'anyOf', value: versionIds }]
+        });
+
+        this.store.remove('prompts', versionIds);
+        this.store.remove('promptTags', links.map(link => link.id));
+        this.store.remove('runs', this.getVersionRecordIds('runs', versionIds));
+        this.store.remove('evalRuns', this.getVersionRecordIds('evalRuns', versionIds));
+        if (versions.length > 0) {
+            this.store.remove('testCases', this.getTestCases(this.getFamilyId(versions[0])).map(testCase => testCase.id));
+        }
+    }
+
+    /**
+     * Get the versions of a family by its id
+     * Unlike getFamily, this works once the root version has been deleted.
+     * @param {number} familyId - Family (root prompt) id
+     * @returns {Array<Object>} Versions, in no particular order
+     */
+    getFamilyVersions(familyId) {
+        return this.store.query('prompts', {
+            clauses: [
+                { field: 'parentId', op: 'equals', value: familyId },
+                { field: 'id', op: 'equals', value: familyId }
+            ]
+        });
+    }
+
+    /**
+     * Add prompt families from another copy of the library that this one is missing
+     * A family counts as present when any of its versions has the same title, text
+     * and creation date as a version here; present families are left as they are.
+     * Added records get new ids, with parent links and tag links remapped.
+     * @param {Object} tables - Tables from the other library (prompts, tags, promptTags)
+     * @returns {Promise<Object>} { families, versions, skipped } counts
+     */
+    async mergeTables(tables) {
+        const versionKey = (prompt) => [prompt.title, prompt.text, prompt.createdAt].join('\u0000');
+        const existingKeys = new Set(
+            Array.from(this.store.getTable('prompts').values()).map(versionKey)
+        );
+
+        const tagPaths = new Map((tables.tags || []).map(tag => [tag.id, tag.fullPath]));
+        const linksByPrompt = new Map();
+        for (const link of tables.promptTags || []) {
+            if (!linksByPrompt.has(link.promptId)) {
+                linksByPrompt.set(link.promptId, []);
+            }
+            linksByPrompt.get(link.promptId).push(tagPaths.get(link.tagId));
+        }
+
+        const families = new Map();
+        for (const prompt of tables.prompts || []) {
+            const familyId = this.getFamilyId(prompt);
+            if (!families.has(familyId)) {
+                families.set(familyId, []);
+            }
+            families.get(familyId).push(prompt);
+        }
+
+        const result = { families: 0, versions: 0, skipped: 0 };
+        const addedIds = [];
+
+        for (const family of families.values()) {
+            if (family.some(prompt => existingKeys.has(versionKey(prompt)))) {
+                result.skipped++;
+                continue;
+            }
+
+            const ids = this.addFamily(family, prompt => (linksByPrompt.get(prompt.id) || []).filter(Boolean));
+            addedIds.push(...ids);
+            result.versions += ids.length;
+            result.families++;
+        }
+
+        if (addedIds.length > 0) {
+            await this.store.commit('prompts', 'merge', addedIds);
+        }
+        return result;
+    }
+
+    /**
+     * Delete a single version of a prompt
+     * @param {number} versionId - Version id
+     * @returns {Promise<number|null>} Family id, or null if the version was not found
+     */
+    async deleteVersion(versionId) {
+        const version = this.store.get('prompts', versionId);
+        if (!version) {
+            return null;
+        }
+
+        const familyId = this.getFamilyId(version);
+        const links = this.store.query('promptTags', {
+            clauses: [{ field: 'promptId', op: 'equals', value: versionId }]
+        });
+
+        this.store.remove('prompts', [versionId]);
+        this.store.remove('promptTags', links.map(link => link.id));
+        this.store.remove('runs', this.getVersionRecordIds('runs', [versionId]));
+        this.store.remove('evalRuns', this.getVersionRecordIds('evalRuns', [versionId]));
+        if (this.getFamilyVersions(familyId).length === 0) {
+            this.store.remove('testCases', this.getTestCases(familyId).map(testCase => testCase.id));
+        }
+        this.applyResequence();
+
+        await this.store.commit('prompts', 'delete', [versionId]);
+        this.emit('version-deleted', { version });
+        return familyId;
+    }
+
+    /**
+     * Delete a prompt family with all of its versions and tag links
+     * @param {number} promptId - Id of any version in the family
+     * @returns {Promise<number>} Number of deleted versions
+     */
+    async deleteFamily(promptId) {
+        const versions = this.getFamily(promptId);
+        if (versions.length === 0) {
+            return 0;
+        }
+
+        this.removeFamily(versions);
+        this.applyResequence();
+
+        await this.store.commit('prompts', 'delete', versions.map(v => v.id));
+        this.emit('family-deleted', { versions });
+        return versions.length;
+    }
+
+    /**
+     * Save a playground run of a prompt version
+     * @param {Object} run - { promptId, provider, model, modelSettings, values, messages, output, latencyMs }
+     * @returns {Promise<Object>} Saved run record
+     */
+    async addRun(run) {
+        const runId = this.store.insert('runs', { ...run, createdAt: new Date() });
+        await this.store.commit('runs', 'add', [runId]);
+        return this.store.get('runs', runId);
+    }
+
+    /**
+     * List the saved runs of every version of a prompt, newest first
+     * @param {number} promptId - Id of any version in the family
+     * @returns {Array<Object>} Run records
+     */
+    getRuns(promptId) {
+        const versionIds = this.getFamily(promptId).map(v => v.id);
+        return this.store.query('runs', {
+            clauses: [{ field: 'promptId', op: 'anyOf', value: versionIds }]
+        }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id);
+    }
+
+    /**
+     * Ids of the runs or evaluation reports of some prompt versions
+     * @param {string} table - 'runs' or 'evalRuns'
+     * @param {Array<number>} versionIds - Version ids
+     * @returns {Array<number>} Record ids
+     */
+    getVersionRecordIds(table, versionIds) {
+        return this.store.query(table, {
+            clauses: [{ field: 'promptId', op: 'anyOf', value: versionIds }]
+        }).map(record => record.id);
+    }
+
+    /**
+     * Record a comparison run as the preferred one for its prompt version
+     * The other runs of the same comparison stop being the winner.
+     * @param {number} runId - Run id
+     * @returns {Promise<Object>} Updated run record
+     * @throws {Error} When the run doesn't exist or wasn't part of a comparison
+     */
+    async pickWinner(runId) {
+        const run = this.store.get('runs', runId);
+        if (!run) {
+            throw new Error(`Run ${runId} was not found`);
+        }
+        if (!run.comparisonId) {
+            throw new Error(`Run ${runId} is not part of a comparison`);
+        }
+
+        const others = this.store.query('runs', {
+            clauses: [{ field: 'comparisonId', op: 'equals', value: run.comparisonId }]
+        });
+        for (const other of others) {
+            this.store.patch('runs', other.id, { winner: other.id === runId });
+        }
+        await this.store.commit('runs', 'update', others.map(other => other.id));
+        return this.store.get('runs', runId);
+    }
+
+    /**
+     * Count the comparisons each provider/model pair has won on a prompt version
+     * @param {number} promptId - Prompt version id
+     * @returns {Array<Object>} { provider, model, wins }, most wins first
+     */
+    getWinners(promptId) {
+        const counts = new Map();
+        for (const run of this.store.query('runs', { clauses: [{ field: 'promptId', op: 'equals', value: promptId }] })) {
+            if (!run.winner) continue;
+            const key = `${run.provider}\n${run.model}`;
+            const entry = counts.get(key) || { provider: run.provider, model: run.model, wins: 0 };
+            entry.wins++;
+            counts.set(key, entry);
+        }
+        return Array.from(counts.values()).sort((a, b) => b.wins - a.wins);
+    }
+
+    /**
+     * Delete a saved run
+     * @param {number} runId - Run id
+     * @returns {Promise<boolean>} True if the run existed
+     */
+    async deleteRun(runId) {
+        if (this.store.remove('runs', [runId]) === 0) {
+            return false;
+        }
+        await this.store.commit('runs', 'delete', [runId]);
+        return true;
+    }
+
+    /**
+     * List the test cases of a prompt family, oldest first
+     * @param {number} familyId - Family id
+     * @returns {Array<Object>} Test case records
+     */
+    getTestCases(familyId) {
+        return this.store.query('testCases', {
+            clauses: [{ field: 'familyId', op: 'equals', value: familyId }]
+        }).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Add a test case to a prompt family, or update one
+     * @param {Object} testCase - { id, familyId, name, values, assertions }; without
+     *        an id a new test case is added
+     * @returns {Promise<Object>} Saved test case record
+     * @throws {Error} When the family or the test case doesn't exist
+     */
+    async saveTestCase({ id, familyId, name, values, assertions }) {
+        if (id) {
+            if (!this.store.patch('testCases', id, { name, values, assertions })) {
+                throw new Error(`Test case ${id} was not found`);
+            }
+            await this.store.commit('testCases', 'update', [id]);
+            return this.store.get('testCases', id);
+        }
+
+        if (this.getFamilyVersions(familyId).length === 0) {
+            throw new Error(`Prompt ${familyId} not found`);
+        }
+        const testCaseId = this.store.insert('testCases', { familyId, name, values, assertions, createdAt: new Date() });
+        await this.store.commit('testCases', 'add', [testCaseId]);
+        return this.store.get('testCases', testCaseId);
+    }
+
+    /**
+     * Delete a test case
+     * Reports that ran it keep their results for it.
+     * @param {number} testCaseId - Test case id
+     * @returns {Promise<boolean>} True if the test case existed
+     */
+    async deleteTestCase(testCaseId) {
+        if (this.store.remove('testCases', [testCaseId]) === 0) {
+            return false;
+        }
+        await this.store.commit('testCases', 'delete', [testCaseId]);
+        return true;
+    }
+
+    /**
+     * Save the report of a test suite run on a prompt version
+     * @param {Object} evalRun - { promptId, provider, model, modelSettings, judge, results, passed, total }
+     * @returns {Promise<Object>} Saved report record
+     */
+    async addEvalRun(evalRun) {
+        const evalRunId = this.store.insert('evalRuns', { ...evalRun, createdAt: new Date() });
+        await this.store.commit('evalRuns', 'add', [evalRunId]);
+        return this.store.get('evalRuns', evalRunId);
+    }
+
+    /**
+     * List the test suite reports of every version of a prompt, newest first
+     * @param {number} promptId - Id of any version in the family
+     * @returns {Array<Object>} Report records
+     */
+    getEvalRuns(promptId) {
+        const versionIds = this.getFamily(promptId).map(v => v.id);
+        return this.store.query('evalRuns', {
+            clauses: [{ field: 'promptId', op: 'anyOf', value: versionIds }]
+        }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id);
+    }
+}
+
+module.exports = { LibraryRepository };
@@ -0,0 +1,244 @@
+/**
+ * LibraryRepository.test.js
+ *
+ * Unit tests for prompt, tag and version operations on the library
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+
+describe('LibraryRepository', () => {
+  let dataDir;
+  let store;
+  let repository;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-repository-'));
+    store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('tags', () => {
+    test('should create every level of a hierarchical tag path', async () => {
+      const tag = await repository.findOrCreateTag('coding/javascript/react');
+      const parent = store.get('tags', tag.parentId);
+
+      expect(tag).toMatchObject({ name: 'react', fullPath: 'coding/javascript/react', level: 2 });
+      expect(parent.fullPath).toBe('coding/javascript');
+      expect(store.get('tags', parent.parentId)).toMatchObject({ fullPath: 'coding', parentId: null, level: 0 });
+    });
+
+    test('should resolve untidy tag paths to the same tag', async () => {
+      const first = await repository.findOrCreateTag('coding/javascript');
+      const second = await repository.findOrCreateTag(' coding / javascript/ ');
+
+      expect(second.id).toBe(first.id);
+      expect(() => repository.ensureTag(' / ')).toThrow('Invalid tag path');
+    });
+
+    test('should reuse existing tags', async () => {
+      const first = await repository.findOrCreateTag('coding/javascript');
+      const second = await repository.findOrCreateTag('coding/javascript');
+
+      expect(second.id).toBe(first.id);
+      expect(store.getTable('tags').size).toBe(2);
+    });
+  });
+
+  describe('versions', () => {
+    let original;
+
+    beforeEach(async () => {
+      original = await repository.createPrompt(
+        { title: 'Review', description: 'Code review', text: 'Review this code' },
+        ['coding/review']
+      );
+      await store.update('prompts', original.id, { timesUsed: 4 });
+    });
+
+    test('should create version 1 with tag links', () => {
+      expect(original).toMatchObject({ version: 1, isLatest: 1, parentId: null, timesUsed: 0 });
+      expect(repository.getPromptTags(original.id).map(t => t.fullPath)).toEqual(['coding/review']);
+    });
+
+    test('should create a new latest version and move the tag links', async () => {
+      const listener = jest.fn();
+      repository.on('version-created', listener);
+
+      const next = await repository.createVersion(original.id, { text: 'Review this code carefully' }, ['coding/review', 'quality']);
+
+      expect(next).toMatchObject({
+        title: 'Review',
+        text: 'Review this code carefully',
+        version: 2,
+        isLatest: 1,
+        parentId: original.id,
+        timesUsed: 4
+      });
+      expect(store.get('prompts', original.id).isLatest).toBe(0);
+      expect(repository.getPromptTags(original.id)).toEqual([]);
+      expect(repository.getPromptTags(next.id).map(t => t.fullPath)).toEqual(['coding/review', 'quality']);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ prompt: next }));
+    });
+
+    test('should keep the family id when versioning a later version', async () => {
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      const third = await repository.createVersion(second.id, { text: 'v3' });
+
+      expect(third.parentId).toBe(original.id);
+      expect(repository.getFamily(second.id).map(v => v.version)).toEqual([1, 2, 3]);
+    });
+
+    test('should carry variable declarations into new versions', async () => {
+      const variables = [{ name: 'language', type: 'enum', default: 'Go', description: '', required: true, options: ['Go', 'Python'] }];
+      const second = await repository.createVersion(original.id, { text: 'Review this {{language}} code', variables });
+      const third = await repository.createVersion(second.id, { title: 'Code review' });
+
+      expect(third.variables).toEqual(variables);
+    });
+
+    test('should keep a chat prompt\'s text in step with its messages', async () => {
+      const messages = [{ role: 'system', content: 'You review code.' }, { role: 'user', content: 'Review {{code}}' }];
+      const second = await repository.createVersion(original.id, { type: 'chat', messages, text: 'stale' });
+      const third = await repository.createVersion(second.id, { title: 'Code review' });
+
+      expect(second.text).toBe('[system]\nYou review code.\n\n[user]\nReview {{code}}');
+      expect(third).toMatchObject({ type: 'chat', messages, text: second.text });
+    });
+
+    test('should resequence after deleting a version', async () => {
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      const third = await repository.createVersion(second.id, { text: 'v3' });
+
+      const familyId = await repository.deleteVersion(second.id);
+
+      expect(familyId).toBe(original.id);
+      expect(store.get('prompts', third.id)).toMatchObject({ version: 2, isLatest: 1 });
+    });
+
+    test('should delete a whole family with its tag links', async () => {
+      const second = await repository.createVersion(original.id, { text: 'v2' }, ['coding/review']);
+
+      const deleted = await repository.deleteFamily(second.id);
+
+      expect(deleted).toBe(2);
+      expect(store.getTable('prompts').size).toBe(0);
+      expect(store.getTable('promptTags').size).toBe(0);
+      // Tags themselves are kept
+      expect(store.getTable('tags').size).toBe(2);
+    });
+
+    test('should retag a version without creating a new one', async () => {
+      await repository.setPromptTags(original.id, ['quality', 'coding/review']);
+
+      expect(repository.getFamily(original.id)).toHaveLength(1);
+      expect(repository.getPromptTags(original.id).map(t => t.fullPath).sort()).toEqual(['coding/review', 'quality']);
+      expect(store.getTable('promptTags').size).toBe(2);
+    });
+
+    test('should reject versioning a missing prompt', async () => {
+      await expect(repository.createVersion(999, { text: 'x' })).rejects.toThrow('Prompt 999 not found');
+    });
+  });
+
+  describe('runs', () => {
+    test('should list the runs of every version, newest first', async () => {
+      const original = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      const first = await repository.addRun({ promptId: original.id, output: 'one', latencyMs: 10 });
+      const latest = await repository.addRun({ promptId: second.id, output: 'two', latencyMs: 20 });
+
+      expect(repository.getRuns(original.id).map(run => run.id)).toEqual([latest.id, first.id]);
+    });
+
+    test('should delete runs with their version or family', async () => {
+      const original = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      await repository.addRun({ promptId: original.id, output: 'one' });
+      const kept = await repository.addRun({ promptId: second.id, output: 'two' });
+
+      await repository.deleteVersion(original.id);
+      expect(repository.getRuns(second.id).map(run => run.id)).toEqual([kept.id]);
+
+      expect(await repository.deleteRun(kept.id)).toBe(true);
+      expect(await repository.deleteRun(kept.id)).toBe(false);
+
+      await repository.addRun({ promptId: second.id, output: 'three' });
+      await repository.deleteFamily(second.id);
+      expect(store.getTable('runs').size).toBe(0);
+    });
+
+    test('should record one winner per comparison and count wins by model', async () => {
+      const prompt = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      const add = (comparisonId, model) => repository.addRun({ promptId: prompt.id, provider: 'openrouter', model, comparisonId });
+      const first = await add('a', 'gpt-4o');
+      const second = await add('a', 'claude');
+      const later = await add('b', 'claude');
+      const single = await repository.addRun({ promptId: prompt.id, provider: 'ollama', model: 'llama3' });
+
+      await repository.pickWinner(first.id);
+      await repository.pickWinner(second.id);
+      await repository.pickWinner(later.id);
+
+      expect(store.get('runs', first.id).winner).toBe(false);
+      expect(repository.getWinners(prompt.id)).toEqual([{ provider: 'openrouter', model: 'claude', wins: 2 }]);
+      await expect(repository.pickWinner(single.id)).rejects.toThrow(`Run ${single.id} is not part of a comparison`);
+      await expect(repository.pickWinner(999)).rejects.toThrow('Run 999 was not found');
+    });
+  });
+
+  describe('test suites', () => {
+    test('should keep test cases with the family and reports with their version', async () => {
+      const original = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      const testCase = await repository.saveTestCase({ familyId: original.id, name: 'Short', values: {}, assertions: [{ type: 'max-length', value: 10 }] });
+      await repository.saveTestCase({ id: testCase.id, name: 'Brief', values: {}, assertions: testCase.assertions });
+      await repository.addEvalRun({ promptId: original.id, results: [], passed: 0, total: 0 });
+      const kept = await repository.addEvalRun({ promptId: second.id, results: [], passed: 0, total: 0 });
+
+      expect(repository.getTestCases(original.id).map(saved => saved.name)).toEqual(['Brief']);
+      await repository.deleteVersion(original.id);
+      expect(repository.getTestCases(original.id)).toHaveLength(1);
+      expect(repository.getEvalRuns(second.id).map(report => report.id)).toEqual([kept.id]);
+
+      await repository.deleteFamily(second.id);
+      expect(store.getTable('testCases').size).toBe(0);
+      expect(store.getTable('evalRuns').size).toBe(0);
+    });
+
+    test('should delete the test cases with the last version of a family', async () => {
+      const original = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      const second = await repository.createVersion(original.id, { text: 'v2' });
+      await repository.saveTestCase({ familyId: original.id, name: 'Short', values: {}, assertions: [] });
+
+      await repository.deleteVersion(original.id);
+      expect(repository.getTestCases(original.id)).toHaveLength(1);
+
+      await repository.deleteVersion(second.id);
+      expect(store.getTable('testCases').size).toBe(0);
+    });
+
+    test('should add test cases to a family whose first version was deleted', async () => {
+      const original = await repository.createPrompt({ title: 'Review', text: 'v1' });
+      await repository.createVersion(original.id, { text: 'v2' });
+      await repository.deleteVersion(original.id);
+
+      const testCase = await repository.saveTestCase({ familyId: original.id, name: 'Short', values: {}, assertions: [] });
+
+      expect(repository.getTestCases(original.id).map(saved => saved.id)).toEqual([testCase.id]);
+    });
+
+    test('should reject test cases for missing prompts or ids', async () => {
+      await expect(repository.saveTestCase({ familyId: 999, name: 'x', assertions: [] })).rejects.toThrow('Prompt 999 not found');
+      await expect(repository.saveTestCase({ id: 5, name: 'x', assertions: [] })).rejects.toThrow('Test case 5 was not found');
+      expect(await repository.deleteTestCase(5)).toBe(false);
+    });
+  });
+});
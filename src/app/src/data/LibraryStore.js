@@ -0,0 +1,567 @@
+/**
+ * Library Store
+ * File-based storage for prompts, folders, tags, prompt-tag links, saved
+ * playground runs, and the test cases and evaluation reports of prompts.
+ * Lives in the main process so every window (and any background job)
+ * reads and writes the same data.
+ */
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { libraryMigrator, BASE_SCHEMA_VERSION } = require('./migrations.js');
+
+const TABLES = ['prompts', 'folders', 'tags', 'promptTags', 'runs', 'testCases', 'evalRuns'];
+
+class LibraryStore extends EventEmitter {
+    /**
+     * @param {SchemaMigrator} migrator - Schema upgrades to apply when loading
+     */
+    constructor(migrator = libraryMigrator) {
+        super();
+        this.migrator = migrator;
+        this.filePath = null;
+        this.dataDir = null;
+        this.schemaVersion = migrator.getLatestVersion();
+        this.state = 'ready';
+        this.failure = null;
+        this.rawContents = null;
+        this.tables = {};
+        this.sequences = {};
+        this.meta = {};
+        this.writeQueue = Promise.resolve();
+        this.reset();
+    }
+
+    /**
+     * Initialize the store and load existing data from disk
+     * Older library files are upgraded after a snapshot of the original is saved.
+     * If the file cannot be read or upgraded the store enters the 'failed' state
+     * and leaves the file untouched.
+     * @param {string} dataDir - Application data directory
+     */
+    async initialize(dataDir) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, 'library.json');
+        this.state = 'ready';
+        this.failure = null;
+        this.rawContents = null;
+
+        let raw = null;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Such as EACCES or EISDIR: show the recovery screen rather than fail to start
+                this.fail('The library file could not be opened', error);
+                return;
+            }
+        }
+
+        if (raw === null) {
+            // First launch: create an empty library file
+            this.reset();
+            this.schemaVersion = this.migrator.getLatestVersion();
+            this.meta.createdAt = new Date().toISOString();
+            await this.persist();
+            console.log('Created new library file at:', this.filePath);
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            this.fail('The library file could not be read', error, { raw });
+            return;
+        }
+
+        const fromVersion = data.schemaVersion || BASE_SCHEMA_VERSION;
+        const targetVersion = this.migrator.getLatestVersion();
+
+        if (fromVersion === targetVersion) {
+            this.load(data);
+            console.log('Library loaded from:', this.filePath);
+            return;
+        }
+
+        let backupPath = null;
+        try {
+            if (fromVersion < targetVersion) {
+                backupPath = await this.writeMigrationBackup(raw, fromVersion);
+            }
+
+            const { data: upgraded, applied } = await this.migrator.migrate(data, fromVersion);
+            this.load(upgraded);
+            this.meta.migrations = [
+                ...(this.meta.migrations || []),
+                { from: fromVersion, to: targetVersion, applied, backupPath, migratedAt: new Date().toISOString() }
+            ];
+            await this.persist();
+            console.log(`Library upgraded from schema version ${fromVersion} to ${targetVersion}`);
+        } catch (error) {
+            this.reset();
+            this.fail('The library could not be upgraded', error, { raw, backupPath, fromVersion, targetVersion });
+        }
+    }
+
+    /**
+     * Save a copy of the library file before upgrading it
+     * @param {string} raw - Original file contents
+     * @param {number} fromVersion - Schema version of the original
+     * @returns {Promise<string>} Path of the snapshot
+     */
+    async writeMigrationBackup(raw, fromVersion) {
+        const backupDir = path.join(this.dataDir, 'migration-backups');
+        await fs.mkdir(backupDir, { recursive: true });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `library-v${fromVersion}-${timestamp}.json`);
+        await fs.writeFile(backupPath, raw, 'utf8');
+
+        console.log('Saved pre-migration snapshot:', backupPath);
+        return backupPath;
+    }
+
+    /**
+     * Put the store into the failed state
+     * Nothing is written to disk while failed; the raw file can still be exported.
+     * @param {string} message - What went wrong, for the recovery screen
+     * @param {Error} error - Underlying error
+     * @param {Object} details - Raw contents and migration details
+     */
+    fail(message, error, details = {}) {
+        const { raw, ...failureDetails } = details;
+        this.state = 'failed';
+        this.rawContents = raw;
+        this.failure = {
+            message,
+            error: error.message,
+            ...failureDetails
+        };
+        console.error(`${message}:`, error);
+    }
+
+    /**
+     * Get the library contents exactly as they should be exported for recovery
+     * @returns {string} Raw file contents when failed, otherwise the serialized library
+     */
+    getRawContents() {
+        if (this.state === 'failed') {
+            return this.rawContents;
+        }
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    /**
+     * Clear all in-memory data
+     */
+    reset() {
+        this.meta = {};
+        for (const table of TABLES) {
+            this.tables[table] = new Map();
+            this.sequences[table] = 0;
+        }
+    }
+
+    /**
+     * Load a serialized library into memory
+     * @param {Object} data - Parsed library file contents
+     */
+    load(data) {
+        this.reset();
+        this.schemaVersion = data.schemaVersion || BASE_SCHEMA_VERSION;
+        this.meta = { ...(data.meta || {}) };
+
+        for (const table of TABLES) {
+            const rows = data.tables?.[table] || [];
+            for (const row of rows) {
+                this.tables[table].set(row.id, row);
+            }
+            const maxId = rows.reduce((max, row) => Math.max(max, row.id), 0);
+            this.sequences[table] = Math.max(data.sequences?.[table] || 0, maxId);
+        }
+    }
+
+    /**
+     * Serialize the library for writing to disk
+     * @returns {Object} Plain object representation of the library
+     */
+    serialize() {
+        const tables = {};
+        for (const table of TABLES) {
+            tables[table] = Array.from(this.tables[table].values());
+        }
+
+        return {
+            schemaVersion: this.schemaVersion,
+            meta: this.meta,
+            sequences: { ...this.sequences },
+            tables
+        };
+    }
+
+    /**
+     * Write the library to disk atomically
+     * Writes are queued so concurrent mutations never interleave on disk
+     * @returns {Promise<void>}
+     */
+    persist() {
+        if (this.state === 'failed') {
+            return Promise.reject(new Error('Library is unavailable; refusing to overwrite it'));
+        }
+
+        const snapshot = JSON.stringify(this.serialize(), null, 2);
+
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.writeFile(tempPath, snapshot, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+            });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Persist pending changes and notify listeners
+     * @param {string} table - Table that changed
+     * @param {string} operation - Operation that was performed
+     * @param {Array<number>} ids - Affected record ids
+     */
+    async commit(table, operation, ids) {
+        await this.persist();
+        this.emit('changed', { table, operation, ids });
+    }
+
+    /**
+     * Get a table by name
+     * @param {string} table - Table name
+     * @returns {Map} Table rows keyed by id
+     */
+    getTable(table) {
+        if (this.state === 'failed') {
+            throw new Error(`Library is unavailable: ${this.failure.message}`);
+        }
+        if (!TABLES.includes(table)) {
+            throw new Error(`Unknown table: ${table}`);
+        }
+        return this.tables[table];
+    }
+
+    /**
+     * Check whether a record matches a single clause
+     * @param {Object} record - Record to test
+     * @param {Object} clause - Clause ({ field, op, value })
+     * @returns {boolean} True if the record matches
+     */
+    matchesClause(record, clause) {
+        const fieldValue = record[clause.field];
+
+        switch (clause.op) {
+            case 'equals':
+                return fieldValue === clause.value;
+            case 'anyOf':
+                return clause.value.includes(fieldValue);
+            case 'startsWith':
+                return typeof fieldValue === 'string' && fieldValue.startsWith(clause.value);
+            case 'startsWithIgnoreCase':
+                return typeof fieldValue === 'string' &&
+                    fieldValue.toLowerCase().startsWith(String(clause.value).toLowerCase());
+            default:
+                throw new Error(`Unsupported query operator: ${clause.op}`);
+        }
+    }
+
+    /**
+     * Query a table
+     * Clauses are OR-ed together, mirroring Dexie's where(...).or(...) chains.
+     * An empty clause list returns every row.
+     * @param {string} table - Table name
+     * @param {Object} spec - Query spec ({ clauses: [{ field, op, value }] })
+     * @returns {Array} Matching records
+     */
+    query(table, spec = {}) {
+        const rows = Array.from(this.getTable(table).values());
+        const clauses = spec.clauses || [];
+
+        if (clauses.length === 0) {
+            return rows.map(row => ({ ...row }));
+        }
+
+        return rows
+            .filter(row => clauses.some(clause => this.matchesClause(row, clause)))
+            .map(row => ({ ...row }));
+    }
+
+    /**
+     * Get a record by id
+     * @param {string} table - Table name
+     * @param {number} id - Record id
+     * @returns {Object|undefined} Record copy or undefined if not found
+     */
+    get(table, id) {
+        const row = this.getTable(table).get(id);
+        return row ? { ...row } : undefined;
+    }
+
+    /**
+     * Insert a record without persisting
+     * Used by repository operations that batch several writes into one commit.
+     * @param {string} table - Table name
+     * @param {Object} record - Record to insert
+     * @returns {number} New record id
+     */
+    insert(table, record) {
+        const rows = this.getTable(table);
+        // Normalise Dates and drop undefined values the same way the file will
+        const normalized = JSON.parse(JSON.stringify(record));
+
+        let id = normalized.id;
+        if (id === undefined || id === null) {
+            id = ++this.sequences[table];
+        } else if (id > this.sequences[table]) {
+            this.sequences[table] = id;
+        }
+
+        rows.set(id, { ...normalized, id });
+        return id;
+    }
+
+    /**
+     * Apply changes to a record without persisting
+     * @param {string} table - Table name
+     * @param {number} id - Record id
+     * @param {Object} changes - Fields to change
+     * @returns {number} 1 if the record was updated, 0 otherwise
+     */
+    patch(table, id, changes) {
+        const rows = this.getTable(table);
+        const row = rows.get(id);
+        if (!row) {
+            return 0;
+        }
+
+        const normalized = JSON.parse(JSON.stringify(changes));
+        rows.set(id, { ...row, ...normalized, id });
+        return 1;
+    }
+
+    /**
+     * Remove records without persisting
+     * @param {string} table - Table name
+     * @param {Array<number>} ids - Record ids
+     * @returns {number} Number of removed records
+     */
+    remove(table, ids) {
+        const rows = this.getTable(table);
+        let removed = 0;
+        for (const id of ids) {
+            if (rows.delete(id)) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Add a record
+     * @param {string} table - Table name
+     * @param {Object} record - Record to add
+     * @returns {Promise<number>} New record id
+     */
+    async add(table, record) {
+        const id = this.insert(table, record);
+        await this.commit(table, 'add', [id]);
+        return id;
+    }
+
+    /**
+     * Add several records
+     * @param {string} table - Table name
+     * @param {Array<Object>} records - Records to add
+     * @returns {Promise<Array<number>>} New record ids
+     */
+    async bulkAdd(table, records) {
+        const ids = records.map(record => this.insert(table, record));
+        await this.commit(table, 'add', ids);
+        return ids;
+    }
+
+    /**
+     * Update a record
+     * @param {string} table - Table name
+     * @param {number} id - Record id
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<number>} 1 if the record was updated, 0 otherwise
+     */
+    async update(table, id, changes) {
+        const updated = this.patch(table, id, changes);
+        if (updated) {
+            await this.commit(table, 'update', [id]);
+        }
+        return updated;
+    }
+
+    /**
+     * Delete records by id
+     * @param {string} table - Table name
+     * @param {Array<number>} ids - Record ids
+     * @returns {Promise<number>} Number of deleted records
+     */
+    async delete(table, ids) {
+        const removed = this.remove(table, ids);
+        if (removed) {
+            await this.commit(table, 'delete', ids);
+        }
+        return removed;
+    }
+
+    /**
+     * Delete every record matching a query
+     * @param {string} table - Table name
+     * @param {Object} spec - Query spec
+     * @returns {Promise<number>} Number of deleted records
+     */
+    async deleteWhere(table, spec) {
+        const ids = this.query(table, spec).map(row => row.id);
+        return await this.delete(table, ids);
+    }
+
+    /**
+     * Remove every record from a table
+     * @param {string} table - Table name
+     * @returns {Promise<void>}
+     */
+    async clear(table) {
+        const ids = Array.from(this.getTable(table).keys());
+        this.getTable(table).clear();
+        await this.commit(table, 'clear', ids);
+    }
+
+    /**
+     * Replace every table with the contents of another copy of the library
+     * Library metadata is kept, and id sequences never move backwards so ids
+     * handed out before the replace are not reused.
+     * @param {Object} data - Library data at the current schema version
+     * @returns {Promise<void>}
+     */
+    async replaceAll(data) {
+        const meta = this.meta;
+        const sequences = { ...this.sequences };
+
+        this.load(data);
+        this.meta = meta;
+        this.schemaVersion = this.migrator.getLatestVersion();
+        for (const table of TABLES) {
+            this.sequences[table] = Math.max(this.sequences[table], sequences[table]);
+        }
+
+        await this.commit('prompts', 'replace', []);
+    }
+
+    /**
+     * Check whether the library holds no data at all
+     * @returns {boolean} True if every table is empty
+     */
+    isEmpty() {
+        return TABLES.every(table => this.tables[table].size === 0);
+    }
+
+    /**
+     * Get summary information about the library
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        if (this.state === 'failed') {
+            return {
+                state: this.state,
+                filePath: this.filePath,
+                failure: this.failure
+            };
+        }
+
+        const counts = {};
+        for (const table of TABLES) {
+            counts[table] = this.tables[table].size;
+        }
+
+        return {
+            state: this.state,
+            filePath: this.filePath,
+            schemaVersion: this.schemaVersion,
+            counts,
+            legacyMigration: this.meta.legacyMigration || null
+        };
+    }
+
+    /**
+     * Import data read from the legacy renderer IndexedDB database
+     * Records keep their original ids so parentId chains and tag links stay intact.
+     * The import only runs once and only into an empty library.
+     * @param {Object} legacyData - Object with prompts, folders, tags and promptTags arrays
+     * @returns {Promise<Object>} Import result
+     */
+    async importLegacyData(legacyData) {
+        if (this.meta.legacyMigration) {
+            return { success: true, skipped: true, reason: 'already-migrated' };
+        }
+
+        if (!this.isEmpty()) {
+            this.meta.legacyMigration = {
+                migratedAt: new Date().toISOString(),
+                skipped: true,
+                reason: 'library-not-empty'
+            };
+            await this.persist();
+            return { success: true, skipped: true, reason: 'library-not-empty' };
+        }
+
+        // IndexedDB data has the version 4 layout; bring it up to date first
+        const legacyTables = {};
+        for (const table of TABLES) {
+            legacyTables[table] = legacyData?.[table] || [];
+        }
+        const { data: upgraded } = await this.migrator.migrate({ tables: legacyTables }, BASE_SCHEMA_VERSION);
+
+        const counts = {};
+        for (const table of TABLES) {
+            const rows = upgraded.tables[table];
+            for (const row of rows) {
+                this.insert(table, row);
+            }
+            counts[table] = rows.length;
+        }
+
+        this.meta.legacyMigration = {
+            migratedAt: new Date().toISOString(),
+            skipped: false,
+            counts
+        };
+
+        await this.commit('prompts', 'import', []);
+        console.log('Migrated legacy IndexedDB data:', counts);
+        return { success: true, skipped: false, counts };
+    }
+
+    /**
+     * Record that there was no legacy data to migrate
+     * @returns {Promise<void>}
+     */
+    async markLegacyMigrationComplete() {
+        if (this.meta.legacyMigration) {
+            return;
+        }
+
+        this.meta.legacyMigration = {
+            migratedAt: new Date().toISOString(),
+            skipped: true,
+            reason: 'no-legacy-data'
+        };
+        await this.persist();
+    }
+}
+
+// Export singleton instance
+const libraryStore = new LibraryStore();
+module.exports = { LibraryStore, libraryStore, TABLES };
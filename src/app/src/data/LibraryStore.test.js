@@ -0,0 +1,223 @@
+/**
+ * LibraryStore.test.js
+ *
+ * Unit tests for the main-process library store
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+
+describe('LibraryStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-store-'));
+    store = new LibraryStore();
+    await store.initialize(dataDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should create an empty library file on first launch', () => {
+    const contents = JSON.parse(fs.readFileSync(path.join(dataDir, 'library.json'), 'utf8'));
+
+    expect(contents.tables.prompts).toEqual([]);
+    expect(store.isEmpty()).toBe(true);
+  });
+
+  test('should assign incrementing ids and persist records', async () => {
+    const firstId = await store.add('prompts', { title: 'First', isLatest: 1 });
+    const secondId = await store.add('prompts', { title: 'Second', isLatest: 1 });
+
+    expect(firstId).toBe(1);
+    expect(secondId).toBe(2);
+
+    const reloaded = new LibraryStore();
+    await reloaded.initialize(dataDir);
+    expect(reloaded.get('prompts', 2).title).toBe('Second');
+
+    // Sequences survive a reload even after the newest record is deleted
+    await reloaded.delete('prompts', [2]);
+    expect(await reloaded.add('prompts', { title: 'Third' })).toBe(3);
+  });
+
+  test('should store dates as ISO strings', async () => {
+    const id = await store.add('prompts', { title: 'Dated', createdAt: new Date('2024-01-02T03:04:05Z') });
+
+    expect(store.get('prompts', id).createdAt).toBe('2024-01-02T03:04:05.000Z');
+  });
+
+  test('should OR query clauses together', async () => {
+    await store.bulkAdd('prompts', [
+      { title: 'Root', parentId: null, version: 1 },
+      { title: 'Child', parentId: 1, version: 2 },
+      { title: 'Other', parentId: null, version: 1 }
+    ]);
+
+    const family = store.query('prompts', {
+      clauses: [
+        { field: 'parentId', op: 'equals', value: 1 },
+        { field: 'id', op: 'equals', value: 1 }
+      ]
+    });
+
+    expect(family.map(p => p.title).sort()).toEqual(['Child', 'Root']);
+  });
+
+  test('should support anyOf and startsWithIgnoreCase clauses', async () => {
+    await store.bulkAdd('tags', [
+      { name: 'coding', fullPath: 'coding' },
+      { name: 'javascript', fullPath: 'coding/javascript' },
+      { name: 'writing', fullPath: 'writing' }
+    ]);
+
+    const byIds = store.query('tags', { clauses: [{ field: 'id', op: 'anyOf', value: [1, 3] }] });
+    const byPrefix = store.query('tags', { clauses: [{ field: 'fullPath', op: 'startsWithIgnoreCase', value: 'CODING' }] });
+
+    expect(byIds.map(t => t.name)).toEqual(['coding', 'writing']);
+    expect(byPrefix).toHaveLength(2);
+  });
+
+  test('should return copies so callers cannot mutate stored rows', async () => {
+    const id = await store.add('tags', { name: 'coding', fullPath: 'coding' });
+
+    store.get('tags', id).name = 'changed';
+
+    expect(store.get('tags', id).name).toBe('coding');
+  });
+
+  test('should emit change events after writes', async () => {
+    const listener = jest.fn();
+    store.on('changed', listener);
+
+    const id = await store.add('prompts', { title: 'Watched' });
+    await store.update('prompts', id, { title: 'Renamed' });
+
+    expect(listener).toHaveBeenCalledWith({ table: 'prompts', operation: 'add', ids: [id] });
+    expect(listener).toHaveBeenCalledWith({ table: 'prompts', operation: 'update', ids: [id] });
+  });
+
+  test('should reject unknown tables', () => {
+    expect(() => store.query('nope', {})).toThrow('Unknown table: nope');
+  });
+
+  describe('schema migration', () => {
+    const libraryPath = () => path.join(dataDir, 'library.json');
+    const writeLibrary = (contents) => fs.writeFileSync(libraryPath(), contents);
+
+    test('should record the schema version in new library files', () => {
+      const contents = JSON.parse(fs.readFileSync(libraryPath(), 'utf8'));
+
+      expect(contents.schemaVersion).toBe(store.migrator.getLatestVersion());
+      expect(store.getStatus()).toMatchObject({ state: 'ready', schemaVersion: contents.schemaVersion });
+    });
+
+    test('should upgrade an unversioned library after saving a snapshot', async () => {
+      const original = JSON.stringify({ tables: { prompts: [{ id: 1, title: 'Old', isLatest: true }] } });
+      writeLibrary(original);
+
+      const upgraded = new LibraryStore();
+      await upgraded.initialize(dataDir);
+
+      expect(upgraded.get('prompts', 1)).toMatchObject({ isLatest: 1, timesUsed: 0 });
+      const [migration] = upgraded.meta.migrations;
+      expect(migration).toMatchObject({ from: 4, to: upgraded.migrator.getLatestVersion() });
+      expect(fs.readFileSync(migration.backupPath, 'utf8')).toBe(original);
+      expect(JSON.parse(fs.readFileSync(libraryPath(), 'utf8')).schemaVersion).toBe(migration.to);
+    });
+
+    test('should leave the file untouched when an upgrade fails', async () => {
+      const { SchemaMigrator } = require('./SchemaMigrator');
+      const failing = new SchemaMigrator(4);
+      failing.version(5).upgrade(() => { throw new Error('boom'); });
+      const original = JSON.stringify({ tables: { prompts: [{ id: 1, title: 'Keep me' }] } });
+      writeLibrary(original);
+
+      const broken = new LibraryStore(failing);
+      await broken.initialize(dataDir);
+
+      expect(broken.getStatus()).toMatchObject({
+        state: 'failed',
+        failure: { error: 'Upgrade to schema version 5 failed: boom', fromVersion: 4, targetVersion: 5 }
+      });
+      expect(fs.readFileSync(broken.getStatus().failure.backupPath, 'utf8')).toBe(original);
+      expect(() => broken.query('prompts', {})).toThrow('Library is unavailable');
+      await expect(broken.persist()).rejects.toThrow('refusing to overwrite');
+      expect(fs.readFileSync(libraryPath(), 'utf8')).toBe(original);
+      expect(broken.getRawContents()).toBe(original);
+    });
+
+    test('should not recreate an unreadable library file', async () => {
+      writeLibrary('{ not json');
+
+      const broken = new LibraryStore();
+      await broken.initialize(dataDir);
+
+      expect(broken.getStatus().state).toBe('failed');
+      expect(fs.readFileSync(libraryPath(), 'utf8')).toBe('{ not json');
+      expect(broken.getRawContents()).toBe('{ not json');
+    });
+
+    test('should fail rather than throw when the library file cannot be opened', async () => {
+      fs.rmSync(libraryPath());
+      fs.mkdirSync(libraryPath());
+
+      const broken = new LibraryStore();
+      await broken.initialize(dataDir);
+
+      expect(broken.getStatus()).toMatchObject({ state: 'failed', failure: { message: 'The library file could not be opened' } });
+      expect(broken.getStatus().failure.error).toContain('EISDIR');
+      expect(fs.statSync(libraryPath()).isDirectory()).toBe(true);
+    });
+
+    test('should refuse a library written by a newer version', async () => {
+      writeLibrary(JSON.stringify({ schemaVersion: 99, tables: {} }));
+
+      const broken = new LibraryStore();
+      await broken.initialize(dataDir);
+
+      expect(broken.getStatus().failure.error).toContain('newer than this app supports');
+      expect(fs.existsSync(path.join(dataDir, 'migration-backups'))).toBe(false);
+    });
+  });
+
+  describe('legacy migration', () => {
+    test('should import legacy data keeping original ids', async () => {
+      const result = await store.importLegacyData({
+        prompts: [
+          { id: 5, title: 'Old', version: 1, isLatest: 0, parentId: null },
+          { id: 9, title: 'Old v2', version: 2, isLatest: 1, parentId: 5 }
+        ],
+        tags: [{ id: 3, name: 'coding', fullPath: 'coding', parentId: null, level: 0 }],
+        promptTags: [{ id: 1, promptId: 9, tagId: 3 }]
+      });
+
+      expect(result.skipped).toBe(false);
+      expect(store.get('prompts', 9).parentId).toBe(5);
+      expect(await store.add('prompts', { title: 'New' })).toBe(10);
+      expect(store.getStatus().legacyMigration.counts.prompts).toBe(2);
+    });
+
+    test('should only migrate once', async () => {
+      await store.markLegacyMigrationComplete();
+
+      const result = await store.importLegacyData({ prompts: [{ id: 1, title: 'Late' }] });
+
+      expect(result.skipped).toBe(true);
+      expect(store.isEmpty()).toBe(true);
+    });
+
+    test('should not import into a library that already has data', async () => {
+      await store.add('prompts', { title: 'Existing' });
+
+      const result = await store.importLegacyData({ prompts: [{ id: 1, title: 'Legacy' }] });
+
+      expect(result).toEqual({ success: true, skipped: true, reason: 'library-not-empty' });
+      expect(store.get('prompts', 1).title).toBe('Existing');
+    });
+  });
+});
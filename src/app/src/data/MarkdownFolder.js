@@ -0,0 +1,338 @@
+/**
+ * Markdown Folder
+ * Exports the library as one Markdown file per prompt and reads such a folder
+ * back in. Each file has YAML front matter followed by the prompt text:
+ *
+ *   ---
+ *   title: "Code Review"
+ *   description: "Review a pull request"
+ *   tags:
+ *     - "coding/review"
+ *   version: 2
+ *   timesUsed: 4
+ *   createdAt: "2024-01-02T03:04:05.000Z"
+ *   variables: [{"name":"language","type":"enum","options":["Go","Python"],...}]
+ *   modelSettings: {"model":"llama3.1:8b","temperature":0.2}
+ *   ---
+ *
+ *   Review this code...
+ *
+ * Chat prompts add `type: "chat"` and keep their messages in the body, each
+ * after a [system], [user] or [assistant] line.
+ *
+ * Only the small part of YAML these files need is supported: scalars (plain,
+ * single- or double-quoted), block and flow lists of strings, | / > blocks,
+ * and JSON written on one line (which YAML reads as flow collections).
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { PromptMatcher } = require('./PromptMatcher.js');
+const { normalizeDeclarations } = require('../templates/PromptTemplate.js');
+const { isChatPrompt, parseFlattenedMessages, normalizeMessages } = require('../prompts/ChatMessages.js');
+const { normalizeModelSettings, hasModelSettings } = require('../prompts/ModelSettings.js');
+
+/**
+ * Write a YAML scalar
+ * Strings are double-quoted; JSON string escapes are valid YAML.
+ * @param {*} value - Value to write
+ * @returns {string} YAML scalar
+ */
+function yamlScalar(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Read a YAML scalar
+ * @param {string} raw - Scalar text
+ * @returns {*} Parsed value
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('"')) {
+        return JSON.parse(value);
+    }
+    if (value.startsWith("'")) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('{') || value.startsWith('[')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Not JSON: fall through to a flow list of plain strings
+        }
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        const items = inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+        return items.filter(item => item.trim()).map(item => parseScalar(item));
+    }
+    if (value === '' || value === 'null' || value === '~') {
+        return null;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Parse the front matter block of a Markdown file
+ * @param {string} yaml - Text between the --- markers
+ * @returns {Object} Front matter fields
+ */
+function parseFrontMatter(yaml) {
+    const lines = yaml.split('\n');
+    const fields = {};
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const match = line.match(/^([A-Za-z_][\w-]*):(.*)$/);
+        if (!match) {
+            throw new Error(`Cannot read front matter line ${i + 2}: "${line}"`);
+        }
+
+        const [, key, rest] = match;
+        const value = rest.trim();
+
+        if (value === '|' || value === '>' || value === '|-' || value === '>-') {
+            // Block scalar: the indented lines that follow
+            const block = [];
+            while (i + 1 < lines.length && (/^\s+/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+                block.push(lines[++i]);
+            }
+            const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+            const text = block.map(l => l.slice(indent)).join('\n').replace(/\n+$/, '');
+            fields[key] = value.startsWith('>') ? text.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : text;
+        } else if (value === '') {
+            // Block list, or an empty value
+            const items = [];
+            while (i + 1 < lines.length && /^\s*-\s/.test(lines[i + 1])) {
+                items.push(parseScalar(lines[++i].replace(/^\s*-\s/, '')));
+            }
+            fields[key] = items.length > 0 ? items : null;
+        } else {
+            fields[key] = parseScalar(value);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Write a prompt as Markdown with front matter
+ * @param {Object} prompt - Prompt version
+ * @param {Array<string>} tagPaths - Full paths of the prompt's tags
+ * @param {Object} options - { usage: false } to leave out timesUsed
+ * @returns {string} File contents
+ */
+function serializePromptMarkdown(prompt, tagPaths, { usage = true } = {}) {
+    const lines = ['---'];
+    lines.push(`title: ${yamlScalar(prompt.title || '')}`);
+    lines.push(`description: ${yamlScalar(prompt.description || '')}`);
+    if (tagPaths.length > 0) {
+        lines.push('tags:');
+        tagPaths.forEach(tagPath => lines.push(`  - ${yamlScalar(tagPath)}`));
+    } else {
+        lines.push('tags: []');
+    }
+    lines.push(`version: ${yamlScalar(prompt.version || 1)}`);
+    if (isChatPrompt(prompt)) {
+        lines.push(`type: ${yamlScalar('chat')}`);
+    }
+    if (usage) {
+        lines.push(`timesUsed: ${yamlScalar(prompt.timesUsed || 0)}`);
+    }
+    lines.push(`createdAt: ${yamlScalar(prompt.createdAt || null)}`);
+    if (Array.isArray(prompt.variables) && prompt.variables.length > 0) {
+        lines.push(`variables: ${JSON.stringify(prompt.variables)}`);
+    }
+    if (hasModelSettings(prompt.modelSettings)) {
+        lines.push(`modelSettings: ${JSON.stringify(prompt.modelSettings)}`);
+    }
+    lines.push('---', '');
+
+    return `${lines.join('\n')}\n${prompt.text || ''}\n`;
+}
+
+/**
+ * Read a Markdown prompt file
+ * Files without front matter are read as plain prompt text.
+ * @param {string} contents - File contents
+ * @param {string} fallbackTitle - Title to use when the file has none
+ * @returns {Object} { title, description, tags, version, timesUsed, createdAt, variables, modelSettings, type, messages, text }
+ */
+function parsePromptMarkdown(contents, fallbackTitle) {
+    const normalized = contents.replace(/\r\n/g, '\n');
+    const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n|$)([\s\S]*)$/);
+
+    const fields = match ? parseFrontMatter(match[1]) : {};
+    let text = match ? match[2] : normalized;
+    // Undo the blank line after the front matter and the final newline added on export
+    text = text.replace(/^\n/, '').replace(/\n$/, '');
+
+    const tags = fields.tags === null || fields.tags === undefined ? [] : [].concat(fields.tags);
+    const { declarations, errors } = normalizeDeclarations(fields.variables);
+    if (errors.length > 0) {
+        throw new Error(`Invalid variables: ${errors.join('; ')}`);
+    }
+    const modelSettings = normalizeModelSettings(fields.modelSettings);
+    if (modelSettings.errors.length > 0) {
+        throw new Error(`Invalid model settings: ${modelSettings.errors.join('; ')}`);
+    }
+
+    let messages = [];
+    if (fields.type === 'chat') {
+        const checked = normalizeMessages(parseFlattenedMessages(text));
+        if (checked.errors.length > 0) {
+            throw new Error(`Invalid chat messages: ${checked.errors.join('; ')}; each message starts with a [system], [user] or [assistant] line`);
+        }
+        messages = checked.messages;
+    }
+
+    return {
+        title: fields.title ? String(fields.title) : fallbackTitle,
+        description: fields.description ? String(fields.description) : '',
+        tags: tags.map(String),
+        version: Number.isInteger(fields.version) ? fields.version : 1,
+        timesUsed: Number.isInteger(fields.timesUsed) ? fields.timesUsed : 0,
+        createdAt: fields.createdAt ? String(fields.createdAt) : null,
+        variables: declarations,
+        modelSettings: modelSettings.settings,
+        type: messages.length > 0 ? 'chat' : 'text',
+        messages,
+        text
+    };
+}
+
+/**
+ * Make a string safe to use as a file or directory name
+ * @param {string} name - Name to clean
+ * @returns {string} Safe name
+ */
+function safeFileName(name) {
+    const cleaned = String(name || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .slice(0, 100)
+        .trim();
+    return cleaned || 'Untitled';
+}
+
+class MarkdownFolder {
+    /**
+     * @param {LibraryRepository} repository - Library to export from and match against
+     */
+    constructor(repository) {
+        this.repository = repository;
+        this.store = repository.store;
+    }
+
+    /**
+     * Write the latest version of every prompt into a directory
+     * @param {string} directory - Target directory
+     * @param {Object} options - { nestByTag } to place each file under its first tag's path
+     * @returns {Promise<Object>} { directory, files } with paths relative to the directory
+     */
+    async exportToFolder(directory, { nestByTag = false } = {}) {
+        const prompts = this.store.query('prompts', {
+            clauses: [{ field: 'isLatest', op: 'equals', value: 1 }]
+        }).sort((a, b) => String(a.title).localeCompare(String(b.title)));
+
+        const usedPaths = new Set();
+        const files = [];
+
+        for (const prompt of prompts) {
+            const tagPaths = this.repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort();
+
+            const folder = nestByTag && tagPaths.length > 0
+                ? path.join(...tagPaths[0].split('/').map(safeFileName))
+                : '';
+
+            // Two prompts with the same title get "Title (2).md"
+            const baseName = safeFileName(prompt.title);
+            let relativePath = path.join(folder, `${baseName}.md`);
+            for (let n = 2; usedPaths.has(relativePath.toLowerCase()); n++) {
+                relativePath = path.join(folder, `${baseName} (${n}).md`);
+            }
+            usedPaths.add(relativePath.toLowerCase());
+
+            const filePath = path.join(directory, relativePath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, serializePromptMarkdown(prompt, tagPaths), 'utf8');
+            files.push(relativePath);
+        }
+
+        console.log(`Exported ${files.length} prompts as Markdown to:`, directory);
+        return { directory, files };
+    }
+
+    /**
+     * Read every Markdown file under a directory and match it against the library
+     * Files without tags in their front matter are tagged with the folder they are in.
+     * @param {string} directory - Directory to read
+     * @returns {Promise<Object>} { directory, prompts, errors } where each prompt has a
+     *          match status: 'new', 'unchanged', or 'changed' (with the latest version
+     *          id of the matching prompt in latestId)
+     */
+    async readFolder(directory) {
+        const prompts = [];
+        const errors = [];
+        const matcher = new PromptMatcher(this.repository);
+
+        const walk = async (relativeDir) => {
+            const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+            entries.sort((a, b) => a.name.localeCompare(b.name));
+
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                const relativePath = path.join(relativeDir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(relativePath);
+                } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+                    try {
+                        const contents = await fs.readFile(path.join(directory, relativePath), 'utf8');
+                        const prompt = parsePromptMarkdown(contents, path.basename(entry.name, path.extname(entry.name)));
+                        if (prompt.tags.length === 0 && relativeDir) {
+                            prompt.tags = [relativeDir.split(path.sep).join('/')];
+                        }
+                        prompt.tags = Array.from(new Set(
+                            prompt.tags.map(tagPath => this.repository.normalizeTagPath(tagPath)).filter(Boolean)
+                        ));
+
+                        const match = matcher.match([prompt]);
+                        const family = match.familyId !== null ? matcher.getFamily(match.familyId) : [];
+                        prompts.push({
+                            ...prompt,
+                            file: relativePath,
+                            status: { new: 'new', duplicate: 'unchanged', conflict: 'changed' }[match.status],
+                            latestId: family.length > 0 ? family[family.length - 1].id : null
+                        });
+                    } catch (error) {
+                        errors.push({ file: relativePath, error: error.message });
+                    }
+                }
+            }
+        };
+
+        await walk('');
+        console.log(`Read ${prompts.length} Markdown prompts from:`, directory);
+        return { directory, prompts, errors };
+    }
+}
+
+module.exports = { MarkdownFolder, serializePromptMarkdown, parsePromptMarkdown, safeFileName };
@@ -0,0 +1,173 @@
+/**
+ * MarkdownFolder.test.js
+ *
+ * Unit tests for Markdown front-matter export and import
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { MarkdownFolder, serializePromptMarkdown, parsePromptMarkdown } = require('./MarkdownFolder');
+
+describe('MarkdownFolder', () => {
+  let dataDir;
+  let exportDir;
+  let repository;
+  let markdown;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-library-'));
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-export-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    markdown = new MarkdownFolder(repository);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  describe('front matter', () => {
+    const prompt = {
+      title: 'Review: "careful"',
+      description: 'Line one\nLine two',
+      text: '---\nKeep this text exactly\n\n',
+      version: 3,
+      timesUsed: 4,
+      createdAt: '2024-01-02T03:04:05.000Z'
+    };
+
+    test('should round-trip every field', () => {
+      const contents = serializePromptMarkdown(prompt, ['coding/review', 'quality']);
+
+      expect(contents.startsWith('---\ntitle: "Review: \\"careful\\""\n')).toBe(true);
+      expect(parsePromptMarkdown(contents, 'fallback')).toEqual({
+        title: 'Review: "careful"',
+        description: 'Line one\nLine two',
+        tags: ['coding/review', 'quality'],
+        version: 3,
+        timesUsed: 4,
+        createdAt: '2024-01-02T03:04:05.000Z',
+        variables: [],
+        modelSettings: {},
+        type: 'text',
+        messages: [],
+        text: '---\nKeep this text exactly\n\n'
+      });
+    });
+
+    test('should round-trip chat prompts', () => {
+      const messages = [
+        { role: 'system', content: 'You review code.' },
+        { role: 'user', content: 'Example:\n\n  x = 1' },
+        { role: 'assistant', content: 'Looks fine.' }
+      ];
+      const contents = serializePromptMarkdown({ ...prompt, type: 'chat', messages, text: '[system]\nYou review code.\n\n[user]\nExample:\n\n  x = 1\n\n[assistant]\nLooks fine.' }, []);
+
+      expect(contents).toContain('\ntype: "chat"\n');
+      expect(parsePromptMarkdown(contents, 'x')).toMatchObject({ type: 'chat', messages });
+      expect(() => parsePromptMarkdown('---\ntype: chat\n---\nNo roles here', 'x')).toThrow('Invalid chat messages');
+    });
+
+    test('should round-trip variable declarations', () => {
+      const variables = [
+        { name: 'language', type: 'enum', default: 'Go', description: 'Language of the code', required: true, options: ['Go', 'Python'] },
+        { name: 'strict', type: 'boolean', default: false, description: '', required: false, options: [] }
+      ];
+      const contents = serializePromptMarkdown({ ...prompt, variables }, []);
+
+      expect(contents).toContain('\nvariables: [{"name":"language"');
+      expect(parsePromptMarkdown(contents, 'x').variables).toEqual(variables);
+      expect(() => parsePromptMarkdown('---\nvariables: [{"name":"x","type":"enum"}]\n---\ntext', 'x'))
+        .toThrow('Variable "x" needs at least one option');
+    });
+
+    test('should round-trip model settings', () => {
+      const modelSettings = { provider: 'ollama', model: 'llama3.1:8b', temperature: 0, stop: ['###'], seed: 7 };
+      const contents = serializePromptMarkdown({ ...prompt, modelSettings }, []);
+
+      expect(contents).toContain('\nmodelSettings: {"provider":"ollama"');
+      expect(parsePromptMarkdown(contents, 'x').modelSettings).toEqual(modelSettings);
+      expect(serializePromptMarkdown({ ...prompt, modelSettings: {} }, [])).not.toContain('modelSettings');
+      expect(() => parsePromptMarkdown('---\nmodelSettings: {"topP":3}\n---\ntext', 'x'))
+        .toThrow('Invalid model settings: Top P must be between 0 and 1');
+    });
+
+    test('should read hand-written YAML', () => {
+      const contents = [
+        '---',
+        "title: 'It''s plain'",
+        'tags: [coding, "a, b"]',
+        'description: |',
+        '  First line',
+        '  Second line',
+        'version: 2',
+        '---',
+        'Body'
+      ].join('\r\n');
+
+      expect(parsePromptMarkdown(contents, 'x')).toMatchObject({
+        title: "It's plain",
+        tags: ['coding', 'a, b'],
+        description: 'First line\nSecond line',
+        version: 2,
+        text: 'Body'
+      });
+    });
+
+    test('should read files without front matter as prompt text', () => {
+      expect(parsePromptMarkdown('Just a prompt\n', 'My Prompt')).toMatchObject({
+        title: 'My Prompt', tags: [], text: 'Just a prompt'
+      });
+    });
+
+    test('should report unreadable front matter', () => {
+      expect(() => parsePromptMarkdown('---\nnot yaml at all\n---\ntext', 'x')).toThrow('front matter line 2');
+    });
+  });
+
+  describe('folders', () => {
+    beforeEach(async () => {
+      const review = await repository.createPrompt({ title: 'Review', text: 'v1' }, ['coding/review']);
+      await repository.createVersion(review.id, { text: 'v2' }, ['coding/review', 'quality']);
+      await repository.createPrompt({ title: 'Review', text: 'Another review' });
+      await repository.createPrompt({ title: 'a/b: c?', text: 'odd title' });
+    });
+
+    test('should write one file per prompt, latest version only', async () => {
+      const { files } = await markdown.exportToFolder(exportDir);
+
+      expect(files.sort()).toEqual(['Review (2).md', 'Review.md', 'a-b- c-.md']);
+      const parsed = parsePromptMarkdown(fs.readFileSync(path.join(exportDir, 'Review.md'), 'utf8'), 'x');
+      expect(parsed).toMatchObject({ text: 'v2', version: 2, tags: ['coding/review', 'quality'] });
+    });
+
+    test('should nest files under their first tag path', async () => {
+      const { files } = await markdown.exportToFolder(exportDir, { nestByTag: true });
+
+      expect(files).toContain(path.join('coding', 'review', 'Review.md'));
+      expect(files).toContain('Review.md');
+    });
+
+    test('should read a folder back and match it against the library', async () => {
+      await markdown.exportToFolder(exportDir, { nestByTag: true });
+      const reviewFile = path.join(exportDir, 'coding', 'review', 'Review.md');
+      fs.writeFileSync(reviewFile, fs.readFileSync(reviewFile, 'utf8').replace('\nv2\n', '\nv3\n'));
+      fs.mkdirSync(path.join(exportDir, 'writing', 'blog'), { recursive: true });
+      fs.writeFileSync(path.join(exportDir, 'writing', 'blog', 'Outline.md'), 'Outline a post');
+      fs.writeFileSync(path.join(exportDir, 'broken.md'), '---\n: nope\n---\n');
+
+      const { prompts, errors } = await markdown.readFolder(exportDir);
+      const byFile = Object.fromEntries(prompts.map(p => [p.file, p]));
+
+      expect(byFile[path.join('coding', 'review', 'Review.md')]).toMatchObject({ status: 'changed', text: 'v3', latestId: 2 });
+      expect(byFile['Review.md'].status).toBe('unchanged');
+      expect(byFile['a-b- c-.md']).toMatchObject({ status: 'unchanged', title: 'a/b: c?' });
+      expect(byFile[path.join('writing', 'blog', 'Outline.md')]).toMatchObject({ status: 'new', tags: ['writing/blog'] });
+      expect(errors).toEqual([expect.objectContaining({ file: 'broken.md' })]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Prompt Matcher
+ * Finds the prompt family in the library that an incoming family corresponds to.
+ *
+ * Each version is identified by a content hash of its title and text, and a
+ * family by the ordered list of its version hashes (its lineage). An incoming
+ * family is:
+ *   - 'new'        when nothing in the library shares a version or a title with it
+ *   - 'duplicate'  when every incoming version is already in one local family
+ *   - 'conflict'   when it shares some versions with a local family ('ahead' if it
+ *                  only adds newer versions, 'diverged' otherwise), or only a title
+ *                  ('same-title')
+ */
+const crypto = require('crypto');
+
+/**
+ * Hash the content of a prompt version
+ * Line endings and surrounding whitespace are ignored.
+ * @param {Object} prompt - Prompt version
+ * @returns {string} Hex SHA-256 of title and text
+ */
+function hashVersion(prompt) {
+    const normalize = (value) => String(value || '').replace(/\r\n/g, '\n').trim();
+    return crypto
+        .createHash('sha256')
+        .update(`${normalize(prompt.title)}\u0000${normalize(prompt.text)}`)
+        .digest('hex');
+}
+
+/**
+ * Normalize a title for same-title matching
+ * @param {string} title - Prompt title
+ * @returns {string} Lower-cased, trimmed title
+ */
+function normalizeTitle(title) {
+    return String(title || '').trim().toLowerCase();
+}
+
+class PromptMatcher {
+    /**
+     * Index the families currently in the library
+     * @param {LibraryRepository} repository - Repository to read families from
+     */
+    constructor(repository) {
+        this.families = new Map();
+        this.familyByHash = new Map();
+        this.familiesByTitle = new Map();
+
+        for (const prompt of repository.store.getTable('prompts').values()) {
+            const familyId = repository.getFamilyId(prompt);
+            if (!this.families.has(familyId)) {
+                this.families.set(familyId, []);
+            }
+            this.families.get(familyId).push(prompt);
+        }
+
+        for (const [familyId, versions] of this.families) {
+            versions.sort((a, b) => a.version - b.version);
+            for (const version of versions) {
+                this.familyByHash.set(hashVersion(version), familyId);
+            }
+
+            const latest = versions[versions.length - 1];
+            const title = normalizeTitle(latest.title);
+            if (!this.familiesByTitle.has(title)) {
+                this.familiesByTitle.set(title, []);
+            }
+            this.familiesByTitle.get(title).push(familyId);
+        }
+    }
+
+    /**
+     * Get a local family's versions
+     * @param {number} familyId - Family id
+     * @returns {Array<Object>} Versions, oldest first
+     */
+    getFamily(familyId) {
+        return this.families.get(familyId) || [];
+    }
+
+    /**
+     * Match an incoming family against the library
+     * @param {Array<Object>} versions - Incoming versions, oldest first
+     * @returns {Object} { status, kind, familyId, newVersions } where newVersions are
+     *                   the incoming versions the matched family does not have
+     */
+    match(versions) {
+        const lineage = versions.map(hashVersion);
+
+        // Family sharing the most versions with the incoming one
+        const shared = new Map();
+        for (const hash of lineage) {
+            const familyId = this.familyByHash.get(hash);
+            if (familyId !== undefined) {
+                shared.set(familyId, (shared.get(familyId) || 0) + 1);
+            }
+        }
+
+        if (shared.size > 0) {
+            const [familyId] = Array.from(shared).sort((a, b) => b[1] - a[1])[0];
+            const localLineage = this.getFamily(familyId).map(hashVersion);
+            const localHashes = new Set(localLineage);
+            const newVersions = versions.filter((version, index) => !localHashes.has(lineage[index]));
+
+            if (newVersions.length === 0) {
+                return { status: 'duplicate', kind: null, familyId, newVersions };
+            }
+
+            const isAhead = localLineage.every((hash, index) => lineage[index] === hash);
+            return { status: 'conflict', kind: isAhead ? 'ahead' : 'diverged', familyId, newVersions };
+        }
+
+        const latest = versions[versions.length - 1];
+        const [familyId] = this.familiesByTitle.get(normalizeTitle(latest.title)) || [];
+        if (familyId !== undefined) {
+            return { status: 'conflict', kind: 'same-title', familyId, newVersions: versions };
+        }
+
+        return { status: 'new', kind: null, familyId: null, newVersions: versions };
+    }
+}
+
+module.exports = { PromptMatcher, hashVersion };
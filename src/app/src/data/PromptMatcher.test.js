@@ -0,0 +1,64 @@
+/**
+ * PromptMatcher.test.js
+ *
+ * Unit tests for content-based matching of prompt families
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { PromptMatcher, hashVersion } = require('./PromptMatcher');
+
+describe('PromptMatcher', () => {
+  let dataDir;
+  let repository;
+  let family;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-matcher-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+
+    const first = await repository.createPrompt({ title: 'Review', text: 'v1' });
+    await repository.createVersion(first.id, { text: 'v2' });
+    family = repository.getFamily(first.id);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const version = (title, text) => ({ title, text });
+
+  test('should hash title and text, ignoring line endings and outer whitespace', () => {
+    expect(hashVersion(version('Review', 'a\r\nb '))).toBe(hashVersion(version(' Review', 'a\nb')));
+    expect(hashVersion(version('Review', 'a'))).not.toBe(hashVersion(version('Review', 'b')));
+  });
+
+  test('should find duplicates, including an older copy of the family', () => {
+    const matcher = new PromptMatcher(repository);
+
+    expect(matcher.match(family)).toMatchObject({ status: 'duplicate', familyId: family[0].id });
+    expect(matcher.match([version('Review', 'v1')]).status).toBe('duplicate');
+  });
+
+  test('should tell newer lineages from diverged ones', () => {
+    const matcher = new PromptMatcher(repository);
+
+    const ahead = matcher.match([version('Review', 'v1'), version('Review', 'v2'), version('Review', 'v3')]);
+    const diverged = matcher.match([version('Review', 'v1'), version('Review', 'other')]);
+
+    expect(ahead).toMatchObject({ status: 'conflict', kind: 'ahead' });
+    expect(ahead.newVersions.map(v => v.text)).toEqual(['v3']);
+    expect(diverged).toMatchObject({ status: 'conflict', kind: 'diverged' });
+  });
+
+  test('should match unrelated prompts by title only as a conflict', () => {
+    const matcher = new PromptMatcher(repository);
+
+    expect(matcher.match([version('REVIEW', 'new')])).toMatchObject({ status: 'conflict', kind: 'same-title' });
+    expect(matcher.match([version('Other', 'v1')]).status).toBe('new');
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Remote Database
+ *
+ * Dexie-shaped facade over the main-process library exposed by preload.js.
+ * Existing code (TagOnlyManager, VersionService, the handlers) was written
+ * against Dexie tables, so this keeps the same query surface:
+ * where().equals()/anyOf()/startsWith[IgnoreCase](), or(), and(), reverse(),
+ * limit(), sortBy(), first(), count(), delete() and the table write methods.
+ *
+ * Index clauses are evaluated in the main process; filter functions, sorting
+ * and limits are applied here because functions cannot cross IPC.
+ */
+
+class RemoteWhereClause {
+    constructor(collection, field) {
+        this.collection = collection;
+        this.field = field;
+    }
+
+    _addClause(op, value) {
+        this.collection.clauses.push({ field: this.field, op, value });
+        return this.collection;
+    }
+
+    equals(value) {
+        return this._addClause('equals', value);
+    }
+
+    anyOf(...values) {
+        const list = values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+        return this._addClause('anyOf', list);
+    }
+
+    startsWith(prefix) {
+        return this._addClause('startsWith', prefix);
+    }
+
+    startsWithIgnoreCase(prefix) {
+        return this._addClause('startsWithIgnoreCase', prefix);
+    }
+}
+
+class RemoteCollection {
+    constructor(table) {
+        this.table = table;
+        this.clauses = [];
+        this.filters = [];
+        this.sortField = null;
+        this.reversed = false;
+        this.limitCount = null;
+        this.offsetCount = 0;
+    }
+
+    or(field) {
+        return new RemoteWhereClause(this, field);
+    }
+
+    and(filterFn) {
+        this.filters.push(filterFn);
+        return this;
+    }
+
+    filter(filterFn) {
+        return this.and(filterFn);
+    }
+
+    reverse() {
+        this.reversed = !this.reversed;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    offset(count) {
+        this.offsetCount = count;
+        return this;
+    }
+
+    async _fetch() {
+        let rows = await this.table.api.query({ clauses: this.clauses });
+
+        for (const filterFn of this.filters) {
+            rows = rows.filter(filterFn);
+        }
+
+        const sortField = this.sortField || 'id';
+        rows.sort((a, b) => compareValues(a[sortField], b[sortField]));
+
+        if (this.reversed) {
+            rows.reverse();
+        }
+
+        const end = this.limitCount === null ? undefined : this.offsetCount + this.limitCount;
+        return rows.slice(this.offsetCount, end);
+    }
+
+    async toArray() {
+        return await this._fetch();
+    }
+
+    async sortBy(field) {
+        const rows = await this._fetch();
+        rows.sort((a, b) => compareValues(a[field], b[field]));
+        return this.reversed ? rows.reverse() : rows;
+    }
+
+    async first() {
+        const rows = await this._fetch();
+        return rows[0];
+    }
+
+    async last() {
+        const rows = await this._fetch();
+        return rows[rows.length - 1];
+    }
+
+    async count() {
+        const rows = await this._fetch();
+        return rows.length;
+    }
+
+    async primaryKeys() {
+        const rows = await this._fetch();
+        return rows.map(row => row.id);
+    }
+
+    async delete() {
+        if (this.filters.length === 0 && this.limitCount === null && this.offsetCount === 0) {
+            return await this.table.api.deleteWhere({ clauses: this.clauses });
+        }
+
+        const ids = await this.primaryKeys();
+        return await this.table.api.delete(ids);
+    }
+
+    async modify(changes) {
+        const ids = await this.primaryKeys();
+        for (const id of ids) {
+            await this.table.api.update(id, changes);
+        }
+        return ids.length;
+    }
+}
+
+class RemoteTable {
+    constructor(name, api) {
+        this.name = name;
+        this.api = api;
+    }
+
+    _collection() {
+        return new RemoteCollection(this);
+    }
+
+    where(field) {
+        return new RemoteWhereClause(this._collection(), field);
+    }
+
+    orderBy(field) {
+        const collection = this._collection();
+        collection.sortField = field;
+        return collection;
+    }
+
+    reverse() {
+        return this._collection().reverse();
+    }
+
+    filter(filterFn) {
+        return this._collection().and(filterFn);
+    }
+
+    limit(count) {
+        return this._collection().limit(count);
+    }
+
+    toArray() {
+        return this._collection().toArray();
+    }
+
+    count() {
+        return this._collection().count();
+    }
+
+    get(id) {
+        return this.api.get(id);
+    }
+
+    add(record) {
+        return this.api.add(record);
+    }
+
+    bulkAdd(records) {
+        return this.api.bulkAdd(records);
+    }
+
+    update(id, changes) {
+        return this.api.update(id, changes);
+    }
+
+    delete(id) {
+        return this.api.delete([id]);
+    }
+
+    bulkDelete(ids) {
+        return this.api.delete(ids);
+    }
+
+    clear() {
+        return this.api.clear();
+    }
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Create a database object backed by the main-process library
+ *
+ * @param {Object} electronAPI - API exposed by preload.js
+ * @returns {Object} Database with prompts, folders, tags and promptTags tables
+ */
+export function createRemoteDatabase(electronAPI) {
+    return {
+        prompts: new RemoteTable('prompts', electronAPI.prompts),
+        folders: new RemoteTable('folders', electronAPI.folders),
+        tags: new RemoteTable('tags', electronAPI.tags),
+        promptTags: new RemoteTable('promptTags', electronAPI.tags.links)
+    };
+}
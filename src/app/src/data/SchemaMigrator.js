@@ -0,0 +1,94 @@
+/**
+ * Schema Migrator
+ * Ordered, versioned upgrades for the library file.
+ * Declared the same way as Dexie schema versions:
+ *
+ *   migrator.version(5).upgrade((data) => { ... }, 'Backfill tag hierarchy');
+ *
+ * Each upgrade receives the whole library ({ meta, sequences, tables }) and
+ * mutates it in place. Upgrades run on a copy, so a failure leaves the
+ * original data untouched.
+ */
+class SchemaMigrator {
+    /**
+     * @param {number} baseVersion - Version of data that predates any registered upgrade
+     */
+    constructor(baseVersion = 1) {
+        this.baseVersion = baseVersion;
+        this.migrations = new Map();
+    }
+
+    /**
+     * Declare a schema version
+     * @param {number} versionNumber - Version the upgrade produces
+     * @returns {Object} Builder with an upgrade(fn, description) method
+     */
+    version(versionNumber) {
+        if (!Number.isInteger(versionNumber) || versionNumber <= this.baseVersion) {
+            throw new Error(`Invalid schema version: ${versionNumber}`);
+        }
+
+        return {
+            upgrade: (upgradeFn, description = '') => {
+                if (this.migrations.has(versionNumber)) {
+                    throw new Error(`Schema version ${versionNumber} is already declared`);
+                }
+                this.migrations.set(versionNumber, { version: versionNumber, description, upgrade: upgradeFn });
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Get the newest declared schema version
+     * @returns {number} Latest version
+     */
+    getLatestVersion() {
+        return Math.max(this.baseVersion, ...this.migrations.keys());
+    }
+
+    /**
+     * Get the upgrades needed to bring data from a version to the latest one
+     * @param {number} fromVersion - Current data version
+     * @returns {Array<Object>} Pending migrations in the order they must run
+     */
+    getPendingMigrations(fromVersion) {
+        return Array.from(this.migrations.values())
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Run every pending upgrade
+     * @param {Object} data - Library data (not modified)
+     * @param {number} fromVersion - Current data version
+     * @returns {Promise<Object>} { data, applied } with the upgraded copy and applied versions
+     * @throws {Error} When data is newer than this app or an upgrade fails
+     */
+    async migrate(data, fromVersion) {
+        const latestVersion = this.getLatestVersion();
+        if (fromVersion > latestVersion) {
+            throw new Error(`Library schema version ${fromVersion} is newer than this app supports (${latestVersion})`);
+        }
+
+        const upgraded = JSON.parse(JSON.stringify(data));
+        const applied = [];
+
+        for (const migration of this.getPendingMigrations(fromVersion)) {
+            try {
+                await migration.upgrade(upgraded);
+            } catch (error) {
+                const wrapped = new Error(`Upgrade to schema version ${migration.version} failed: ${error.message}`);
+                wrapped.failedVersion = migration.version;
+                throw wrapped;
+            }
+            upgraded.schemaVersion = migration.version;
+            applied.push(migration.version);
+        }
+
+        upgraded.schemaVersion = latestVersion;
+        return { data: upgraded, applied };
+    }
+}
+
+module.exports = { SchemaMigrator };
@@ -0,0 +1,79 @@
+/**
+ * SchemaMigrator.test.js
+ *
+ * Unit tests for versioned library upgrades
+ */
+const { SchemaMigrator } = require('./SchemaMigrator');
+const { libraryMigrator } = require('./migrations');
+
+describe('SchemaMigrator', () => {
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new SchemaMigrator(1);
+    migrator
+      .version(2).upgrade((data) => { data.steps.push(2); }, 'Second')
+      .version(3).upgrade((data) => { data.steps.push(3); }, 'Third');
+  });
+
+  test('should run pending upgrades in order', async () => {
+    const { data, applied } = await migrator.migrate({ steps: [] }, 1);
+
+    expect(data).toEqual({ steps: [2, 3], schemaVersion: 3 });
+    expect(applied).toEqual([2, 3]);
+  });
+
+  test('should skip upgrades the data already has', async () => {
+    const { data, applied } = await migrator.migrate({ steps: [] }, 2);
+
+    expect(data.steps).toEqual([3]);
+    expect(applied).toEqual([3]);
+  });
+
+  test('should not modify the original data', async () => {
+    const original = { steps: [] };
+
+    await migrator.migrate(original, 1);
+
+    expect(original).toEqual({ steps: [] });
+  });
+
+  test('should report which upgrade failed', async () => {
+    migrator.version(4).upgrade(() => { throw new Error('bad row'); });
+
+    await expect(migrator.migrate({ steps: [] }, 1)).rejects.toMatchObject({
+      message: 'Upgrade to schema version 4 failed: bad row',
+      failedVersion: 4
+    });
+  });
+
+  test('should refuse data from a newer app', async () => {
+    await expect(migrator.migrate({ steps: [] }, 7)).rejects.toThrow('newer than this app supports');
+  });
+
+  test('should reject duplicate and out-of-range versions', () => {
+    expect(() => migrator.version(3).upgrade(() => {})).toThrow('already declared');
+    expect(() => migrator.version(1)).toThrow('Invalid schema version');
+  });
+
+  describe('library migrations', () => {
+    test('should backfill prompt counters and tag hierarchy', async () => {
+      const { data } = await libraryMigrator.migrate({
+        tables: {
+          prompts: [{ id: 1, title: 'Old', isLatest: true }],
+          tags: [{ id: 2, name: 'react', fullPath: 'coding/react' }]
+        }
+      }, 4);
+
+      expect(data.tables.prompts[0]).toMatchObject({ version: 1, isLatest: 1, parentId: null, timesUsed: 0, lastUsedAt: null });
+      const parent = data.tables.tags.find(tag => tag.fullPath === 'coding');
+      expect(parent).toMatchObject({ id: 3, level: 0, parentId: null });
+      expect(data.tables.tags[0]).toMatchObject({ level: 1, parentId: 3 });
+      expect(data.sequences.tags).toBe(3);
+      expect(data.tables.folders).toEqual([]);
+      expect(data.tables.runs).toEqual([]);
+      expect(data.tables.testCases).toEqual([]);
+      expect(data.tables.evalRuns).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,382 @@
+/**
+ * Tabular File
+ * Imports prompts from CSV and JSONL files (spreadsheets, analysis notebooks)
+ * and exports the latest version of every prompt in the same flat shape.
+ *
+ * Source files can use any column names: a column mapping says which source
+ * column holds the title, description, text and tags of each prompt. Tags are
+ * kept in one column, separated by a delimiter (';' unless told otherwise);
+ * JSONL files may also give them as an array.
+ */
+const { PromptMatcher } = require('./PromptMatcher.js');
+
+const FORMATS = ['csv', 'jsonl'];
+const FIELDS = ['title', 'description', 'text', 'tags'];
+const DEFAULT_TAG_DELIMITER = ';';
+
+// Source column names recognised for each field when suggesting a mapping
+const COLUMN_ALIASES = {
+    title: ['title', 'name', 'prompt name', 'prompt title'],
+    description: ['description', 'desc', 'summary', 'notes'],
+    text: ['text', 'prompt', 'content', 'body', 'prompt text'],
+    tags: ['tags', 'tag', 'category', 'categories', 'labels']
+};
+
+/**
+ * Guess the delimiter of a CSV file from its header line
+ * @param {string} text - File contents
+ * @returns {string} ',', ';' or a tab
+ */
+function detectDelimiter(text) {
+    const header = text.split('\n', 1)[0].replace(/"(?:[^"]|"")*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text into records
+ * Follows RFC 4180: quoted fields may contain delimiters, newlines and "" for a quote.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter; detected from the header if not given
+ * @returns {Array<Array<string>>} Records, each a list of fields
+ */
+function parseCsv(text, delimiter = null) {
+    const input = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const separator = delimiter || detectDelimiter(input);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n') {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV file ends inside a quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Blank lines are not records
+    return records.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Write records as CSV
+ * @param {Array<Array<*>>} records - Records, each a list of fields
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(records) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return records.map(fields => fields.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse JSONL text into records
+ * @param {string} text - File contents, one JSON object per line
+ * @returns {Object} { records: [{ line, data }], errors: [{ row, error }] }
+ */
+function parseJsonl(text) {
+    const records = [];
+    const errors = [];
+
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            const data = JSON.parse(line);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Line is not a JSON object');
+            }
+            records.push({ line: index + 1, data });
+        } catch (error) {
+            errors.push({ row: index + 1, error: error.message });
+        }
+    });
+
+    return { records, errors };
+}
+
+class TabularFile {
+    /**
+     * @param {LibraryRepository} repository - Library to import into and export from
+     */
+    constructor(repository) {
+        this.repository = repository;
+        this.store = repository.store;
+    }
+
+    /**
+     * Read a source file into rows keyed by column name
+     * @param {string} contents - File contents
+     * @param {string} format - 'csv' or 'jsonl'
+     * @returns {Object} { format, columns, rows: [{ row, values }], errors }
+     */
+    readRows(contents, format) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown file format: ${format}`);
+        }
+
+        if (format === 'jsonl') {
+            const { records, errors } = parseJsonl(contents);
+            const columns = [];
+            for (const { data } of records) {
+                for (const key of Object.keys(data)) {
+                    if (!columns.includes(key)) columns.push(key);
+                }
+            }
+            return { format, columns, rows: records.map(({ line, data }) => ({ row: line, values: data })), errors };
+        }
+
+        const [header = [], ...records] = parseCsv(contents);
+        const columns = header.map(name => name.trim());
+        const errors = [];
+        const rows = [];
+
+        records.forEach((fields, index) => {
+            // Spreadsheet row numbers: the header is row 1
+            const row = index + 2;
+            if (fields.length !== columns.length) {
+                errors.push({ row, error: `Row has ${fields.length} columns, the header has ${columns.length}` });
+                return;
+            }
+            const values = {};
+            columns.forEach((column, i) => {
+                values[column] = fields[i];
+            });
+            rows.push({ row, values });
+        });
+
+        return { format, columns, rows, errors };
+    }
+
+    /**
+     * Suggest a column mapping from the source's column names
+     * @param {Array<string>} columns - Source column names
+     * @returns {Object} { title, description, text, tags, tagDelimiter }
+     */
+    suggestMapping(columns) {
+        const mapping = { tagDelimiter: DEFAULT_TAG_DELIMITER };
+        for (const field of FIELDS) {
+            mapping[field] = columns.find(column => COLUMN_ALIASES[field].includes(column.trim().toLowerCase())) || null;
+        }
+        return mapping;
+    }
+
+    /**
+     * Read a source file for the column-mapping step
+     * @param {string} contents - File contents
+     * @param {string} format - 'csv' or 'jsonl'
+     * @returns {Object} { format, columns, rowCount, preview, suggestedMapping, errors }
+     */
+    describeSource(contents, format) {
+        const { columns, rows, errors } = this.readRows(contents, format);
+        return {
+            format,
+            columns,
+            rowCount: rows.length,
+            preview: rows.slice(0, 5),
+            suggestedMapping: this.suggestMapping(columns),
+            errors
+        };
+    }
+
+    /**
+     * Turn a source row into prompt fields using a mapping
+     * @param {Object} values - Row values keyed by column
+     * @param {Object} mapping - Column mapping
+     * @returns {Object} { title, description, text, tags, errors, warnings }
+     */
+    mapRow(values, mapping) {
+        const read = (field) => {
+            const value = mapping[field] ? values[mapping[field]] : undefined;
+            return value === null || value === undefined ? '' : value;
+        };
+        const errors = [];
+        const warnings = [];
+
+        const title = String(read('title')).trim();
+        const description = String(read('description')).trim();
+        const text = String(read('text')).replace(/\r\n/g, '\n');
+        if (!title) errors.push('Title is empty');
+        if (!text.trim()) errors.push('Text is empty');
+
+        const rawTags = read('tags');
+        const delimiter = mapping.tagDelimiter || DEFAULT_TAG_DELIMITER;
+        const tagList = Array.isArray(rawTags) ? rawTags : String(rawTags).split(delimiter);
+        const tags = [];
+        for (const rawTag of tagList) {
+            if (!String(rawTag).trim()) continue;
+            const tagPath = this.repository.normalizeTagPath(String(rawTag));
+            if (!tagPath) {
+                warnings.push(`Tag "${rawTag}" is not a valid tag path and was left out`);
+            } else if (!tags.includes(tagPath)) {
+                tags.push(tagPath);
+            }
+        }
+
+        return { title, description, text, tags, errors, warnings };
+    }
+
+    /**
+     * Validate every row and work out what importing it would do, without writing anything
+     * @param {string} contents - File contents
+     * @param {string} format - 'csv' or 'jsonl'
+     * @param {Object} mapping - { title, description, text, tags, tagDelimiter }
+     * @param {Object} options - { matchTitles } to add rows as new versions of
+     *                           prompts with the same title instead of new prompts
+     * @returns {Object} { valid, errors, summary, rows } where each row has a status:
+     *                   'new', 'version', 'duplicate' or 'invalid'
+     */
+    planImport(contents, format, mapping, { matchTitles = false } = {}) {
+        const errors = [];
+        if (!mapping || !mapping.title || !mapping.text) {
+            errors.push('Map a column to the title and to the text');
+        }
+
+        let source = { rows: [], errors: [] };
+        try {
+            source = this.readRows(contents, format);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        for (const column of FIELDS.map(field => mapping && mapping[field]).filter(Boolean)) {
+            if (source.columns && !source.columns.includes(column)) {
+                errors.push(`Column "${column}" is not in the file`);
+            }
+        }
+
+        const matcher = new PromptMatcher(this.repository);
+        const seen = new Set();
+        const rows = errors.length > 0 ? [] : source.rows.map(({ row, values }) => {
+            const prompt = this.mapRow(values, mapping);
+            const planned = { row, ...prompt, status: 'new', latestId: null };
+
+            if (prompt.errors.length > 0) {
+                planned.status = 'invalid';
+                return planned;
+            }
+
+            const key = `${prompt.title}\u0000${prompt.text.trim()}`;
+            const match = matcher.match([prompt]);
+            if (match.status === 'duplicate' || seen.has(key)) {
+                planned.status = 'duplicate';
+            } else if (matchTitles && match.status === 'conflict') {
+                const family = matcher.getFamily(match.familyId);
+                planned.status = 'version';
+                planned.latestId = family[family.length - 1].id;
+            }
+            seen.add(key);
+            return planned;
+        });
+
+        for (const { row, error } of source.errors) {
+            rows.push({ row, title: '', errors: [error], warnings: [], status: 'invalid' });
+        }
+        rows.sort((a, b) => a.row - b.row);
+
+        const count = (status) => rows.filter(row => row.status === status).length;
+        return {
+            valid: errors.length === 0,
+            errors,
+            summary: {
+                rows: rows.length,
+                new: count('new'),
+                versions: count('version'),
+                duplicates: count('duplicate'),
+                invalid: count('invalid')
+            },
+            rows
+        };
+    }
+
+    /**
+     * Import the valid rows of a source file
+     * Invalid and duplicate rows are skipped.
+     * @param {string} contents - File contents
+     * @param {string} format - 'csv' or 'jsonl'
+     * @param {Object} mapping - Column mapping
+     * @param {Object} options - { matchTitles }
+     * @returns {Promise<Object>} The plan plus { results: { added, versions, duplicates, invalid } }
+     */
+    async importRows(contents, format, mapping, options = {}) {
+        const plan = this.planImport(contents, format, mapping, options);
+        if (!plan.valid) {
+            throw new Error(plan.errors.join('; '));
+        }
+
+        const results = { added: 0, versions: 0, duplicates: plan.summary.duplicates, invalid: plan.summary.invalid };
+        for (const row of plan.rows) {
+            const fields = { title: row.title, description: row.description, text: row.text };
+            if (row.status === 'new') {
+                await this.repository.createPrompt(fields, row.tags);
+                results.added++;
+            } else if (row.status === 'version') {
+                await this.repository.createVersion(row.latestId, fields, row.tags);
+                results.versions++;
+            }
+        }
+
+        console.log(`Imported ${format.toUpperCase()} rows:`, results);
+        return { ...plan, results };
+    }
+
+    /**
+     * Export the latest version of every prompt
+     * @param {string} format - 'csv' or 'jsonl'
+     * @param {Object} options - { tagDelimiter }
+     * @returns {string} File contents with title, description, text and tags columns
+     */
+    exportLatest(format, { tagDelimiter = DEFAULT_TAG_DELIMITER } = {}) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown file format: ${format}`);
+        }
+
+        const rows = this.store.query('prompts', {
+            clauses: [{ field: 'isLatest', op: 'equals', value: 1 }]
+        })
+            .sort((a, b) => String(a.title).localeCompare(String(b.title)))
+            .map(prompt => ({
+                title: prompt.title || '',
+                description: prompt.description || '',
+                text: prompt.text || '',
+                tags: this.repository.getPromptTags(prompt.id).map(tag => tag.fullPath).sort().join(tagDelimiter)
+            }));
+
+        if (format === 'jsonl') {
+            return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+        }
+        return toCsv([FIELDS, ...rows.map(row => FIELDS.map(field => row[field]))]);
+    }
+}
+
+module.exports = { TabularFile, parseCsv, toCsv, parseJsonl, DEFAULT_TAG_DELIMITER };
@@ -0,0 +1,163 @@
+/**
+ * TabularFile.test.js
+ *
+ * Unit tests for CSV and JSONL import/export with column mapping
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('./LibraryStore');
+const { LibraryRepository } = require('./LibraryRepository');
+const { TabularFile, parseCsv, toCsv, parseJsonl } = require('./TabularFile');
+
+describe('TabularFile', () => {
+  let dataDir;
+  let repository;
+  let tabular;
+
+  const mapping = { title: 'Name', description: 'Notes', text: 'Prompt', tags: 'Labels', tagDelimiter: '|' };
+  const latestVersions = () => repository.store.query('prompts', {
+    clauses: [{ field: 'isLatest', op: 'equals', value: 1 }]
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabular-library-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    tabular = new TabularFile(repository);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('CSV', () => {
+    test('should parse quoted fields with delimiters, quotes and newlines', () => {
+      const csv = '\uFEFFa,b,c\r\n"one, two","say ""hi""","line 1\nline 2"\r\n\r\nplain,,end\n';
+
+      expect(parseCsv(csv)).toEqual([
+        ['a', 'b', 'c'],
+        ['one, two', 'say "hi"', 'line 1\nline 2'],
+        ['plain', '', 'end']
+      ]);
+    });
+
+    test('should detect semicolon and tab delimiters', () => {
+      expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      expect(() => parseCsv('a,b\n"open,2\n')).toThrow('ends inside a quoted field');
+    });
+
+    test('should round-trip through toCsv', () => {
+      const records = [['title', 'text'], ['Review', 'Check "this", then\nthat']];
+      expect(parseCsv(toCsv(records))).toEqual(records);
+    });
+  });
+
+  describe('JSONL', () => {
+    test('should report lines that are not JSON objects', () => {
+      const { records, errors } = parseJsonl('{"a":1}\n\nnot json\n[1]\n{"a":2}');
+
+      expect(records.map(record => record.line)).toEqual([1, 5]);
+      expect(errors.map(error => error.row)).toEqual([3, 4]);
+    });
+  });
+
+  test('should describe a source and suggest a mapping', () => {
+    const source = tabular.describeSource('Title,Summary,Content,Category,Owner\nA,B,C,D,E\n', 'csv');
+
+    expect(source.columns).toEqual(['Title', 'Summary', 'Content', 'Category', 'Owner']);
+    expect(source.rowCount).toBe(1);
+    expect(source.suggestedMapping).toEqual({
+      title: 'Title',
+      description: 'Summary',
+      text: 'Content',
+      tags: 'Category',
+      tagDelimiter: ';'
+    });
+  });
+
+  test('should validate each row before importing', async () => {
+    await repository.createPrompt({ title: 'Existing', description: '', text: 'Already here' }, []);
+    const csv = [
+      'Name,Notes,Prompt,Labels',
+      'Review,Code review,Review this,coding/review | quality',
+      ',No title,Some text,',
+      'Empty,No text,,',
+      'Existing,,Already here,',
+      'Review,Code review,Review this,coding/review',
+      'Short,row'
+    ].join('\n');
+
+    const plan = tabular.planImport(csv, 'csv', mapping);
+
+    expect(plan.valid).toBe(true);
+    expect(plan.summary).toEqual({ rows: 6, new: 1, versions: 0, duplicates: 2, invalid: 3 });
+    expect(plan.rows.map(row => [row.row, row.status])).toEqual([
+      [2, 'new'], [3, 'invalid'], [4, 'invalid'], [5, 'duplicate'], [6, 'duplicate'], [7, 'invalid']
+    ]);
+    expect(plan.rows[0].tags).toEqual(['coding/review', 'quality']);
+    expect(plan.rows[1].errors).toEqual(['Title is empty']);
+    expect(plan.rows[5].errors[0]).toContain('Row has 2 columns');
+    expect(latestVersions()).toHaveLength(1);
+  });
+
+  test('should reject a mapping without title and text columns', () => {
+    const plan = tabular.planImport('Name,Prompt\nA,B\n', 'csv', { title: 'Name', text: 'Missing' });
+
+    expect(plan.valid).toBe(false);
+    expect(plan.errors).toEqual(['Column "Missing" is not in the file']);
+    expect(tabular.planImport('Name\nA\n', 'csv', { title: 'Name' }).errors)
+      .toEqual(['Map a column to the title and to the text']);
+  });
+
+  test('should import valid rows with their tags', async () => {
+    const jsonl = [
+      JSON.stringify({ Name: 'Review', Notes: 'Code review', Prompt: 'Review this', Labels: ['coding/review', 'quality'] }),
+      JSON.stringify({ Name: 'Summary', Prompt: 'Summarize this', Labels: 'writing|notes' }),
+      JSON.stringify({ Name: 'Broken' })
+    ].join('\n');
+
+    const result = await tabular.importRows(jsonl, 'jsonl', mapping);
+
+    expect(result.results).toEqual({ added: 2, versions: 0, duplicates: 0, invalid: 1 });
+    const review = latestVersions().find(prompt => prompt.title === 'Review');
+    expect(review).toMatchObject({ description: 'Code review', text: 'Review this', version: 1 });
+    expect(repository.getPromptTags(review.id).map(tag => tag.fullPath).sort()).toEqual(['coding/review', 'quality']);
+  });
+
+  test('should add rows as new versions when titles match and asked to', async () => {
+    const existing = await repository.createPrompt({ title: 'Review', description: '', text: 'Old text' }, []);
+
+    const result = await tabular.importRows('Name,Prompt\nReview,New text\n', 'csv', { title: 'Name', text: 'Prompt' }, { matchTitles: true });
+
+    expect(result.results.versions).toBe(1);
+    expect(repository.getFamily(existing.id).map(version => version.text)).toEqual(['Old text', 'New text']);
+  });
+
+  test('should export the latest versions in the same flat shape', async () => {
+    const prompt = await repository.createPrompt({ title: 'Review', description: 'Code review', text: 'Line 1\nLine "2"' }, ['quality']);
+    await repository.createVersion(prompt.id, { text: 'Newer, better' }, ['coding/review', 'quality']);
+    await repository.createPrompt({ title: 'Alpha', description: '', text: 'First' }, []);
+
+    const csv = tabular.exportLatest('csv');
+    expect(parseCsv(csv)).toEqual([
+      ['title', 'description', 'text', 'tags'],
+      ['Alpha', '', 'First', ''],
+      ['Review', 'Code review', 'Newer, better', 'coding/review;quality']
+    ]);
+
+    const jsonl = tabular.exportLatest('jsonl', { tagDelimiter: '|' });
+    expect(jsonl.trim().split('\n').map(line => JSON.parse(line))[1]).toEqual({
+      title: 'Review', description: 'Code review', text: 'Newer, better', tags: 'coding/review|quality'
+    });
+
+    // An export imports cleanly with the suggested mapping
+    const source = tabular.describeSource(csv, 'csv');
+    expect(tabular.planImport(csv, 'csv', source.suggestedMapping).summary.duplicates).toBe(2);
+  });
+});
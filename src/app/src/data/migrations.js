@@ -0,0 +1,86 @@
+/**
+ * Library Schema Migrations
+ * Every change to the shape of library.json gets a new version here.
+ * Never edit a released upgrade; add a new version instead.
+ *
+ * Version 4 is the table layout inherited from the IndexedDB schema
+ * (prompts, folders, tags, promptTags). Library files written before
+ * schemaVersion was recorded are treated as version 4.
+ */
+const { SchemaMigrator } = require('./SchemaMigrator.js');
+
+const BASE_SCHEMA_VERSION = 4;
+
+const libraryMigrator = new SchemaMigrator(BASE_SCHEMA_VERSION);
+
+// Version 5: fill in fields that older databases may be missing
+libraryMigrator.version(5).upgrade((data) => {
+    const tables = data.tables || (data.tables = {});
+    const prompts = tables.prompts || (tables.prompts = []);
+    const tags = tables.tags || (tables.tags = []);
+    for (const table of ['folders', 'promptTags']) {
+        tables[table] = tables[table] || [];
+    }
+    data.sequences = data.sequences || {};
+
+    // Prompts: usage counters and version flags
+    for (const prompt of prompts) {
+        prompt.version = prompt.version || 1;
+        prompt.isLatest = prompt.isLatest ? 1 : 0;
+        prompt.parentId = prompt.parentId || null;
+        prompt.timesUsed = prompt.timesUsed || 0;
+        prompt.lastUsedAt = prompt.lastUsedAt || null;
+    }
+
+    // Tags created before version 4 only had a name; rebuild the hierarchy fields
+    const byPath = new Map();
+    for (const tag of tags) {
+        tag.fullPath = tag.fullPath || tag.name;
+        byPath.set(tag.fullPath, tag);
+    }
+
+    let nextTagId = tags.reduce((max, tag) => Math.max(max, tag.id), data.sequences.tags || 0);
+    const ensureTag = (fullPath) => {
+        if (byPath.has(fullPath)) {
+            return byPath.get(fullPath);
+        }
+        const parts = fullPath.split('/');
+        const tag = {
+            id: ++nextTagId,
+            name: parts[parts.length - 1],
+            fullPath,
+            parentId: parts.length > 1 ? ensureTag(parts.slice(0, -1).join('/')).id : null,
+            level: parts.length - 1
+        };
+        tags.push(tag);
+        byPath.set(fullPath, tag);
+        return tag;
+    };
+
+    for (const tag of [...tags]) {
+        const parts = tag.fullPath.split('/');
+        if (tag.level === undefined || tag.level === null) {
+            tag.level = parts.length - 1;
+        }
+        if (tag.parentId === undefined) {
+            tag.parentId = parts.length > 1 ? ensureTag(parts.slice(0, -1).join('/')).id : null;
+        }
+    }
+
+    data.sequences.tags = nextTagId;
+}, 'Backfill prompt counters and tag hierarchy fields');
+
+// Version 6: saved playground runs, each linked to the prompt version it ran
+libraryMigrator.version(6).upgrade((data) => {
+    const tables = data.tables || (data.tables = {});
+    tables.runs = tables.runs || [];
+}, 'Add the runs table');
+
+// Version 7: test cases of prompt families, and evaluation reports per version
+libraryMigrator.version(7).upgrade((data) => {
+    const tables = data.tables || (data.tables = {});
+    tables.testCases = tables.testCases || [];
+    tables.evalRuns = tables.evalRuns || [];
+}, 'Add the testCases and evalRuns tables');
+
+module.exports = { libraryMigrator, BASE_SCHEMA_VERSION };
@@ -0,0 +1,204 @@
+/**
+ * Assertions
+ * Checks a test case makes about a prompt's output.
+ *
+ * Each assertion is { type, value } (regex assertions may also have flags):
+ *
+ *   contains      value is text the output must include
+ *   not-contains  value is text the output must not include
+ *   regex         value is a pattern the output must match
+ *   json-schema   value is a JSON Schema the output, parsed as JSON, must satisfy
+ *   max-length    value is the most characters the output may have
+ *   llm-judge     value is a rubric another model grades the output against
+ *
+ * Every type except llm-judge is checked here; the judge needs a model, so the
+ * evaluation runner sends the messages built by buildJudgeMessages and reads
+ * the reply with parseJudgeVerdict.
+ */
+const { validateJsonSchema } = require('./JsonSchema.js');
+
+const ASSERTION_TYPES = ['contains', 'not-contains', 'regex', 'json-schema', 'max-length', 'llm-judge'];
+
+const JUDGE_SYSTEM_PROMPT = [
+    'You grade the output of an AI prompt against a rubric.',
+    'Reply with JSON only: {"pass": true or false, "reason": "one sentence"}.'
+].join(' ');
+
+/**
+ * Check and clean up a test case's assertions
+ * JSON Schemas given as text are parsed and lengths given as text converted.
+ * @param {Array<Object>} assertions - Assertions as entered or imported
+ * @returns {Object} { assertions, errors }
+ */
+function normalizeAssertions(assertions) {
+    const errors = [];
+    const cleaned = [];
+
+    (Array.isArray(assertions) ? assertions : []).forEach((assertion, index) => {
+        const label = `Assertion ${index + 1}`;
+        const type = assertion && assertion.type;
+        const value = assertion ? assertion.value : undefined;
+
+        if (!ASSERTION_TYPES.includes(type)) {
+            errors.push(`${label} has an unknown type "${type}"`);
+            return;
+        }
+
+        if (type === 'max-length') {
+            const length = Number(value);
+            if (String(value ?? '').trim() === '' || !Number.isInteger(length) || length < 0) {
+                errors.push(`${label} (max length) must be a whole number`);
+            } else {
+                cleaned.push({ type, value: length });
+            }
+            return;
+        }
+
+        if (type === 'json-schema') {
+            let schema = value;
+            if (typeof value === 'string') {
+                try {
+                    schema = JSON.parse(value);
+                } catch (error) {
+                    errors.push(`${label} (JSON schema) is not valid JSON: ${error.message}`);
+                    return;
+                }
+            }
+            if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+                errors.push(`${label} (JSON schema) must be a JSON object`);
+            } else {
+                cleaned.push({ type, value: schema });
+            }
+            return;
+        }
+
+        const text = String(value ?? '');
+        if (!text.trim()) {
+            errors.push(`${label} (${type}) is empty`);
+            return;
+        }
+        if (type === 'regex') {
+            const flags = String(assertion.flags || '');
+            try {
+                new RegExp(text, flags);
+            } catch (error) {
+                errors.push(`${label} (regex) is not a valid pattern: ${error.message}`);
+                return;
+            }
+            cleaned.push(flags ? { type, value: text, flags } : { type, value: text });
+            return;
+        }
+        cleaned.push({ type, value: text });
+    });
+
+    return { assertions: cleaned, errors };
+}
+
+/**
+ * Read JSON from model output
+ * A reply wrapped in a single fenced code block is unwrapped first.
+ * @param {string} output - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the output isn't JSON
+ */
+function parseJsonOutput(output) {
+    const fenced = String(output).trim().match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+    return JSON.parse(fenced ? fenced[1] : output);
+}
+
+/**
+ * Check an assertion that doesn't need a model
+ * @param {Object} assertion - Normalized assertion
+ * @param {string} output - Model output
+ * @returns {Object} { passed, message }
+ */
+function checkAssertion(assertion, output) {
+    const text = String(output ?? '');
+    const { type, value } = assertion;
+
+    switch (type) {
+        case 'contains':
+            return text.includes(value)
+                ? { passed: true, message: `Contains "${value}"` }
+                : { passed: false, message: `Does not contain "${value}"` };
+        case 'not-contains':
+            return text.includes(value)
+                ? { passed: false, message: `Contains "${value}"` }
+                : { passed: true, message: `Does not contain "${value}"` };
+        case 'regex': {
+            const pattern = new RegExp(value, assertion.flags || '');
+            return pattern.test(text)
+                ? { passed: true, message: `Matches /${value}/${assertion.flags || ''}` }
+                : { passed: false, message: `Does not match /${value}/${assertion.flags || ''}` };
+        }
+        case 'max-length':
+            return text.length <= value
+                ? { passed: true, message: `${text.length} characters (at most ${value})` }
+                : { passed: false, message: `${text.length} characters, more than ${value}` };
+        case 'json-schema': {
+            let parsed;
+            try {
+                parsed = parseJsonOutput(text);
+            } catch (error) {
+                return { passed: false, message: `Output is not JSON: ${error.message}` };
+            }
+            const errors = validateJsonSchema(parsed, value);
+            return errors.length === 0
+                ? { passed: true, message: 'Matches the JSON schema' }
+                : { passed: false, message: errors.join('; ') };
+        }
+        default:
+            throw new Error(`Assertion type ${type} needs a model to check`);
+    }
+}
+
+/**
+ * Build the messages that ask a judge model to grade output against a rubric
+ * @param {string} rubric - What a good output looks like
+ * @param {string} output - Output to grade
+ * @returns {Array<Object>} { role, content } messages
+ */
+function buildJudgeMessages(rubric, output) {
+    return [
+        { role: 'system', content: JUDGE_SYSTEM_PROMPT },
+        { role: 'user', content: `Rubric:\n${rubric}\n\nOutput to grade:\n${output}` }
+    ];
+}
+
+/**
+ * Read a judge model's verdict
+ * Takes the first JSON object in the reply, or a reply starting with PASS or FAIL.
+ * @param {string} reply - Judge model's reply
+ * @returns {Object} { passed, message }
+ */
+function parseJudgeVerdict(reply) {
+    // Run output isn't sanitized, so leave out a reasoning model's thinking
+    const text = String(reply ?? '').replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+    const json = text.match(/\{[\s\S]*\}/);
+    if (json) {
+        try {
+            const verdict = JSON.parse(json[0]);
+            if (typeof verdict.pass === 'boolean') {
+                return { passed: verdict.pass, message: String(verdict.reason || (verdict.pass ? 'Judge passed it' : 'Judge failed it')) };
+            }
+        } catch (error) {
+            // Fall through to the PASS / FAIL check
+        }
+    }
+
+    const word = text.match(/^\W*(pass|fail)\b[\s:.-]*([\s\S]*)$/i);
+    if (word) {
+        const passed = word[1].toLowerCase() === 'pass';
+        return { passed, message: word[2].trim() || (passed ? 'Judge passed it' : 'Judge failed it') };
+    }
+
+    return { passed: false, message: `Could not read the judge's verdict: ${text.slice(0, 200)}` };
+}
+
+module.exports = {
+    ASSERTION_TYPES,
+    normalizeAssertions,
+    checkAssertion,
+    buildJudgeMessages,
+    parseJudgeVerdict
+};
@@ -0,0 +1,80 @@
+/**
+ * Assertions.test.js
+ *
+ * Unit tests for test case assertions and judge verdicts
+ */
+const { normalizeAssertions, checkAssertion, buildJudgeMessages, parseJudgeVerdict } = require('./Assertions');
+
+describe('Assertions', () => {
+  describe('normalizeAssertions', () => {
+    test('should parse schemas and lengths given as text', () => {
+      const { assertions, errors } = normalizeAssertions([
+        { type: 'json-schema', value: '{"type": "object"}' },
+        { type: 'max-length', value: '200' },
+        { type: 'regex', value: '^yes', flags: 'i' },
+        { type: 'contains', value: 'done' }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(assertions).toEqual([
+        { type: 'json-schema', value: { type: 'object' } },
+        { type: 'max-length', value: 200 },
+        { type: 'regex', value: '^yes', flags: 'i' },
+        { type: 'contains', value: 'done' }
+      ]);
+    });
+
+    test('should explain what is wrong with each assertion', () => {
+      const { errors } = normalizeAssertions([
+        { type: 'max-length', value: 'ten' },
+        { type: 'json-schema', value: '{' },
+        { type: 'regex', value: '(' },
+        { type: 'llm-judge', value: ' ' },
+        { type: 'shorter-than', value: 'x' }
+      ]);
+
+      expect(errors[0]).toBe('Assertion 1 (max length) must be a whole number');
+      expect(errors[1]).toMatch(/^Assertion 2 \(JSON schema\) is not valid JSON/);
+      expect(errors[2]).toMatch(/^Assertion 3 \(regex\) is not a valid pattern/);
+      expect(errors[3]).toBe('Assertion 4 (llm-judge) is empty');
+      expect(errors[4]).toBe('Assertion 5 has an unknown type "shorter-than"');
+    });
+  });
+
+  describe('checkAssertion', () => {
+    test('should check text, patterns and length', () => {
+      expect(checkAssertion({ type: 'contains', value: 'ok' }, 'all ok')).toEqual({ passed: true, message: 'Contains "ok"' });
+      expect(checkAssertion({ type: 'not-contains', value: 'ok' }, 'all ok').passed).toBe(false);
+      expect(checkAssertion({ type: 'regex', value: '^ALL', flags: 'i' }, 'all ok').passed).toBe(true);
+      expect(checkAssertion({ type: 'max-length', value: 3 }, 'all ok')).toEqual({ passed: false, message: '6 characters, more than 3' });
+    });
+
+    test('should read JSON output, fenced or not, against the schema', () => {
+      const assertion = { type: 'json-schema', value: { type: 'object', required: ['id'] } };
+
+      expect(checkAssertion(assertion, '```json\n{"id": 1}\n```')).toEqual({ passed: true, message: 'Matches the JSON schema' });
+      expect(checkAssertion(assertion, '{}')).toEqual({ passed: false, message: '$ is missing "id"' });
+      expect(checkAssertion(assertion, 'Sure!').message).toMatch(/^Output is not JSON/);
+    });
+
+    test('should leave judge assertions to the model', () => {
+      expect(() => checkAssertion({ type: 'llm-judge', value: 'Polite' }, 'hi')).toThrow('needs a model');
+    });
+  });
+
+  describe('judge', () => {
+    test('should send the rubric and the output to grade', () => {
+      const messages = buildJudgeMessages('Is polite', 'Hello there');
+
+      expect(messages[0].role).toBe('system');
+      expect(messages[1]).toEqual({ role: 'user', content: 'Rubric:\nIs polite\n\nOutput to grade:\nHello there' });
+    });
+
+    test('should read JSON and PASS / FAIL verdicts', () => {
+      expect(parseJudgeVerdict('Here you go: {"pass": true, "reason": "Polite"}')).toEqual({ passed: true, message: 'Polite' });
+      expect(parseJudgeVerdict('FAIL: rude tone')).toEqual({ passed: false, message: 'rude tone' });
+      expect(parseJudgeVerdict('<think>Is {it} polite?</think>{"pass": false, "reason": "Curt"}')).toEqual({ passed: false, message: 'Curt' });
+      expect(parseJudgeVerdict('Maybe?')).toEqual({ passed: false, message: "Could not read the judge's verdict: Maybe?" });
+    });
+  });
+});
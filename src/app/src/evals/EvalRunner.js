@@ -0,0 +1,227 @@
+/**
+ * Evaluation Runner
+ * Runs a prompt family's test cases against a prompt version and saves the report.
+ *
+ * A test case is { familyId, name, values, assertions }: the variable values
+ * to run the prompt with and the assertions its output must pass (see
+ * Assertions.js). Test cases belong to the family, so every version is run
+ * against the same suite; each report is saved against the version it ran and
+ * can be compared with the previous version's.
+ */
+const { normalizeAssertions, checkAssertion, buildJudgeMessages, parseJudgeVerdict } = require('./Assertions.js');
+
+/**
+ * Compare two reports test case by test case
+ * @param {Object|null} previous - Earlier report
+ * @param {Object|null} current - Later report
+ * @returns {Array<Object>} { testCaseId, name, previous, current, change } where
+ *          previous and current are true, false or null (not run) and change is
+ *          fixed, regressed, unchanged, new or removed
+ */
+function compareReports(previous, current) {
+    const rows = new Map();
+    const add = (report, side) => {
+        for (const result of (report && report.results) || []) {
+            const row = rows.get(result.testCaseId) || { testCaseId: result.testCaseId, name: result.name, previous: null, current: null };
+            row[side] = result.passed;
+            if (side === 'current') row.name = result.name;
+            rows.set(result.testCaseId, row);
+        }
+    };
+    add(current, 'current');
+    add(previous, 'previous');
+
+    return Array.from(rows.values()).map(row => {
+        let change;
+        if (row.previous === null) change = 'new';
+        else if (row.current === null) change = 'removed';
+        else if (row.previous === row.current) change = 'unchanged';
+        else change = row.current ? 'fixed' : 'regressed';
+        return { ...row, change };
+    });
+}
+
+class EvalRunner {
+    /**
+     * @param {LibraryRepository} repository - Repository test cases and reports are kept in
+     * @param {PromptRunner} promptRunner - Runner used to build messages and pick providers
+     */
+    constructor(repository, promptRunner) {
+        this.repository = repository;
+        this.promptRunner = promptRunner;
+    }
+
+    /**
+     * Check and save a test case
+     * @param {Object} testCase - { id, familyId, name, values, assertions }
+     * @returns {Promise<Object>} { testCase, errors } with testCase null when
+     *          something needs fixing
+     */
+    async saveTestCase(testCase) {
+        const errors = [];
+        const name = String(testCase.name || '').trim();
+        if (!name) {
+            errors.push('A test case needs a name');
+        }
+        const normalized = normalizeAssertions(testCase.assertions);
+        errors.push(...normalized.errors);
+        if (normalized.errors.length === 0 && normalized.assertions.length === 0) {
+            errors.push('A test case needs at least one assertion');
+        }
+        if (errors.length > 0) {
+            return { testCase: null, errors };
+        }
+
+        const saved = await this.repository.saveTestCase({
+            id: testCase.id || null,
+            familyId: testCase.familyId,
+            name,
+            values: testCase.values || {},
+            assertions: normalized.assertions
+        });
+        return { testCase: saved, errors: [] };
+    }
+
+    /**
+     * Run every test case of a prompt version's family and save the report
+     * Test cases run one after another. A failed request fails its test case
+     * without stopping the others.
+     * @param {Object} request - { promptId, provider, modelSettings, judge } where
+     *        judge is { provider, model } for llm-judge assertions, defaulting to
+     *        the provider and model being tested
+     * @param {Object} streaming - Optional { onChunk, signal }; onChunk gets a
+     *        line for each finished test case
+     * @returns {Promise<Object>} Saved report
+     * @throws {Error} When the prompt has no test cases, a provider is missing,
+     *         the settings are invalid or the run was cancelled
+     */
+    async runSuite({ promptId, provider = null, modelSettings = {}, judge = null }, streaming = {}) {
+        const { prompt, aiService } = this.promptRunner.begin(promptId);
+        const testCases = this.repository.getTestCases(this.repository.getFamilyId(prompt));
+        if (testCases.length === 0) {
+            throw new Error(`"${prompt.title}" has no test cases`);
+        }
+
+        const settings = this.promptRunner.checkSettings(modelSettings);
+        const providerName = this.promptRunner.resolveProvider(aiService, provider, settings);
+        const target = {
+            providerName,
+            settings,
+            model: settings.model || aiService.getProvider(providerName).model
+        };
+
+        let judgeTarget = null;
+        if (testCases.some(testCase => testCase.assertions.some(assertion => assertion.type === 'llm-judge'))) {
+            const judgeProvider = (judge && judge.provider) || providerName;
+            const judgeModel = (judge && judge.model) || (judgeProvider === providerName ? settings.model : undefined);
+            const judgeSettings = this.promptRunner.checkSettings({ model: judgeModel, temperature: 0 });
+            judgeTarget = {
+                providerName: this.promptRunner.resolveProvider(aiService, judgeProvider, judgeSettings),
+                settings: judgeSettings
+            };
+            judgeTarget.model = judgeSettings.model || aiService.getProvider(judgeTarget.providerName).model;
+        }
+
+        const results = [];
+        for (const testCase of testCases) {
+            const result = await this.runTestCase(aiService, prompt, testCase, target, judgeTarget, streaming.signal);
+            results.push(result);
+            if (streaming.onChunk) {
+                streaming.onChunk(`${result.passed ? '✓' : '✗'} ${testCase.name}\n`);
+            }
+        }
+
+        const passed = results.filter(result => result.passed).length;
+        const report = await this.repository.addEvalRun({
+            promptId: prompt.id,
+            provider: providerName,
+            model: target.model,
+            modelSettings: settings,
+            judge: judgeTarget ? { provider: judgeTarget.providerName, model: judgeTarget.model } : null,
+            results,
+            passed,
+            total: results.length
+        });
+        console.log(`Test suite of prompt ${prompt.id}: ${passed}/${results.length} passed`);
+        return report;
+    }
+
+    /**
+     * Run one test case
+     * @returns {Promise<Object>} { testCaseId, name, values, output, latencyMs,
+     *          passed, assertions, error } where assertions are
+     *          { type, value, passed, message }
+     */
+    async runTestCase(aiService, prompt, testCase, target, judgeTarget, signal) {
+        const result = { testCaseId: testCase.id, name: testCase.name, values: testCase.values, output: null, latencyMs: null, assertions: [] };
+        const fail = (error) => ({ ...result, passed: false, error });
+
+        const prepared = this.promptRunner.prepare(prompt, testCase.values);
+        if (!prepared.valid) {
+            return fail(`Invalid values: ${Object.entries(prepared.errors).map(([name, message]) => `${name}: ${message}`).join(', ')}`);
+        }
+
+        const startedAt = Date.now();
+        try {
+            result.output = await aiService.runMessages(prepared.messages, target.providerName, target.settings, { signal });
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            return fail(error.message);
+        }
+        result.latencyMs = Date.now() - startedAt;
+
+        for (const assertion of testCase.assertions) {
+            let verdict;
+            if (assertion.type === 'llm-judge') {
+                try {
+                    const reply = await aiService.runMessages(buildJudgeMessages(assertion.value, result.output),
+                        judgeTarget.providerName, judgeTarget.settings, { signal });
+                    verdict = parseJudgeVerdict(reply);
+                } catch (error) {
+                    if (signal && signal.aborted) throw error;
+                    verdict = { passed: false, message: `The judge request failed: ${error.message}` };
+                }
+            } else {
+                try {
+                    verdict = checkAssertion(assertion, result.output);
+                } catch (error) {
+                    // Such as a JSON Schema with an invalid pattern; fail this assertion, not the suite
+                    verdict = { passed: false, message: `The assertion could not be checked: ${error.message}` };
+                }
+            }
+            result.assertions.push({ ...assertion, ...verdict });
+        }
+
+        return { ...result, passed: result.assertions.every(assertion => assertion.passed), error: null };
+    }
+
+    /**
+     * Compare a version's latest report with the previous version's
+     * @param {number} promptId - Prompt version id
+     * @returns {Object} { current, previous, previousVersion, rows } where rows
+     *          come from compareReports and previousVersion is the previous
+     *          version's number, or null for the first version
+     */
+    compareWithPrevious(promptId) {
+        const prompt = this.repository.store.get('prompts', promptId);
+        if (!prompt) {
+            throw new Error(`Prompt version ${promptId} was not found`);
+        }
+
+        const previousVersion = this.repository.getFamily(promptId)
+            .filter(version => version.version < prompt.version)
+            .sort((a, b) => b.version - a.version)[0] || null;
+        const reports = this.repository.getEvalRuns(promptId);
+        const current = reports.find(report => report.promptId === prompt.id) || null;
+        const previous = previousVersion ? reports.find(report => report.promptId === previousVersion.id) || null : null;
+
+        return {
+            current,
+            previous,
+            previousVersion: previousVersion ? previousVersion.version : null,
+            rows: compareReports(previous, current)
+        };
+    }
+}
+
+module.exports = { EvalRunner, compareReports };
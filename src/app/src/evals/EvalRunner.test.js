@@ -0,0 +1,137 @@
+/**
+ * EvalRunner.test.js
+ *
+ * Unit tests for running test suites against prompt versions
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('../data/LibraryStore');
+const { LibraryRepository } = require('../data/LibraryRepository');
+const { PromptComposer } = require('../templates/PromptComposer');
+const { PromptRunner } = require('../playground/PromptRunner');
+const { EvalRunner, compareReports } = require('./EvalRunner');
+
+describe('EvalRunner', () => {
+  let dataDir;
+  let repository;
+  let aiService;
+  let evalRunner;
+  let prompt;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-runner-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    aiService = {
+      getDefaultProvider: () => 'ollama',
+      getProvider: (name) => (name === 'ollama' || name === 'openrouter' ? { model: `${name}-default` } : null),
+      runMessages: jest.fn(async (messages) => {
+        if (messages[0].content.startsWith('You grade')) {
+          return '{"pass": false, "reason": "Too formal"}';
+        }
+        return `Hello ${messages[0].content.split(' ').pop()}`;
+      })
+    };
+    const promptRunner = new PromptRunner(repository, new PromptComposer(repository), () => aiService);
+    evalRunner = new EvalRunner(repository, promptRunner);
+
+    prompt = await repository.createPrompt({
+      title: 'Greeting',
+      text: 'Greet {{name}}',
+      variables: [{ name: 'name', type: 'string', required: true }]
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const addCase = (name, values, assertions) => evalRunner.saveTestCase({ familyId: prompt.id, name, values, assertions });
+
+  test('should refuse test cases without a name or assertions', async () => {
+    const result = await evalRunner.saveTestCase({ familyId: prompt.id, name: ' ', assertions: [] });
+
+    expect(result.testCase).toBeNull();
+    expect(result.errors).toEqual(['A test case needs a name', 'A test case needs at least one assertion']);
+  });
+
+  test('should run every test case and save the report against the version', async () => {
+    await addCase('Ann', { name: 'Ann' }, [{ type: 'contains', value: 'Ann' }, { type: 'max-length', value: '20' }]);
+    await addCase('Bob', { name: 'Bob' }, [{ type: 'contains', value: 'Ann' }]);
+    const onChunk = jest.fn();
+
+    const report = await evalRunner.runSuite({ promptId: prompt.id, modelSettings: { model: 'llama3' } }, { onChunk });
+
+    expect(report).toMatchObject({ promptId: prompt.id, provider: 'ollama', model: 'llama3', passed: 1, total: 2, judge: null });
+    expect(report.results[0]).toMatchObject({ name: 'Ann', output: 'Hello Ann', passed: true, error: null });
+    expect(report.results[1].assertions[0]).toMatchObject({ passed: false, message: 'Does not contain "Ann"' });
+    expect(onChunk.mock.calls.map(call => call[0])).toEqual(['✓ Ann\n', '✗ Bob\n']);
+    expect(repository.getEvalRuns(prompt.id)).toHaveLength(1);
+  });
+
+  test('should grade rubrics with the judge at temperature 0', async () => {
+    await addCase('Tone', { name: 'Ann' }, [{ type: 'llm-judge', value: 'Sounds casual' }]);
+
+    const report = await evalRunner.runSuite({ promptId: prompt.id, judge: { provider: 'openrouter', model: 'judge-model' } });
+
+    expect(aiService.runMessages).toHaveBeenLastCalledWith(expect.any(Array), 'openrouter',
+      { model: 'judge-model', temperature: 0 }, expect.any(Object));
+    expect(report.judge).toEqual({ provider: 'openrouter', model: 'judge-model' });
+    expect(report.results[0].assertions[0]).toMatchObject({ type: 'llm-judge', passed: false, message: 'Too formal' });
+  });
+
+  test('should fail a test case whose request or values fail without stopping the suite', async () => {
+    await addCase('Missing', {}, [{ type: 'contains', value: 'x' }]);
+    await addCase('Broken', { name: 'Ann' }, [{ type: 'contains', value: 'x' }]);
+    aiService.runMessages.mockRejectedValueOnce(new Error('Model not found'));
+
+    const report = await evalRunner.runSuite({ promptId: prompt.id });
+
+    expect(report.results[0].error).toMatch(/^Invalid values: name:/);
+    expect(report.results[1]).toMatchObject({ passed: false, error: 'Model not found' });
+  });
+
+  test('should fail an assertion that cannot be checked without losing the report', async () => {
+    await addCase('Ann', { name: 'Ann' }, [
+      { type: 'json-schema', value: { type: 'string', pattern: '(' } },
+      { type: 'contains', value: 'Ann' }
+    ]);
+    aiService.runMessages.mockResolvedValueOnce('"Hello Ann"');
+
+    const report = await evalRunner.runSuite({ promptId: prompt.id });
+
+    expect(report.results[0].assertions.map(assertion => assertion.passed)).toEqual([false, true]);
+    expect(report.results[0].assertions[0].message).toContain('The assertion could not be checked: Invalid regular expression');
+    expect(repository.getEvalRuns(prompt.id)).toHaveLength(1);
+  });
+
+  test('should refuse to run a prompt without test cases', async () => {
+    await expect(evalRunner.runSuite({ promptId: prompt.id })).rejects.toThrow('"Greeting" has no test cases');
+  });
+
+  test('should compare a new version with the previous one', async () => {
+    const { testCase } = await addCase('Ann', { name: 'Ann' }, [{ type: 'contains', value: 'Hello' }]);
+    await evalRunner.runSuite({ promptId: prompt.id });
+    const second = await repository.createVersion(prompt.id, { text: 'Wave at {{name}}' });
+    aiService.runMessages.mockResolvedValueOnce('Hi Ann');
+    await evalRunner.runSuite({ promptId: second.id });
+
+    const comparison = evalRunner.compareWithPrevious(second.id);
+
+    expect(comparison.previousVersion).toBe(1);
+    expect(comparison.rows).toEqual([
+      { testCaseId: testCase.id, name: 'Ann', previous: true, current: false, change: 'regressed' }
+    ]);
+  });
+
+  test('should label added, removed and fixed test cases', () => {
+    const previous = { results: [{ testCaseId: 1, name: 'A', passed: false }, { testCaseId: 2, name: 'B', passed: true }] };
+    const current = { results: [{ testCaseId: 1, name: 'A', passed: true }, { testCaseId: 3, name: 'C', passed: true }] };
+
+    expect(compareReports(previous, current).map(row => [row.name, row.change])).toEqual([
+      ['A', 'fixed'], ['C', 'new'], ['B', 'removed']
+    ]);
+  });
+});
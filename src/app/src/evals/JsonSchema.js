@@ -0,0 +1,115 @@
+/**
+ * JSON Schema
+ * Checks a value against the parts of JSON Schema that test cases use.
+ *
+ * Supported keywords: type (including "integer" and lists of types), enum,
+ * const, properties, required, additionalProperties, items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum, maximum, anyOf and allOf.
+ * Other keywords are ignored, so a schema written for a full validator still
+ * checks what it can.
+ */
+
+/**
+ * JSON type name of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {string} path - Location of the value, for messages
+ * @returns {Array<string>} Problems found, empty when the value is valid
+ */
+function validateJsonSchema(value, schema, path = '$') {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [`${path} is not allowed`];
+
+    const errors = [];
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    if (types && !types.some(type => matchesType(value, type))) {
+        return [`${path} should be ${types.join(' or ')}, not ${typeOf(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} should have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} should have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path} should match /${schema.pattern}/`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                errors.push(`${path} is missing "${name}"`);
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertyPath = `${path}.${name}`;
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                errors.push(...validateJsonSchema(propertyValue, properties[name], propertyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${propertyPath} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, propertyPath));
+            }
+        }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0)) {
+        errors.push(`${path} doesn't match any of the allowed schemas`);
+    }
+    for (const part of schema.allOf || []) {
+        errors.push(...validateJsonSchema(value, part, path));
+    }
+
+    return errors;
+}
+
+module.exports = { validateJsonSchema };
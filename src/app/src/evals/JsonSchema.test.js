@@ -0,0 +1,44 @@
+/**
+ * JsonSchema.test.js
+ *
+ * Unit tests for the JSON Schema checks used by test case assertions
+ */
+const { validateJsonSchema } = require('./JsonSchema');
+
+describe('validateJsonSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 2 },
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      tags: { type: 'array', minItems: 1, items: { enum: ['a', 'b'] } }
+    }
+  };
+
+  test('should accept a value that matches', () => {
+    expect(validateJsonSchema({ name: 'Ann', score: 7, tags: ['a'] }, schema)).toEqual([]);
+  });
+
+  test('should report every problem with its path', () => {
+    expect(validateJsonSchema({ name: 'A', score: 7.5, tags: ['c'], extra: 1 }, schema)).toEqual([
+      '$.name should have at least 2 characters',
+      '$.score should be integer, not number',
+      '$.tags[0] should be one of "a", "b"',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  test('should report missing required properties and wrong types', () => {
+    expect(validateJsonSchema({ name: 'Ann' }, schema)).toEqual(['$ is missing "tags"']);
+    expect(validateJsonSchema([], schema)).toEqual(['$ should be object, not array']);
+  });
+
+  test('should support anyOf, allOf and const', () => {
+    const choice = { anyOf: [{ type: 'string' }, { type: 'number' }] };
+    expect(validateJsonSchema(3, choice)).toEqual([]);
+    expect(validateJsonSchema(true, choice)).toEqual(["$ doesn't match any of the allowed schemas"]);
+    expect(validateJsonSchema('x', { allOf: [{ type: 'string' }, { const: 'y' }] })).toEqual(['$ should be "y"']);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Markdown Renderer
+ * Turns model output into HTML for the playground.
+ *
+ * Covers what models usually write: headings, paragraphs, bold, italics,
+ * inline and fenced code, bullet and numbered lists, block quotes, rules and
+ * links. Everything is escaped first, so the result is safe to set as
+ * innerHTML. Links are shown, not followed: the URL goes in the title.
+ */
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the inline parts of a line: code spans, bold, italics and links
+ * @param {string} text - Line text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    return String(text).split(/(`[^`]+`)/).map(part => {
+        if (/^`[^`]+`$/.test(part)) {
+            return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        }
+        return escapeHtml(part)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<span class="md-link" title="$2">$1</span>')
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+            .replace(/(^|[^*\w])\*(\S(?:.*?\S)?)\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(\S(?:.*?\S)?)_(?![_\w])/g, '$1<em>$2</em>');
+    }).join('');
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line - Line text
+ * @returns {boolean} True for fences, headings, rules, list items and quotes
+ */
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) || QUOTE.test(line);
+}
+
+/**
+ * Render Markdown as HTML
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++; // Closing fence, if there is one
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && QUOTE.test(lines[index])) {
+                quoted.push(lines[index].match(QUOTE)[1]);
+                index++;
+            }
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = /\d/.test(item[2]);
+            const items = [];
+            while (index < lines.length) {
+                const next = lines[index].match(LIST_ITEM);
+                if (next && /\d/.test(next[2]) === ordered) {
+                    items.push(next[3]);
+                } else if (items.length > 0 && /^\s+\S/.test(lines[index]) && !startsBlock(lines[index])) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ` ${lines[index].trim()}`;
+                } else {
+                    break;
+                }
+                index++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && parseInt(item[2], 10) !== 1 ? ` start="${parseInt(item[2], 10)}"` : '';
+            html.push(`<${tag}${start}>${items.map(text => `<li>${renderInline(text)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+            paragraph.push(renderInline(lines[index].trim()));
+            index++;
+        }
+        html.push(`<p>${paragraph.join('<br>')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+module.exports = { renderMarkdown, escapeHtml };
@@ -0,0 +1,37 @@
+/**
+ * MarkdownRenderer.test.js
+ *
+ * Unit tests for rendering model output as HTML
+ */
+const { renderMarkdown } = require('./MarkdownRenderer');
+
+describe('MarkdownRenderer', () => {
+  test('should render headings, paragraphs and inline formatting', () => {
+    const html = renderMarkdown('# Title\n\nSome **bold** and *italic* text\nwith `a < b` on the next line.');
+
+    expect(html).toBe('<h1>Title</h1>\n<p>Some <strong>bold</strong> and <em>italic</em> text<br>with <code>a &lt; b</code> on the next line.</p>');
+  });
+
+  test('should render lists, quotes and rules', () => {
+    expect(renderMarkdown('- one\n- two\n  continued')).toBe('<ul><li>one</li><li>two continued</li></ul>');
+    expect(renderMarkdown('3. three\n4. four')).toBe('<ol start="3"><li>three</li><li>four</li></ol>');
+    expect(renderMarkdown('> quoted\n> # heading')).toBe('<blockquote><p>quoted</p>\n<h1>heading</h1></blockquote>');
+    expect(renderMarkdown('---')).toBe('<hr>');
+  });
+
+  test('should keep fenced code as written', () => {
+    const html = renderMarkdown('```js\nconst a = "**not bold**";\n\n<b>\n```\nAfter');
+
+    expect(html).toBe('<pre><code class="language-js">const a = &quot;**not bold**&quot;;\n\n&lt;b&gt;</code></pre>\n<p>After</p>');
+  });
+
+  test('should escape HTML and show links without following them', () => {
+    const html = renderMarkdown('<script>alert(1)</script> [docs](https://example.com/a?b=1&c=2)');
+
+    expect(html).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; <span class="md-link" title="https://example.com/a?b=1&amp;c=2">docs</span></p>');
+  });
+
+  test('should not treat underscores inside words as italics', () => {
+    expect(renderMarkdown('snake_case_name and _this_')).toBe('<p>snake_case_name and <em>this</em></p>');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Prompt Runner
+ * Runs a saved prompt version against a model and saves the run.
+ *
+ * The prompt's includes are filled in and its variables rendered message by
+ * message, so a chat prompt reaches the model as its own system, user and
+ * assistant messages. Each run is saved with the exact version id, the values
+ * and messages sent, the provider and model, the output, how long the model
+ * took and the token counts and cost the provider reported.
+ *
+ * A comparison sends the same messages to several provider/model pairs at
+ * once. Its runs share a comparisonId, and one of them can be picked as the
+ * winner.
+ */
+const { randomUUID } = require('crypto');
+const { toProviderMessages } = require('../prompts/ChatMessages.js');
+const { normalizeModelSettings } = require('../prompts/ModelSettings.js');
+const { describeVariables, validateValues, renderTemplate } = require('../templates/PromptTemplate.js');
+
+class PromptRunner {
+    /**
+     * @param {LibraryRepository} repository - Repository prompts are read from and runs saved to
+     * @param {PromptComposer} composer - Composer used to fill in includes
+     * @param {Function} getAIService - Returns the AI service, or null before it is initialized
+     */
+    constructor(repository, composer, getAIService) {
+        this.repository = repository;
+        this.composer = composer;
+        this.getAIService = getAIService;
+    }
+
+    /**
+     * Build the messages to send for a prompt version
+     * @param {Object} prompt - Prompt version
+     * @param {Object} values - Variable values as entered
+     * @returns {Object} { valid, errors, values, messages } where errors maps
+     *          variable names to problems
+     */
+    prepare(prompt, values = {}) {
+        const familyId = this.repository.getFamilyId(prompt);
+        let declarations = prompt.variables || [];
+        const expanded = toProviderMessages(prompt, (content) => {
+            const result = this.composer.expand(content, { familyId, declarations });
+            declarations = result.declarations;
+            return result.text;
+        });
+
+        const variables = describeVariables(expanded.map(message => message.content).join('\n\n'), declarations);
+        const validation = validateValues(variables, values);
+        if (!validation.valid) {
+            return { valid: false, errors: validation.errors };
+        }
+
+        return {
+            valid: true,
+            errors: {},
+            values: validation.values,
+            messages: expanded.map(message => ({
+                role: message.role,
+                content: renderTemplate(message.content, validation.values).text
+            }))
+        };
+    }
+
+    /**
+     * Run a prompt version and save the run
+     * @param {Object} request - { promptId, values, provider, modelSettings } where
+     *        provider and modelSettings override the prompt's own settings
+     * @param {Object} streaming - Optional { onChunk, signal, onRedact }
+     * @returns {Promise<Object>} { valid, errors, run }
+     * @throws {Error} When the prompt, the AI service or the provider is missing,
+     *         the settings are invalid or the request fails
+     */
+    async run({ promptId, values = {}, provider = null, modelSettings = {} }, streaming = {}) {
+        const { prompt, aiService } = this.begin(promptId);
+        const settings = this.checkSettings(modelSettings);
+        const prepared = this.prepare(prompt, values);
+        if (!prepared.valid) {
+            return prepared;
+        }
+
+        const providerName = this.resolveProvider(aiService, provider, settings);
+        const run = await this.send(aiService, prompt, prepared, providerName, settings, streaming);
+        return { valid: true, errors: {}, run };
+    }
+
+    /**
+     * Run a prompt version against several provider/model pairs at once
+     * Every target gets the same messages and sampling parameters. A target
+     * that fails doesn't stop the others; its result has an error instead of a run.
+     * @param {Object} request - { promptId, values, modelSettings, targets } where
+     *        targets are { provider, model } pairs and modelSettings holds the
+     *        shared parameters
+     * @param {Object} streaming - Optional { onChunk, signal, onRedact }; onChunk is called
+     *        with each piece of text and the index of its target
+     * @returns {Promise<Object>} { valid, errors, comparisonId, results } with a
+     *          { provider, model, run } or { provider, model, error } result per target
+     * @throws {Error} When fewer than two targets are given, a provider is
+     *         missing, the settings are invalid or the comparison was cancelled
+     */
+    async compare({ promptId, values = {}, modelSettings = {}, targets = [] }, streaming = {}) {
+        const { prompt, aiService } = this.begin(promptId);
+        if (!Array.isArray(targets) || targets.length < 2) {
+            throw new Error('Pick at least two models to compare');
+        }
+
+        const { provider, model, ...shared } = modelSettings || {};
+        const plans = targets.map(target => {
+            const settings = this.checkSettings({ ...shared, provider: target.provider, model: target.model });
+            return { providerName: this.resolveProvider(aiService, target.provider, settings), settings };
+        });
+
+        const prepared = this.prepare(prompt, values);
+        if (!prepared.valid) {
+            return prepared;
+        }
+
+        const comparisonId = randomUUID();
+        const results = await Promise.all(plans.map(async ({ providerName, settings }, index) => {
+            const targetStreaming = {
+                signal: streaming.signal,
+                onRedact: streaming.onRedact,
+                onChunk: streaming.onChunk && ((chunk) => streaming.onChunk(chunk, index))
+            };
+            try {
+                const run = await this.send(aiService, prompt, prepared, providerName, settings, targetStreaming, { comparisonId });
+                return { provider: run.provider, model: run.model, run };
+            } catch (error) {
+                console.error(`Comparison run on ${providerName} failed:`, error);
+                return {
+                    provider: providerName,
+                    model: settings.model || aiService.getProvider(providerName).model,
+                    error: error.message
+                };
+            }
+        }));
+
+        if (streaming.signal && streaming.signal.aborted) {
+            throw new Error('Request cancelled');
+        }
+        return { valid: true, errors: {}, comparisonId, results };
+    }
+
+    /**
+     * Find the prompt version and the AI service for a run
+     * @param {number} promptId - Prompt version id
+     * @returns {Object} { prompt, aiService }
+     */
+    begin(promptId) {
+        const prompt = this.repository.store.get('prompts', promptId);
+        if (!prompt) {
+            throw new Error(`Prompt version ${promptId} was not found`);
+        }
+        const aiService = this.getAIService();
+        if (!aiService) {
+            throw new Error('AI service not initialized');
+        }
+        return { prompt, aiService };
+    }
+
+    /**
+     * Check a run's model settings
+     * @param {Object} modelSettings - Settings as entered
+     * @returns {Object} Settings with only the values that are set
+     */
+    checkSettings(modelSettings) {
+        const { settings, errors } = normalizeModelSettings(modelSettings);
+        if (errors.length > 0) {
+            throw new Error(`Invalid model settings: ${errors.join('; ')}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Pick the provider for a run: the one asked for, the settings' one, then the default
+     * @returns {string} Provider name
+     */
+    resolveProvider(aiService, provider, settings) {
+        const providerName = provider || settings.provider || aiService.getDefaultProvider();
+        if (!aiService.getProvider(providerName)) {
+            throw new Error(`Provider ${providerName} not available`);
+        }
+        return providerName;
+    }
+
+    /**
+     * Send prepared messages to a provider and save the run
+     * @returns {Promise<Object>} Saved run record
+     */
+    async send(aiService, prompt, prepared, providerName, settings, streaming, fields = {}) {
+        let usage = {};
+        const startedAt = Date.now();
+        const output = await aiService.runMessages(prepared.messages, providerName, settings, {
+            ...streaming,
+            onUsage: (reported) => { usage = reported; }
+        });
+        const latencyMs = Date.now() - startedAt;
+
+        const run = await this.repository.addRun({
+            promptId: prompt.id,
+            provider: providerName,
+            model: settings.model || aiService.getProvider(providerName).model,
+            modelSettings: settings,
+            values: prepared.values,
+            messages: prepared.messages,
+            output,
+            latencyMs,
+            usage,
+            ...fields
+        });
+        console.log(`Playground run ${run.id} of prompt ${prompt.id} took ${latencyMs}ms`);
+        return run;
+    }
+}
+
+module.exports = { PromptRunner };
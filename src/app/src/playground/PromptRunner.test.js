@@ -0,0 +1,230 @@
+/**
+ * PromptRunner.test.js
+ *
+ * Unit tests for running prompt versions in the playground
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('../data/LibraryStore');
+const { LibraryRepository } = require('../data/LibraryRepository');
+const { PromptComposer } = require('../templates/PromptComposer');
+const { PromptRunner } = require('./PromptRunner');
+const { AIService } = require('../ai/AIService');
+const { ProviderRegistry } = require('../ai/providers/ProviderRegistry');
+const { BaseProvider } = require('../ai/providers/BaseProvider');
+const { createDecoratorChain } = require('../ai/decorators');
+const { createMiddlewareChain } = require('../ai/middleware');
+
+describe('PromptRunner', () => {
+  let dataDir;
+  let repository;
+  let aiService;
+  let runner;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-runner-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    aiService = {
+      getDefaultProvider: () => 'ollama',
+      getProvider: (name) => (name === 'ollama' || name === 'openrouter' ? { model: `${name}-default` } : null),
+      runMessages: jest.fn(async (messages, provider, settings, { onUsage }) => {
+        onUsage({ promptTokens: 12, completionTokens: 3 });
+        return '# Done';
+      })
+    };
+    runner = new PromptRunner(repository, new PromptComposer(repository), () => aiService);
+
+    await repository.createPrompt({ title: 'Persona', text: 'You are a {{role}}.' }, ['snippets']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should send each chat message with includes and variables filled in', async () => {
+    const prompt = await repository.createPrompt({
+      title: 'Review',
+      text: '',
+      type: 'chat',
+      messages: [
+        { role: 'system', content: '{{> Persona}}' },
+        { role: 'user', content: 'Review this {{language}} code.' }
+      ]
+    });
+
+    const result = await runner.run({ promptId: prompt.id, values: { role: 'reviewer', language: 'Go' } });
+
+    expect(result.valid).toBe(true);
+    expect(aiService.runMessages).toHaveBeenCalledWith([
+      { role: 'system', content: 'You are a reviewer.' },
+      { role: 'user', content: 'Review this Go code.' }
+    ], 'ollama', {}, expect.objectContaining({ onUsage: expect.any(Function) }));
+    expect(result.run).toMatchObject({
+      promptId: prompt.id,
+      provider: 'ollama',
+      model: 'ollama-default',
+      values: { role: 'reviewer', language: 'Go' },
+      output: '# Done',
+      usage: { promptTokens: 12, completionTokens: 3 }
+    });
+    expect(result.run.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(repository.getRuns(prompt.id)).toHaveLength(1);
+  });
+
+  test('should use the model settings given over the prompt\'s own', async () => {
+    const prompt = await repository.createPrompt({
+      title: 'Summary',
+      text: 'Summarize.',
+      modelSettings: { provider: 'ollama', temperature: 0.2 }
+    });
+    const version = await repository.createVersion(prompt.id, { text: 'Summarize briefly.' });
+
+    const result = await runner.run({
+      promptId: prompt.id,
+      modelSettings: { provider: 'openrouter', model: 'gpt-4o', temperature: '0.9' }
+    });
+
+    expect(aiService.runMessages).toHaveBeenCalledWith([{ role: 'user', content: 'Summarize.' }],
+      'openrouter', { provider: 'openrouter', model: 'gpt-4o', temperature: 0.9 }, expect.any(Object));
+    // The run stays linked to the version that ran, not the latest one
+    expect(result.run).toMatchObject({ promptId: prompt.id, provider: 'openrouter', model: 'gpt-4o' });
+    expect(repository.getRuns(version.id)).toHaveLength(1);
+  });
+
+  test('should return variable errors without running', async () => {
+    const prompt = await repository.createPrompt({
+      title: 'Translate',
+      text: 'Translate to {{language}}.',
+      variables: [{ name: 'language', type: 'string', default: '', description: '', required: true, options: [] }]
+    });
+
+    const result = await runner.run({ promptId: prompt.id, values: { language: '' } });
+
+    expect(result).toEqual({ valid: false, errors: { language: 'Required' } });
+    expect(aiService.runMessages).not.toHaveBeenCalled();
+    expect(repository.getRuns(prompt.id)).toHaveLength(0);
+  });
+
+  test('should reject missing prompts, providers and bad settings', async () => {
+    const prompt = await repository.createPrompt({ title: 'Plain', text: 'Hello' });
+
+    await expect(runner.run({ promptId: 999 })).rejects.toThrow('Prompt version 999 was not found');
+    await expect(runner.run({ promptId: prompt.id, provider: 'nope' })).rejects.toThrow('Provider nope not available');
+    await expect(runner.run({ promptId: prompt.id, modelSettings: { topP: 3 } }))
+      .rejects.toThrow('Invalid model settings: Top P must be between 0 and 1');
+
+    aiService = null;
+    await expect(runner.run({ promptId: prompt.id })).rejects.toThrow('AI service not initialized');
+  });
+
+  describe('comparisons', () => {
+    let prompt;
+
+    beforeEach(async () => {
+      prompt = await repository.createPrompt({ title: 'Greeting', text: 'Say hello to {{name}}.' });
+    });
+
+    test('should run every target at once with the shared parameters', async () => {
+      const started = [];
+      const finish = {};
+      aiService.runMessages.mockImplementation((messages, provider, settings, { onChunk }) => new Promise(resolve => {
+        started.push(settings.model);
+        onChunk(`from ${settings.model}`);
+        finish[settings.model] = () => resolve(`Hello from ${settings.model}`);
+      }));
+      const chunks = [];
+
+      const comparison = runner.compare({
+        promptId: prompt.id,
+        values: { name: 'Ada' },
+        modelSettings: { provider: 'ollama', model: 'ignored', temperature: 0.3 },
+        targets: [{ provider: 'openrouter', model: 'gpt-4o' }, { provider: 'ollama', model: 'llama3' }]
+      }, { onChunk: (chunk, column) => chunks.push([column, chunk]) });
+
+      // Both requests are sent before either finishes
+      await new Promise(resolve => setImmediate(resolve));
+      expect(started).toEqual(['gpt-4o', 'llama3']);
+      finish.llama3();
+      finish['gpt-4o']();
+      const result = await comparison;
+
+      expect(chunks).toEqual([[0, 'from gpt-4o'], [1, 'from llama3']]);
+      expect(aiService.runMessages.mock.calls.map(call => call[2])).toEqual([
+        { provider: 'openrouter', model: 'gpt-4o', temperature: 0.3 },
+        { provider: 'ollama', model: 'llama3', temperature: 0.3 }
+      ]);
+      expect(result.results.map(item => [item.provider, item.model, item.run.output])).toEqual([
+        ['openrouter', 'gpt-4o', 'Hello from gpt-4o'],
+        ['ollama', 'llama3', 'Hello from llama3']
+      ]);
+      expect(result.results.every(item => item.run.comparisonId === result.comparisonId)).toBe(true);
+    });
+
+    test('should keep the other columns when one model fails', async () => {
+      aiService.runMessages.mockImplementation(async (messages, provider) => {
+        if (provider === 'openrouter') throw new Error('HTTP 429: Too Many Requests');
+        return 'Hello';
+      });
+
+      const result = await runner.compare({
+        promptId: prompt.id,
+        values: { name: 'Ada' },
+        targets: [{ provider: 'openrouter' }, { provider: 'ollama' }]
+      });
+
+      expect(result.results[0]).toEqual({ provider: 'openrouter', model: 'openrouter-default', error: 'HTTP 429: Too Many Requests' });
+      expect(result.results[1].run.output).toBe('Hello');
+      expect(repository.getRuns(prompt.id)).toHaveLength(1);
+    });
+
+    test('should check the targets before sending anything', async () => {
+      await expect(runner.compare({ promptId: prompt.id, targets: [{ provider: 'ollama' }] }))
+        .rejects.toThrow('Pick at least two models to compare');
+      await expect(runner.compare({ promptId: prompt.id, targets: [{ provider: 'ollama' }, { provider: 'nope' }] }))
+        .rejects.toThrow('Provider nope not available');
+      expect(aiService.runMessages).not.toHaveBeenCalled();
+    });
+
+    test('should report a cancelled comparison', async () => {
+      const controller = new AbortController();
+      aiService.runMessages.mockImplementation(async () => {
+        controller.abort();
+        throw new Error('Request cancelled');
+      });
+
+      await expect(runner.compare({
+        promptId: prompt.id,
+        values: { name: 'Ada' },
+        targets: [{ provider: 'ollama' }, { provider: 'openrouter' }]
+      }, { signal: controller.signal })).rejects.toThrow('Request cancelled');
+    });
+  });
+
+  test('should save the output as the model wrote it', async () => {
+    const output = 'Use a List<String> here:\n```java\nList<String> xs = new ArrayList<>();\n```\n<answer>42</answer>';
+    class WritingProvider extends BaseProvider {
+      async makeCompletion() { return output; }
+    }
+    const registry = new ProviderRegistry();
+    registry.register({ id: 'writing', name: 'Writing', ProviderClass: WritingProvider, fields: [] });
+    aiService = new AIService(registry, createDecoratorChain(), createMiddlewareChain());
+    await aiService.initialize({ defaultProvider: 'writer', providers: { writer: { type: 'writing', enabled: true } }, generation: { systemPrompt: '' } });
+    const prompt = await repository.createPrompt({ title: 'Plain', text: 'Hello' });
+
+    const result = await runner.run({ promptId: prompt.id });
+
+    expect(result.run.output).toBe(output);
+    expect(repository.getRuns(prompt.id)[0].output).toBe(output);
+  });
+
+  test('should not save a run that fails', async () => {
+    const prompt = await repository.createPrompt({ title: 'Plain', text: 'Hello' });
+    aiService.runMessages.mockRejectedValue(new Error('Request cancelled'));
+
+    await expect(runner.run({ promptId: prompt.id })).rejects.toThrow('Request cancelled');
+    expect(repository.getRuns(prompt.id)).toHaveLength(0);
+  });
+});
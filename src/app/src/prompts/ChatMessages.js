@@ -0,0 +1,117 @@
+/**
+ * Chat Messages
+ * Prompts made of role-tagged messages instead of a single text.
+ *
+ * A chat prompt has type 'chat' and an ordered `messages` list of
+ * { role, content } with role system, user or assistant; few-shot examples
+ * are user/assistant pairs. Its `text` is always the flattened form below, so
+ * search, copying, templates and every text-based export keep working:
+ *
+ *   [system]
+ *   You are a careful code reviewer.
+ *
+ *   [user]
+ *   Review this {{language}} code.
+ *
+ * A line holding only a role in square brackets starts the next message.
+ */
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+const ROLE_LINE = /^\[(system|user|assistant)\]$/;
+
+/**
+ * Check and clean up a chat prompt's messages
+ * @param {Array<Object>} messages - Messages as entered or imported
+ * @returns {Object} { messages, errors } with content trimmed of surrounding blank lines
+ */
+function normalizeMessages(messages) {
+    const errors = [];
+    const cleaned = [];
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return { messages: [], errors: ['A chat prompt needs at least one message'] };
+    }
+
+    messages.forEach((message, index) => {
+        const role = message && message.role;
+        const content = String((message && message.content) || '').replace(/\r\n/g, '\n').replace(/^\s*\n|\s+$/g, '');
+
+        if (!MESSAGE_ROLES.includes(role)) {
+            errors.push(`Message ${index + 1} has an unknown role "${role}"`);
+        } else if (!content.trim()) {
+            errors.push(`Message ${index + 1} (${role}) is empty`);
+        } else {
+            cleaned.push({ role, content });
+        }
+    });
+
+    return { messages: cleaned, errors };
+}
+
+/**
+ * Flatten messages into prompt text
+ * @param {Array<Object>} messages - { role, content } messages
+ * @returns {string} Text with a [role] line before each message
+ */
+function flattenMessages(messages) {
+    return (messages || []).map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+}
+
+/**
+ * Read messages back from flattened text
+ * @param {string} text - Flattened text
+ * @returns {Array<Object>|null} Messages, or null when the text doesn't start with a [role] line
+ */
+function parseFlattenedMessages(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const first = lines.findIndex(line => line.trim() !== '');
+    if (first === -1 || !ROLE_LINE.test(lines[first].trim())) {
+        return null;
+    }
+
+    const messages = [];
+    for (const line of lines.slice(first)) {
+        const role = line.trim().match(ROLE_LINE);
+        if (role) {
+            messages.push({ role: role[1], lines: [] });
+        } else {
+            messages[messages.length - 1].lines.push(line);
+        }
+    }
+
+    return messages.map(({ role, lines: content }) => ({
+        role,
+        content: content.join('\n').replace(/^\s*\n|\s+$/g, '')
+    }));
+}
+
+/**
+ * Whether a prompt is made of chat messages
+ * @param {Object} prompt - Prompt record
+ * @returns {boolean} True for chat prompts
+ */
+function isChatPrompt(prompt) {
+    return Boolean(prompt) && prompt.type === 'chat';
+}
+
+/**
+ * Build the messages to send to a provider when a prompt is run
+ * Chat prompts are sent message by message; text prompts become one user message.
+ * @param {Object} prompt - Prompt record
+ * @param {Function} render - Optional function applied to each message's content,
+ *        such as filling in template variables
+ * @returns {Array<Object>} { role, content } messages
+ */
+function toProviderMessages(prompt, render = (content) => content) {
+    const messages = isChatPrompt(prompt) ? prompt.messages : [{ role: 'user', content: prompt.text }];
+    return messages.map(message => ({ role: message.role, content: render(message.content) }));
+}
+
+module.exports = {
+    MESSAGE_ROLES,
+    normalizeMessages,
+    flattenMessages,
+    parseFlattenedMessages,
+    isChatPrompt,
+    toProviderMessages
+};
@@ -0,0 +1,51 @@
+/**
+ * ChatMessages.test.js
+ *
+ * Unit tests for prompts made of role-tagged messages
+ */
+const {
+  normalizeMessages,
+  flattenMessages,
+  parseFlattenedMessages,
+  toProviderMessages
+} = require('./ChatMessages');
+
+describe('ChatMessages', () => {
+  const messages = [
+    { role: 'system', content: 'You translate to French.' },
+    { role: 'user', content: 'Good morning' },
+    { role: 'assistant', content: 'Bonjour' },
+    { role: 'user', content: '{{phrase}}\n\nKeep it short.' }
+  ];
+
+  test('should flatten messages and read them back', () => {
+    const text = flattenMessages(messages);
+
+    expect(text).toBe('[system]\nYou translate to French.\n\n[user]\nGood morning\n\n[assistant]\nBonjour\n\n[user]\n{{phrase}}\n\nKeep it short.');
+    expect(parseFlattenedMessages(`\n${text}\n`)).toEqual(messages);
+  });
+
+  test('should only read text that starts with a role line', () => {
+    expect(parseFlattenedMessages('Just a prompt\n[user]\nHi')).toBeNull();
+    expect(parseFlattenedMessages('')).toBeNull();
+    expect(parseFlattenedMessages('[user]')).toEqual([{ role: 'user', content: '' }]);
+  });
+
+  test('should trim messages and report unusable ones', () => {
+    expect(normalizeMessages([{ role: 'user', content: '\n  Hi\r\n  there  \n' }])).toEqual({
+      messages: [{ role: 'user', content: '  Hi\n  there' }],
+      errors: []
+    });
+    expect(normalizeMessages([{ role: 'user', content: 'ok' }, { role: 'tool', content: 'x' }, { role: 'assistant', content: ' ' }]).errors)
+      .toEqual(['Message 2 has an unknown role "tool"', 'Message 3 (assistant) is empty']);
+    expect(normalizeMessages([]).errors).toEqual(['A chat prompt needs at least one message']);
+  });
+
+  test('should send chat prompts message by message and text prompts as one user message', () => {
+    const fill = (content) => content.replace('{{phrase}}', 'Thank you');
+
+    expect(toProviderMessages({ type: 'chat', messages, text: 'ignored' }, fill)[3])
+      .toEqual({ role: 'user', content: 'Thank you\n\nKeep it short.' });
+    expect(toProviderMessages({ text: 'Say {{phrase}}' }, fill)).toEqual([{ role: 'user', content: 'Say Thank you' }]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Model Settings
+ * The model a prompt is written for and the sampling parameters to run it with.
+ *
+ * Stored on a prompt as `modelSettings`, holding only the values that are set:
+ *
+ *   { provider: "ollama", model: "llama3.1:8b", temperature: 0.2,
+ *     maxTokens: 500, topP: 0.9, stop: ["###"], seed: 42 }
+ *
+ * When a prompt is run or optimized these values replace the matching ones
+ * from the global `generation` / `optimization` config.
+ */
+
+const NUMBER_RANGES = {
+    temperature: { min: 0, max: 2, label: 'Temperature' },
+    maxTokens: { min: 1, integer: true, label: 'Max tokens' },
+    topP: { min: 0, max: 1, label: 'Top P' },
+    seed: { integer: true, label: 'Seed' }
+};
+
+/**
+ * Check and clean up a prompt's model settings
+ * Blank values are dropped; numbers given as text are converted.
+ * @param {Object} settings - Settings as entered or imported
+ * @returns {Object} { settings, errors } where settings only has the values that are set
+ */
+function normalizeModelSettings(settings) {
+    const errors = [];
+    const cleaned = {};
+    const source = settings && typeof settings === 'object' ? settings : {};
+
+    for (const field of ['provider', 'model']) {
+        const value = String(source[field] === undefined || source[field] === null ? '' : source[field]).trim();
+        if (value) {
+            cleaned[field] = value;
+        }
+    }
+
+    for (const [field, range] of Object.entries(NUMBER_RANGES)) {
+        const raw = source[field];
+        if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (range.integer && !Number.isInteger(value))) {
+            errors.push(`${range.label} must be ${range.integer ? 'a whole number' : 'a number'}`);
+        } else if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+            errors.push(range.max === undefined
+                ? `${range.label} must be at least ${range.min}`
+                : `${range.label} must be between ${range.min} and ${range.max}`);
+        } else {
+            cleaned[field] = value;
+        }
+    }
+
+    // Stop sequences may be a list or text with one sequence per line
+    const stop = Array.isArray(source.stop) ? source.stop : String(source.stop || '').split('\n');
+    const sequences = stop.map(String).filter(sequence => sequence.trim() !== '');
+    if (sequences.length > 0) {
+        cleaned.stop = sequences;
+    }
+
+    return { settings: cleaned, errors };
+}
+
+/**
+ * Whether a prompt has any model settings
+ * @param {Object} settings - Prompt's modelSettings
+ * @returns {boolean} True when at least one value is set
+ */
+function hasModelSettings(settings) {
+    return Boolean(settings) && Object.keys(settings).length > 0;
+}
+
+/**
+ * Lay a prompt's settings over the global options for a request
+ * The provider isn't an option; callers pick it with settings.provider.
+ * @param {Object} options - Global generation or optimization options
+ * @param {Object} settings - Prompt's modelSettings
+ * @returns {Object} Options for the provider's makeCompletion
+ */
+function applyModelSettings(options = {}, settings = null) {
+    const { provider, ...overrides } = settings || {};
+    return { ...options, ...overrides };
+}
+
+module.exports = {
+    normalizeModelSettings,
+    hasModelSettings,
+    applyModelSettings
+};
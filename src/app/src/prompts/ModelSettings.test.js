@@ -0,0 +1,47 @@
+/**
+ * ModelSettings.test.js
+ *
+ * Unit tests for per-prompt model and sampling parameters
+ */
+const { normalizeModelSettings, hasModelSettings, applyModelSettings } = require('./ModelSettings');
+
+describe('ModelSettings', () => {
+  test('should keep only the values that are set, converting numbers', () => {
+    expect(normalizeModelSettings({
+      provider: '',
+      model: ' gpt-4o ',
+      temperature: '0',
+      maxTokens: '500',
+      topP: '',
+      stop: '###\n\nEND',
+      seed: null
+    })).toEqual({
+      settings: { model: 'gpt-4o', temperature: 0, maxTokens: 500, stop: ['###', 'END'] },
+      errors: []
+    });
+    expect(normalizeModelSettings(undefined)).toEqual({ settings: {}, errors: [] });
+  });
+
+  test('should report values out of range', () => {
+    const { settings, errors } = normalizeModelSettings({ temperature: 3, maxTokens: 1.5, topP: 'high', seed: -4 });
+
+    expect(settings).toEqual({ seed: -4 });
+    expect(errors).toEqual([
+      'Temperature must be between 0 and 2',
+      'Max tokens must be a whole number',
+      'Top P must be a number'
+    ]);
+    expect(normalizeModelSettings({ maxTokens: 0 }).errors).toEqual(['Max tokens must be at least 1']);
+  });
+
+  test('should override the global options with the prompt\'s settings', () => {
+    const optimization = { systemPrompt: 'Optimize', maxTokens: 2000, temperature: 0.3 };
+
+    expect(applyModelSettings(optimization, { provider: 'ollama', model: 'llama3', temperature: 0, stop: ['###'] })).toEqual({
+      systemPrompt: 'Optimize', maxTokens: 2000, temperature: 0, model: 'llama3', stop: ['###']
+    });
+    expect(applyModelSettings(optimization, null)).toEqual(optimization);
+    expect(hasModelSettings({})).toBe(false);
+    expect(hasModelSettings({ seed: 1 })).toBe(true);
+  });
+});
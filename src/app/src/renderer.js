@@ -19,42 +19,136 @@ let versionStateManager = null;
 // Tag path matcher utility
 import { getMatchingTags } from './tags/TagPathMatcher.js';
 
+// Main-process library access
+import { createRemoteDatabase } from './data/RemoteDatabase.js';
+
 // Initialize database with common data directory
 async function initializeDatabase() {
     try {
         dataDir = await window.electronAPI.getDataDir();
         console.log('Using data directory:', dataDir);
 
-        // Use Dexie with a specific name that will be stored in the userData directory
-        db = new Dexie('AIPromptManagerDB');
+        // Prompts, tags and versions live in the main-process library;
+        // db is a Dexie-shaped view onto it so existing queries keep working
+        db = createRemoteDatabase(window.electronAPI);
 
-        db.version(4).stores({
-            // Explicitly index isLatest and parentId to support queries
-            prompts: '++id,isLatest,parentId,version,title,text,description,folderId,createdAt,lastUsedAt,timesUsed',
-            folders: '++id, name, parentId',
-            tags: '++id, name, fullPath, parentId, level', // Added fullPath, parentId, level for hierarchy
-            promptTags: '++id, promptId, tagId' // Join table for many-to-many relationship
-        });
+        const libraryStatus = await window.electronAPI.library.getStatus();
+        if (libraryStatus.state === 'failed') {
+            showRecoveryScreen(libraryStatus.failure, () => window.electronAPI.library.exportRaw());
+            return false;
+        }
 
-        await db.open();
-        console.log('Database initialized successfully in:', dataDir);
+        try {
+            await migrateLegacyDatabase();
+        } catch (e) {
+            console.error('Legacy migration failed:', e);
+            showRecoveryScreen(
+                { message: 'Your prompts could not be copied from the old database', error: e.message },
+                exportLegacyDatabase
+            );
+            return false;
+        }
 
-        // Test that existing tags are still accessible
-        const existingTags = await db.tags.toArray();
-        console.log(`Found ${existingTags.length} existing tags in database`);
+        const status = await window.electronAPI.library.getStatus();
+        console.log('Library initialized successfully in:', status.filePath);
+        console.log(`Found ${status.counts.tags} existing tags in library (schema version ${status.schemaVersion})`);
 
         return true;
     } catch (e) {
-        console.error('Dexie open failed:', e);
-        if (e.name === 'SchemaError' || e.name === 'VersionError' || e.name === 'InvalidStateError') {
-            console.warn('Deleting old/corrupt IndexedDB and reloading…');
-            await Dexie.delete('AIPromptManagerDB');
-            location.reload();
-        }
+        console.error('Library initialization failed:', e);
+        showRecoveryScreen({ message: 'Failed to load the prompt library', error: e.message }, () => window.electronAPI.library.exportRaw());
         return false;
     }
 }
 
+// Show the recovery screen instead of the app; nothing is deleted from here
+function showRecoveryScreen(failure, exportData) {
+    const screen = document.getElementById('recovery-screen');
+    const statusEl = document.getElementById('recovery-status');
+
+    document.getElementById('recovery-title').textContent = failure.message;
+    document.getElementById('recovery-error').textContent = failure.error;
+
+    if (failure.backupPath) {
+        document.getElementById('recovery-backup-path').textContent = failure.backupPath;
+        document.getElementById('recovery-backup').classList.remove('hidden');
+    }
+
+    document.getElementById('recovery-export-btn').onclick = async () => {
+        try {
+            const result = await exportData();
+            if (result.success) {
+                statusEl.textContent = `Raw data saved to ${result.filePath}`;
+                statusEl.classList.remove('hidden');
+            }
+        } catch (e) {
+            console.error('Raw export failed:', e);
+            statusEl.textContent = `Export failed: ${e.message}`;
+            statusEl.classList.remove('hidden');
+        }
+    };
+    document.getElementById('recovery-retry-btn').onclick = () => window.location.reload();
+
+    screen.classList.remove('hidden');
+}
+
+// Dump every object store of the old IndexedDB database without going through Dexie
+async function exportLegacyDatabase() {
+    const legacyDb = await new Promise((resolve, reject) => {
+        const request = indexedDB.open('AIPromptManagerDB');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    try {
+        const dump = { name: legacyDb.name, version: legacyDb.version, tables: {} };
+        for (const storeName of Array.from(legacyDb.objectStoreNames)) {
+            dump.tables[storeName] = await new Promise((resolve, reject) => {
+                const request = legacyDb.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return await window.electronAPI.library.saveExport(JSON.stringify(dump, null, 2), 'prompt-library-indexeddb.json');
+    } finally {
+        legacyDb.close();
+    }
+}
+
+// Copy prompts from the old renderer IndexedDB into the library (first launch only)
+async function migrateLegacyDatabase() {
+    const status = await window.electronAPI.library.getStatus();
+    if (status.legacyMigration) {
+        return;
+    }
+
+    const legacyExists = await Dexie.exists('AIPromptManagerDB');
+    if (!legacyExists) {
+        await window.electronAPI.library.markLegacyMigrationComplete();
+        return;
+    }
+
+    console.log('Migrating legacy IndexedDB data to the library...');
+
+    // Open without declaring a schema so whatever version is on disk is read as-is
+    const legacyDb = new Dexie('AIPromptManagerDB');
+    try {
+        await legacyDb.open();
+
+        const legacyData = {};
+        for (const table of legacyDb.tables) {
+            legacyData[table.name] = await table.toArray();
+        }
+
+        const result = await window.electronAPI.library.importLegacyData(legacyData);
+        console.log('Legacy migration result:', result);
+    } finally {
+        // The IndexedDB copy is left in place as a fallback
+        legacyDb.close();
+    }
+}
+
 // Initialize AI service
 async function initializeAIService() {
     try {
@@ -67,15 +161,16 @@ async function initializeAIService() {
             // Get default provider and AI config
             const defaultProvider = await window.electronAPI.ai.getDefaultProvider();
             aiConfig = await window.electronAPI.ai.getConfig();
+            updateProviderSelects(aiConfig.providers);
 
             aiService = {
                 getAvailableProviders: () => result.providers,
                 getDefaultProvider: () => defaultProvider,
                 getProviderModels: (providerName) => window.electronAPI.ai.getProviderModels(providerName),
-                generateDescription: (description, providerName) =>
-                    window.electronAPI.ai.generateDescription(description, providerName),
-                optimizePrompt: (promptText, providerName) =>
-                    window.electronAPI.ai.optimizePrompt(promptText, providerName)
+                generateDescription: (description, providerName, requestId) =>
+                    window.electronAPI.ai.generateDescription(description, providerName, requestId),
+                optimizePrompt: (promptText, providerName, modelSettings, requestId) =>
+                    window.electronAPI.ai.optimizePrompt(promptText, providerName, modelSettings, requestId)
             };
 
             console.log('AI Service initialized successfully');
@@ -192,9 +287,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     const viewerCopyBtn = document.getElementById('viewer-copy-btn');
     if (viewerCopyBtn) {
         viewerCopyBtn.addEventListener('click', () => {
-            const promptText = document.getElementById('viewer-prompt-text').textContent;
-            navigator.clipboard.writeText(promptText)
-                .then(() => {
+            const prompt = currentViewingPrompt || { text: document.getElementById('viewer-prompt-text').textContent };
+            copyPromptText(prompt)
+                .then((copied) => {
+                    if (!copied) {
+                        return;
+                    }
                     // Show a temporary "Copied!" message
                     const originalText = viewerCopyBtn.innerHTML;
                     viewerCopyBtn.innerHTML = '<span>✓</span><span>Copied!</span>';
@@ -212,6 +310,36 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('viewer-copy-btn not found');
     }
 
+    // Switch the viewer between the text as written and with its includes filled in
+    const viewerExpandBtn = document.getElementById('viewer-expand-btn');
+    if (viewerExpandBtn) {
+        viewerExpandBtn.addEventListener('click', () => {
+            if (currentViewingPrompt) {
+                showViewerText(currentViewingPrompt, !viewerShowsIncludes);
+            }
+        });
+    }
+
+    // Run the version being viewed in the playground
+    const viewerRunBtn = document.getElementById('viewer-run-btn');
+    if (viewerRunBtn) {
+        viewerRunBtn.addEventListener('click', () => {
+            if (currentViewingPrompt) {
+                openPlayground(currentViewingPrompt);
+            }
+        });
+    }
+
+    // Open the test suite of the version being viewed
+    const viewerTestsBtn = document.getElementById('viewer-tests-btn');
+    if (viewerTestsBtn) {
+        viewerTestsBtn.addEventListener('click', () => {
+            if (currentViewingPrompt) {
+                openEvalSuite(currentViewingPrompt);
+            }
+        });
+    }
+
     // Version navigation buttons
     const prevVersionBtn = document.getElementById('viewer-prev-version-btn');
     const nextVersionBtn = document.getElementById('viewer-next-version-btn');
@@ -232,6 +360,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize AI settings modal
     initializeAISettingsModal();
+    initializeRedactionNotice();
 
     // --- Tag Input Logic ---
     const tagInput = document.getElementById('prompt-tags');
@@ -339,55 +468,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function createOrGetTag(tagPath) {
         console.log(`Creating/getting tag: "${tagPath}"`);
 
-        // Check if tag already exists
-        const existingTag = await db.tags.where('fullPath').equals(tagPath).first();
-        if (existingTag) {
-            console.log(`Found existing tag: "${tagPath}" (ID: ${existingTag.id})`);
-            return existingTag;
-        }
-
-        // Parse hierarchical path
-        const parts = tagPath.split('/');
-        let parentId = null;
-        let lastCreatedId = null;
-
-        // Create or find each level of the hierarchy
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i].trim();
-            if (!part) continue; // Skip empty parts
-
-            // Build the full path up to this level - FIX: Use slice approach
-            const currentPath = parts.slice(0, i + 1).join('/');
-
-            console.log(`Processing level ${i}: "${part}" -> fullPath: "${currentPath}", parentId: ${parentId}`);
-
-            // Check if this level already exists
-            const existingPart = await db.tags.where('fullPath').equals(currentPath).first();
-            if (existingPart) {
-                console.log(`Found existing part: "${currentPath}" (ID: ${existingPart.id})`);
-                parentId = existingPart.id;
-                lastCreatedId = existingPart.id;
-            } else {
-                // Create new tag with correct parent relationship
-                const newTag = {
-                    name: part,
-                    fullPath: currentPath,
-                    parentId: parentId, // null for root tags, correct parentId for children
-                    level: i
-                };
-
-                console.log(`Creating new tag:`, newTag);
-                const newTagId = await db.tags.add(newTag);
-                console.log(`Created tag "${currentPath}" with ID: ${newTagId}`);
-
-                parentId = newTagId; // This becomes the parent for the next level
-                lastCreatedId = newTagId;
-            }
-        }
-
-        const finalTag = await db.tags.get(lastCreatedId);
-        console.log(`Final tag result:`, finalTag);
-        return finalTag;
+        // The library creates any missing levels of the hierarchy
+        const tag = await window.electronAPI.tags.findOrCreate(tagPath);
+        console.log(`Final tag result:`, tag);
+        return tag;
     }
 
     // --- Tag-Only Manager for State Isolation ---
@@ -426,6 +510,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     function hideModal(modal) {
         modal.classList.add('hidden');
+        // Closing a prompt form cancels an AI request still writing into it
+        if ((modal.id === 'new-prompt-modal' || modal.id === 'edit-prompt-modal') && activeAIRequest) {
+            aiRequestFormClosed = true;
+            window.electronAPI.ai.cancel(activeAIRequest);
+        }
         const form = modal.querySelector('form');
         if (form) {
             form.reset();
@@ -434,16 +523,650 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (modal.id === 'new-prompt-modal') {
             currentPromptTags.clear();
             selectedTagsContainer.innerHTML = '';
+            newPromptVariables = [];
+            renderVariablesSummary(newPromptVariablesSummary, newPromptVariables);
+            newPromptChat.reset();
+            fillModelSettingsForm('prompt-');
         } else if (modal.id === 'edit-prompt-modal') {
             currentEditTags.clear();
             editSelectedTagsContainer.innerHTML = '';
+            editPromptVariables = [];
+            renderVariablesSummary(editPromptVariablesSummary, editPromptVariables);
+            editPromptChat.reset();
+            fillModelSettingsForm('edit-prompt-');
+        }
+    }
+
+    // --- Template Variables ---
+    const templateFillModal = document.getElementById('template-fill-modal');
+    const templateFillForm = document.getElementById('template-fill-form');
+    const templateFillFields = document.getElementById('template-fill-fields');
+    let templateFill = null;
+
+    function templateValuesKey(prompt) {
+        return `templateValues:${prompt.parentId || prompt.id}`;
+    }
+
+    function loadTemplateValues(prompt) {
+        try {
+            return JSON.parse(localStorage.getItem(templateValuesKey(prompt))) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function finishTemplateFill(result) {
+        hideModal(templateFillModal);
+        templateFillFields.innerHTML = '';
+        if (templateFill) {
+            templateFill.resolve(result);
+            templateFill = null;
+        }
+    }
+
+    /**
+     * Build the input control for one variable
+     * @param {Object} variable - Variable from templates.parse
+     * @param {*} value - Initial value
+     * @returns {HTMLElement} Input, textarea or select with data-name set
+     */
+    function createVariableInput(variable, value) {
+        let input;
+        if (variable.type === 'multiline' || variable.type === 'list') {
+            input = document.createElement('textarea');
+            input.rows = 4;
+            if (variable.type === 'list') {
+                input.placeholder = 'One item per line';
+                value = Array.isArray(value) ? value.join('\n') : value;
+            }
+        } else if (variable.type === 'enum') {
+            input = document.createElement('select');
+            const choices = variable.required ? variable.options : ['', ...variable.options];
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = choice || '(none)';
+                input.appendChild(option);
+            });
+        } else if (variable.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true || value === 'true';
+        } else {
+            input = document.createElement('input');
+            input.type = variable.type === 'number' ? 'number' : 'text';
+            input.step = 'any';
+        }
+
+        if (variable.type !== 'boolean') {
+            input.className = 'w-full p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 font-mono text-sm';
+            input.value = value === undefined || value === null ? '' : String(value);
+        }
+        input.dataset.name = variable.name;
+        return input;
+    }
+
+    /**
+     * Add a labelled field for each variable, with room for its error
+     * Fields start with the given values, or the declared defaults.
+     * @param {HTMLElement} container - Element the fields are added to
+     * @param {Array<Object>} variables - Variables from templates.parse
+     * @param {Object} values - Values to start with, by variable name
+     * @param {string} idPrefix - Prefix for the inputs' ids
+     */
+    function addVariableFields(container, variables, values, idPrefix) {
+        variables.forEach((variable, index) => {
+            const field = document.createElement('div');
+            const value = Object.prototype.hasOwnProperty.call(values, variable.name)
+                ? values[variable.name]
+                : variable.default;
+            const input = createVariableInput(variable, value);
+            input.id = `${idPrefix}${index}`;
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.className = 'block text-sm font-medium mb-1';
+            label.textContent = variable.required ? `${variable.name} *` : variable.name;
+
+            if (variable.type === 'boolean') {
+                label.className = 'flex items-center gap-2 text-sm font-medium';
+                label.textContent = '';
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(variable.name));
+                field.appendChild(label);
+            } else {
+                field.appendChild(label);
+                field.appendChild(input);
+            }
+
+            if (variable.description) {
+                const help = document.createElement('p');
+                help.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+                help.textContent = variable.description;
+                field.appendChild(help);
+            }
+            const error = document.createElement('p');
+            error.className = 'variable-error hidden text-xs text-red-600 mt-1';
+            error.dataset.name = variable.name;
+            field.appendChild(error);
+
+            container.appendChild(field);
+        });
+    }
+
+    function readVariableFields(container) {
+        const values = {};
+        container.querySelectorAll('input, textarea, select').forEach(input => {
+            values[input.dataset.name] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return values;
+    }
+
+    function showVariableErrors(container, errors) {
+        container.querySelectorAll('.variable-error').forEach(error => {
+            const message = errors[error.dataset.name];
+            error.textContent = message || '';
+            error.classList.toggle('hidden', !message);
+        });
+    }
+
+    /**
+     * Ask the user for the values of a prompt's variables and render the prompt
+     * Fields start with the values last used for the prompt family, or the
+     * declared defaults. The form stays open until every value validates.
+     * @param {Object} prompt - Prompt being copied
+     * @param {Array<Object>} variables - Variables from templates.parse
+     * @returns {Promise<Object|null>} { values, text }, or null when cancelled
+     */
+    function askForTemplateValues(prompt, variables) {
+        document.getElementById('template-fill-title').textContent = prompt.title;
+        templateFillFields.innerHTML = '';
+        addVariableFields(templateFillFields, variables, loadTemplateValues(prompt), 'template-var-');
+
+        showModal(templateFillModal);
+        templateFillFields.querySelector('[data-name]').focus();
+
+        return new Promise(resolve => {
+            templateFill = { prompt, resolve };
+        });
+    }
+
+    templateFillForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!templateFill) return;
+
+        const values = readVariableFields(templateFillFields);
+        const { prompt } = templateFill;
+        const result = await window.electronAPI.templates.render(prompt.text, values, prompt.variables, prompt.parentId || prompt.id);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        showVariableErrors(templateFillFields, result.errors);
+        if (result.valid) {
+            finishTemplateFill({ values, text: result.text });
+        }
+    });
+    document.getElementById('cancel-template-fill-btn').addEventListener('click', () => finishTemplateFill(null));
+
+    /**
+     * Copy a prompt to the clipboard, filling in any {{variables}} first
+     * @param {Object} prompt - Prompt to copy
+     * @returns {Promise<boolean>} False when the user cancelled the form
+     */
+    async function copyPromptText(prompt) {
+        const familyId = prompt.id ? prompt.parentId || prompt.id : null;
+        const { variables, error } = await window.electronAPI.templates.parse(prompt.text, prompt.variables, familyId);
+        if (error) {
+            alert(`Cannot copy "${prompt.title}": ${error}`);
+            return false;
+        }
+
+        let text;
+        if (variables.length > 0) {
+            const filled = await askForTemplateValues(prompt, variables);
+            if (!filled) {
+                return false;
+            }
+            localStorage.setItem(templateValuesKey(prompt), JSON.stringify(filled.values));
+            text = filled.text;
+        } else {
+            text = (await window.electronAPI.templates.expand(prompt.text, familyId)).text;
+        }
+
+        await navigator.clipboard.writeText(text);
+        return true;
+    }
+
+    // --- Variable Declarations (new and edit prompt forms) ---
+    const variablesModal = document.getElementById('variables-modal');
+    const variablesRows = document.getElementById('variables-rows');
+    const newPromptVariablesSummary = document.getElementById('prompt-variables-summary');
+    const editPromptVariablesSummary = document.getElementById('edit-prompt-variables-summary');
+    let newPromptVariables = [];
+    let editPromptVariables = [];
+    let variablesEditor = null;
+
+    function renderVariablesSummary(element, declarations) {
+        element.textContent = declarations.length === 0
+            ? 'No declared variables. Undeclared {{placeholders}} are filled in as optional text.'
+            : declarations.map(d => `${d.name} (${d.type}${d.required ? ', required' : ''})`).join(', ');
+    }
+
+    function addVariableRow(declaration = {}) {
+        const row = document.createElement('tr');
+        row.className = 'align-top';
+        const cell = (control) => {
+            const td = document.createElement('td');
+            td.className = 'pb-2 pr-2';
+            td.appendChild(control);
+            row.appendChild(td);
+            return control;
+        };
+        const textInput = (field, value, placeholder) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.field = field;
+            input.value = value === undefined || value === null ? '' : String(value);
+            input.placeholder = placeholder || '';
+            input.className = 'w-full p-1 border rounded bg-gray-200 dark:bg-gray-700';
+            return input;
+        };
+
+        cell(textInput('name', declaration.name, 'name'));
+        const type = cell(document.createElement('select'));
+        type.dataset.field = 'type';
+        type.className = 'p-1 border rounded bg-gray-200 dark:bg-gray-700';
+        ['string', 'multiline', 'number', 'enum', 'boolean', 'list'].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            type.appendChild(option);
+        });
+        type.value = declaration.type || 'string';
+        // List defaults are edited as comma-separated items
+        const defaultValue = Array.isArray(declaration.default) ? declaration.default.join(', ') : declaration.default;
+        cell(textInput('default', defaultValue, 'default'));
+        const options = cell(textInput('options', (declaration.options || []).join(', '), 'a, b, c'));
+        cell(textInput('description', declaration.description, 'description'));
+        const required = cell(document.createElement('input'));
+        required.type = 'checkbox';
+        required.dataset.field = 'required';
+        required.checked = Boolean(declaration.required);
+        const remove = cell(document.createElement('button'));
+        remove.type = 'button';
+        remove.className = 'text-red-500 hover:text-red-700';
+        remove.title = 'Remove variable';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => {
+            row.remove();
+            document.getElementById('variables-empty').classList.toggle('hidden', variablesRows.children.length > 0);
+        });
+
+        const updateOptions = () => {
+            options.disabled = type.value !== 'enum';
+            options.classList.toggle('opacity-50', options.disabled);
+        };
+        type.addEventListener('change', updateOptions);
+        updateOptions();
+
+        variablesRows.appendChild(row);
+        document.getElementById('variables-empty').classList.add('hidden');
+    }
+
+    function readVariableRows() {
+        return Array.from(variablesRows.children).map(row => {
+            const get = (field) => row.querySelector(`[data-field="${field}"]`);
+            return {
+                name: get('name').value.trim(),
+                type: get('type').value,
+                default: get('type').value === 'list' ? get('default').value.split(',') : get('default').value,
+                description: get('description').value.trim(),
+                required: get('required').checked,
+                options: get('type').value === 'enum' ? get('options').value.split(',') : []
+            };
+        });
+    }
+
+    /**
+     * Edit a prompt's variable declarations
+     * @param {Array<Object>} declarations - Current declarations
+     * @param {HTMLTextAreaElement} textInput - Prompt text field, for "Add From Text"
+     * @returns {Promise<Array<Object>|null>} Checked declarations, or null when cancelled
+     */
+    function editVariables(declarations, textInput) {
+        variablesRows.innerHTML = '';
+        document.getElementById('variables-empty').classList.remove('hidden');
+        declarations.forEach(declaration => addVariableRow(declaration));
+        showModal(variablesModal);
+
+        return new Promise(resolve => {
+            variablesEditor = { resolve, textInput };
+        });
+    }
+
+    function finishVariablesEditor(result) {
+        hideModal(variablesModal);
+        if (variablesEditor) {
+            variablesEditor.resolve(result);
+            variablesEditor = null;
+        }
+    }
+
+    document.getElementById('add-variable-btn').addEventListener('click', () => addVariableRow());
+    document.getElementById('detect-variables-btn').addEventListener('click', async () => {
+        if (!variablesEditor) return;
+        const declared = new Set(readVariableRows().map(d => d.name));
+        const { variables } = await window.electronAPI.templates.parse(variablesEditor.textInput.value);
+        variables.filter(v => !declared.has(v.name)).forEach(v => addVariableRow({ name: v.name }));
+    });
+    document.getElementById('cancel-variables-btn').addEventListener('click', () => finishVariablesEditor(null));
+    document.getElementById('save-variables-btn').addEventListener('click', async () => {
+        const { declarations, errors } = await window.electronAPI.templates.checkDeclarations(readVariableRows());
+        if (errors.length > 0) {
+            alert(`Please fix the variables:\n\n${errors.join('\n')}`);
+            return;
+        }
+        finishVariablesEditor(declarations);
+    });
+
+    document.getElementById('prompt-variables-btn').addEventListener('click', async () => {
+        const declarations = await editVariables(newPromptVariables, document.getElementById('prompt-text'));
+        if (declarations) {
+            newPromptVariables = declarations;
+            renderVariablesSummary(newPromptVariablesSummary, newPromptVariables);
+        }
+    });
+    document.getElementById('edit-prompt-variables-btn').addEventListener('click', async () => {
+        const declarations = await editVariables(editPromptVariables, document.getElementById('edit-prompt-text'));
+        if (declarations) {
+            editPromptVariables = declarations;
+            renderVariablesSummary(editPromptVariablesSummary, editPromptVariables);
+            updateEditPreview();
+        }
+    });
+    renderVariablesSummary(newPromptVariablesSummary, newPromptVariables);
+
+    // --- Chat prompts (new and edit prompt forms) ---
+    /**
+     * Build the message editor for one prompt form
+     * While it is shown the form's text field holds the flattened messages,
+     * so the preview, variables and includes work on chat prompts too.
+     * @param {HTMLFormElement} form - Prompt form with a "format" radio group
+     * @param {HTMLTextAreaElement} textInput - The form's prompt text field
+     * @param {HTMLElement} container - Element the messages are drawn in
+     * @returns {Object} { isChat, getMessages, load, reset }
+     */
+    function createChatEditor(form, textInput, container) {
+        let messages = [];
+
+        const syncText = async () => {
+            textInput.value = await window.electronAPI.chat.flatten(messages);
+            textInput.dispatchEvent(new Event('input'));
+        };
+
+        const smallButton = (label, title, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            button.className = 'px-2 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const move = (index, offset) => {
+            const [message] = messages.splice(index, 1);
+            messages.splice(index + offset, 0, message);
+            render();
+            syncText();
+        };
+
+        const add = (...added) => {
+            messages.push(...added);
+            render();
+            syncText();
+            const inputs = container.querySelectorAll('textarea');
+            inputs[inputs.length - added.length].focus();
+        };
+
+        function render() {
+            container.innerHTML = '';
+            messages.forEach((message, index) => {
+                const row = document.createElement('div');
+                row.className = 'mb-2 p-2 border rounded dark:border-gray-600';
+
+                const header = document.createElement('div');
+                header.className = 'flex items-center mb-1 text-sm';
+                const role = document.createElement('select');
+                role.className = 'p-1 border rounded bg-gray-200 dark:bg-gray-700';
+                ['system', 'user', 'assistant'].forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    role.appendChild(option);
+                });
+                role.value = message.role;
+                role.addEventListener('change', () => {
+                    message.role = role.value;
+                    syncText();
+                });
+                const spacer = document.createElement('span');
+                spacer.className = 'flex-grow';
+                header.append(
+                    role,
+                    spacer,
+                    smallButton('↑', 'Move up', () => move(index, -1), index === 0),
+                    smallButton('↓', 'Move down', () => move(index, 1), index === messages.length - 1),
+                    smallButton('✕', 'Remove message', () => {
+                        messages.splice(index, 1);
+                        render();
+                        syncText();
+                    })
+                );
+
+                const content = document.createElement('textarea');
+                content.rows = 4;
+                content.value = message.content;
+                content.placeholder = message.role === 'assistant' ? 'Example answer' : `${message.role[0].toUpperCase()}${message.role.slice(1)} message`;
+                content.className = 'w-full p-2 border rounded bg-gray-200 dark:bg-gray-700 font-mono text-sm';
+                content.addEventListener('input', () => {
+                    message.content = content.value;
+                    syncText();
+                });
+
+                row.append(header, content);
+                container.appendChild(row);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-4 text-sm';
+            const lastRole = messages.length > 0 ? messages[messages.length - 1].role : 'assistant';
+            const addMessage = smallButton('+ Add Message', 'Add a message', () => add({ role: lastRole === 'user' ? 'assistant' : 'user', content: '' }));
+            const addPair = smallButton('+ Add Example Pair', 'Add a user message and the answer to learn from', () => add(
+                { role: 'user', content: '' },
+                { role: 'assistant', content: '' }
+            ));
+            addMessage.className = addPair.className = 'text-blue-500 hover:text-blue-700';
+            actions.append(addMessage, addPair);
+            container.appendChild(actions);
+        }
+
+        const show = (chat) => {
+            form.querySelector(`input[name="format"][value="${chat ? 'chat' : 'text'}"]`).checked = true;
+            container.classList.toggle('hidden', !chat);
+            textInput.classList.toggle('hidden', chat);
+            textInput.required = !chat;
+        };
+
+        form.querySelectorAll('input[name="format"]').forEach(radio => radio.addEventListener('change', async () => {
+            if (radio.value === 'chat') {
+                // Start from the current text: flattened messages are read
+                // back, anything else becomes the first user message
+                messages = await window.electronAPI.chat.fromText(textInput.value);
+                render();
+            }
+            show(radio.value === 'chat');
+        }));
+
+        return {
+            isChat: () => form.querySelector('input[name="format"]:checked').value === 'chat',
+            getMessages: () => messages.map(message => ({ ...message })),
+            load(prompt) {
+                messages = prompt.type === 'chat' ? (prompt.messages || []).map(message => ({ ...message })) : [];
+                render();
+                show(prompt.type === 'chat');
+            },
+            reset() {
+                messages = [];
+                container.innerHTML = '';
+                show(false);
+            }
+        };
+    }
+
+    /**
+     * Read a prompt form's type and messages for saving
+     * @param {Object} editor - Chat editor from createChatEditor
+     * @returns {Promise<Object|null>} { type, messages }, or null when the messages need fixing
+     */
+    async function readPromptFormat(editor) {
+        if (!editor.isChat()) {
+            return { type: 'text', messages: [] };
+        }
+        const { messages, errors } = await window.electronAPI.chat.check(editor.getMessages());
+        if (errors.length > 0) {
+            alert(`Please fix the messages:\n\n${errors.join('\n')}`);
+            return null;
+        }
+        return { type: 'chat', messages };
+    }
+
+    const newPromptChat = createChatEditor(newPromptForm, document.getElementById('prompt-text'), document.getElementById('prompt-chat-editor'));
+    const editPromptChat = createChatEditor(editPromptForm, document.getElementById('edit-prompt-text'), document.getElementById('edit-prompt-chat-editor'));
+
+    // --- Model settings (new and edit prompt forms, and the playground) ---
+    const MODEL_SETTING_FIELDS = [
+        { key: 'provider', id: 'model-provider', label: 'Provider' },
+        { key: 'model', id: 'model-name', label: 'Model' },
+        { key: 'temperature', id: 'model-temperature', label: 'Temperature' },
+        { key: 'maxTokens', id: 'model-max-tokens', label: 'Max tokens' },
+        { key: 'topP', id: 'model-top-p', label: 'Top P' },
+        { key: 'stop', id: 'model-stop', label: 'Stop sequences' },
+        { key: 'seed', id: 'model-seed', label: 'Seed' }
+    ];
+
+    /**
+     * List the model settings that are set, as label/value pairs
+     * @param {Object} settings - Prompt model settings or raw form values
+     * @returns {Array<Array<string>>} [label, value] pairs in display order
+     */
+    function describeModelSettings(settings = {}) {
+        return MODEL_SETTING_FIELDS
+            .map(field => [field.label, [].concat(settings[field.key] ?? '').filter(value => String(value).trim() !== '')])
+            .filter(([, values]) => values.length > 0)
+            .map(([label, values]) => [label, values.map(value => label === 'Stop sequences' ? JSON.stringify(value) : value).join(', ')]);
+    }
+
+    function readModelSettingsForm(prefix) {
+        const settings = {};
+        MODEL_SETTING_FIELDS.forEach(field => {
+            settings[field.key] = document.getElementById(prefix + field.id).value;
+        });
+        settings.stop = settings.stop.split('\n');
+        return settings;
+    }
+
+    function updateModelSettingsSummary(prefix) {
+        const described = describeModelSettings(readModelSettingsForm(prefix));
+        document.getElementById(`${prefix}model-summary`).textContent = described.length === 0
+            ? '(defaults)'
+            : `(${described.map(([label, value]) => `${label.toLowerCase()} ${value}`).join(' · ')})`;
+    }
+
+    function fillModelSettingsForm(prefix, settings = {}) {
+        MODEL_SETTING_FIELDS.forEach(field => {
+            const value = settings[field.key];
+            document.getElementById(prefix + field.id).value = value === undefined || value === null
+                ? ''
+                : [].concat(value).join('\n');
+        });
+        document.getElementById(`${prefix}model-settings`).open = false;
+        updateModelSettingsSummary(prefix);
+    }
+
+    /**
+     * Read and check a prompt form's model settings
+     * @param {string} prefix - Element id prefix, 'prompt-', 'edit-prompt-' or 'playground-'
+     * @returns {Promise<Object|null>} Settings with only the values that are set,
+     *          or null when some need fixing
+     */
+    async function readPromptModelSettings(prefix) {
+        const { settings, errors } = await window.electronAPI.modelSettings.check(readModelSettingsForm(prefix));
+        if (errors.length > 0) {
+            document.getElementById(`${prefix}model-settings`).open = true;
+            alert(`Please fix the model settings:\n\n${errors.join('\n')}`);
+            return null;
+        }
+        return settings;
+    }
+
+    ['prompt-', 'edit-prompt-', 'playground-'].forEach(prefix => {
+        document.getElementById(`${prefix}model-settings`).addEventListener('input', () => updateModelSettingsSummary(prefix));
+        updateModelSettingsSummary(prefix);
+    });
+
+    // --- Live preview next to the edit form's prompt text ---
+    const editPromptText = document.getElementById('edit-prompt-text');
+    const editPromptPreview = document.getElementById('edit-prompt-preview');
+    const editPromptPreviewError = document.getElementById('edit-prompt-preview-error');
+    let editPromptFamilyId = null;
+    let editPreviewTimer = null;
+    let editPreviewRequest = 0;
+    let editPreviewErrorLocation = null;
+
+    /**
+     * Render the edit form's text with its variables' defaults
+     * While the text has an error the last good preview stays, dimmed, with
+     * the error and its position below it.
+     */
+    async function updateEditPreview() {
+        const request = ++editPreviewRequest;
+        const result = await window.electronAPI.templates.preview(editPromptText.value, editPromptVariables, editPromptFamilyId);
+        if (request !== editPreviewRequest) {
+            return; // A newer preview is on its way
+        }
+
+        editPreviewErrorLocation = result.error && result.line ? { line: result.line, column: result.column } : null;
+        editPromptPreviewError.textContent = result.error || '';
+        editPromptPreviewError.classList.toggle('hidden', !result.error);
+        editPromptPreview.classList.toggle('opacity-50', Boolean(result.error));
+        if (!result.error) {
+            editPromptPreview.textContent = result.text;
         }
     }
 
+    editPromptText.addEventListener('input', () => {
+        clearTimeout(editPreviewTimer);
+        editPreviewTimer = setTimeout(updateEditPreview, 250);
+    });
+
+    // Clicking an error selects where it is in the prompt text
+    editPromptPreviewError.addEventListener('click', () => {
+        if (!editPreviewErrorLocation) return;
+        const lines = editPromptText.value.split('\n');
+        const offset = lines.slice(0, editPreviewErrorLocation.line - 1).reduce((sum, line) => sum + line.length + 1, 0) +
+            editPreviewErrorLocation.column - 1;
+        editPromptText.focus();
+        editPromptText.setSelectionRange(offset, offset + 2);
+    });
+
     // --- Read-Only Viewer Modal Control ---
     let currentViewingPrompt = null;
     let currentVersions = [];
     let currentVersionIndex = 0;
+    let viewerShowsIncludes = false;
 
     function showReadOnlyViewer(promptId) {
         const viewerModal = document.getElementById('read-only-viewer-modal');
@@ -505,6 +1228,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Load tags for the prompt
             console.log('Loading prompt tags...');
             await loadPromptTagsForViewer(currentVersion.id);
+            await loadCompositionForViewer(currentVersion);
 
             // Update navigation buttons state
             console.log('Updating version navigation buttons...');
@@ -545,6 +1269,73 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * Fill a viewer list with links that open other prompts in the viewer
+     * @param {HTMLElement} list - List element
+     * @param {Array<Object>} prompts - { id, title } for each prompt
+     * @param {string} emptyText - Shown when there are none
+     */
+    function fillViewerPromptList(list, prompts, emptyText) {
+        list.innerHTML = '';
+        if (prompts.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'text-gray-500 dark:text-gray-400';
+            item.textContent = emptyText;
+            list.appendChild(item);
+            return;
+        }
+        prompts.forEach(prompt => {
+            const item = document.createElement('li');
+            const link = document.createElement('button');
+            link.className = 'text-blue-500 hover:text-blue-700 hover:underline text-left';
+            link.textContent = prompt.title;
+            link.addEventListener('click', () => loadPromptForViewing(prompt.id));
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    }
+
+    async function loadCompositionForViewer(prompt) {
+        try {
+            const familyId = prompt.parentId || prompt.id;
+            const [parsed, usedBy] = await Promise.all([
+                window.electronAPI.templates.parse(prompt.text, prompt.variables, familyId),
+                window.electronAPI.templates.usedBy(familyId)
+            ]);
+
+            const includesList = document.getElementById('viewer-includes');
+            fillViewerPromptList(includesList, parsed.includes || [], 'None');
+            if (parsed.error) {
+                const item = document.createElement('li');
+                item.className = 'text-red-600';
+                item.textContent = parsed.error;
+                includesList.replaceChildren(item);
+            }
+            fillViewerPromptList(document.getElementById('viewer-used-by'), usedBy, 'No other prompts');
+            document.getElementById('viewer-expand-btn').classList.toggle('hidden', !parsed.includes || parsed.includes.length === 0);
+        } catch (error) {
+            console.error('Error loading includes for viewer:', error);
+        }
+    }
+
+    /**
+     * Show a prompt's text in the viewer, as written or with its includes filled in
+     * @param {Object} prompt - Prompt version being viewed
+     * @param {boolean} withIncludes - Whether to fill in includes
+     */
+    async function showViewerText(prompt, withIncludes) {
+        const textElement = document.getElementById('viewer-prompt-text');
+        viewerShowsIncludes = withIncludes;
+        document.getElementById('viewer-expand-btn').textContent = withIncludes ? 'Show As Written' : 'Show With Includes';
+
+        if (!withIncludes) {
+            textElement.textContent = prompt.text;
+            return;
+        }
+        const expanded = await window.electronAPI.templates.expand(prompt.text, prompt.parentId || prompt.id);
+        textElement.textContent = expanded.error ? `${prompt.text}\n\n⚠️ ${expanded.error}` : expanded.text;
+    }
+
     function updateViewerUI(prompt, versionIndex, totalVersions) {
         // Update title
         document.getElementById('viewer-prompt-title').textContent = prompt.title;
@@ -556,7 +1347,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('viewer-prompt-description').textContent = prompt.description || 'No description';
 
         // Update prompt text
-        document.getElementById('viewer-prompt-text').textContent = prompt.text;
+        showViewerText(prompt, false);
+
+        // Update model settings
+        const modelSettingsList = document.getElementById('viewer-model-settings');
+        const modelSettings = describeModelSettings(prompt.modelSettings);
+        modelSettingsList.innerHTML = '';
+        modelSettings.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.className = 'text-gray-500 dark:text-gray-400';
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            modelSettingsList.append(term, detail);
+        });
+        document.getElementById('viewer-model-settings-section').classList.toggle('hidden', modelSettings.length === 0);
 
         // Update metadata
         document.getElementById('viewer-created-at').textContent = new Date(prompt.createdAt).toLocaleString();
@@ -591,6 +1396,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Update the UI
         updateViewerUI(currentViewingPrompt, currentVersionIndex, currentVersions.length);
         loadPromptTagsForViewer(currentViewingPrompt.id);
+        loadCompositionForViewer(currentViewingPrompt);
         updateVersionNavigationButtons();
     }
 
@@ -609,9 +1415,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // --- AI Helper Functions ---
 
+    // The AI request being streamed into a prompt form, and the button that started it
+    let activeAIRequest = null;
+    let activeAIButton = null;
+    let aiRequestFormClosed = false;
+    let aiRequestCounter = 0;
+
     function showLoadingState(button, originalText) {
-        button.disabled = true;
-        button.innerHTML = '<span>⏳</span><span class="hidden sm:inline">Processing...</span>';
+        // The button stays enabled so it can cancel the request
+        button.innerHTML = '<span>⏹</span><span class="hidden sm:inline">Cancel</span>';
     }
 
     function hideLoadingState(button, originalText) {
@@ -619,35 +1431,902 @@ document.addEventListener('DOMContentLoaded', async () => {
         button.innerHTML = originalText;
     }
 
-    async function handleAIGeneration(descriptionInput, textOutput) {
-        const description = descriptionInput.value.trim();
-        if (!description) {
-            alert('Please enter a description first');
-            return false;
-        }
+    /**
+     * Stream an AI response into a text field
+     * Text is added as it arrives. When the request ends the field gets the
+     * final response, or its old text back if the request was cancelled or failed.
+     * @param {HTMLTextAreaElement} textOutput - Field to write into
+     * @param {Function} request - Called with the request id; resolves to the
+     *        response, or null when cancelled
+     * @returns {Promise<boolean>} True when a response was written
+     */
+    async function streamIntoField(textOutput, request) {
+        const requestId = `ai-${Date.now()}-${++aiRequestCounter}`;
+        const originalValue = textOutput.value;
+        const stopListening = window.electronAPI.ai.onChunk(({ requestId: id, chunk }) => {
+            if (id !== requestId) return;
+            textOutput.value += chunk;
+            textOutput.scrollTop = textOutput.scrollHeight;
+        });
 
-        if (!aiService) {
-            alert('AI service not initialized. Please check the console for errors.');
-            return false;
+        activeAIRequest = requestId;
+        textOutput.value = '';
+        textOutput.readOnly = true;
+        try {
+            const result = await request(requestId);
+            if (aiRequestFormClosed) {
+                // The form was closed and reset while the request ran
+                textOutput.value = '';
+                return false;
+            }
+            if (result === null) {
+                console.log('AI request cancelled');
+                textOutput.value = originalValue;
+                return false;
+            }
+            textOutput.value = result;
+            textOutput.dispatchEvent(new Event('input'));
+            return true;
+        } catch (error) {
+            textOutput.value = aiRequestFormClosed ? '' : originalValue;
+            throw error;
+        } finally {
+            stopListening();
+            activeAIRequest = null;
+            aiRequestFormClosed = false;
+            textOutput.readOnly = false;
         }
+    }
 
-        const availableProviders = aiService.getAvailableProviders();
-        if (availableProviders.length === 0) {
-            alert('No AI providers are configured. Please configure an AI provider in the settings first.');
-            return false;
+    /**
+     * Run an AI button's action, or cancel it when it is already running
+     * @param {HTMLButtonElement} button - Generate or optimize button
+     * @param {Function} action - Runs the request
+     */
+    async function runAIButton(button, action) {
+        if (activeAIButton) {
+            if (activeAIButton === button && activeAIRequest) {
+                await window.electronAPI.ai.cancel(activeAIRequest);
+            }
+            return;
         }
 
-        const defaultProvider = aiService.getDefaultProvider();
-        if (!defaultProvider) {
-            alert('No default AI provider is configured. Please set a default provider in the settings.');
-            return false;
+        const originalText = button.innerHTML;
+        activeAIButton = button;
+        showLoadingState(button, originalText);
+        try {
+            await action();
+        } finally {
+            activeAIButton = null;
+            hideLoadingState(button, originalText);
         }
+    }
 
-        try {
+    // --- Playground ---
+    const playgroundModal = document.getElementById('playground-modal');
+    const playgroundForm = document.getElementById('playground-form');
+    const playgroundFields = document.getElementById('playground-fields');
+    const playgroundTargets = document.getElementById('playground-targets');
+    const playgroundRunBtn = document.getElementById('playground-run-btn');
+    const playgroundCompareBtn = document.getElementById('playground-compare-btn');
+    const playgroundStatus = document.getElementById('playground-status');
+    const playgroundStream = document.getElementById('playground-stream');
+    const playgroundOutput = document.getElementById('playground-output');
+    const playgroundColumns = document.getElementById('playground-columns');
+    const playgroundError = document.getElementById('playground-error');
+    const playgroundRuns = document.getElementById('playground-runs');
+    // The version open in the playground, and the id of its running request
+    let playgroundPrompt = null;
+    let playgroundRequest = null;
+
+    // IPC errors arrive as "Error invoking remote method '...': Error: message"
+    function ipcErrorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    function describeUsage(run) {
+        const parts = [`${(run.latencyMs / 1000).toFixed(1)} s`];
+        const usage = run.usage || {};
+        if (usage.promptTokens !== undefined || usage.completionTokens !== undefined) {
+            parts.push(`${usage.promptTokens ?? '?'} in / ${usage.completionTokens ?? '?'} out tokens`);
+        }
+        if (usage.cost === 0) {
+            parts.push('free');
+        } else if (usage.cost !== undefined) {
+            parts.push(`$${usage.cost.toFixed(4)}`);
+        }
+        return parts.join(' · ');
+    }
+
+    function describeRun(run) {
+        return `${run.provider} · ${run.model || 'default model'} · ${describeUsage(run)}`;
+    }
+
+    async function showPlaygroundOutput(text) {
+        playgroundColumns.classList.add('hidden');
+        playgroundStream.classList.add('hidden');
+        playgroundStream.textContent = '';
+        playgroundOutput.innerHTML = await window.electronAPI.playground.renderMarkdown(text);
+    }
+
+    function showPlaygroundError(message) {
+        playgroundError.textContent = message || '';
+        playgroundError.classList.toggle('hidden', !message);
+    }
+
+    function addPlaygroundTarget(target = {}) {
+        const row = document.createElement('div');
+        row.className = 'flex gap-2 items-center text-sm';
+
+        const provider = document.getElementById('playground-model-provider').cloneNode(true);
+        provider.removeAttribute('id');
+        provider.dataset.field = 'provider';
+        provider.value = target.provider || '';
+
+        const model = document.createElement('input');
+        model.type = 'text';
+        model.dataset.field = 'model';
+        model.placeholder = "Provider's model";
+        model.value = target.model || '';
+        model.className = 'flex-1 p-1 border rounded bg-gray-200 dark:bg-gray-700';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'text-red-500 hover:text-red-700';
+        remove.title = 'Remove';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(provider, model, remove);
+        playgroundTargets.appendChild(row);
+    }
+
+    function readPlaygroundTargets() {
+        return Array.from(playgroundTargets.children).map(row => ({
+            provider: row.querySelector('[data-field="provider"]').value || null,
+            model: row.querySelector('[data-field="model"]').value.trim()
+        }));
+    }
+
+    /**
+     * Lay out one column per compared model
+     * @param {Array<Object>} targets - { provider, model } pairs
+     * @returns {Array<Object>} Each column's { stats, stream, output, pick } elements
+     */
+    function createComparisonColumns(targets) {
+        playgroundOutput.innerHTML = '';
+        playgroundStream.classList.add('hidden');
+        playgroundColumns.innerHTML = '';
+        playgroundColumns.style.gridTemplateColumns = `repeat(${targets.length}, minmax(16rem, 1fr))`;
+        playgroundColumns.classList.remove('hidden');
+
+        return targets.map(target => {
+            const column = document.createElement('div');
+            column.className = 'border border-gray-200 dark:border-gray-700 rounded-lg p-3 min-w-0';
+            column.innerHTML = `
+                <div class="flex justify-between items-start gap-2 mb-1">
+                    <h4 class="text-sm font-semibold break-all"></h4>
+                    <button type="button" class="hidden text-xs bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 px-2 py-1 rounded whitespace-nowrap">Pick winner</button>
+                </div>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">Waiting…</p>
+                <pre class="whitespace-pre-wrap text-sm font-mono"></pre>
+                <div class="markdown-output text-sm"></div>
+            `;
+            column.querySelector('h4').textContent = `${target.provider || 'Default provider'} · ${target.model || 'default model'}`;
+            playgroundColumns.appendChild(column);
+            return {
+                element: column,
+                stats: column.querySelector('p'),
+                stream: column.querySelector('pre'),
+                output: column.querySelector('.markdown-output'),
+                pick: column.querySelector('button')
+            };
+        });
+    }
+
+    function markComparisonWinner(columns, runId) {
+        columns.forEach(column => {
+            const won = column.runId === runId;
+            column.element.classList.toggle('ring-2', won);
+            column.element.classList.toggle('ring-yellow-400', won);
+            column.pick.textContent = won ? '🏆 Winner' : 'Pick winner';
+        });
+    }
+
+    /**
+     * Show a comparison's results in its columns
+     * @param {Array<Object>} columns - From createComparisonColumns
+     * @param {Array<Object>} results - { provider, model, run } or { provider, model, error } per column
+     */
+    async function showComparisonResults(columns, results) {
+        for (const [index, result] of results.entries()) {
+            const column = columns[index];
+            column.element.querySelector('h4').textContent = `${result.provider} · ${result.model || 'default model'}`;
+            column.stream.textContent = '';
+            if (result.error) {
+                column.stats.textContent = result.error;
+                column.stats.className = 'text-xs text-red-600 mb-2';
+                continue;
+            }
+            column.runId = result.run.id;
+            column.stats.textContent = describeUsage(result.run);
+            column.output.innerHTML = await window.electronAPI.playground.renderMarkdown(result.run.output);
+            column.pick.classList.remove('hidden');
+            column.pick.onclick = async () => {
+                await window.electronAPI.playground.pickWinner(column.runId);
+                markComparisonWinner(columns, column.runId);
+                await renderPlaygroundRuns();
+            };
+        }
+        const winner = results.find(result => result.run && result.run.winner);
+        markComparisonWinner(columns, winner ? winner.run.id : null);
+    }
+
+    /**
+     * List the saved runs of the playground prompt's family, newest first
+     * Each run shows the version it ran; clicking it shows its inputs and
+     * output again, with the other models of its comparison beside it.
+     */
+    async function renderPlaygroundRuns() {
+        const [runs, family, winners] = await Promise.all([
+            window.electronAPI.playground.getRuns(playgroundPrompt.id),
+            window.electronAPI.versions.getFamily(playgroundPrompt.id),
+            window.electronAPI.playground.getWinners(playgroundPrompt.id)
+        ]);
+        const versions = new Map(family.map(version => [version.id, version.version]));
+
+        document.getElementById('playground-winners').textContent = winners.length === 0
+            ? ''
+            : `Picked for this version: ${winners.map(w => `${w.provider} · ${w.model} (${w.wins})`).join(', ')}`;
+
+        playgroundRuns.innerHTML = '';
+        if (runs.length === 0) {
+            playgroundRuns.innerHTML = '<li class="text-gray-500 dark:text-gray-400">No runs yet.</li>';
+            return;
+        }
+        runs.forEach(run => {
+            const item = document.createElement('li');
+            item.className = 'flex justify-between items-center gap-2';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'text-left text-blue-500 hover:text-blue-700 truncate';
+            const marker = run.winner ? '🏆 ' : run.comparisonId ? '⇆ ' : '';
+            open.textContent = `${marker}v${versions.get(run.promptId) || '?'} · ${new Date(run.createdAt).toLocaleString()} · ${describeRun(run)}`;
+            open.addEventListener('click', () => showPlaygroundRun(run, runs));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'text-red-500 hover:text-red-700';
+            remove.title = 'Delete run';
+            remove.textContent = '✕';
+            remove.addEventListener('click', async () => {
+                await window.electronAPI.playground.deleteRun(run.id);
+                await renderPlaygroundRuns();
+            });
+
+            item.append(open, remove);
+            playgroundRuns.appendChild(item);
+        });
+    }
+
+    async function showPlaygroundRun(run, runs) {
+        playgroundFields.querySelectorAll('input, textarea, select').forEach(input => {
+            if (!Object.prototype.hasOwnProperty.call(run.values, input.dataset.name)) return;
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(run.values[input.dataset.name]);
+            } else {
+                input.value = run.values[input.dataset.name];
+            }
+        });
+        fillModelSettingsForm('playground-', { ...run.modelSettings, provider: run.provider });
+        showPlaygroundError(null);
+        playgroundStatus.textContent = `Run of ${new Date(run.createdAt).toLocaleString()} · ${describeRun(run)}`;
+
+        const compared = run.comparisonId
+            ? runs.filter(other => other.comparisonId === run.comparisonId).sort((a, b) => a.id - b.id)
+            : [];
+        if (compared.length > 1) {
+            const columns = createComparisonColumns(compared);
+            await showComparisonResults(columns, compared.map(other => ({ provider: other.provider, model: other.model, run: other })));
+        } else {
+            await showPlaygroundOutput(run.output);
+        }
+    }
+
+    /**
+     * Open a prompt version in the playground
+     * Variables start with the values last used for the family and the model
+     * settings with the version's own.
+     * @param {Object} prompt - Prompt version to run
+     */
+    async function openPlayground(prompt) {
+        const familyId = prompt.parentId || prompt.id;
+        const { variables, error } = await window.electronAPI.templates.parse(prompt.text, prompt.variables, familyId);
+        if (error) {
+            alert(`Cannot run "${prompt.title}": ${error}`);
+            return;
+        }
+
+        playgroundPrompt = prompt;
+        document.getElementById('playground-title').textContent = `${prompt.title} (version ${prompt.version || 1})`;
+        playgroundFields.innerHTML = variables.length === 0
+            ? '<p class="text-sm text-gray-500 dark:text-gray-400">This prompt has no variables.</p>'
+            : '';
+        addVariableFields(playgroundFields, variables, loadTemplateValues(prompt), 'playground-var-');
+        fillModelSettingsForm('playground-', prompt.modelSettings);
+        document.getElementById('playground-model-settings').open = true;
+        playgroundTargets.innerHTML = '';
+        showPlaygroundError(null);
+        playgroundStatus.textContent = 'Fill in the variables and run the prompt.';
+        playgroundOutput.innerHTML = '';
+        playgroundColumns.classList.add('hidden');
+        await renderPlaygroundRuns();
+        showModal(playgroundModal);
+    }
+
+    /**
+     * Send the playground's prompt with the values and settings in the form,
+     * or cancel the request already running
+     * @param {HTMLButtonElement} button - Button that started the request; it
+     *        cancels the request while it runs
+     * @param {Object} mode - { start, onChunk, show }: start is called with
+     *        { prompt, values, modelSettings, requestId } and sends the request,
+     *        onChunk shows streamed text and show the valid result
+     */
+    async function runPlaygroundRequest(button, mode) {
+        if (playgroundRequest) {
+            await window.electronAPI.ai.cancel(playgroundRequest);
+            return;
+        }
+
+        const values = readVariableFields(playgroundFields);
+        const modelSettings = await readPromptModelSettings('playground-');
+        if (!modelSettings) return;
+
+        const prompt = playgroundPrompt;
+        const requestId = `playground-${Date.now()}-${++aiRequestCounter}`;
+        const stopListening = window.electronAPI.ai.onChunk(({ requestId: id, chunk, column }) => {
+            if (id === requestId) mode.onChunk(chunk, column);
+        });
+        const originalText = button.innerHTML;
+
+        playgroundRequest = requestId;
+        button.innerHTML = '⏹ Cancel';
+        [playgroundRunBtn, playgroundCompareBtn].forEach(other => { other.disabled = other !== button; });
+        showPlaygroundError(null);
+        showVariableErrors(playgroundFields, {});
+        playgroundStatus.textContent = 'Running…';
+        try {
+            const result = await mode.start({ prompt, values, modelSettings, requestId });
+            if (playgroundPrompt !== prompt) {
+                return; // The playground was closed while the request ran
+            }
+            if (result === null) {
+                playgroundStatus.textContent = 'Cancelled.';
+                playgroundStream.classList.add('hidden');
+                return;
+            }
+            if (!result.valid) {
+                showVariableErrors(playgroundFields, result.errors);
+                playgroundStatus.textContent = 'Please fix the variables.';
+                playgroundStream.classList.add('hidden');
+                return;
+            }
+            localStorage.setItem(templateValuesKey(prompt), JSON.stringify(values));
+            await mode.show(result);
+            await renderPlaygroundRuns();
+        } catch (error) {
+            console.error('Playground run failed:', error);
+            playgroundStatus.textContent = 'The run failed.';
+            playgroundStream.classList.add('hidden');
+            showPlaygroundError(ipcErrorMessage(error));
+        } finally {
+            stopListening();
+            playgroundRequest = null;
+            button.innerHTML = originalText;
+            [playgroundRunBtn, playgroundCompareBtn].forEach(other => { other.disabled = false; });
+        }
+    }
+
+    playgroundForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await runPlaygroundRequest(playgroundRunBtn, {
+            start: ({ prompt, values, modelSettings, requestId }) => {
+                playgroundColumns.classList.add('hidden');
+                playgroundOutput.innerHTML = '';
+                playgroundStream.textContent = '';
+                playgroundStream.classList.remove('hidden');
+                return window.electronAPI.playground.run({ promptId: prompt.id, values, modelSettings }, requestId);
+            },
+            onChunk: (chunk) => {
+                playgroundStream.textContent += chunk;
+            },
+            show: async (result) => {
+                playgroundStatus.textContent = describeRun(result.run);
+                await showPlaygroundOutput(result.run.output);
+            }
+        });
+    });
+
+    playgroundCompareBtn.addEventListener('click', async () => {
+        const targets = readPlaygroundTargets();
+        if (!playgroundRequest && targets.length < 2) {
+            showPlaygroundError('Add at least two models to compare.');
+            return;
+        }
+
+        let columns = [];
+        await runPlaygroundRequest(playgroundCompareBtn, {
+            start: ({ prompt, values, modelSettings, requestId }) => {
+                columns = createComparisonColumns(targets);
+                return window.electronAPI.playground.compare({ promptId: prompt.id, values, modelSettings, targets }, requestId);
+            },
+            onChunk: (chunk, column) => {
+                if (columns[column]) {
+                    columns[column].stats.textContent = 'Writing…';
+                    columns[column].stream.textContent += chunk;
+                }
+            },
+            show: async (result) => {
+                const failed = result.results.filter(item => item.error).length;
+                playgroundStatus.textContent = `Compared ${result.results.length} models${failed ? `, ${failed} failed` : ''}. Pick the winner to record which one suits this version best.`;
+                await showComparisonResults(columns, result.results);
+            }
+        });
+    });
+
+    document.getElementById('add-playground-target-btn').addEventListener('click', () => addPlaygroundTarget());
+
+    document.getElementById('close-playground-btn').addEventListener('click', () => {
+        if (playgroundRequest) {
+            window.electronAPI.ai.cancel(playgroundRequest);
+        }
+        playgroundPrompt = null;
+        hideModal(playgroundModal);
+    });
+
+    // --- Test suites ---
+    const evalsModal = document.getElementById('evals-modal');
+    const testCaseList = document.getElementById('test-case-list');
+    const testCaseForm = document.getElementById('test-case-form');
+    const testCaseFields = document.getElementById('test-case-fields');
+    const testCaseAssertions = document.getElementById('test-case-assertions');
+    const testCaseErrors = document.getElementById('test-case-errors');
+    const evalsRunBtn = document.getElementById('evals-run-btn');
+    const evalsStatus = document.getElementById('evals-status');
+    const evalsProgress = document.getElementById('evals-progress');
+    const evalsReport = document.getElementById('evals-report');
+    const evalsReports = document.getElementById('evals-reports');
+    const ASSERTION_LABELS = {
+        'contains': 'Contains',
+        'not-contains': 'Does not contain',
+        'regex': 'Matches regex',
+        'json-schema': 'Matches JSON schema',
+        'max-length': 'At most N characters',
+        'llm-judge': 'LLM judge rubric'
+    };
+    // The version the suite runs against, its variables, the test case being
+    // edited ({} for a new one) and the id of the running suite
+    let evalsPrompt = null;
+    let evalsVariables = [];
+    let editingTestCase = null;
+    let evalsRequest = null;
+
+    function addAssertionRow(assertion = { type: 'contains', value: '' }) {
+        const row = document.createElement('div');
+        row.className = 'flex gap-2 items-start text-sm';
+
+        const type = document.createElement('select');
+        type.dataset.field = 'type';
+        type.className = 'p-1 border rounded bg-gray-200 dark:bg-gray-700';
+        Object.entries(ASSERTION_LABELS).forEach(([value, label]) => type.add(new Option(label, value)));
+        type.value = assertion.type;
+
+        const value = document.createElement('textarea');
+        value.dataset.field = 'value';
+        value.className = 'flex-1 p-1 border rounded bg-gray-200 dark:bg-gray-700 font-mono';
+        value.value = typeof assertion.value === 'object' ? JSON.stringify(assertion.value, null, 2) : String(assertion.value ?? '');
+
+        const flags = document.createElement('input');
+        flags.type = 'text';
+        flags.dataset.field = 'flags';
+        flags.placeholder = 'flags';
+        flags.title = 'Regex flags, such as i for ignoring case';
+        flags.className = 'w-14 p-1 border rounded bg-gray-200 dark:bg-gray-700 font-mono';
+        flags.value = assertion.flags || '';
+
+        const showType = () => {
+            value.rows = type.value === 'json-schema' || type.value === 'llm-judge' ? 4 : 1;
+            value.placeholder = type.value === 'llm-judge' ? 'What a good answer does' : '';
+            flags.classList.toggle('hidden', type.value !== 'regex');
+        };
+        type.addEventListener('change', showType);
+        showType();
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'text-red-500 hover:text-red-700';
+        remove.title = 'Remove';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(type, value, flags, remove);
+        testCaseAssertions.appendChild(row);
+    }
+
+    function readAssertionRows() {
+        return Array.from(testCaseAssertions.children).map(row => {
+            const assertion = {
+                type: row.querySelector('[data-field="type"]').value,
+                value: row.querySelector('[data-field="value"]').value
+            };
+            if (assertion.type === 'regex') {
+                assertion.flags = row.querySelector('[data-field="flags"]').value.trim();
+            }
+            return assertion;
+        });
+    }
+
+    function showTestCaseErrors(errors) {
+        testCaseErrors.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            testCaseErrors.appendChild(item);
+        });
+        testCaseErrors.classList.toggle('hidden', errors.length === 0);
+    }
+
+    function openTestCaseForm(testCase = null) {
+        editingTestCase = testCase || {};
+        document.getElementById('test-case-name').value = testCase ? testCase.name : '';
+        testCaseFields.innerHTML = '';
+        addVariableFields(testCaseFields, evalsVariables, testCase ? testCase.values : {}, 'test-case-var-');
+        testCaseAssertions.innerHTML = '';
+        (testCase ? testCase.assertions : [undefined]).forEach(assertion => addAssertionRow(assertion));
+        showTestCaseErrors([]);
+        testCaseForm.classList.remove('hidden');
+        document.getElementById('test-case-name').focus();
+    }
+
+    function closeTestCaseForm() {
+        editingTestCase = null;
+        testCaseForm.reset();
+        testCaseForm.classList.add('hidden');
+    }
+
+    async function renderTestCases() {
+        const testCases = await window.electronAPI.evals.getCases(evalsPrompt.parentId || evalsPrompt.id);
+        testCaseList.innerHTML = '';
+        if (testCases.length === 0) {
+            testCaseList.innerHTML = '<li class="text-gray-500 dark:text-gray-400">No test cases yet. Add one to describe what a good output looks like.</li>';
+        }
+        testCases.forEach(testCase => {
+            const item = document.createElement('li');
+            item.className = 'flex justify-between items-center gap-2';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'text-left text-blue-500 hover:text-blue-700 truncate';
+            open.textContent = `${testCase.name} (${testCase.assertions.length} assertion${testCase.assertions.length === 1 ? '' : 's'})`;
+            open.addEventListener('click', () => openTestCaseForm(testCase));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'text-red-500 hover:text-red-700';
+            remove.title = 'Delete test case';
+            remove.textContent = '✕';
+            remove.addEventListener('click', async () => {
+                if (!confirm(`Delete the test case "${testCase.name}"?`)) return;
+                await window.electronAPI.evals.deleteCase(testCase.id);
+                if (editingTestCase && editingTestCase.id === testCase.id) {
+                    closeTestCaseForm();
+                }
+                await renderTestCases();
+            });
+
+            item.append(open, remove);
+            testCaseList.appendChild(item);
+        });
+        return testCases;
+    }
+
+    function describeReport(report, versions) {
+        const version = versions ? `v${versions.get(report.promptId) || '?'} · ` : '';
+        return `${version}${report.passed}/${report.total} passed · ${report.provider} · ${report.model || 'default model'} · ${new Date(report.createdAt).toLocaleString()}`;
+    }
+
+    /**
+     * Show a report: each test case with its assertions and the output they checked
+     * @param {Object} report - Saved report
+     */
+    function renderEvalReport(report) {
+        evalsReport.innerHTML = '';
+        const heading = document.createElement('p');
+        heading.className = `font-semibold mb-2 ${report.passed === report.total ? 'text-green-600' : 'text-red-600'}`;
+        heading.textContent = describeReport(report);
+        evalsReport.appendChild(heading);
+
+        report.results.forEach(result => {
+            const details = document.createElement('details');
+            details.className = 'mb-1';
+            details.open = !result.passed;
+            const summary = document.createElement('summary');
+            summary.className = `cursor-pointer ${result.passed ? 'text-green-600' : 'text-red-600'}`;
+            summary.textContent = `${result.passed ? '✓' : '✗'} ${result.name}`;
+            details.appendChild(summary);
+
+            const body = document.createElement('div');
+            body.className = 'pl-5 mt-1 space-y-1';
+            if (result.error) {
+                const error = document.createElement('p');
+                error.className = 'text-red-600';
+                error.textContent = result.error;
+                body.appendChild(error);
+            }
+            result.assertions.forEach(assertion => {
+                const line = document.createElement('p');
+                line.className = assertion.passed ? 'text-green-600' : 'text-red-600';
+                line.textContent = `${assertion.passed ? '✓' : '✗'} ${ASSERTION_LABELS[assertion.type]}: ${assertion.message}`;
+                body.appendChild(line);
+            });
+            if (result.output !== null) {
+                const output = document.createElement('pre');
+                output.className = 'whitespace-pre-wrap font-mono text-xs bg-gray-50 dark:bg-gray-700 rounded p-2 max-h-48 overflow-y-auto';
+                output.textContent = result.output;
+                body.appendChild(output);
+            }
+            details.appendChild(body);
+            evalsReport.appendChild(details);
+        });
+    }
+
+    /**
+     * Show how each test case did on this version and the previous one
+     * @param {Object} comparison - From evals.compare
+     */
+    function renderEvalComparison(comparison) {
+        evalsReport.innerHTML = '';
+        if (!comparison.current) {
+            evalsStatus.textContent = 'Run the suite on this version first.';
+            return;
+        }
+        if (comparison.previousVersion === null) {
+            evalsStatus.textContent = 'This is the first version; there is nothing to compare with.';
+            return;
+        }
+        if (!comparison.previous) {
+            evalsStatus.textContent = `Version ${comparison.previousVersion} has no report to compare with.`;
+            return;
+        }
+
+        const count = (change) => comparison.rows.filter(row => row.change === change).length;
+        evalsStatus.textContent = `Version ${comparison.previousVersion}: ${comparison.previous.passed}/${comparison.previous.total} passed. ` +
+            `This version: ${comparison.current.passed}/${comparison.current.total} passed. ` +
+            `${count('regressed')} regressed, ${count('fixed')} fixed.`;
+
+        const mark = (passed) => (passed === null ? '–' : passed ? '✓' : '✗');
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        table.innerHTML = `<thead><tr class="text-left text-gray-500 dark:text-gray-400">
+            <th class="pb-2 pr-2">Test case</th><th class="pb-2 pr-2">v${comparison.previousVersion}</th>
+            <th class="pb-2 pr-2">This version</th><th class="pb-2"></th></tr></thead>`;
+        const body = document.createElement('tbody');
+        comparison.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = row.change === 'regressed' ? 'text-red-600' : row.change === 'fixed' ? 'text-green-600' : '';
+            [row.name, mark(row.previous), mark(row.current), row.change].forEach(text => {
+                const td = document.createElement('td');
+                td.className = 'py-1 pr-2';
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        evalsReport.appendChild(table);
+    }
+
+    async function renderEvalReports() {
+        const [reports, family] = await Promise.all([
+            window.electronAPI.evals.getReports(evalsPrompt.id),
+            window.electronAPI.versions.getFamily(evalsPrompt.id)
+        ]);
+        const versions = new Map(family.map(version => [version.id, version.version]));
+
+        evalsReports.innerHTML = '';
+        if (reports.length === 0) {
+            evalsReports.innerHTML = '<li class="text-gray-500 dark:text-gray-400">No reports yet.</li>';
+        }
+        reports.forEach(report => {
+            const item = document.createElement('li');
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = `text-left hover:underline ${report.passed === report.total ? 'text-green-600' : 'text-red-600'}`;
+            open.textContent = describeReport(report, versions);
+            open.addEventListener('click', () => {
+                evalsStatus.textContent = '';
+                renderEvalReport(report);
+            });
+            item.appendChild(open);
+            evalsReports.appendChild(item);
+        });
+        return reports;
+    }
+
+    /**
+     * Open the test suite of a prompt version's family
+     * The provider and model start as the family's last report used, or the
+     * version's own model settings.
+     * @param {Object} prompt - Prompt version to run the suite against
+     * @param {Object} options - { run } to run the suite straight away and
+     *        compare the result with the previous version's
+     */
+    async function openEvalSuite(prompt, { run = false } = {}) {
+        const { variables, error } = await window.electronAPI.templates.parse(prompt.text, prompt.variables, prompt.parentId || prompt.id);
+        if (error) {
+            alert(`Cannot test "${prompt.title}": ${error}`);
+            return;
+        }
+
+        evalsPrompt = prompt;
+        evalsVariables = variables;
+        document.getElementById('evals-title').textContent = `${prompt.title} (version ${prompt.version || 1})`;
+        closeTestCaseForm();
+        evalsStatus.textContent = '';
+        evalsProgress.classList.add('hidden');
+        evalsReport.innerHTML = '';
+
+        await renderTestCases();
+        const reports = await renderEvalReports();
+        const latest = reports[0];
+        const settings = prompt.modelSettings || {};
+        document.getElementById('evals-provider').value = latest ? latest.provider : settings.provider || '';
+        document.getElementById('evals-model').value = latest ? latest.model || '' : settings.model || '';
+        document.getElementById('evals-judge-provider').value = latest && latest.judge ? latest.judge.provider : '';
+        document.getElementById('evals-judge-model').value = latest && latest.judge ? latest.judge.model || '' : '';
+        const ownReport = reports.find(report => report.promptId === prompt.id);
+        if (ownReport) {
+            renderEvalReport(ownReport);
+        }
+        showModal(evalsModal);
+
+        if (run && await runEvalSuite()) {
+            renderEvalComparison(await window.electronAPI.evals.compare(prompt.id));
+        }
+    }
+
+    /**
+     * Run the suite against the open version, or cancel the run in progress
+     * @returns {Promise<Object|null>} Saved report, or null when cancelled or failed
+     */
+    async function runEvalSuite() {
+        if (evalsRequest) {
+            await window.electronAPI.ai.cancel(evalsRequest);
+            return null;
+        }
+
+        const prompt = evalsPrompt;
+        const requestId = `evals-${Date.now()}-${++aiRequestCounter}`;
+        const stopListening = window.electronAPI.ai.onChunk(({ requestId: id, chunk }) => {
+            if (id === requestId) evalsProgress.textContent += chunk;
+        });
+        const originalText = evalsRunBtn.innerHTML;
+
+        evalsRequest = requestId;
+        evalsRunBtn.innerHTML = '⏹ Cancel';
+        evalsStatus.textContent = 'Running the test cases…';
+        evalsReport.innerHTML = '';
+        evalsProgress.textContent = '';
+        evalsProgress.classList.remove('hidden');
+        try {
+            const report = await window.electronAPI.evals.run({
+                promptId: prompt.id,
+                provider: document.getElementById('evals-provider').value || null,
+                modelSettings: { model: document.getElementById('evals-model').value },
+                judge: {
+                    provider: document.getElementById('evals-judge-provider').value || null,
+                    model: document.getElementById('evals-judge-model').value.trim() || null
+                }
+            }, requestId);
+            if (evalsPrompt !== prompt) {
+                return null; // The suite was closed while it ran
+            }
+            if (report === null) {
+                evalsStatus.textContent = 'Cancelled.';
+                return null;
+            }
+            evalsStatus.textContent = '';
+            renderEvalReport(report);
+            await renderEvalReports();
+            return report;
+        } catch (error) {
+            console.error('Test suite run failed:', error);
+            evalsStatus.textContent = ipcErrorMessage(error);
+            return null;
+        } finally {
+            stopListening();
+            evalsRequest = null;
+            evalsRunBtn.innerHTML = originalText;
+            evalsProgress.classList.add('hidden');
+        }
+    }
+
+    testCaseForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { testCase, errors } = await window.electronAPI.evals.saveCase({
+            id: editingTestCase.id || null,
+            familyId: evalsPrompt.parentId || evalsPrompt.id,
+            name: document.getElementById('test-case-name').value,
+            values: readVariableFields(testCaseFields),
+            assertions: readAssertionRows()
+        });
+        if (!testCase) {
+            showTestCaseErrors(errors);
+            return;
+        }
+        closeTestCaseForm();
+        await renderTestCases();
+    });
+
+    document.getElementById('add-test-case-btn').addEventListener('click', () => openTestCaseForm());
+    document.getElementById('add-assertion-btn').addEventListener('click', () => addAssertionRow());
+    document.getElementById('cancel-test-case-btn').addEventListener('click', closeTestCaseForm);
+    evalsRunBtn.addEventListener('click', () => runEvalSuite());
+    document.getElementById('evals-compare-btn').addEventListener('click', async () => {
+        renderEvalComparison(await window.electronAPI.evals.compare(evalsPrompt.id));
+    });
+
+    document.getElementById('close-evals-btn').addEventListener('click', () => {
+        if (evalsRequest) {
+            window.electronAPI.ai.cancel(evalsRequest);
+        }
+        evalsPrompt = null;
+        closeTestCaseForm();
+        hideModal(evalsModal);
+    });
+
+    /**
+     * Offer to run the family's test suite when the edit form saves a new version
+     * @param {number} familyId - Family of the prompt being edited
+     */
+    async function updateRunEvalsOption(familyId) {
+        const count = (await window.electronAPI.evals.getCases(familyId)).length;
+        document.getElementById('edit-prompt-run-evals').checked = false;
+        document.getElementById('edit-prompt-run-evals-text').textContent =
+            `Run the ${count} test case${count === 1 ? '' : 's'} on the new version and compare with this one`;
+        document.getElementById('edit-prompt-run-evals-label').classList.toggle('hidden', count === 0);
+    }
+
+    async function handleAIGeneration(descriptionInput, textOutput) {
+        const description = descriptionInput.value.trim();
+        if (!description) {
+            alert('Please enter a description first');
+            return false;
+        }
+
+        if (!aiService) {
+            alert('AI service not initialized. Please check the console for errors.');
+            return false;
+        }
+
+        const availableProviders = aiService.getAvailableProviders();
+        if (availableProviders.length === 0) {
+            alert('No AI providers are configured. Please configure an AI provider in the settings first.');
+            return false;
+        }
+
+        const defaultProvider = aiService.getDefaultProvider();
+        if (!defaultProvider) {
+            alert('No default AI provider is configured. Please set a default provider in the settings.');
+            return false;
+        }
+
+        try {
             console.log(`Using default provider: ${defaultProvider} for AI generation`);
-            const generatedText = await aiService.generateDescription(description, defaultProvider);
-            textOutput.value = generatedText;
-            return true;
+            return await streamIntoField(textOutput,
+                (requestId) => aiService.generateDescription(description, defaultProvider, requestId));
         } catch (error) {
             console.error('AI generation failed:', error);
             alert(`AI generation failed: ${error.message}`);
@@ -655,7 +2334,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    async function handleAIOptimization(textInput) {
+    async function handleAIOptimization(textInput, settingsPrefix) {
         const currentText = textInput.value.trim();
         if (!currentText) {
             alert('Please enter some prompt text first');
@@ -679,11 +2358,17 @@ document.addEventListener('DOMContentLoaded', async () => {
             return false;
         }
 
+        // The prompt's own model settings override the optimization config
+        const modelSettings = await readPromptModelSettings(settingsPrefix);
+        if (!modelSettings) {
+            return false;
+        }
+        const providerName = modelSettings.provider || defaultProvider;
+
         try {
-            console.log(`Using default provider: ${defaultProvider} for AI optimization`);
-            const optimizedText = await aiService.optimizePrompt(currentText, defaultProvider);
-            textInput.value = optimizedText;
-            return true;
+            console.log(`Using provider: ${providerName} for AI optimization`);
+            return await streamIntoField(textInput,
+                (requestId) => aiService.optimizePrompt(currentText, providerName, modelSettings, requestId));
         } catch (error) {
             console.error('AI optimization failed:', error);
             alert(`AI optimization failed: ${error.message}`);
@@ -693,53 +2378,37 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // --- AI Button Event Handlers ---
     if (aiGenerateBtn) {
-        aiGenerateBtn.addEventListener('click', async () => {
-            const originalText = aiGenerateBtn.innerHTML;
-            showLoadingState(aiGenerateBtn, originalText);
-
+        aiGenerateBtn.addEventListener('click', () => runAIButton(aiGenerateBtn, async () => {
             const descriptionInput = document.getElementById('prompt-description');
             const textOutput = document.getElementById('prompt-text');
 
             await handleAIGeneration(descriptionInput, textOutput);
-            hideLoadingState(aiGenerateBtn, originalText);
-        });
+        }));
     }
 
     if (aiOptimizeBtn) {
-        aiOptimizeBtn.addEventListener('click', async () => {
-            const originalText = aiOptimizeBtn.innerHTML;
-            showLoadingState(aiOptimizeBtn, originalText);
-
+        aiOptimizeBtn.addEventListener('click', () => runAIButton(aiOptimizeBtn, async () => {
             const textInput = document.getElementById('prompt-text');
 
-            await handleAIOptimization(textInput);
-            hideLoadingState(aiOptimizeBtn, originalText);
-        });
+            await handleAIOptimization(textInput, 'prompt-');
+        }));
     }
 
     if (editAiGenerateBtn) {
-        editAiGenerateBtn.addEventListener('click', async () => {
-            const originalText = editAiGenerateBtn.innerHTML;
-            showLoadingState(editAiGenerateBtn, originalText);
-
+        editAiGenerateBtn.addEventListener('click', () => runAIButton(editAiGenerateBtn, async () => {
             const descriptionInput = document.getElementById('edit-prompt-description');
             const textOutput = document.getElementById('edit-prompt-text');
 
             await handleAIGeneration(descriptionInput, textOutput);
-            hideLoadingState(editAiGenerateBtn, originalText);
-        });
+        }));
     }
 
     if (editAiOptimizeBtn) {
-        editAiOptimizeBtn.addEventListener('click', async () => {
-            const originalText = editAiOptimizeBtn.innerHTML;
-            showLoadingState(editAiOptimizeBtn, originalText);
-
+        editAiOptimizeBtn.addEventListener('click', () => runAIButton(editAiOptimizeBtn, async () => {
             const textInput = document.getElementById('edit-prompt-text');
 
-            await handleAIOptimization(textInput);
-            hideLoadingState(editAiOptimizeBtn, originalText);
-        });
+            await handleAIOptimization(textInput, 'edit-prompt-');
+        }));
     }
 
         // --- Copy and delete functionality inside history modal ---
@@ -1389,28 +3058,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         const title = document.getElementById('prompt-title').value;
         const description = document.getElementById('prompt-description').value;
         const text = document.getElementById('prompt-text').value;
+        const format = await readPromptFormat(newPromptChat);
+        if (!format) return;
+        const modelSettings = await readPromptModelSettings('prompt-');
+        if (!modelSettings) return;
 
         try {
-            const promptId = await db.prompts.add({
+            // Prompt and tag links are written together by the library
+            await window.electronAPI.prompts.create({
                 title,
                 description,
                 text,
-                version: 1,
-                isLatest: 1,
-                parentId: null,
-                createdAt: new Date(),
-                lastUsedAt: null,
-                timesUsed: 0
-            });
-
-            // Handle tags
-            for (const tagPath of currentPromptTags) {
-                const tag = await createOrGetTag(tagPath);
-                await db.promptTags.add({
-                    promptId: promptId,
-                    tagId: tag.id
-                });
-            }
+                variables: newPromptVariables,
+                modelSettings,
+                ...format
+            }, Array.from(currentPromptTags));
 
             console.log('Prompt saved successfully.');
             currentPromptTags.clear();
@@ -1430,6 +3092,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         const title = document.getElementById('edit-prompt-title').value;
         const description = document.getElementById('edit-prompt-description').value;
         const text = document.getElementById('edit-prompt-text').value;
+        const format = await readPromptFormat(editPromptChat);
+        if (!format) return;
+        const modelSettings = await readPromptModelSettings('edit-prompt-');
+        if (!modelSettings) return;
+        const runEvals = document.getElementById('edit-prompt-run-evals').checked;
+        let newVersion = null;
 
         try {
             const originalPrompt = await db.prompts.get(originalPromptId);
@@ -1442,7 +3110,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             const contentChanged = (
                 title !== originalPrompt.title ||
                 description !== originalPrompt.description ||
-                text !== originalPrompt.text
+                text !== originalPrompt.text ||
+                JSON.stringify(editPromptVariables) !== JSON.stringify(originalPrompt.variables || []) ||
+                JSON.stringify(modelSettings) !== JSON.stringify(originalPrompt.modelSettings || {}) ||
+                format.type !== (originalPrompt.type || 'text') ||
+                JSON.stringify(format.messages) !== JSON.stringify(originalPrompt.messages || [])
             );
 
             if (!contentChanged) {
@@ -1457,33 +3129,16 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // Content changed - create new version (existing behavior)
                 console.log('Content changed - creating new version');
 
-                // Mark the old version as not the latest
-                await db.prompts.update(originalPromptId, { isLatest: 0 });
-
-                // Remove old tag relationships from the old version
-                await db.promptTags.where('promptId').equals(originalPromptId).delete();
-
-                // Add the new version
-                const newPromptId = await db.prompts.add({
+                // The library marks the old version as not latest, moves the
+                // tag links and adds the new version in a single write
+                newVersion = await window.electronAPI.versions.create(originalPromptId, {
                     title,
                     description,
                     text,
-                    version: (originalPrompt.version || 1) + 1,
-                    isLatest: 1,
-                    parentId: originalPrompt.parentId || originalPromptId,
-                    createdAt: new Date(), // New version gets a new creation date
-                    lastUsedAt: originalPrompt.lastUsedAt,
-                    timesUsed: originalPrompt.timesUsed
-                });
-
-                // Handle tags for the new version
-                for (const tagPath of currentEditTags) {
-                    const tag = await createOrGetTag(tagPath);
-                    await db.promptTags.add({
-                        promptId: newPromptId,
-                        tagId: tag.id
-                    });
-                }
+                    variables: editPromptVariables,
+                    modelSettings,
+                    ...format
+                }, Array.from(currentEditTags));
 
                 console.log(`Prompt ${originalPromptId} updated to a new version.`);
             }
@@ -1493,6 +3148,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             hideModal(editPromptModal);
             await renderPrompts();
             await renderTagTree();
+            if (newVersion && runEvals) {
+                await openEvalSuite(newVersion, { run: true });
+            }
         } catch (error) {
             console.error('Failed to update prompt:', error);
         }
@@ -1561,6 +3219,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     <div class="flex justify-end border-t pt-2 border-gray-200 dark:border-gray-700">
                         <button data-id="${prompt.id}" class="view-prompt-btn text-sm text-purple-500 hover:text-purple-700 mr-4" title="View (Read-only)">&#128065;</button>
                         <button data-id="${prompt.id}" class="copy-prompt-btn text-sm text-green-500 hover:text-green-700 mr-4" title="Copy to Clipboard">&#128203;</button>
+                        <button data-id="${prompt.id}" class="run-prompt-btn text-sm text-orange-500 hover:text-orange-700 mr-4" title="Run in Playground">&#9654;</button>
                         <button data-id="${prompt.id}" class="edit-prompt-btn text-blue-500 hover:text-blue-700 mr-4" title="Edit">&#9998;</button>
                         <button data-id="${prompt.id}" class="delete-prompt-btn text-red-500 hover:text-red-700" title="Delete">&#128465;</button>
                     </div>
@@ -1585,6 +3244,13 @@ document.addEventListener('DOMContentLoaded', async () => {
                 document.getElementById('edit-prompt-title').value = prompt.title;
                 document.getElementById('edit-prompt-description').value = prompt.description || '';
                 document.getElementById('edit-prompt-text').value = prompt.text;
+                editPromptVariables = prompt.variables || [];
+                renderVariablesSummary(editPromptVariablesSummary, editPromptVariables);
+                editPromptFamilyId = prompt.parentId || prompt.id;
+                editPromptChat.load(prompt);
+                fillModelSettingsForm('edit-prompt-', prompt.modelSettings);
+                await updateRunEvalsOption(editPromptFamilyId);
+                updateEditPreview();
 
                 // Load existing tags
                 currentEditTags.clear();
@@ -1604,7 +3270,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             const prompt = await db.prompts.get(promptId);
             if (prompt) {
                 try {
-                    await navigator.clipboard.writeText(prompt.text);
+                    if (!(await copyPromptText(prompt))) {
+                        return;
+                    }
                     // Update usage stats
                     await db.prompts.update(promptId, {
                         timesUsed: (prompt.timesUsed || 0) + 1,
@@ -1619,6 +3287,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                     console.error('Failed to copy prompt to clipboard:', err);
                 }
             }
+        } else if (target.classList.contains('run-prompt-btn')) {
+            const prompt = await db.prompts.get(Number(target.dataset.id));
+            if (prompt) {
+                await openPlayground(prompt);
+            }
         } else if (target.classList.contains('view-prompt-btn')) {
             const promptId = Number(target.dataset.id);
             showReadOnlyViewer(promptId);
@@ -1695,7 +3368,106 @@ document.addEventListener('DOMContentLoaded', async () => {
     const importBtn = document.getElementById('import-prompts');
     const exportBtn = document.getElementById('export-prompts');
 
-    importBtn.addEventListener('click', () => {
+    const importReportModal = document.getElementById('import-report-modal');
+    const confirmImportBtn = document.getElementById('confirm-import-btn');
+    let pendingImport = null;
+
+    function fillReportList(container, items) {
+        const list = container.querySelector('ul');
+        list.innerHTML = '';
+        for (const text of items) {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        }
+        container.classList.toggle('hidden', items.length === 0);
+    }
+
+    const conflictDescriptions = {
+        ahead: (c) => `The import has ${c.newVersions} newer version${c.newVersions === 1 ? '' : 's'} of your prompt`,
+        diverged: (c) => `Your prompt and the import were edited separately (${c.newVersions} version${c.newVersions === 1 ? '' : 's'} differ)`,
+        'same-title': (c) => `A different prompt called "${c.localTitle}" is already in your library`
+    };
+
+    function renderImportConflicts(conflicts) {
+        const container = document.getElementById('import-report-conflicts');
+        const list = document.getElementById('import-conflict-list');
+        list.innerHTML = '';
+        document.getElementById('import-conflict-all').value = '';
+
+        for (const conflict of conflicts) {
+            const item = document.createElement('li');
+            item.className = 'p-2 flex justify-between items-center gap-2';
+
+            const text = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'font-medium';
+            title.textContent = conflict.title;
+            const description = document.createElement('div');
+            description.className = 'text-xs text-gray-500 dark:text-gray-400';
+            description.textContent = conflictDescriptions[conflict.kind](conflict);
+            text.append(title, description);
+
+            const select = document.createElement('select');
+            select.className = 'import-conflict-choice p-1 border border-gray-300 dark:border-gray-600 rounded bg-gray-50 dark:bg-gray-700';
+            select.dataset.key = conflict.key;
+            for (const [value, label] of [['skip', 'Skip'], ['overwrite', 'Overwrite mine'], ['keep-both', 'Keep both'], ['append', 'Add as new versions']]) {
+                select.add(new Option(label, value, false, value === conflict.suggested));
+            }
+
+            item.append(text, select);
+            list.appendChild(item);
+        }
+
+        container.classList.toggle('hidden', conflicts.length === 0);
+    }
+
+    document.getElementById('import-conflict-all').addEventListener('change', (e) => {
+        if (!e.target.value) return;
+        document.querySelectorAll('.import-conflict-choice').forEach(select => {
+            select.value = e.target.value;
+        });
+    });
+
+    function showImportReport(report) {
+        const summary = report.summary;
+        const summaryItems = summary ? [
+            `${summary.families} prompts with ${summary.versions} versions in total`,
+            `${summary.new} new, ${summary.duplicates} already in your library, ${summary.conflicts} to decide`,
+            `${summary.tags.total} tags (${summary.tags.new} new, ${summary.tags.existing} already in your library)`,
+            `${summary.links} tag assignments`
+        ] : [];
+        if (summary?.exportedAt) {
+            summaryItems.push(`Exported ${new Date(summary.exportedAt).toLocaleString()}`);
+        }
+
+        const summaryList = document.getElementById('import-report-summary');
+        summaryList.innerHTML = '';
+        for (const text of summaryItems) {
+            const item = document.createElement('li');
+            item.textContent = text;
+            summaryList.appendChild(item);
+        }
+        renderImportConflicts(report.conflicts || []);
+        fillReportList(document.getElementById('import-report-warnings'), report.warnings);
+        fillReportList(document.getElementById('import-report-errors'), report.errors);
+
+        confirmImportBtn.disabled = !report.valid;
+        confirmImportBtn.classList.toggle('opacity-50', !report.valid);
+        showModal(importReportModal);
+    }
+
+    const importOptionsModal = document.getElementById('import-options-modal');
+    const exportOptionsModal = document.getElementById('export-options-modal');
+
+    importBtn.addEventListener('click', () => showModal(importOptionsModal));
+    exportBtn.addEventListener('click', () => showModal(exportOptionsModal));
+    document.getElementById('cancel-import-options-btn').addEventListener('click', () => hideModal(importOptionsModal));
+    document.getElementById('cancel-export-btn').addEventListener('click', () => hideModal(exportOptionsModal));
+
+    document.getElementById('import-archive-btn').addEventListener('click', () => {
+        hideModal(importOptionsModal);
+
         // Create file input element
         const input = document.createElement('input');
         input.type = 'file';
@@ -1704,46 +3476,741 @@ document.addEventListener('DOMContentLoaded', async () => {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const text = await file.text();
-                    const prompts = JSON.parse(text);
-
-                    // Import prompts to database
-                    for (const prompt of prompts) {
-                        await db.prompts.add(prompt);
-                    }
+                    pendingImport = await file.text();
 
-                    alert(`Successfully imported ${prompts.length} prompts!`);
-                    await renderPrompts();
+                    // Dry run first; nothing is written until the user confirms
+                    const report = await window.electronAPI.archive.planImport(pendingImport);
+                    console.log('Import plan:', report);
+                    showImportReport(report);
                 } catch (error) {
                     console.error('Import failed:', error);
-                    alert('Failed to import prompts. Please check the file format.');
+                    alert('Failed to read the import file.');
                 }
             }
         };
         input.click();
     });
 
-    exportBtn.addEventListener('click', async () => {
+    document.getElementById('cancel-import-btn').addEventListener('click', () => {
+        pendingImport = null;
+        hideModal(importReportModal);
+    });
+
+    confirmImportBtn.addEventListener('click', async () => {
+        if (!pendingImport) return;
+
         try {
-            const allPrompts = await db.prompts.toArray();
-            const jsonStr = JSON.stringify(allPrompts, null, 2);
-            const blob = new Blob([jsonStr], { type: 'application/json' });
-
-            // Create a link to download the file
-            const a = document.createElement('a');
-            a.href = URL.createObjectURL(blob);
-            a.download = 'prompts.json';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
+            const resolutions = {};
+            document.querySelectorAll('.import-conflict-choice').forEach(select => {
+                resolutions[select.dataset.key] = select.value;
+            });
+
+            const result = await window.electronAPI.archive.import(pendingImport, { resolutions });
+            pendingImport = null;
+            hideModal(importReportModal);
+
+            const { results } = result;
+            alert([
+                'Import complete:',
+                `• ${results.added} new prompts added`,
+                `• ${results.duplicates} already in your library`,
+                `• ${results.skipped} skipped`,
+                `• ${results.overwritten} overwritten`,
+                `• ${results.keptBoth} kept as separate copies`,
+                `• ${results.appended} updated with ${results.appendedVersions} new versions`
+            ].join('\n'));
+            await renderTagTree();
+            await renderPrompts();
         } catch (error) {
-            console.error('Export failed', error);
-            alert('Failed to export prompts.');
+            console.error('Import failed:', error);
+            alert(`Failed to import prompts: ${error.message}`);
         }
     });
 
-    // --- Help Modal ---
-    const helpBtn = document.getElementById('help-btn');
+    document.getElementById('import-markdown-btn').addEventListener('click', async () => {
+        hideModal(importOptionsModal);
+
+        try {
+            const folder = await window.electronAPI.markdown.readFolder();
+            if (folder.canceled) return;
+
+            const count = (status) => folder.prompts.filter(p => p.status === status).length;
+            const lines = [
+                `Import prompts from ${folder.directory}?`,
+                '',
+                `• ${count('new')} new prompts`,
+                `• ${count('changed')} changed prompts (saved as new versions)`,
+                `• ${count('unchanged')} unchanged prompts (skipped)`
+            ];
+            if (folder.errors.length > 0) {
+                lines.push('', `${folder.errors.length} files could not be read and will be skipped:`);
+                folder.errors.forEach(({ file, error }) => lines.push(`• ${file}: ${error}`));
+            }
+            if (!confirm(lines.join('\n'))) return;
+
+            for (const prompt of folder.prompts) {
+                if (prompt.status === 'unchanged') continue;
+
+                const fields = {
+                    title: prompt.title,
+                    description: prompt.description,
+                    text: prompt.text,
+                    variables: prompt.variables,
+                    modelSettings: prompt.modelSettings,
+                    type: prompt.type,
+                    messages: prompt.messages
+                };
+                const saved = prompt.status === 'changed'
+                    ? await window.electronAPI.versions.create(prompt.latestId, fields, [])
+                    : await window.electronAPI.prompts.create(
+                        { ...fields, timesUsed: prompt.timesUsed, createdAt: prompt.createdAt || undefined }, []);
+
+                // Tags go through the tag manager so hierarchies are created the same way as in the UI
+                for (const tagPath of prompt.tags) {
+                    await tagOnlyManager.addTagToPrompt(saved.id, tagPath);
+                }
+            }
+
+            alert(`Imported ${count('new')} new and ${count('changed')} changed prompts.`);
+            await renderTagTree();
+            await renderPrompts();
+        } catch (error) {
+            console.error('Markdown import failed:', error);
+            alert(`Failed to import Markdown folder: ${error.message}`);
+        }
+    });
+
+    // Spreadsheet import: map columns, validate every row, then import
+    const tabularImportModal = document.getElementById('tabular-import-modal');
+    const confirmTabularImportBtn = document.getElementById('confirm-tabular-import-btn');
+    const TABULAR_FIELDS = ['title', 'description', 'text', 'tags'];
+    const TABULAR_STATUS_LABELS = { new: 'New', version: 'New version', duplicate: 'Already in library', invalid: 'Skipped' };
+    let pendingTabular = null;
+
+    function readTabularMapping() {
+        const mapping = { tagDelimiter: document.getElementById('tabular-tag-delimiter').value || ';' };
+        for (const field of TABULAR_FIELDS) {
+            mapping[field] = document.getElementById(`tabular-map-${field}`).value || null;
+        }
+        return mapping;
+    }
+
+    async function refreshTabularPlan() {
+        if (!pendingTabular) return;
+
+        const options = { matchTitles: document.getElementById('tabular-match-titles').checked };
+        const plan = await window.electronAPI.tabular.planImport(
+            pendingTabular.contents, pendingTabular.format, readTabularMapping(), options);
+
+        const summaryList = document.getElementById('tabular-plan-summary');
+        summaryList.innerHTML = '';
+        if (plan.valid) {
+            for (const text of [
+                `${plan.summary.new} new prompts`,
+                `${plan.summary.versions} new versions of prompts in your library`,
+                `${plan.summary.duplicates} already in your library (skipped)`,
+                `${plan.summary.invalid} rows with problems (skipped)`
+            ]) {
+                const item = document.createElement('li');
+                item.textContent = text;
+                summaryList.appendChild(item);
+            }
+        }
+        fillReportList(document.getElementById('tabular-plan-errors'), plan.errors);
+
+        const rowsBody = document.getElementById('tabular-plan-rows');
+        rowsBody.innerHTML = '';
+        for (const row of plan.rows) {
+            const tr = document.createElement('tr');
+            if (row.status === 'invalid') {
+                tr.className = 'text-red-600 dark:text-red-400';
+            } else if (row.status === 'duplicate') {
+                tr.className = 'text-gray-400';
+            }
+            const cells = [
+                row.row,
+                TABULAR_STATUS_LABELS[row.status],
+                row.title,
+                (row.tags || []).join(', '),
+                [...row.errors, ...(row.warnings || [])].join('; ')
+            ];
+            for (const value of cells) {
+                const td = document.createElement('td');
+                td.className = 'p-2 align-top';
+                td.textContent = value;
+                tr.appendChild(td);
+            }
+            rowsBody.appendChild(tr);
+        }
+
+        const importable = plan.valid && plan.summary.new + plan.summary.versions > 0;
+        confirmTabularImportBtn.disabled = !importable;
+        confirmTabularImportBtn.classList.toggle('opacity-50', !importable);
+    }
+
+    document.getElementById('import-tabular-btn').addEventListener('click', () => {
+        hideModal(importOptionsModal);
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.tsv,.jsonl,.ndjson';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const format = /\.(jsonl|ndjson)$/i.test(file.name) ? 'jsonl' : 'csv';
+                const contents = await file.text();
+                const source = await window.electronAPI.tabular.describe(contents, format);
+                pendingTabular = { contents, format };
+
+                document.getElementById('tabular-source-summary').textContent =
+                    `${file.name}: ${source.rowCount} rows, columns ${source.columns.join(', ') || '(none)'}`;
+                for (const field of TABULAR_FIELDS) {
+                    const select = document.getElementById(`tabular-map-${field}`);
+                    select.innerHTML = '';
+                    select.add(new Option('(none)', ''));
+                    for (const column of source.columns) {
+                        select.add(new Option(column, column, false, column === source.suggestedMapping[field]));
+                    }
+                }
+                document.getElementById('tabular-tag-delimiter').value = source.suggestedMapping.tagDelimiter;
+                document.getElementById('tabular-match-titles').checked = false;
+
+                await refreshTabularPlan();
+                showModal(tabularImportModal);
+            } catch (error) {
+                console.error('Spreadsheet import failed:', error);
+                alert(`Failed to read the file: ${error.message}`);
+            }
+        };
+        input.click();
+    });
+
+    document.querySelectorAll('.tabular-map').forEach(control => {
+        control.addEventListener('change', () => {
+            refreshTabularPlan().catch(error => console.error('Failed to validate rows:', error));
+        });
+    });
+
+    document.getElementById('cancel-tabular-import-btn').addEventListener('click', () => {
+        pendingTabular = null;
+        // Not hideModal: resetting the form would lose the column options
+        tabularImportModal.classList.add('hidden');
+    });
+
+    confirmTabularImportBtn.addEventListener('click', async () => {
+        if (!pendingTabular) return;
+
+        try {
+            const options = { matchTitles: document.getElementById('tabular-match-titles').checked };
+            const { results } = await window.electronAPI.tabular.import(
+                pendingTabular.contents, pendingTabular.format, readTabularMapping(), options);
+            pendingTabular = null;
+            tabularImportModal.classList.add('hidden');
+
+            alert([
+                'Import complete:',
+                `• ${results.added} new prompts added`,
+                `• ${results.versions} new versions added`,
+                `• ${results.duplicates} already in your library`,
+                `• ${results.invalid} rows skipped because of problems`
+            ].join('\n'));
+            await renderTagTree();
+            await renderPrompts();
+        } catch (error) {
+            console.error('Spreadsheet import failed:', error);
+            alert(`Failed to import prompts: ${error.message}`);
+        }
+    });
+
+    for (const format of ['csv', 'jsonl']) {
+        document.getElementById(`export-${format}-btn`).addEventListener('click', async () => {
+            const tagDelimiter = document.getElementById('export-tag-delimiter').value || ';';
+            hideModal(exportOptionsModal);
+
+            try {
+                const result = await window.electronAPI.tabular.export(format, { tagDelimiter });
+                if (result.success) {
+                    console.log('Prompts exported to:', result.filePath);
+                }
+            } catch (error) {
+                console.error('Spreadsheet export failed:', error);
+                alert(`Failed to export prompts: ${error.message}`);
+            }
+        });
+    }
+
+    document.getElementById('export-markdown-btn').addEventListener('click', async () => {
+        const nestByTag = document.getElementById('export-markdown-nested').checked;
+        hideModal(exportOptionsModal);
+
+        try {
+            const result = await window.electronAPI.markdown.exportToFolder({ nestByTag });
+            if (result.success) {
+                alert(`Exported ${result.files.length} prompts to ${result.directory}`);
+            }
+        } catch (error) {
+            console.error('Markdown export failed:', error);
+            alert(`Failed to export Markdown folder: ${error.message}`);
+        }
+    });
+
+    document.getElementById('export-archive-btn').addEventListener('click', async () => {
+        hideModal(exportOptionsModal);
+
+        try {
+            const result = await window.electronAPI.archive.export();
+            if (result.success) {
+                console.log('Library exported to:', result.filePath);
+            }
+        } catch (error) {
+            console.error('Export failed', error);
+            alert('Failed to export prompts.');
+        }
+    });
+
+    // --- Backups ---
+    const backupsBtn = document.getElementById('backups-btn');
+    const backupsModal = document.getElementById('backups-modal');
+    const backupsList = document.getElementById('backups-list');
+    const backupPreview = document.getElementById('backup-preview');
+    const backupPreviewEmpty = document.getElementById('backup-preview-empty');
+    const backupSettingsForm = document.getElementById('backup-settings-form');
+    let selectedBackup = null;
+
+    async function renderBackupsList() {
+        const backups = await window.electronAPI.backups.list();
+        backupsList.innerHTML = '';
+
+        if (backups.length === 0) {
+            backupsList.innerHTML = '<li class="p-2 text-gray-500 dark:text-gray-400">No backups yet</li>';
+            return;
+        }
+
+        for (const backup of backups) {
+            const item = document.createElement('li');
+            item.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700';
+            if (backup.fileName === selectedBackup) {
+                item.classList.add('bg-blue-100', 'dark:bg-blue-900');
+            }
+
+            const date = document.createElement('div');
+            date.className = 'font-medium';
+            date.textContent = new Date(backup.createdAt).toLocaleString();
+            const details = document.createElement('div');
+            details.className = 'text-xs text-gray-500 dark:text-gray-400';
+            details.textContent = `${backup.reason} · ${backup.counts.prompts} prompt versions`;
+
+            item.append(date, details);
+            item.addEventListener('click', () => previewBackup(backup.fileName));
+            backupsList.appendChild(item);
+        }
+    }
+
+    async function previewBackup(fileName) {
+        try {
+            const preview = await window.electronAPI.backups.preview(fileName);
+            selectedBackup = fileName;
+
+            document.getElementById('backup-preview-title').textContent =
+                `Backup from ${new Date(preview.backup.createdAt).toLocaleString()}`;
+            document.getElementById('backup-preview-counts').textContent =
+                `${preview.prompts.length} prompts, ${preview.backup.counts.prompts} versions, ${preview.tags.length} tags`;
+
+            const promptList = document.getElementById('backup-preview-prompts');
+            promptList.innerHTML = '';
+            for (const prompt of preview.prompts) {
+                const item = document.createElement('li');
+                item.className = 'p-2';
+                const title = document.createElement('div');
+                title.className = 'font-medium';
+                title.textContent = `${prompt.title} (v${prompt.version}, ${prompt.versions} version${prompt.versions === 1 ? '' : 's'})`;
+                const tags = document.createElement('div');
+                tags.className = 'text-xs text-gray-500 dark:text-gray-400';
+                tags.textContent = prompt.tags.join(', ') || 'No tags';
+                item.append(title, tags);
+                promptList.appendChild(item);
+            }
+
+            backupPreviewEmpty.classList.add('hidden');
+            backupPreview.classList.remove('hidden');
+            await renderBackupsList();
+        } catch (error) {
+            console.error('Failed to preview backup:', error);
+            alert(`Failed to read backup: ${error.message}`);
+        }
+    }
+
+    async function restoreBackup(mode) {
+        if (!selectedBackup) return;
+
+        if (mode === 'replace' &&
+            !confirm('Replace your whole library with this backup? Your current library is backed up first.')) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.backups.restore(selectedBackup, mode);
+            console.log('Backup restored:', result);
+
+            if (mode === 'merge') {
+                alert(`Added ${result.families} prompts (${result.versions} versions). ${result.skipped} prompts were already in your library.`);
+            } else {
+                alert('Library restored from backup.');
+            }
+
+            await renderTagTree();
+            await renderPrompts();
+            await renderBackupsList();
+        } catch (error) {
+            console.error('Restore failed:', error);
+            alert(`Failed to restore backup: ${error.message}`);
+        }
+    }
+
+    backupsBtn.addEventListener('click', async () => {
+        selectedBackup = null;
+        backupPreview.classList.add('hidden');
+        backupPreviewEmpty.classList.remove('hidden');
+
+        const settings = await window.electronAPI.backups.getSettings();
+        document.getElementById('backup-enabled').checked = settings.enabled;
+        document.getElementById('backup-interval-hours').value = settings.intervalHours;
+        document.getElementById('backup-keep-daily').value = settings.keepDaily;
+        document.getElementById('backup-keep-weekly').value = settings.keepWeekly;
+
+        await renderBackupsList();
+        showModal(backupsModal);
+    });
+
+    document.getElementById('close-backups-btn').addEventListener('click', () => {
+        // Not hideModal: that would reset the settings form
+        backupsModal.classList.add('hidden');
+    });
+
+    document.getElementById('create-backup-btn').addEventListener('click', async () => {
+        try {
+            await window.electronAPI.backups.create();
+            await renderBackupsList();
+        } catch (error) {
+            console.error('Backup failed:', error);
+            alert(`Failed to create backup: ${error.message}`);
+        }
+    });
+
+    document.getElementById('open-backups-folder-btn').addEventListener('click', () => {
+        window.electronAPI.backups.openFolder();
+    });
+
+    document.getElementById('merge-backup-btn').addEventListener('click', () => restoreBackup('merge'));
+    document.getElementById('replace-backup-btn').addEventListener('click', () => restoreBackup('replace'));
+
+    backupSettingsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await window.electronAPI.backups.saveSettings({
+                enabled: document.getElementById('backup-enabled').checked,
+                intervalHours: document.getElementById('backup-interval-hours').value,
+                keepDaily: document.getElementById('backup-keep-daily').value,
+                keepWeekly: document.getElementById('backup-keep-weekly').value
+            });
+            await renderBackupsList();
+        } catch (error) {
+            console.error('Failed to save backup settings:', error);
+            alert(`Failed to save backup settings: ${error.message}`);
+        }
+    });
+
+    // --- Git History ---
+    const gitHistoryModal = document.getElementById('git-history-modal');
+    const gitHistoryLog = document.getElementById('git-history-log');
+
+    async function renderGitHistoryStatus() {
+        const status = await window.electronAPI.history.getStatus();
+        const statusText = document.getElementById('git-history-status');
+        if (!status.available) {
+            statusText.textContent = status.error || 'Prompt history is not available';
+        } else {
+            statusText.textContent = `${status.commits} commits in ${status.repoDir}` +
+                (status.pushPath ? ` · last pushed to ${status.pushPath}` : '');
+        }
+        document.getElementById('push-git-history-btn').disabled = !status.available;
+        document.getElementById('open-git-history-folder-btn').disabled = !status.available;
+    }
+
+    async function renderGitHistoryLog() {
+        const commits = await window.electronAPI.history.log();
+        gitHistoryLog.innerHTML = '';
+
+        if (commits.length === 0) {
+            gitHistoryLog.innerHTML = '<li class="p-2 text-gray-500 dark:text-gray-400">No history yet</li>';
+            return;
+        }
+
+        for (const commit of commits) {
+            const item = document.createElement('li');
+            item.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700';
+
+            const subject = document.createElement('div');
+            subject.className = 'font-medium truncate';
+            subject.textContent = commit.subject;
+            const details = document.createElement('div');
+            details.className = 'text-xs text-gray-500 dark:text-gray-400';
+            details.textContent = `${commit.hash.slice(0, 7)} · ${commit.author} · ${new Date(commit.date).toLocaleString()}`;
+
+            item.append(subject, details);
+            item.addEventListener('click', async () => {
+                gitHistoryLog.querySelectorAll('li').forEach(li => li.classList.remove('bg-blue-100', 'dark:bg-blue-900'));
+                item.classList.add('bg-blue-100', 'dark:bg-blue-900');
+                await showGitHistoryCommit(commit.hash);
+            });
+            gitHistoryLog.appendChild(item);
+        }
+    }
+
+    async function showGitHistoryCommit(hash) {
+        try {
+            const commit = await window.electronAPI.history.show(hash);
+            document.getElementById('git-history-commit-subject').textContent = commit.subject;
+            document.getElementById('git-history-commit-meta').textContent =
+                `${commit.hash} · ${commit.author} <${commit.email}> · ${new Date(commit.date).toLocaleString()}`;
+            document.getElementById('git-history-commit-diff').textContent = commit.diff;
+            document.getElementById('git-history-commit-empty').classList.add('hidden');
+            document.getElementById('git-history-commit').classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to read commit:', error);
+            alert(`Failed to read commit: ${error.message}`);
+        }
+    }
+
+    document.getElementById('git-history-btn').addEventListener('click', async () => {
+        document.getElementById('git-history-commit').classList.add('hidden');
+        document.getElementById('git-history-commit-empty').classList.remove('hidden');
+        await renderGitHistoryStatus();
+        await renderGitHistoryLog();
+        showModal(gitHistoryModal);
+    });
+
+    document.getElementById('close-git-history-btn').addEventListener('click', () => {
+        hideModal(gitHistoryModal);
+    });
+
+    document.getElementById('push-git-history-btn').addEventListener('click', async () => {
+        try {
+            const result = await window.electronAPI.history.push();
+            if (result.canceled) return;
+            alert(`Pushed ${result.commits} commits to ${result.path} (branch ${result.branch}).`);
+            await renderGitHistoryStatus();
+        } catch (error) {
+            console.error('Failed to push history:', error);
+            alert(`Failed to push history: ${error.message}`);
+        }
+    });
+
+    document.getElementById('open-git-history-folder-btn').addEventListener('click', () => {
+        window.electronAPI.history.openFolder();
+    });
+
+    // --- Folder Sync ---
+    const syncStatusBtn = document.getElementById('sync-status-btn');
+    const syncModal = document.getElementById('sync-modal');
+    const syncEnabled = document.getElementById('sync-enabled');
+    let syncStatus = null;
+
+    const SYNC_LABELS = {
+        off: { text: 'Sync off', className: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400' },
+        syncing: { text: 'Syncing…', className: 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300' },
+        synced: { text: 'Synced', className: 'bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300' },
+        conflict: { text: 'Conflicts', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300' },
+        removed: { text: 'Deleted files', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300' },
+        error: { text: 'Sync error', className: 'bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-300' }
+    };
+
+    function renderSyncStatus(status) {
+        syncStatus = status;
+        const state = status ? status.state : 'off';
+        const label = SYNC_LABELS[state];
+
+        syncStatusBtn.className = `text-xs px-2 py-1 rounded-full whitespace-nowrap hover:opacity-80 ${label.className}`;
+        if (state === 'conflict') {
+            syncStatusBtn.textContent = `${status.conflicts.length} conflict${status.conflicts.length === 1 ? '' : 's'}`;
+        } else if (state === 'removed') {
+            syncStatusBtn.textContent = `${status.removals.length} deleted file${status.removals.length === 1 ? '' : 's'}`;
+        } else {
+            syncStatusBtn.textContent = label.text;
+        }
+        syncStatusBtn.title = status && status.directory ? `Folder sync: ${status.directory}` : 'Folder sync';
+
+        document.getElementById('sync-folder-path').textContent = (status && status.directory) || 'No folder chosen';
+        syncEnabled.checked = Boolean(status && status.enabled);
+        document.getElementById('sync-now-btn').disabled = !(status && status.enabled);
+        document.getElementById('sync-summary').textContent = status && status.lastSyncAt
+            ? `${status.files} files · last synced ${new Date(status.lastSyncAt).toLocaleString()}`
+            : 'Not synced yet';
+
+        const syncError = document.getElementById('sync-error');
+        syncError.textContent = status && status.error ? status.error : '';
+        syncError.classList.toggle('hidden', !(status && status.error));
+
+        const conflicts = status ? status.conflicts : [];
+        const conflictList = document.getElementById('sync-conflicts-list');
+        conflictList.innerHTML = '';
+        for (const conflict of conflicts) {
+            const item = document.createElement('li');
+            item.className = 'p-2 flex items-center gap-2';
+            const details = document.createElement('div');
+            details.className = 'flex-1 min-w-0';
+            const title = document.createElement('div');
+            title.className = 'font-medium truncate';
+            title.textContent = conflict.title;
+            const file = document.createElement('div');
+            file.className = 'text-xs text-gray-500 dark:text-gray-400 truncate';
+            file.textContent = `${conflict.file} · ${new Date(conflict.detectedAt).toLocaleString()}`;
+            details.append(title, file);
+
+            const useFile = document.createElement('button');
+            useFile.className = 'bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs';
+            useFile.textContent = 'Use file version';
+            useFile.addEventListener('click', () => resolveSyncConflict(conflict.id, 'file'));
+            const keepApp = document.createElement('button');
+            keepApp.className = 'bg-gray-500 hover:bg-gray-600 text-white px-2 py-1 rounded text-xs';
+            keepApp.textContent = 'Keep app version';
+            keepApp.addEventListener('click', () => resolveSyncConflict(conflict.id, 'app'));
+
+            item.append(details, useFile, keepApp);
+            conflictList.appendChild(item);
+        }
+        document.getElementById('sync-conflicts-section').classList.toggle('hidden', conflicts.length === 0);
+
+        const removals = status ? status.removals : [];
+        const removalList = document.getElementById('sync-removals-list');
+        removalList.innerHTML = '';
+        for (const removal of removals) {
+            const item = document.createElement('li');
+            item.className = 'p-2 flex items-center gap-2';
+            const details = document.createElement('div');
+            details.className = 'flex-1 min-w-0';
+            const title = document.createElement('div');
+            title.className = 'font-medium truncate';
+            title.textContent = removal.title;
+            const file = document.createElement('div');
+            file.className = 'text-xs text-gray-500 dark:text-gray-400 truncate';
+            file.textContent = `${removal.file} · deleted ${new Date(removal.detectedAt).toLocaleString()}`;
+            details.append(title, file);
+
+            const restore = document.createElement('button');
+            restore.className = 'bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs';
+            restore.textContent = 'Restore file';
+            restore.addEventListener('click', () => resolveSyncRemoval(removal, 'restore'));
+            const remove = document.createElement('button');
+            remove.className = 'bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs';
+            remove.textContent = 'Delete prompt';
+            remove.addEventListener('click', () => resolveSyncRemoval(removal, 'delete'));
+
+            item.append(details, restore, remove);
+            removalList.appendChild(item);
+        }
+        document.getElementById('sync-removals-section').classList.toggle('hidden', removals.length === 0);
+
+        const errors = status ? status.errors : [];
+        const errorList = document.getElementById('sync-errors-list');
+        errorList.innerHTML = '';
+        for (const { file, error } of errors) {
+            const item = document.createElement('li');
+            item.textContent = `${file}: ${error}`;
+            errorList.appendChild(item);
+        }
+        document.getElementById('sync-errors-section').classList.toggle('hidden', errors.length === 0);
+    }
+
+    async function configureSync(settings) {
+        try {
+            renderSyncStatus(await window.electronAPI.sync.configure(settings));
+        } catch (error) {
+            console.error('Failed to configure folder sync:', error);
+            alert(`Failed to configure folder sync: ${error.message}`);
+            renderSyncStatus(await window.electronAPI.sync.getStatus());
+        }
+    }
+
+    async function resolveSyncConflict(conflictId, choice) {
+        try {
+            renderSyncStatus(await window.electronAPI.sync.resolveConflict(conflictId, choice));
+        } catch (error) {
+            console.error('Failed to resolve sync conflict:', error);
+            alert(`Failed to resolve conflict: ${error.message}`);
+        }
+    }
+
+    async function resolveSyncRemoval(removal, choice) {
+        if (choice === 'delete' &&
+            !confirm(`Delete "${removal.title}" from your library, with all its versions, runs and test cases? A copy of its file is kept in .trash.`)) {
+            return;
+        }
+        try {
+            renderSyncStatus(await window.electronAPI.sync.resolveRemoval(removal.id, choice));
+            if (choice === 'delete') {
+                await renderTagTree();
+                await renderPrompts();
+            }
+        } catch (error) {
+            console.error('Failed to resolve deleted file:', error);
+            alert(`Failed to resolve deleted file: ${error.message}`);
+        }
+    }
+
+    window.electronAPI.sync.onStatus(async (status) => {
+        const previous = syncStatus;
+        renderSyncStatus(status);
+
+        // A finished sync that changed prompts may have changed what's on screen
+        if (status.state !== 'syncing' && previous && previous.state === 'syncing' && status.lastChanges > 0) {
+            await renderTagTree();
+            await renderPrompts();
+        }
+    });
+    renderSyncStatus(await window.electronAPI.sync.getStatus());
+
+    syncStatusBtn.addEventListener('click', async () => {
+        renderSyncStatus(await window.electronAPI.sync.getStatus());
+        showModal(syncModal);
+    });
+
+    document.getElementById('close-sync-btn').addEventListener('click', () => {
+        hideModal(syncModal);
+    });
+
+    document.getElementById('sync-choose-folder-btn').addEventListener('click', async () => {
+        const directory = await window.electronAPI.sync.chooseFolder();
+        if (!directory) return;
+
+        if (syncStatus && syncStatus.directory && directory !== syncStatus.directory &&
+            !confirm('Sync with this folder instead? Prompts already in it will be added to your library.')) {
+            return;
+        }
+        await configureSync({ directory, enabled: true });
+    });
+
+    document.getElementById('sync-open-folder-btn').addEventListener('click', () => {
+        if (syncStatus && syncStatus.directory) {
+            window.electronAPI.sync.openFolder();
+        }
+    });
+
+    syncEnabled.addEventListener('change', () => configureSync({ enabled: syncEnabled.checked }));
+
+    document.getElementById('sync-now-btn').addEventListener('click', async () => {
+        try {
+            renderSyncStatus(await window.electronAPI.sync.syncNow());
+        } catch (error) {
+            console.error('Folder sync failed:', error);
+            alert(`Folder sync failed: ${error.message}`);
+        }
+    });
+
+    // --- Help Modal ---
+    const helpBtn = document.getElementById('help-btn');
     const helpModal = document.getElementById('help-modal');
     const closeHelpBtn = document.getElementById('close-help-btn');
     const viewDatabaseBtn = document.getElementById('view-database-btn');
@@ -1873,6 +4340,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // --- AI Settings Modal Functions ---
+// Provider types from the provider registry; the provider tabs and forms are built from them
+let providerTypes = [];
+let providerModelListCount = 0;
+// The middleware and decorator chains' default order and settings, for Reset to Defaults
+let requestProcessingDefaults = null;
+let responseProcessingDefaults = null;
+
 function initializeAISettingsModal() {
     const aiSettingsBtn = document.getElementById('ai-settings-btn');
     const aiSettingsModal = document.getElementById('ai-settings-modal');
@@ -1881,60 +4355,17 @@ function initializeAISettingsModal() {
     const aiSettingsSave = document.getElementById('save-ai-settings');
     const aiSettingsReset = document.getElementById('reset-ai-settings');
 
-    // Tab elements
-    const openrouterTab = document.getElementById('openrouter-tab');
-    const ollamaTab = document.getElementById('ollama-tab');
-    const generalTab = document.getElementById('general-tab');
-    const openrouterPanel = document.getElementById('openrouter-content');
-    const ollamaPanel = document.getElementById('ollama-content');
-    const generalPanel = document.getElementById('general-content');
-
-    // Test connection buttons
-    const testOpenrouterBtn = document.getElementById('test-openrouter');
-    const testOllamaBtn = document.getElementById('test-ollama');
-
-    // Current active tab
-    let activeTab = 'openrouter';
-
-    // Tab switching function
-    function switchTab(tabName) {
-        // Update tab buttons - remove active class from all
-        [openrouterTab, ollamaTab, generalTab].forEach(tab => {
-            tab.classList.remove('active', 'bg-purple-100', 'dark:bg-purple-900');
-        });
-
-        // Update panels - hide all
-        [openrouterPanel, ollamaPanel, generalPanel].forEach(panel => {
-            panel.classList.add('hidden');
-        });
-
-        // Activate selected tab and panel
-        if (tabName === 'openrouter') {
-            openrouterTab.classList.add('active', 'bg-purple-100', 'dark:bg-purple-900');
-            openrouterPanel.classList.remove('hidden');
-        } else if (tabName === 'ollama') {
-            ollamaTab.classList.add('active', 'bg-purple-100', 'dark:bg-purple-900');
-            ollamaPanel.classList.remove('hidden');
-        } else if (tabName === 'general') {
-            generalTab.classList.add('active', 'bg-purple-100', 'dark:bg-purple-900');
-            generalPanel.classList.remove('hidden');
-        }
-
-        activeTab = tabName;
-    }
-
-    // Event listeners for tabs
-    openrouterTab.addEventListener('click', () => switchTab('openrouter'));
-    ollamaTab.addEventListener('click', () => switchTab('ollama'));
-    generalTab.addEventListener('click', () => switchTab('general'));
-
     // Open modal
     aiSettingsBtn.addEventListener('click', async () => {
         await loadAISettings();
         aiSettingsModal.classList.remove('hidden');
-        switchTab('openrouter'); // Default to first tab
+        switchAISettingsTab(providerTypes.length > 0 ? providerTypes[0].id : 'general'); // Default to first tab
     });
 
+    document.getElementById('request-processing-tab').addEventListener('click', () => switchAISettingsTab('request-processing'));
+    document.getElementById('response-processing-tab').addEventListener('click', () => switchAISettingsTab('response-processing'));
+    document.getElementById('general-tab').addEventListener('click', () => switchAISettingsTab('general'));
+
     // Close modal handlers
     const closeModal = () => {
         aiSettingsModal.classList.add('hidden');
@@ -1952,8 +4383,9 @@ function initializeAISettingsModal() {
 
     // Save settings
     aiSettingsSave.addEventListener('click', async () => {
-        await saveAISettings();
-        closeModal();
+        if (await saveAISettings()) {
+            closeModal();
+        }
     });
 
     // Reset settings
@@ -1962,242 +4394,489 @@ function initializeAISettingsModal() {
             await resetAISettings();
         }
     });
+}
 
-    // Test connection handlers
-    testOpenrouterBtn.addEventListener('click', async () => {
-        await testProviderConnection('openrouter');
+/**
+ * Show one tab of the AI settings modal
+ * @param {string} tabName - Provider type id, or general
+ */
+function switchAISettingsTab(tabName) {
+    document.querySelectorAll('#ai-settings-modal .tab-button').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+        tab.classList.toggle('bg-purple-100', tab.dataset.tab === tabName);
+        tab.classList.toggle('dark:bg-purple-900', tab.dataset.tab === tabName);
     });
+    document.querySelectorAll('#ai-settings-modal .tab-content').forEach(panel => {
+        panel.classList.toggle('hidden', panel.dataset.panel !== tabName);
+    });
+}
 
-    testOllamaBtn.addEventListener('click', async () => {
-        await testProviderConnection('ollama');
+/**
+ * Read "Name: value" lines into a headers object
+ * @param {string} text - One header per line
+ * @returns {Object} Headers
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    text.split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
     });
-// Add event listener to refresh Ollama models when endpoint changes
-    function setupOllamaModelRefresh() {
-        const endpointInput = document.getElementById('ollama-endpoint');
-        if (endpointInput) {
-            endpointInput.addEventListener('blur', async () => {
-                await loadOllamaModels();
-            });
+    return headers;
+}
+
+/**
+ * Build the input for one of a provider type's fields
+ * @param {Object} field - Field from the provider registry
+ * @param {*} value - Saved value
+ * @returns {HTMLElement} Wrapper holding the label and an input with data-key
+ */
+function createProviderField(field, value) {
+    const inputClass = 'w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500';
+    const wrapper = document.createElement('div');
+    wrapper.className = field.type === 'number' ? '' : 'col-span-2';
+
+    if (field.type === 'checkbox') {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 text-sm';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'rounded';
+        input.dataset.key = field.key;
+        input.checked = value === true;
+        label.append(input, document.createTextNode(field.label));
+        wrapper.appendChild(label);
+        return wrapper;
+    }
+
+    const label = document.createElement('label');
+    label.className = 'block text-sm font-medium mb-2';
+    label.textContent = field.label;
+    wrapper.appendChild(label);
+
+    let input;
+    if (field.type === 'headers') {
+        input = document.createElement('textarea');
+        input.rows = 2;
+        input.className = `${inputClass} font-mono text-sm`;
+        input.value = Object.entries(value || {}).map(([name, headerValue]) => `${name}: ${headerValue}`).join('\n');
+    } else if (field.type === 'select') {
+        input = document.createElement('select');
+        input.className = inputClass;
+        field.options.forEach(option => input.add(new Option(option.label || option.value, option.value)));
+        input.value = value ?? field.options[0].value;
+    } else {
+        input = document.createElement('input');
+        input.type = { password: 'password', url: 'url', number: 'number' }[field.type] || 'text';
+        input.className = inputClass;
+        if (field.type === 'number') {
+            const scale = field.scale || 1;
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            input.value = value === null || value === undefined ? '' : value / scale;
+        } else {
+            input.value = value ?? '';
         }
     }
+    input.dataset.key = field.key;
+    if (field.placeholder) input.placeholder = field.placeholder;
+
+    if (field.type === 'model') {
+        // Models the provider lists are offered as suggestions
+        const row = document.createElement('div');
+        row.className = 'flex gap-2';
+        input.classList.replace('w-full', 'flex-1');
+        const list = document.createElement('datalist');
+        list.id = `ai-provider-models-${++providerModelListCount}`;
+        list.dataset.part = 'models';
+        input.setAttribute('list', list.id);
+        row.append(input, list);
+        wrapper.appendChild(row);
+    } else {
+        wrapper.appendChild(input);
+    }
 
-    // Setup Ollama model refresh functionality
-    setupOllamaModelRefresh();
-// Setup OpenRouter model refresh functionality
-    setupOpenRouterModelRefresh();
+    if (field.help) {
+        const help = document.createElement('p');
+        help.className = 'text-sm text-gray-500 mt-1';
+        help.textContent = field.help;
+        wrapper.appendChild(help);
+    }
+    return wrapper;
 }
 
-// Setup OpenRouter model refresh functionality
-function setupOpenRouterModelRefresh() {
-    const refreshBtn = document.getElementById('refresh-openrouter-models');
-    if (refreshBtn) {
-        refreshBtn.addEventListener('click', async () => {
-            await loadOpenRouterModels();
+/**
+ * Build the settings form of one provider
+ * @param {Object} type - Provider type from the provider registry
+ * @param {Object} entry - { id, enabled, name, values }
+ * @returns {HTMLElement} Form element, with the provider's id and type in its dataset
+ */
+function createProviderForm(type, entry) {
+    const form = document.getElementById('ai-provider-form-template').content.firstElementChild.cloneNode(true);
+    const part = (name) => form.querySelector(`[data-part="${name}"]`);
+    form.dataset.type = type.id;
+    if (entry.id) form.dataset.id = entry.id;
+
+    part('enabled').checked = entry.enabled === true;
+    if (type.multipleInstances) {
+        form.classList.add('border', 'border-gray-200', 'dark:border-gray-700', 'rounded-lg', 'p-4');
+        part('name').classList.remove('hidden');
+        part('name').value = entry.name || '';
+        form.querySelector('[data-action="remove"]').classList.remove('hidden');
+        form.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            const name = part('name').value.trim() || 'this server';
+            if (!confirm(`Remove ${name}? Prompts set to use it will fall back to the default provider.`)) return;
+            const panel = form.closest('.tab-content');
+            form.remove();
+            updateProviderPanelEmpty(panel);
         });
+    } else {
+        part('enabled-label').textContent = `Enable ${type.name}`;
     }
 
-    // Also refresh when API key changes
-    const apiKeyInput = document.getElementById('openrouter-api-key');
-    if (apiKeyInput) {
-        apiKeyInput.addEventListener('blur', async () => {
-            const apiKey = apiKeyInput.value.trim();
-            if (apiKey) {
-                await loadOpenRouterModels();
-            }
-        });
-    }
+    type.fields.forEach(field => {
+        const value = entry.values && entry.values[field.key] !== undefined ? entry.values[field.key] : field.default;
+        part('fields').appendChild(createProviderField(field, value));
+    });
 
-    // Refresh when "free only" checkbox is toggled
-    const freeOnlyCheckbox = document.getElementById('openrouter-free-only');
-    if (freeOnlyCheckbox) {
-        freeOnlyCheckbox.addEventListener('change', async () => {
-            const apiKeyInput = document.getElementById('openrouter-api-key');
-            const apiKey = apiKeyInput.value.trim();
-            if (apiKey) {
-                await loadOpenRouterModels();
-            }
-        });
+    if (type.capabilities.modelListing) {
+        const modelInput = form.querySelector('[data-part="fields"] [list]');
+        if (modelInput) {
+            const refreshBtn = document.createElement('button');
+            refreshBtn.type = 'button';
+            refreshBtn.dataset.action = 'refresh-models';
+            refreshBtn.className = 'px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg transition-colors';
+            refreshBtn.title = 'Refresh available models';
+            refreshBtn.textContent = '🔄';
+            refreshBtn.addEventListener('click', () => loadProviderModels(form));
+            modelInput.parentElement.appendChild(refreshBtn);
+        }
     }
+    form.querySelector('[data-action="test"]').addEventListener('click', () => testProviderConnection(form));
+    return form;
 }
 
-// Load available OpenRouter models dynamically
-async function loadOpenRouterModels() {
-    try {
-        const apiKeyInput = document.getElementById('openrouter-api-key');
-        const apiKey = apiKeyInput.value.trim();
-        const currentModel = document.getElementById('openrouter-model').value;
-        const modelSelect = document.getElementById('openrouter-model');
-        const refreshBtn = document.getElementById('refresh-openrouter-models');
-
-        if (!apiKey) {
-            console.warn('OpenRouter API key not provided, cannot fetch models');
-            return;
+/**
+ * Read a provider's settings form
+ * @param {HTMLElement} form - Form built by createProviderForm
+ * @returns {Object} { id, type, enabled, name, values } with numbers scaled back to stored units
+ */
+function readProviderForm(form) {
+    const type = providerTypes.find(candidate => candidate.id === form.dataset.type);
+    const values = {};
+    type.fields.forEach(field => {
+        const input = form.querySelector(`[data-key="${field.key}"]`);
+        if (field.type === 'checkbox') {
+            values[field.key] = input.checked;
+        } else if (field.type === 'headers') {
+            values[field.key] = parseHeaderLines(input.value);
+        } else if (field.type === 'number') {
+            values[field.key] = input.value.trim() === '' ? null : parseFloat(input.value) * (field.scale || 1);
+        } else {
+            values[field.key] = input.value.trim();
         }
+    });
 
-        // Show loading state
-        if (refreshBtn) {
-            refreshBtn.disabled = true;
-            refreshBtn.textContent = '⏳';
-            refreshBtn.classList.add('opacity-50');
-        }
-
-        // Try to fetch available models via IPC
-        const result = await window.electronAPI.ai.getOpenRouterModels(apiKey);
-
-        if (result.success && result.models.length > 0) {
-            let models = result.models;
-
-            // Check if "free only" filter is enabled
-            const freeOnlyCheckbox = document.getElementById('openrouter-free-only');
-            const showFreeOnly = freeOnlyCheckbox && freeOnlyCheckbox.checked;
-
-            // Filter models if "free only" is enabled
-            if (showFreeOnly) {
-                models = models.filter(model => {
-                    // Check if model is free (pricing.prompt === "0" or pricing.completion === "0")
-                    return model.pricing && (
-                        (model.pricing.prompt === "0" || model.pricing.prompt === 0) ||
-                        (model.pricing.completion === "0" || model.pricing.completion === 0)
-                    );
-                });
-            }
+    const nameInput = form.querySelector('[data-part="name"]');
+    return {
+        id: form.dataset.id || null,
+        type: type.id,
+        enabled: form.querySelector('[data-part="enabled"]').checked,
+        name: type.multipleInstances ? nameInput.value.trim() : type.name,
+        values
+    };
+}
 
-            // Clear the select and populate with available models
-            modelSelect.innerHTML = '';
+function readProviderForms() {
+    return Array.from(document.querySelectorAll('#ai-provider-panels .ai-provider-form')).map(readProviderForm);
+}
 
-            models.forEach(model => {
-                const option = document.createElement('option');
-                option.value = model.id;
-                // Show pricing info in the model name for better UX
-                const pricingInfo = model.pricing && !showFreeOnly ?
-                    ` ($${model.pricing.prompt}/$${model.pricing.completion})` : '';
-                option.textContent = `${model.name || model.id}${pricingInfo}`;
-                if (model.id === currentModel) {
-                    option.selected = true;
-                }
-                modelSelect.appendChild(option);
-            });
+function updateProviderPanelEmpty(panel) {
+    const count = panel.querySelector('[data-part="instances"]').children.length;
+    panel.querySelector('[data-part="empty"]').classList.toggle('hidden', count > 0);
+}
 
-            // If current model is not in the list, add it as the first option
-            if (!models.some(m => m.id === currentModel) && currentModel) {
-                const option = document.createElement('option');
-                option.value = currentModel;
-                option.textContent = `${currentModel} (not found)`;
-                option.selected = true;
-                modelSelect.insertBefore(option, modelSelect.firstChild);
-            }
+/**
+ * Build a tab and a panel for each provider type, with a form for each provider
+ * @param {Array<Object>} entries - Providers from the AI config, { id, type, enabled, name, values }
+ */
+function renderProviderSettings(entries) {
+    const tabs = document.getElementById('ai-provider-tabs');
+    const panels = document.getElementById('ai-provider-panels');
+    tabs.innerHTML = '';
+    panels.innerHTML = '';
+
+    providerTypes.forEach(type => {
+        const tab = document.getElementById('ai-provider-tab-template').content.firstElementChild.cloneNode(true);
+        tab.dataset.tab = type.id;
+        tab.querySelector('[data-part="icon"]').textContent = type.icon;
+        tab.querySelector('[data-part="name"]').textContent = type.name;
+        tab.querySelector('[data-part="description"]').textContent = type.plugin ? `${type.description} (plugin)` : type.description;
+        tab.addEventListener('click', () => switchAISettingsTab(type.id));
+        tabs.appendChild(tab);
+
+        const panel = document.getElementById('ai-provider-panel-template').content.firstElementChild.cloneNode(true);
+        const part = (name) => panel.querySelector(`[data-part="${name}"]`);
+        const instances = part('instances');
+        panel.dataset.panel = type.id;
+        part('title').textContent = type.multipleInstances ? `${type.name} Servers` : `${type.name} Configuration`;
+        if (type.help) {
+            part('help').textContent = type.help;
+            part('help').classList.remove('hidden');
+        }
 
-            console.log(`Loaded ${models.length} OpenRouter models`);
+        const typeEntries = entries.filter(entry => entry.type === type.id);
+        if (type.multipleInstances) {
+            const addBtn = panel.querySelector('[data-action="add"]');
+            addBtn.classList.remove('hidden');
+            addBtn.addEventListener('click', () => {
+                const form = createProviderForm(type, { enabled: true, values: {} });
+                instances.appendChild(form);
+                updateProviderPanelEmpty(panel);
+                form.querySelector('[data-part="name"]').focus();
+            });
+            typeEntries.forEach(entry => instances.appendChild(createProviderForm(type, entry)));
+            updateProviderPanelEmpty(panel);
         } else {
-            // No models found or error, keep current options
-            if (result.error) {
-                console.warn('Failed to fetch OpenRouter models:', result.error);
-            }
-        }
-    } catch (error) {
-        console.warn('Could not load OpenRouter models:', error.message);
-        // Keep the current model value if fetching fails
-    } finally {
-        // Reset button state
-        const refreshBtn = document.getElementById('refresh-openrouter-models');
-        if (refreshBtn) {
-            refreshBtn.disabled = false;
-            refreshBtn.textContent = '🔄';
-            refreshBtn.classList.remove('opacity-50');
+            instances.appendChild(createProviderForm(type, typeEntries[0] || { enabled: false, values: {} }));
         }
-    }
+        panels.appendChild(panel);
+    });
 }
 
-// Load available Ollama models dynamically
-async function loadOllamaModels() {
+// Load the models a provider lists into its model suggestions
+async function loadProviderModels(form) {
+    const provider = readProviderForm(form);
+    const refreshBtn = form.querySelector('[data-action="refresh-models"]');
+
+    refreshBtn.disabled = true;
+    refreshBtn.textContent = '⏳';
+    refreshBtn.classList.add('opacity-50');
     try {
-        const ollamaEndpoint = document.getElementById('ollama-endpoint').value.trim() || 'http://localhost:11434';
-        const currentModel = document.getElementById('ollama-model').value;
-        const modelSelect = document.getElementById('ollama-model');
+        const result = await window.electronAPI.ai.getModels(provider.type, provider.values);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
 
-        // Clear existing options except the current one
-        modelSelect.innerHTML = `<option value="${currentModel}">${currentModel}</option>`;
+        const list = form.querySelector('[data-part="models"]');
+        list.innerHTML = '';
+        result.models.forEach(model => list.appendChild(new Option(model.label, model.id)));
+        const modelInput = form.querySelector('[list]');
+        if (!modelInput.value && result.models.length > 0) {
+            modelInput.value = result.models[0].id;
+        }
+        console.log(`Loaded ${result.models.length} ${provider.name} models`);
+    } catch (error) {
+        console.warn(`Could not load ${provider.name} models:`, error.message);
+    } finally {
+        refreshBtn.disabled = false;
+        refreshBtn.textContent = '🔄';
+        refreshBtn.classList.remove('opacity-50');
+    }
+}
 
-        // Try to fetch available models via IPC
-        const result = await window.electronAPI.ai.getOllamaModels(ollamaEndpoint);
+// Selects that list providers
+const PROVIDER_SELECT_IDS = ['default-provider', 'prompt-model-provider', 'edit-prompt-model-provider',
+    'playground-model-provider', 'evals-provider', 'evals-judge-provider'];
+
+/**
+ * List the configured providers in every provider select
+ * The settings' default provider lists them all; the others only the enabled
+ * ones, after their first "Default" option.
+ * @param {Array<Object>} providers - Providers from the AI config, { id, enabled, name }
+ */
+function updateProviderSelects(providers) {
+    PROVIDER_SELECT_IDS.forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        const selected = select.value;
+        select.querySelectorAll('option[data-provider]').forEach(option => option.remove());
+        (providers || [])
+            .filter(provider => provider.id && (selectId === 'default-provider' || provider.enabled))
+            .forEach(provider => {
+                const option = new Option(provider.name, provider.id);
+                option.dataset.provider = 'true';
+                select.add(option);
+            });
+        select.value = selected;
+        if (select.value !== selected && select.options.length > 0) {
+            select.selectedIndex = 0;
+        }
+    });
+}
 
-        if (result.success && result.models.length > 0) {
-            const models = result.models;
+/**
+ * Build a settings field of a processing chain step
+ * @param {Object} field - { key, label, type, help, min, options } where type is
+ *        checkbox, list, lines, text, number or select
+ * @param {*} value - Current value
+ * @returns {HTMLElement} Field
+ */
+function createProcessingField(field, value) {
+    const inputClass = 'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500';
+    const wrapper = document.createElement('div');
+    let input;
+
+    if (field.type === 'checkbox') {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 text-sm';
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'rounded';
+        input.checked = value === true;
+        label.append(input, document.createTextNode(field.label));
+        wrapper.appendChild(label);
+    } else {
+        const label = document.createElement('label');
+        label.className = 'block text-sm font-medium mb-1';
+        label.textContent = field.label;
+        if (field.type === 'text' || field.type === 'lines') {
+            input = document.createElement('textarea');
+            input.rows = 3;
+            input.value = field.type === 'lines' ? (value || []).join('\n') : (value || '');
+        } else if (field.type === 'select') {
+            input = document.createElement('select');
+            field.options.forEach(option => input.add(new Option(option.label, option.value)));
+            input.value = value;
+        } else {
+            input = document.createElement('input');
+            input.type = field.type === 'number' ? 'number' : 'text';
+            if (field.min !== undefined) input.min = field.min;
+            input.value = field.type === 'list' ? (value || []).join(', ') : value;
+        }
+        input.className = inputClass;
+        wrapper.append(label, input);
+    }
+    input.dataset.key = field.key;
+    input.dataset.type = field.type;
+
+    if (field.help) {
+        const help = document.createElement('p');
+        help.className = 'text-xs text-gray-500 mt-1';
+        help.textContent = field.help;
+        wrapper.appendChild(help);
+    }
+    return wrapper;
+}
 
-            // Clear the select and populate with available models
-            modelSelect.innerHTML = '';
+/**
+ * Build a processing chain tab: one card per step, in chain order
+ * @param {string} id - request-processing or response-processing
+ * @param {boolean} enabled - Whether the chain is enabled
+ * @param {Array<Object>} steps - [{ name, description, enabled, settings, fields }]
+ */
+function renderProcessingChain(id, enabled, steps) {
+    const list = document.getElementById(`${id}-steps`);
+    list.innerHTML = '';
+    document.getElementById(`${id}-enabled`).checked = enabled !== false;
+
+    steps.forEach(step => {
+        const card = document.getElementById('processing-step-template').content.firstElementChild.cloneNode(true);
+        const part = (name) => card.querySelector(`[data-part="${name}"]`);
+        card.dataset.name = step.name;
+        part('enabled').checked = step.enabled;
+        part('name').textContent = step.name;
+        part('description').textContent = step.description;
+        step.fields.forEach(field => part('fields').appendChild(createProcessingField(field, step.settings[field.key])));
+
+        card.querySelector('[data-action="up"]').addEventListener('click', () => {
+            if (card.previousElementSibling) list.insertBefore(card, card.previousElementSibling);
+        });
+        card.querySelector('[data-action="down"]').addEventListener('click', () => {
+            if (card.nextElementSibling) list.insertBefore(card.nextElementSibling, card);
+        });
+        list.appendChild(card);
+    });
+}
 
-            models.forEach(model => {
-                const option = document.createElement('option');
-                option.value = model.name;
-                option.textContent = model.name;
-                if (model.name === currentModel) {
-                    option.selected = true;
-                }
-                modelSelect.appendChild(option);
+/**
+ * Read a processing chain tab
+ * @param {string} id - request-processing or response-processing
+ * @returns {Object} { enabled, steps: [{ name, enabled, settings }] } in the order shown
+ */
+function readProcessingChain(id) {
+    return {
+        enabled: document.getElementById(`${id}-enabled`).checked,
+        steps: Array.from(document.querySelectorAll(`#${id}-steps .processing-step`)).map(card => {
+            const settings = {};
+            card.querySelectorAll('[data-key]').forEach(input => {
+                const readers = {
+                    checkbox: () => input.checked,
+                    list: () => input.value.split(',').map(item => item.trim()).filter(Boolean),
+                    lines: () => input.value.split('\n').map(item => item.trim()).filter(Boolean),
+                    number: () => Number(input.value)
+                };
+                settings[input.dataset.key] = (readers[input.dataset.type] || (() => input.value))();
             });
+            return {
+                name: card.dataset.name,
+                enabled: card.querySelector('[data-part="enabled"]').checked,
+                settings
+            };
+        })
+    };
+}
 
-            // If current model is not in the list, add it as the first option
-            if (!models.some(m => m.name === currentModel) && currentModel) {
-                const option = document.createElement('option');
-                option.value = currentModel;
-                option.textContent = `${currentModel} (not found)`;
-                option.selected = true;
-                modelSelect.insertBefore(option, modelSelect.firstChild);
-            }
-
-            console.log(`Loaded ${models.length} Ollama models`);
-        } else {
-            // No models found or error, add default option
-            const option = document.createElement('option');
-            option.value = currentModel || 'llama3.1:8b';
-            option.textContent = currentModel || 'llama3.1:8b';
-            option.selected = true;
-            modelSelect.appendChild(option);
+/**
+ * Build the Request processing and Response processing tabs
+ * @param {Object} requestChain - { enabled, middlewares }
+ * @param {Object} responseChain - { enabled, decorators }
+ */
+function renderProcessingChains(requestChain, responseChain) {
+    renderProcessingChain('request-processing', requestChain.enabled, requestChain.middlewares);
+    renderProcessingChain('response-processing', responseChain.enabled, responseChain.decorators);
+}
 
-            if (result.error) {
-                console.warn('Failed to fetch Ollama models:', result.error);
-            }
-        }
-    } catch (error) {
-        console.warn('Could not load Ollama models:', error.message);
-        // Keep the current model value if fetching fails
-    }
+/**
+ * Show what was redacted from AI requests before they were sent
+ * The notice lists the placeholders of the latest request until it is dismissed.
+ */
+function initializeRedactionNotice() {
+    const notice = document.getElementById('redaction-notice');
+    notice.querySelector('[data-action="close"]').addEventListener('click', () => notice.classList.add('hidden'));
+
+    window.electronAPI.ai.onRedacted(({ providerId, redactions }) => {
+        notice.querySelector('[data-part="title"]').textContent = `🛡️ Redacted before sending to ${providerId}`;
+        const items = notice.querySelector('[data-part="items"]');
+        items.innerHTML = '';
+        redactions.forEach(({ placeholder, preview }) => {
+            const item = document.createElement('li');
+            item.textContent = `${placeholder} ← ${preview}`;
+            items.appendChild(item);
+        });
+        notice.classList.remove('hidden');
+    });
 }
+
 // Load AI settings from backend
 async function loadAISettings() {
     try {
-        const config = await window.electronAPI.ai.getConfig();
+        const [registry, config] = await Promise.all([
+            window.electronAPI.ai.getProviderTypes(),
+            window.electronAPI.ai.getConfig()
+        ]);
         console.log('Loaded config:', config);
 
-        // OpenRouter settings
-        document.getElementById('openrouter-enabled').checked = config.openrouter?.enabled === true;
-        document.getElementById('openrouter-api-key').value = config.openrouter?.apiKey || '';
-        document.getElementById('openrouter-model').value = config.openrouter?.model || 'anthropic/claude-3.5-sonnet';
-        document.getElementById('openrouter-timeout').value = (config.openrouter?.timeout || 30000) / 1000; // Convert to seconds
-        document.getElementById('openrouter-retries').value = config.openrouter?.retries || 2;
+        providerTypes = registry.types;
+        renderProviderSettings(config.providers || []);
+        requestProcessingDefaults = config.requestProcessingDefaults;
+        responseProcessingDefaults = config.responseProcessingDefaults;
+        renderProcessingChains(config.requestProcessing, config.responseProcessing);
 
-        // Ollama settings
-        document.getElementById('ollama-enabled').checked = config.ollama?.enabled === true;
-        document.getElementById('ollama-endpoint').value = config.ollama?.endpoint || 'http://localhost:11434';
-        document.getElementById('ollama-model').value = config.ollama?.model || 'llama3.1:8b';
-        document.getElementById('ollama-timeout').value = (config.ollama?.timeout || 60000) / 1000; // Convert to seconds
-        document.getElementById('ollama-retries').value = config.ollama?.retries || 1;
+        const pluginErrors = document.getElementById('ai-plugin-errors');
+        pluginErrors.textContent = registry.pluginErrors.map(({ file, error }) => `Plugin ${file} was not loaded: ${error}`).join('\n');
+        pluginErrors.classList.toggle('hidden', registry.pluginErrors.length === 0);
 
         // General settings
+        updateProviderSelects(config.providers);
         document.getElementById('default-provider').value = config.defaultProvider || 'openrouter';
         document.getElementById('generation-prompt').value = config.systemPrompts?.generation || 'You are an AI assistant that helps generate high-quality prompts based on user descriptions.';
         document.getElementById('optimization-prompt').value = config.systemPrompts?.optimization || 'You are an AI assistant that helps optimize and improve existing prompts for better clarity and effectiveness.';
         document.getElementById('generation-temperature').value = config.temperature?.generation || 0.7;
         document.getElementById('optimization-temperature').value = config.temperature?.optimization || 0.3;
 
-        // Load available Ollama models dynamically
-        await loadOllamaModels();
-// Load available OpenRouter models if API key is present
-        if (config.openrouter?.apiKey) {
-            await loadOpenRouterModels();
-        }
-
         console.log('AI settings loaded successfully');
     } catch (error) {
         console.error('Failed to load AI settings:', error);
@@ -2208,21 +4887,12 @@ async function loadAISettings() {
 // Save AI settings to backend
 async function saveAISettings() {
     try {
+        const requestProcessing = readProcessingChain('request-processing');
+        const responseProcessing = readProcessingChain('response-processing');
         const config = {
-            openrouter: {
-                enabled: document.getElementById('openrouter-enabled').checked,
-                apiKey: document.getElementById('openrouter-api-key').value.trim(),
-                model: document.getElementById('openrouter-model').value,
-                timeout: parseInt(document.getElementById('openrouter-timeout').value) * 1000, // Convert to milliseconds
-                retries: parseInt(document.getElementById('openrouter-retries').value)
-            },
-            ollama: {
-                enabled: document.getElementById('ollama-enabled').checked,
-                endpoint: document.getElementById('ollama-endpoint').value.trim(),
-                model: document.getElementById('ollama-model').value.trim(),
-                timeout: parseInt(document.getElementById('ollama-timeout').value) * 1000, // Convert to milliseconds
-                retries: parseInt(document.getElementById('ollama-retries').value)
-            },
+            providers: readProviderForms(),
+            requestProcessing: { enabled: requestProcessing.enabled, middlewares: requestProcessing.steps },
+            responseProcessing: { enabled: responseProcessing.enabled, decorators: responseProcessing.steps },
             defaultProvider: document.getElementById('default-provider').value,
             systemPrompts: {
                 generation: document.getElementById('generation-prompt').value.trim(),
@@ -2234,37 +4904,37 @@ async function saveAISettings() {
             }
         };
 
+        const unnamed = config.providers.findIndex(provider => !provider.name);
+        if (unnamed !== -1) {
+            throw new Error(`${providerTypes.find(type => type.id === config.providers[unnamed].type).name} server needs a name`);
+        }
+
         const result = await window.electronAPI.ai.saveConfig(config);
 
         if (result.success) {
-            // Reload AI config
-            aiConfig = config;
+            // Reload AI config, which has the ids given to new providers
+            aiConfig = await window.electronAPI.ai.getConfig();
+            updateProviderSelects(aiConfig.providers);
 
             console.log('AI settings saved successfully');
+            return true;
         } else {
             throw new Error(result.error || 'Failed to save configuration');
         }
     } catch (error) {
         console.error('Failed to save AI settings:', error);
         alert('Failed to save AI settings: ' + error.message);
+        return false;
     }
 }
 
 // Reset AI settings to defaults
 async function resetAISettings() {
     try {
-        // Clear all form fields to defaults
-        document.getElementById('openrouter-enabled').checked = true;
-        document.getElementById('openrouter-api-key').value = '';
-        document.getElementById('openrouter-model').value = 'anthropic/claude-3.5-sonnet';
-        document.getElementById('openrouter-timeout').value = '30';
-        document.getElementById('openrouter-retries').value = '2';
-
-        document.getElementById('ollama-enabled').checked = true;
-        document.getElementById('ollama-endpoint').value = 'http://localhost:11434';
-        document.getElementById('ollama-model').value = 'llama3.1:8b';
-        document.getElementById('ollama-timeout').value = '60';
-        document.getElementById('ollama-retries').value = '1';
+        // Rebuild the provider forms with their types' defaults
+        renderProviderSettings([]);
+        renderProcessingChains(requestProcessingDefaults, responseProcessingDefaults);
+        switchAISettingsTab(providerTypes.length > 0 ? providerTypes[0].id : 'general');
 
         document.getElementById('default-provider').value = 'openrouter';
         document.getElementById('generation-prompt').value = 'You are an AI assistant that helps generate high-quality prompts based on user descriptions.';
@@ -2279,12 +4949,10 @@ async function resetAISettings() {
     }
 }
 
-// Test provider connection
-async function testProviderConnection(provider) {
-    const testBtn = provider === 'openrouter' ?
-        document.getElementById('test-openrouter') :
-        document.getElementById('test-ollama');
-
+// Test a provider with the values in its settings form
+async function testProviderConnection(form) {
+    const testBtn = form.querySelector('[data-action="test"]');
+    const provider = readProviderForm(form);
     const originalText = testBtn.textContent;
 
     try {
@@ -2293,59 +4961,26 @@ async function testProviderConnection(provider) {
         testBtn.textContent = 'Testing...';
         testBtn.classList.add('opacity-50');
 
-        // Get current form values for testing
-        let config;
-        if (provider === 'openrouter') {
-            config = {
-                apiKey: document.getElementById('openrouter-api-key').value.trim(),
-                model: document.getElementById('openrouter-model').value,
-                timeout: parseInt(document.getElementById('openrouter-timeout').value) * 1000, // Convert to milliseconds
-                retries: parseInt(document.getElementById('openrouter-retries').value)
-            };
-        } else {
-            config = {
-                endpoint: document.getElementById('ollama-endpoint').value.trim(),
-                model: document.getElementById('ollama-model').value.trim(),
-                timeout: parseInt(document.getElementById('ollama-timeout').value) * 1000, // Convert to milliseconds
-                retries: parseInt(document.getElementById('ollama-retries').value)
-            };
-        }
-
-        const result = await window.electronAPI.ai.testProvider(provider, config);
-
-        if (result.success) {
-            testBtn.textContent = '✓ Connected';
-            testBtn.classList.remove('bg-blue-500', 'hover:bg-blue-600');
-            testBtn.classList.add('bg-green-500');
-
-            setTimeout(() => {
-                testBtn.textContent = originalText;
-                testBtn.classList.remove('bg-green-500');
-                testBtn.classList.add('bg-blue-500', 'hover:bg-blue-600');
-            }, 2000);
-        } else {
+        const result = await window.electronAPI.ai.testProvider(provider.type, provider.values);
+        if (!result.success) {
             throw new Error(result.error || 'Connection test failed');
         }
+        if (!result.connected) {
+            throw new Error(`${provider.name} did not answer. Check its settings and model.`);
+        }
 
-
+        testBtn.textContent = '✓ Connected';
     } catch (error) {
-        console.error(`${provider} connection test failed:`, error);
-
+        console.error(`${provider.name} connection test failed:`, error);
         testBtn.textContent = '✗ Failed';
-        testBtn.classList.remove('bg-blue-500', 'hover:bg-blue-600');
-        testBtn.classList.add('bg-red-500');
-
-        setTimeout(() => {
-            testBtn.textContent = originalText;
-            testBtn.classList.remove('bg-red-500');
-            testBtn.classList.add('bg-blue-500', 'hover:bg-blue-600');
-        }, 2000);
-
         alert(`Connection test failed: ${error.message}`);
     } finally {
         // Restore button state
         testBtn.disabled = false;
         testBtn.classList.remove('opacity-50');
+        setTimeout(() => {
+            testBtn.textContent = originalText;
+        }, 2000);
     }
 }
 
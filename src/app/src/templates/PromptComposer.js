@@ -0,0 +1,188 @@
+/**
+ * Prompt Composer
+ * Expands includes of other prompts before a prompt is copied, previewed or run.
+ *
+ * An include names another prompt by title, optionally after one of its tag
+ * paths, or by family id:
+ *
+ *   {{> Output Format}}
+ *   {{> writing/snippets/Output Format}}
+ *   {{> #42}}
+ *
+ * Each include is replaced by the text of the latest version of the prompt it
+ * names, with that prompt's own includes expanded in turn. Names are matched
+ * without regard to case or the spaces around slashes. An include escaped
+ * with a backslash, \{{> Output Format}}, is left for the template step to
+ * write out as it is.
+ */
+
+const INCLUDE_PATTERN = /(\\?)\{\{>\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Normalize an include reference or a title/tag path for matching
+ * @param {string} reference - Reference text
+ * @returns {string} Lower-cased reference with tidy slashes and spaces
+ */
+function normalizeReference(reference) {
+    return String(reference || '')
+        .split('/')
+        .map(part => part.trim().replace(/\s+/g, ' '))
+        .join('/')
+        .toLowerCase();
+}
+
+/**
+ * List the includes in a prompt
+ * @param {string} text - Prompt text
+ * @returns {Array<string>} References in order of first use
+ */
+function findIncludes(text) {
+    const references = new Set();
+    for (const [, escape, reference] of String(text || '').matchAll(INCLUDE_PATTERN)) {
+        if (!escape) {
+            references.add(reference);
+        }
+    }
+    return Array.from(references);
+}
+
+class PromptComposer {
+    /**
+     * @param {LibraryRepository} repository - Repository to read prompts from
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Index the latest version of every family by the names an include can use
+     * @returns {Object} { byFamily, byName } where byName maps a normalized
+     *          name to the family ids it matches
+     */
+    indexLatest() {
+        const byFamily = new Map();
+        const byName = new Map();
+        const addName = (name, familyId) => {
+            const key = normalizeReference(name);
+            if (!byName.has(key)) {
+                byName.set(key, new Set());
+            }
+            byName.get(key).add(familyId);
+        };
+
+        for (const prompt of this.repository.store.getTable('prompts').values()) {
+            if (!prompt.isLatest) continue;
+
+            const familyId = this.repository.getFamilyId(prompt);
+            byFamily.set(familyId, prompt);
+            addName(prompt.title, familyId);
+            for (const tag of this.repository.getPromptTags(prompt.id)) {
+                addName(`${tag.fullPath}/${prompt.title}`, familyId);
+            }
+        }
+
+        return { byFamily, byName };
+    }
+
+    /**
+     * Find the prompt an include refers to
+     * @param {string} reference - Text inside {{> ...}}
+     * @param {Object} index - Index from indexLatest
+     * @returns {Object} Latest version of the referenced prompt
+     * @throws {Error} When no prompt or more than one prompt matches
+     */
+    resolve(reference, index = this.indexLatest()) {
+        const idMatch = String(reference).trim().match(/^#(\d+)$/);
+        if (idMatch) {
+            const prompt = index.byFamily.get(Number(idMatch[1]));
+            if (!prompt) {
+                throw new Error(`Included prompt "${reference}" was not found`);
+            }
+            return prompt;
+        }
+
+        const familyIds = Array.from(index.byName.get(normalizeReference(reference)) || []);
+        if (familyIds.length === 0) {
+            throw new Error(`Included prompt "${reference}" was not found`);
+        }
+        if (familyIds.length > 1) {
+            throw new Error(`Included prompt "${reference}" matches ${familyIds.length} prompts; add its tag path or use its id (${familyIds.map(id => `#${id}`).join(', ')})`);
+        }
+        return index.byFamily.get(familyIds[0]);
+    }
+
+    /**
+     * Expand every include in a prompt's text
+     * Included prompts' variable declarations are added after the prompt's own,
+     * skipping names the prompt already declares.
+     * @param {string} text - Prompt text
+     * @param {Object} options - { familyId, declarations } where familyId is the
+     *          family the text belongs to, so it cannot include itself
+     * @returns {Object} { text, includes, declarations } where includes lists
+     *          { familyId, id, title } for each prompt pulled in
+     * @throws {Error} On a missing, ambiguous or circular include
+     */
+    expand(text, { familyId = null, declarations = [] } = {}) {
+        const index = this.indexLatest();
+        const includes = new Map();
+        const merged = [...(declarations || [])];
+        const titleOf = (id) => (index.byFamily.get(id) || {}).title || `#${id}`;
+
+        const visit = (source, stack) => String(source || '').replace(INCLUDE_PATTERN, (placeholder, escape, reference) => {
+            if (escape) {
+                return placeholder;
+            }
+            const prompt = this.resolve(reference, index);
+            const includedFamilyId = this.repository.getFamilyId(prompt);
+
+            if (stack.includes(includedFamilyId)) {
+                const cycle = [...stack.slice(stack.indexOf(includedFamilyId)), includedFamilyId];
+                throw new Error(`Prompts include each other: ${cycle.map(titleOf).join(' → ')}`);
+            }
+
+            if (!includes.has(includedFamilyId)) {
+                includes.set(includedFamilyId, { familyId: includedFamilyId, id: prompt.id, title: prompt.title });
+                for (const declaration of prompt.variables || []) {
+                    if (!merged.some(existing => existing.name === declaration.name)) {
+                        merged.push(declaration);
+                    }
+                }
+            }
+
+            return visit(prompt.text, [...stack, includedFamilyId]);
+        });
+
+        const expanded = visit(text, familyId === null || familyId === undefined ? [] : [Number(familyId)]);
+        return { text: expanded, includes: Array.from(includes.values()), declarations: merged };
+    }
+
+    /**
+     * List the prompts whose latest version includes a family directly
+     * Includes that no longer resolve are ignored.
+     * @param {number} familyId - Family id
+     * @returns {Array<Object>} { familyId, id, title } sorted by title
+     */
+    getUsedBy(familyId) {
+        const index = this.indexLatest();
+        const usedBy = [];
+
+        for (const [otherFamilyId, prompt] of index.byFamily) {
+            if (otherFamilyId === familyId) continue;
+
+            const includesFamily = findIncludes(prompt.text).some(reference => {
+                try {
+                    return this.repository.getFamilyId(this.resolve(reference, index)) === familyId;
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (includesFamily) {
+                usedBy.push({ familyId: otherFamilyId, id: prompt.id, title: prompt.title });
+            }
+        }
+
+        return usedBy.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+    }
+}
+
+module.exports = { PromptComposer, findIncludes, INCLUDE_PATTERN };
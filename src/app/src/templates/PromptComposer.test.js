@@ -0,0 +1,92 @@
+/**
+ * PromptComposer.test.js
+ *
+ * Unit tests for including prompts in other prompts
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryStore } = require('../data/LibraryStore');
+const { LibraryRepository } = require('../data/LibraryRepository');
+const { PromptComposer, findIncludes } = require('./PromptComposer');
+
+describe('PromptComposer', () => {
+  let dataDir;
+  let repository;
+  let composer;
+  let format;
+  let persona;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-composer-'));
+    const store = new LibraryStore();
+    await store.initialize(dataDir);
+    repository = new LibraryRepository(store);
+    composer = new PromptComposer(repository);
+
+    format = await repository.createPrompt({ title: 'Output Format', description: '', text: 'Answer in {{format}}.' }, ['snippets']);
+    persona = await repository.createPrompt({
+      title: 'Persona',
+      description: '',
+      text: 'You are a {{role}}.',
+      variables: [{ name: 'role', type: 'string', default: 'reviewer', description: '', required: true, options: [] }]
+    }, ['snippets/people']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should find includes by title, tag path or id', () => {
+    expect(findIncludes('{{> Persona}} {{>snippets/Output Format }} {{> #7}} {{> Persona}} {{name}}'))
+      .toEqual(['Persona', 'snippets/Output Format', '#7']);
+  });
+
+  test('should expand includes with the latest version of each prompt', async () => {
+    await repository.createVersion(format.id, { text: 'Answer in {{format}}, briefly.' }, ['snippets']);
+
+    const result = composer.expand(
+      `{{> snippets / people / persona}}\n\nReview this.\n\n{{> #${format.id}}}`,
+      { declarations: [{ name: 'role', type: 'enum', options: ['judge'], default: 'judge', description: '', required: false }] }
+    );
+
+    expect(result.text).toBe('You are a {{role}}.\n\nReview this.\n\nAnswer in {{format}}, briefly.');
+    expect(result.includes.map(include => include.title)).toEqual(['Persona', 'Output Format']);
+    // The including prompt's own declaration wins
+    expect(result.declarations.map(d => [d.name, d.type])).toEqual([['role', 'enum']]);
+  });
+
+  test('should expand nested includes', async () => {
+    const review = await repository.createPrompt({ title: 'Review', description: '', text: '{{> Persona}} Review. {{> Output Format}}' }, []);
+
+    expect(composer.expand('{{> Review}}').text).toBe('You are a {{role}}. Review. Answer in {{format}}.');
+    expect(composer.expand('{{> Review}}').includes.map(include => include.familyId)).toEqual([review.id, persona.id, format.id]);
+  });
+
+  test('should report missing and ambiguous includes', async () => {
+    await repository.createPrompt({ title: 'Persona', description: '', text: 'Another persona' }, []);
+
+    expect(() => composer.expand('{{> Missing}}')).toThrow('Included prompt "Missing" was not found');
+    expect(() => composer.expand('{{> #999}}')).toThrow('Included prompt "#999" was not found');
+    expect(() => composer.expand('{{> Persona}}')).toThrow('matches 2 prompts');
+    expect(composer.expand('{{> snippets/people/Persona}}').text).toBe('You are a {{role}}.');
+  });
+
+  test('should detect include cycles', async () => {
+    const a = await repository.createPrompt({ title: 'A', description: '', text: 'A includes {{> B}}' }, []);
+    await repository.createPrompt({ title: 'B', description: '', text: 'B includes {{> A}}' }, []);
+
+    expect(() => composer.expand('{{> A}}')).toThrow('Prompts include each other: A → B → A');
+    expect(() => composer.expand('Me: {{> Persona}} {{> B}}', { familyId: a.id })).toThrow('A → B → A');
+    expect(() => composer.expand('{{> Persona}}', { familyId: persona.id })).toThrow('Persona → Persona');
+  });
+
+  test('should list the prompts that include a prompt', async () => {
+    await repository.createPrompt({ title: 'Summary', description: '', text: '{{> Output Format}}' }, []);
+    const review = await repository.createPrompt({ title: 'Review', description: '', text: `{{> #${format.id}}} {{> Missing}}` }, []);
+    await repository.createVersion(review.id, { text: `{{> #${format.id}}} again` }, []);
+
+    expect(composer.getUsedBy(format.id).map(prompt => prompt.title)).toEqual(['Review', 'Summary']);
+    expect(composer.getUsedBy(persona.id)).toEqual([]);
+  });
+});
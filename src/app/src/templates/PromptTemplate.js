@@ -0,0 +1,515 @@
+/**
+ * Prompt Template
+ * A small logic-less template language for prompt text.
+ *
+ *   {{language}}                     the value of a variable
+ *   {{#if strict}}...{{else}}...{{/if}}
+ *                                    a section shown when the variable is set
+ *                                    (not false, 0, empty or an empty list)
+ *   {{#each files}}{{@index}}. {{this}}{{/each}}
+ *                                    a section repeated for each item of a list
+ *   \{{language}}                    the braces themselves, not a variable
+ *
+ * Names start with a letter or an underscore and may contain letters, digits,
+ * underscores, dots and dashes; spaces inside the braces are ignored. Anything
+ * else between double braces, such as {{> includes}}, is left as it is.
+ * Values are inserted exactly as given: prompts are plain text, so nothing is
+ * HTML-escaped. A block tag alone on its line takes the whole line with it,
+ * so sections don't leave blank lines behind.
+ *
+ * A prompt can declare its variables in a `variables` list on the prompt
+ * record. Each declaration is:
+ *
+ *   { name, type, default, description, required, options }
+ *
+ * where type is one of VARIABLE_TYPES and options lists the choices of an
+ * enum. Placeholders without a declaration are optional strings, or lists
+ * and booleans when they are only used by {{#each}} or {{#if}}.
+ */
+
+const TAG_PATTERN = /(\\?)\{\{([^{}\n]*)\}\}/g;
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+const VARIABLE_TYPES = ['string', 'multiline', 'number', 'enum', 'boolean', 'list'];
+const LOOP_NAMES = ['this', '@index'];
+
+/**
+ * A template that cannot be read or rendered, with the position of the problem
+ */
+class TemplateError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {Object} location - { line, column }, both starting at 1
+     */
+    constructor(message, { line, column }) {
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'TemplateError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Get the line and column of an offset in a text
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }, both starting at 1
+ */
+function locate(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Check whether a tag stands alone on its line
+ * @param {string} text - Template text
+ * @param {number} start - Offset of the tag
+ * @param {number} end - Offset just after the tag
+ * @returns {Object|null} { lineStart, next } to drop the line, or null
+ */
+function standaloneLine(text, start, end) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const newline = text.indexOf('\n', end);
+    const lineEnd = newline === -1 ? text.length : newline;
+
+    if (text.slice(lineStart, start).trim() !== '' || text.slice(end, lineEnd).trim() !== '') {
+        return null;
+    }
+    return { lineStart, next: newline === -1 ? text.length : newline + 1 };
+}
+
+/**
+ * Parse template text into a tree of nodes
+ * @param {string} text - Template text
+ * @returns {Array<Object>} Nodes: text, variable, if and each
+ * @throws {TemplateError} On blocks that are unknown, unclosed or closed out of order
+ */
+function parseTemplate(text) {
+    const source = String(text || '');
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let position = 0;
+
+    const current = () => stack[stack.length - 1];
+    const addText = (value) => {
+        if (value) {
+            current().children.push({ type: 'text', value });
+        }
+    };
+    const describe = (block) => `{{#${block.type} ${block.name}}} opened at line ${block.location.line}, column ${block.location.column}`;
+    const inLoop = () => stack.some(node => node.type === 'each');
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, escape, inner] = match;
+        const start = match.index;
+        const end = start + tag.length;
+        const location = locate(source, start + escape.length);
+        const content = inner.trim();
+
+        if (escape) {
+            addText(source.slice(position, start) + tag.slice(1));
+            position = end;
+            continue;
+        }
+
+        const block = content.match(/^#\s*(\S+)\s*(.*)$/);
+        const close = content.match(/^\/\s*(\S+)$/);
+        const isElse = content === 'else';
+
+        if (!block && !close && !isElse) {
+            addText(source.slice(position, start));
+            if (NAME_PATTERN.test(content) || LOOP_NAMES.includes(content)) {
+                if (LOOP_NAMES.includes(content) && !inLoop()) {
+                    throw new TemplateError(`{{${content}}} can only be used inside {{#each}}`, location);
+                }
+                current().children.push({ type: 'variable', name: content, raw: tag, location });
+            } else {
+                addText(tag);
+            }
+            position = end;
+            continue;
+        }
+
+        // Block tags alone on their line take the line with them
+        const standalone = standaloneLine(source, start, end);
+        addText(source.slice(position, standalone ? Math.max(standalone.lineStart, position) : start));
+        position = standalone ? standalone.next : end;
+
+        if (block) {
+            const [, keyword, name] = block;
+            if (keyword !== 'if' && keyword !== 'each') {
+                throw new TemplateError(`Unknown block {{#${keyword}}}; use {{#if}} or {{#each}}`, location);
+            }
+            if (!NAME_PATTERN.test(name) && !LOOP_NAMES.includes(name)) {
+                throw new TemplateError(`{{#${keyword}}} needs a variable name, as in {{#${keyword} name}}`, location);
+            }
+            if (LOOP_NAMES.includes(name) && !inLoop()) {
+                throw new TemplateError(`{{#${keyword} ${name}}} can only be used inside {{#each}}`, location);
+            }
+            const node = keyword === 'if'
+                ? { type: 'if', name, location, children: [], otherwise: null }
+                : { type: 'each', name, location, children: [] };
+            current().children.push(node);
+            stack.push(node);
+        } else if (isElse) {
+            const open = current();
+            if (open.type !== 'if') {
+                throw new TemplateError('{{else}} can only be used inside {{#if}}', location);
+            }
+            if (open.otherwise) {
+                throw new TemplateError(`${describe(open)} already has an {{else}}`, location);
+            }
+            open.then = open.children;
+            open.otherwise = [];
+            open.children = open.otherwise;
+        } else {
+            const keyword = close[1];
+            const open = current();
+            if (open.type === 'root') {
+                throw new TemplateError(`{{/${keyword}}} has no matching {{#${keyword}}}`, location);
+            }
+            if (open.type !== keyword) {
+                throw new TemplateError(`{{/${keyword}}} closes ${describe(open)}`, location);
+            }
+            stack.pop();
+        }
+    }
+
+    addText(source.slice(position));
+
+    if (stack.length > 1) {
+        const open = current();
+        throw new TemplateError(`${describe(open)} is never closed`, open.location);
+    }
+
+    // Normalize if blocks to { then, otherwise }
+    const finish = (nodes) => nodes.map(node => {
+        if (node.type === 'if') {
+            const then = node.then || node.children;
+            return { type: 'if', name: node.name, location: node.location, then: finish(then), otherwise: finish(node.otherwise || []) };
+        }
+        if (node.type === 'each') {
+            return { ...node, children: finish(node.children) };
+        }
+        return node;
+    });
+
+    return finish(root.children);
+}
+
+/**
+ * Collect the variables a parsed template uses
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @returns {Map<string, Object>} { name, occurrences, uses } by name, in order of first use,
+ *          where uses holds 'value', 'if' and/or 'each'
+ */
+function collectVariables(nodes) {
+    const variables = new Map();
+    const add = (name, use) => {
+        if (LOOP_NAMES.includes(name)) return;
+        if (!variables.has(name)) {
+            variables.set(name, { name, occurrences: 0, uses: new Set() });
+        }
+        variables.get(name).occurrences++;
+        variables.get(name).uses.add(use);
+    };
+    const walk = (list) => list.forEach(node => {
+        if (node.type === 'variable') {
+            add(node.name, 'value');
+        } else if (node.type === 'if') {
+            add(node.name, 'if');
+            walk(node.then);
+            walk(node.otherwise);
+        } else if (node.type === 'each') {
+            add(node.name, 'each');
+            walk(node.children);
+        }
+    });
+
+    walk(nodes);
+    return variables;
+}
+
+/**
+ * List the variables used in a prompt
+ * @param {string} text - Prompt text
+ * @returns {Array<Object>} Variables in order of first use: { name, occurrences }
+ * @throws {TemplateError} When the text is not a valid template
+ */
+function findVariables(text) {
+    return Array.from(collectVariables(parseTemplate(text)).values())
+        .map(({ name, occurrences }) => ({ name, occurrences }));
+}
+
+/**
+ * Whether a value shows an {{#if}} section
+ * @param {*} value - Variable value
+ * @returns {boolean} False for false, 0, '', null, undefined and empty lists
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Fill in a prompt's variables and sections
+ * Placeholders without a value are left in the text so they are easy to spot;
+ * sections on a variable without a value are left out.
+ * @param {string} text - Prompt text
+ * @param {Object} values - Values keyed by variable name; lists are arrays
+ * @returns {Object} { text, missing } where missing lists variables without a value
+ * @throws {TemplateError} When the text is not a valid template or {{#each}} is given something other than a list
+ */
+function renderTemplate(text, values = {}) {
+    const missing = new Set();
+    const lookup = (name, loop) => {
+        if (name === 'this') return loop.item;
+        if (name === '@index') return loop.index;
+        if (!Object.prototype.hasOwnProperty.call(values, name) || values[name] === null || values[name] === undefined) {
+            missing.add(name);
+            return undefined;
+        }
+        return values[name];
+    };
+
+    const render = (nodes, loop) => nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'variable': {
+                const value = lookup(node.name, loop);
+                if (value === undefined) return node.raw;
+                return Array.isArray(value) ? value.join(', ') : String(value);
+            }
+            case 'if':
+                return render(isTruthy(lookup(node.name, loop)) ? node.then : node.otherwise, loop);
+            case 'each': {
+                const list = lookup(node.name, loop);
+                if (list === undefined) return '';
+                if (!Array.isArray(list)) {
+                    throw new TemplateError(`{{#each ${node.name}}} needs a list, but "${node.name}" is a ${typeof list}`, node.location);
+                }
+                return list.map((item, index) => render(node.children, { item, index })).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+
+    return { text: render(parseTemplate(text), null), missing: Array.from(missing) };
+}
+
+/**
+ * Read a boolean from a form or file value
+ * @param {*} value - true/false, or 'true'/'false' in any case
+ * @returns {boolean|null} The boolean, or null when the value is not one
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    return text === 'true' ? true : text === 'false' ? false : null;
+}
+
+/**
+ * Read a list from a form or file value
+ * @param {*} value - Array, or text with one item per line
+ * @returns {Array<string>} Non-empty items
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value).split('\n');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Check and clean up a prompt's variable declarations
+ * @param {Array<Object>} declarations - Declarations as entered or imported
+ * @returns {Object} { declarations, errors } with defaults converted to the declared type
+ */
+function normalizeDeclarations(declarations) {
+    const cleaned = [];
+    const errors = [];
+    const seen = new Set();
+
+    (Array.isArray(declarations) ? declarations : []).forEach((declaration, index) => {
+        const name = String((declaration && declaration.name) || '').trim();
+        const label = name ? `Variable "${name}"` : `Variable ${index + 1}`;
+        const type = (declaration && declaration.type) || 'string';
+        const options = type === 'enum'
+            ? [...new Set((declaration.options || []).map(option => String(option).trim()).filter(Boolean))]
+            : [];
+        let defaultValue = declaration && declaration.default !== undefined && declaration.default !== null
+            ? declaration.default
+            : '';
+
+        if (!NAME_PATTERN.test(name)) {
+            errors.push(`${label} needs a name that starts with a letter or underscore and has no spaces`);
+            return;
+        }
+        if (!VARIABLE_TYPES.includes(type)) {
+            errors.push(`${label} has an unknown type "${type}"`);
+            return;
+        }
+        if (seen.has(name)) {
+            errors.push(`${label} is declared more than once`);
+            return;
+        }
+        seen.add(name);
+
+        if (type === 'number' && defaultValue !== '') {
+            defaultValue = Number(defaultValue);
+            if (!Number.isFinite(defaultValue)) {
+                errors.push(`${label} has a default that is not a number`);
+                return;
+            }
+        } else if (type === 'boolean') {
+            defaultValue = parseBoolean(defaultValue) === true;
+        } else if (type === 'list') {
+            defaultValue = parseList(defaultValue);
+        } else if (type === 'enum') {
+            if (options.length === 0) {
+                errors.push(`${label} needs at least one option`);
+                return;
+            }
+            defaultValue = String(defaultValue).trim();
+            if (defaultValue !== '' && !options.includes(defaultValue)) {
+                errors.push(`${label} has a default that is not one of its options`);
+                return;
+            }
+        } else {
+            defaultValue = String(defaultValue);
+        }
+
+        cleaned.push({
+            name,
+            type,
+            default: defaultValue,
+            description: String(declaration.description || ''),
+            required: Boolean(declaration.required),
+            options
+        });
+    });
+
+    return { declarations: cleaned, errors };
+}
+
+/**
+ * List the variables to ask for when filling in a prompt
+ * Declared variables come first, in declaration order, followed by any
+ * undeclared placeholders in the text. Undeclared variables only used by
+ * {{#each}} are lists, and those only used by {{#if}} are booleans.
+ * @param {string} text - Prompt text
+ * @param {Array<Object>} declarations - The prompt's variable declarations
+ * @returns {Array<Object>} Variables: { name, type, default, description, required, options, occurrences }
+ * @throws {TemplateError} When the text is not a valid template
+ */
+function describeVariables(text, declarations = []) {
+    const used = collectVariables(parseTemplate(text));
+    const { declarations: declared } = normalizeDeclarations(declarations);
+
+    const variables = declared.map(declaration => ({
+        ...declaration,
+        occurrences: used.has(declaration.name) ? used.get(declaration.name).occurrences : 0
+    }));
+    for (const { name, occurrences, uses } of used.values()) {
+        if (declared.some(declaration => declaration.name === name)) continue;
+
+        const only = (use) => uses.size === 1 && uses.has(use);
+        const type = only('each') ? 'list' : only('if') ? 'boolean' : 'string';
+        const defaultValue = type === 'list' ? [] : type === 'boolean' ? false : '';
+        variables.push({ name, type, default: defaultValue, description: '', required: false, options: [], occurrences });
+    }
+
+    return variables;
+}
+
+/**
+ * Get the declared defaults of a prompt's variables, for previews
+ * Variables without a default are left out so their placeholders show.
+ * @param {Array<Object>} variables - Variables from describeVariables
+ * @returns {Object} Values keyed by name
+ */
+function defaultValues(variables) {
+    const values = {};
+    for (const variable of variables) {
+        const hasDefault = variable.type === 'boolean' ||
+            (Array.isArray(variable.default) ? variable.default.length > 0 : variable.default !== '');
+        if (hasDefault) {
+            values[variable.name] = variable.default;
+        }
+    }
+    return values;
+}
+
+/**
+ * Check filled-in values against the variables' types
+ * Empty optional values are kept as empty strings.
+ * @param {Array<Object>} variables - Variables from describeVariables
+ * @param {Object} values - Values keyed by name, as entered in the form
+ * @returns {Object} { valid, values, errors } with values converted to their type
+ *          and errors keyed by variable name
+ */
+function validateValues(variables, values = {}) {
+    const converted = {};
+    const errors = {};
+
+    for (const variable of variables) {
+        const raw = values[variable.name];
+
+        if (variable.type === 'boolean') {
+            const value = raw === undefined || raw === null || raw === '' ? variable.default === true : parseBoolean(raw);
+            if (value === null) {
+                errors[variable.name] = 'Must be true or false';
+            } else {
+                converted[variable.name] = value;
+            }
+            continue;
+        }
+
+        if (variable.type === 'list') {
+            const items = raw === undefined || raw === null ? [] : parseList(raw);
+            if (items.length === 0 && variable.required) {
+                errors[variable.name] = 'Required';
+            } else {
+                converted[variable.name] = items;
+            }
+            continue;
+        }
+
+        const text = raw === undefined || raw === null ? '' : String(raw);
+        if (text.trim() === '') {
+            if (variable.required) {
+                errors[variable.name] = 'Required';
+            } else {
+                converted[variable.name] = '';
+            }
+            continue;
+        }
+
+        if (variable.type === 'number') {
+            const number = Number(text);
+            if (!Number.isFinite(number)) {
+                errors[variable.name] = 'Must be a number';
+            } else {
+                converted[variable.name] = number;
+            }
+        } else if (variable.type === 'enum' && !variable.options.includes(text)) {
+            errors[variable.name] = `Must be one of: ${variable.options.join(', ')}`;
+        } else {
+            converted[variable.name] = text;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, values: converted, errors };
+}
+
+module.exports = {
+    VARIABLE_TYPES,
+    TemplateError,
+    parseTemplate,
+    findVariables,
+    renderTemplate,
+    normalizeDeclarations,
+    describeVariables,
+    defaultValues,
+    validateValues
+};
@@ -0,0 +1,213 @@
+/**
+ * PromptTemplate.test.js
+ *
+ * Unit tests for finding and filling {{variable}} placeholders
+ */
+const {
+  TemplateError,
+  findVariables,
+  renderTemplate,
+  defaultValues,
+  normalizeDeclarations,
+  describeVariables,
+  validateValues
+} = require('./PromptTemplate');
+
+describe('PromptTemplate', () => {
+  const text = 'Review this {{language}} code:\n\n{{ code }}\n\nAnswer in {{language}}. {{not a variable}} {{}}';
+
+  test('should find each variable once, in order of first use', () => {
+    expect(findVariables(text)).toEqual([
+      { name: 'language', occurrences: 2 },
+      { name: 'code', occurrences: 1 }
+    ]);
+    expect(findVariables('No placeholders here')).toEqual([]);
+    expect(findVariables(null)).toEqual([]);
+  });
+
+  test('should accept dotted and dashed names', () => {
+    expect(findVariables('{{user.name}} {{output-format}} {{_private}} {{9lives}}').map(v => v.name))
+      .toEqual(['user.name', 'output-format', '_private']);
+  });
+
+  test('should fill every occurrence of a variable', () => {
+    const result = renderTemplate(text, { language: 'Python', code: 'print("$1 {{code}}")' });
+
+    expect(result.text).toBe('Review this Python code:\n\nprint("$1 {{code}}")\n\nAnswer in Python. {{not a variable}} {{}}');
+    expect(result.missing).toEqual([]);
+  });
+
+  test('should leave placeholders without a value in place', () => {
+    const result = renderTemplate(text, { language: 'Go', code: null });
+
+    expect(result.text).toContain('{{ code }}');
+    expect(result.missing).toEqual(['code']);
+  });
+
+  test('should fill empty strings and numbers', () => {
+    expect(renderTemplate('[{{a}}|{{b}}]', { a: '', b: 0 }).text).toBe('[|0]');
+  });
+
+  describe('sections', () => {
+    const review = [
+      'Review this {{language}} code.',
+      '{{#if strict}}',
+      'Be strict.',
+      '{{else}}',
+      'Be kind.',
+      '{{/if}}',
+      'Files:',
+      '{{#each files}}',
+      '  {{@index}}. {{this}} ({{language}})',
+      '{{/each}}',
+      'Done.'
+    ].join('\n');
+
+    test('should render if, else and each, dropping lines that only hold a block tag', () => {
+      expect(renderTemplate(review, { language: 'Go', strict: true, files: ['a.go', 'b.go'] }).text).toBe([
+        'Review this Go code.',
+        'Be strict.',
+        'Files:',
+        '  0. a.go (Go)',
+        '  1. b.go (Go)',
+        'Done.'
+      ].join('\n'));
+      expect(renderTemplate(review, { language: 'Go', strict: false, files: [] }).text)
+        .toBe('Review this Go code.\nBe kind.\nFiles:\nDone.');
+    });
+
+    test('should treat missing, zero, empty and empty lists as false', () => {
+      const text = '{{#if a}}A{{/if}}{{#if b}}B{{/if}}{{#if c}}C{{/if}}{{#if d}}D{{/if}}{{#if e}}E{{/if}}';
+
+      const result = renderTemplate(text, { b: 0, c: '', d: [], e: ['x'] });
+      expect(result.text).toBe('E');
+      expect(result.missing).toEqual(['a']);
+    });
+
+    test('should nest sections and keep inline tags on their line', () => {
+      const text = 'Items: {{#each groups}}[{{#if this}}{{this}}{{else}}-{{/if}}]{{/each}}';
+
+      expect(renderTemplate(text, { groups: ['x', '', 'y'] }).text).toBe('Items: [x][-][y]');
+    });
+
+    test('should write escaped braces and includes as they are', () => {
+      expect(renderTemplate('Use \\{{name}} and \\{{#if x}} and {{> Snippet}}', { name: 'n' }).text)
+        .toBe('Use {{name}} and {{#if x}} and {{> Snippet}}');
+      expect(findVariables('\\{{name}}')).toEqual([]);
+    });
+
+    test('should count variables used by sections', () => {
+      expect(findVariables(review)).toEqual([
+        { name: 'language', occurrences: 2 },
+        { name: 'strict', occurrences: 1 },
+        { name: 'files', occurrences: 1 }
+      ]);
+      expect(describeVariables(review).map(v => [v.name, v.type])).toEqual([
+        ['language', 'string'], ['strict', 'boolean'], ['files', 'list']
+      ]);
+    });
+
+    test.each([
+      ['{{#if a}}\nopen', 'Line 1, column 1: {{#if a}} opened at line 1, column 1 is never closed'],
+      ['x\n  {{/each}}', 'Line 2, column 3: {{/each}} has no matching {{#each}}'],
+      ['{{#each a}}\n{{#if b}}\n{{/each}}', 'Line 3, column 1: {{/each}} closes {{#if b}} opened at line 2, column 1'],
+      ['{{else}}', 'Line 1, column 1: {{else}} can only be used inside {{#if}}'],
+      ['{{#if a}}{{else}}{{else}}{{/if}}', 'Line 1, column 18: {{#if a}} opened at line 1, column 1 already has an {{else}}'],
+      ['ok\n{{#unless a}}{{/unless}}', 'Line 2, column 1: Unknown block {{#unless}}; use {{#if}} or {{#each}}'],
+      ['{{#each}}{{/each}}', 'Line 1, column 1: {{#each}} needs a variable name, as in {{#each name}}'],
+      ['Item: {{this}}', 'Line 1, column 7: {{this}} can only be used inside {{#each}}']
+    ])('should point to the problem in %j', (text, message) => {
+      expect(() => findVariables(text)).toThrow(TemplateError);
+      expect(() => findVariables(text)).toThrow(message);
+    });
+
+    test('should reject each over something that is not a list', () => {
+      let error;
+      try {
+        renderTemplate('Files:\n  {{#each files}}{{this}}{{/each}}', { files: 'a.go' });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toMatchObject({ line: 2, column: 3 });
+      expect(error.message).toContain('{{#each files}} needs a list');
+    });
+  });
+
+  describe('declarations', () => {
+    const declarations = [
+      { name: 'language', type: 'enum', options: ['Go', ' Python ', 'Go'], default: 'Go', required: true },
+      { name: 'code', type: 'multiline', description: 'Code to review', required: true },
+      { name: 'limit', type: 'number', default: '10' },
+      { name: 'strict', type: 'boolean', default: 'true' }
+    ];
+
+    test('should clean up declarations and convert defaults to their type', () => {
+      const { declarations: cleaned, errors } = normalizeDeclarations(declarations);
+
+      expect(errors).toEqual([]);
+      expect(cleaned[0]).toEqual({ name: 'language', type: 'enum', default: 'Go', description: '', required: true, options: ['Go', 'Python'] });
+      expect(cleaned[2].default).toBe(10);
+      expect(cleaned[3]).toMatchObject({ default: true, options: [] });
+    });
+
+    test('should report declarations that cannot be used', () => {
+      const { declarations: cleaned, errors } = normalizeDeclarations([
+        { name: 'two words' },
+        { name: 'size', type: 'number', default: 'big' },
+        { name: 'mode', type: 'enum', options: ['a'], default: 'b' },
+        { name: 'ok', type: 'date' },
+        { name: 'ok' },
+        { name: 'ok' }
+      ]);
+
+      expect(cleaned.map(d => d.name)).toEqual(['ok']);
+      expect(errors).toEqual([
+        'Variable "two words" needs a name that starts with a letter or underscore and has no spaces',
+        'Variable "size" has a default that is not a number',
+        'Variable "mode" has a default that is not one of its options',
+        'Variable "ok" has an unknown type "date"',
+        'Variable "ok" is declared more than once'
+      ]);
+    });
+
+    test('should list declared variables before undeclared placeholders', () => {
+      const variables = describeVariables('{{extra}} {{language}} {{code}} {{language}}', declarations);
+
+      expect(variables.map(v => [v.name, v.type, v.occurrences])).toEqual([
+        ['language', 'enum', 2], ['code', 'multiline', 1], ['limit', 'number', 0], ['strict', 'boolean', 0], ['extra', 'string', 1]
+      ]);
+    });
+
+    test('should read lists one item per line and use defaults for previews', () => {
+      const variables = describeVariables('{{#each files}}{{this}}{{/each}} {{name}}', [
+        { name: 'files', type: 'list', default: 'a.go\n\n b.go ', required: true },
+        { name: 'flag', type: 'boolean' }
+      ]);
+
+      expect(variables[0].default).toEqual(['a.go', 'b.go']);
+      expect(defaultValues(variables)).toEqual({ files: ['a.go', 'b.go'], flag: false });
+      expect(validateValues(variables, { files: 'x\ny\n' }).values.files).toEqual(['x', 'y']);
+      expect(validateValues(variables, { files: ' ' }).errors).toEqual({ files: 'Required' });
+    });
+
+    test('should validate and convert values', () => {
+      const variables = describeVariables('{{extra}}', declarations);
+
+      expect(validateValues(variables, { language: 'Rust', code: ' ', limit: 'ten', strict: 'maybe' })).toEqual({
+        valid: false,
+        values: { extra: '' },
+        errors: {
+          language: 'Must be one of: Go, Python',
+          code: 'Required',
+          limit: 'Must be a number',
+          strict: 'Must be true or false'
+        }
+      });
+      expect(validateValues(variables, { language: 'Python', code: 'x = 1', limit: '2.5' })).toEqual({
+        valid: true,
+        values: { language: 'Python', code: 'x = 1', limit: 2.5, strict: true, extra: '' },
+        errors: {}
+      });
+    });
+  });
+});
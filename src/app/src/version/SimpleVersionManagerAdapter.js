@@ -17,25 +17,19 @@ export async function deletePromptWithResequencing(db, renderPrompts, promptId)
             return;
         }
 
-        const parentId = promptToDelete.parentId || promptId;
-
-        // Get all versions of this prompt family
-        const allVersions = await db.prompts
-            .where('parentId').equals(parentId)
-            .or('id').equals(parentId)
-            .toArray();
-
-        // Delete all versions and their tag relationships
-        await db.prompts.where('parentId').equals(parentId).or('id').equals(parentId).delete();
-
-        // Delete tag relationships for all versions
-        const versionIds = allVersions.map(v => v.id);
-        await db.promptTags.where('promptId').anyOf(versionIds).delete();
+        // Other prompts that include this one would be left with a broken {{> ...}}
+        const usedBy = await window.electronAPI.templates.usedBy(promptToDelete.parentId || promptId);
+        if (usedBy.length > 0) {
+            const titles = usedBy.map(prompt => `• ${prompt.title}`).join('\n');
+            if (!confirm(`"${promptToDelete.title}" is included by ${usedBy.length} other prompt(s):\n\n${titles}\n\nTheir includes will stop working. Delete it anyway?`)) {
+                return;
+            }
+        }
 
-        console.log(`Deleted prompt family with ${allVersions.length} versions`);
+        // The library deletes every version and tag link, then resequences
+        const deletedCount = await window.electronAPI.versions.deleteFamily(promptId);
 
-        // Resequence all remaining prompts to ensure contiguous version numbers
-        await resequenceAllVersions(db);
+        console.log(`Deleted prompt family with ${deletedCount} versions`);
 
         // Refresh the display
         await renderPrompts();
@@ -50,44 +44,9 @@ export async function resequenceAllVersions(db) {
     try {
         console.log('Starting version resequencing...');
 
-        // Get all prompts grouped by parent family
-        const allPrompts = await db.prompts.toArray();
-        const promptFamilies = new Map();
-
-        // Group prompts by family (parentId or original id)
-        for (const prompt of allPrompts) {
-            const familyId = prompt.parentId || prompt.id;
-            if (!promptFamilies.has(familyId)) {
-                promptFamilies.set(familyId, []);
-            }
-            promptFamilies.get(familyId).push(prompt);
-        }
-
-        // Resequence each family
-        for (const [familyId, family] of promptFamilies) {
-            if (family.length <= 1) continue; // Skip single-version families
+        const updatedCount = await window.electronAPI.versions.resequence();
 
-            // Sort by creation date to maintain chronological order
-            family.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-            // Resequence version numbers
-            for (let i = 0; i < family.length; i++) {
-                const prompt = family[i];
-                const newVersion = i + 1;
-                const isLatest = i === family.length - 1;
-
-                if (prompt.version !== newVersion || prompt.isLatest !== (isLatest ? 1 : 0)) {
-                    await db.prompts.update(prompt.id, {
-                        version: newVersion,
-                        isLatest: isLatest ? 1 : 0
-                    });
-
-                    console.log(`Updated prompt ${prompt.id}: version ${prompt.version} -> ${newVersion}, isLatest: ${isLatest}`);
-                }
-            }
-        }
-
-        console.log('Version resequencing completed');
+        console.log(`Version resequencing completed (${updatedCount} versions updated)`);
     } catch (error) {
         console.error('Failed to resequence versions:', error);
     }
@@ -103,17 +62,8 @@ export async function deletePromptVersion(db, versionId) {
             return;
         }
 
-        // Get the parent ID
-        const parentId = promptToDelete.parentId || promptToDelete.id;
-
-        // Delete the version
-        await db.prompts.delete(versionId);
-
-        // Delete tag relationships for this version
-        await db.promptTags.where('promptId').equals(versionId).delete();
-
-        // Resequence all remaining versions
-        await resequenceAllVersions(db);
+        // The library deletes the version and its tag links, then resequences
+        const parentId = await window.electronAPI.versions.delete(versionId);
 
         console.log(`Deleted version ${promptToDelete.version} (ID: ${versionId})`);
 